@@ -18,8 +18,6 @@ const morgan = require('morgan');
 
 const routes = require('./routes');
 
-const { RateLimiter } = require('./middleware/rateLimiter');
-
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 // Import custom middleware and utilities
@@ -58,21 +56,24 @@ if (isDevelopment) {
  * 1. SECURITY MIDDLEWARE (FIRST)
  * Apply security headers, CORS, sanitization before any processing
  */
-app.use(configureSecurityMiddleware());
+configureSecurityMiddleware(app);
 logger.info('Security middleware configured');
 
 /**
  * 2. RATE LIMITING (SECOND)
- * Prevent abuse and DoS attacks by limiting request rates
+ * The API-wide and login/register limiters are applied by the security
+ * middleware above; write and read limiters are applied per route
  */
-app.use(RateLimiter());
-logger.info('Rate limiting configured');
 
 /**
  * 3. BODY PARSING (THIRD)
  * Parse incoming request bodies with size limits for security
+ * PATCH documents arrive as merge-patch+json or json-patch+json
  */
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 logger.info('Body parsing middleware configured');
 
@@ -12,7 +12,9 @@ const logger = require('../utils/logger');
 
 const mongoose = require('mongoose');
 
-* All files must import mongoose from this file ONLY.
+/**
+ * MongoDB connection manager
+ * All files must import mongoose from this file ONLY.
  *
  * Features:
  * - Singleton connection pattern
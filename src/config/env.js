@@ -1,16 +1,17 @@
-// File: src/config/nodeEnv.js
+// File: src/config/env.js
 // Generated: 2025-10-16 09:21:11 UTC
 // Project ID: proj_ac172ae5aba9
 // Task ID: task_jv4yhn799mjh
 
 
-const result = require('dotnodeEnv').config();
+const result = require('dotenv').config();
 
-* Loads and validates nodeEnvironment variables from .nodeEnv file.
+/**
+ * Loads and validates environment variables from .env file.
  * Provides a centralized, immutable configuration object for the application.
  *
  * Required Environment Variables:
- * - NODE_ENV: Application nodeEnvironment (development, production, test)
+ * - NODE_ENV: Application environment (development, production, test)
  * - PORT: Server port number
  * - MONGODB_URI: MongoDB connection string
  *
@@ -19,16 +20,17 @@ const result = require('dotnodeEnv').config();
  * - CORS_ORIGIN: CORS allowed origins (default: *)
  */
 
-// Load nodeEnvironment variables from .nodeEnv file
+// Load environment variables from .env file
 // This MUST be the first line before any other imports
 
-// Check if .nodeEnv file was loaded successfully
-if (result.error) {
-  throw new Error('Failed to load .nodeEnv file. Please ensure .nodeEnv file exists in the root directory.');
+// A missing .env file is fine when the variables come from the process
+// environment (CI, containers); validateEnv reports anything still missing
+if (result.error && result.error.code !== 'ENOENT') {
+  throw new Error(`Failed to load .env file: ${result.error.message}`);
 }
 
 /**
- * List of required nodeEnvironment variables
+ * List of required environment variables
  * Application will not start if any of these are missing
  */
 
@@ -69,7 +71,7 @@ const maskMongoUri = (uri) => {
 };
 
 /**
- * Validates all required nodeEnvironment variables are present and valid
+ * Validates all required environment variables are present and valid
  * @throws {Error} If any required variable is missing or invalid
  */
 
@@ -77,20 +79,20 @@ const maskMongoUri = (uri) => {
 const validateEnv = () => {
   // Check for missing required variables
   const missing = requiredEnvVars.filter(varName => {
-    const value = process.nodeEnv[varName];
+    const value = process.env[varName];
     return !value || (typeof value === 'string' && value.trim() === '');
   });
 
   if (missing.length > 0) {
     throw new Error(
-      `Missing required nodeEnvironment variables: ${missing.join(', ')}\n` +
-      'Please check your .nodeEnv file and ensure all required variables are set.\n' +
-      'See .nodeEnv.example for reference.'
+      `Missing required environment variables: ${missing.join(', ')}\n` +
+      'Please check your .env file and ensure all required variables are set.\n' +
+      'See .env.example for reference.'
     );
   }
 
   // Validate NODE_ENV value
-  const nodeEnv = process.nodeEnv.NODE_ENV.trim();
+  const nodeEnv = process.env.NODE_ENV.trim();
   if (!validEnvironments.includes(nodeEnv)) {
     throw new Error(
       `NODE_ENV must be one of: ${validEnvironments.join(', ')}. ` +
@@ -99,7 +101,7 @@ const validateEnv = () => {
   }
 
   // Validate MONGODB_URI format
-  const mongoUri = process.nodeEnv.MONGODB_URI.trim();
+  const mongoUri = process.env.MONGODB_URI.trim();
   if (!mongoUri.startsWith('mongodb://') && !mongoUri.startsWith('mongodb+srv://')) {
     throw new Error(
       'MONGODB_URI must start with "mongodb://" or "mongodb+srv://". ' +
@@ -108,17 +110,17 @@ const validateEnv = () => {
   }
 
   // Validate PORT is a valid number
-  const port = parseInt(process.nodeEnv.PORT, 10);
+  const port = parseInt(process.env.PORT, 10);
   if (isNaN(port) || port < 1 || port > 65535) {
     throw new Error(
       `PORT must be a number between 1 and 65535. ` +
-      `Got: "${process.nodeEnv.PORT}"`
+      `Got: "${process.env.PORT}"`
     );
   }
 
   // Validate LOG_LEVEL if provided
-  if (process.nodeEnv.LOG_LEVEL) {
-    const logLevel = process.nodeEnv.LOG_LEVEL.trim();
+  if (process.env.LOG_LEVEL) {
+    const logLevel = process.env.LOG_LEVEL.trim();
     if (!validLogLevels.includes(logLevel)) {
       throw new Error(
         `LOG_LEVEL must be one of: ${validLogLevels.join(', ')}. ` +
@@ -128,9 +130,9 @@ const validateEnv = () => {
   }
 
   // Validate CORS_ORIGIN in production
-  if (nodeEnv === 'production' && (!process.nodeEnv.CORS_ORIGIN || process.nodeEnv.CORS_ORIGIN.trim() === '*')) {
+  if (nodeEnv === 'production' && (!process.env.CORS_ORIGIN || process.env.CORS_ORIGIN.trim() === '*')) {
     throw new Error(
-      'CORS_ORIGIN must be explicitly set in production nodeEnvironment. ' +
+      'CORS_ORIGIN must be explicitly set in production environment. ' +
       'Wildcard (*) is not allowed in production for security reasons.'
     );
   }
@@ -141,23 +143,23 @@ validateEnv();
 
 /**
  * Application configuration object
- * All nodeEnvironment variables are accessed through this object
+ * All environment variables are accessed through this object
  * Object is frozen to prevent runtime modifications
  */
 
 
 const config = {
   /**
-   * Application nodeEnvironment
+   * Application environment
    * @type {string}
    */
-  nodeEnv: process.nodeEnv.NODE_ENV.trim(),
+  nodeEnv: process.env.NODE_ENV.trim(),
 
   /**
    * Server port number
    * @type {number}
    */
-  port: parseInt(process.nodeEnv.PORT, 10),
+  port: parseInt(process.env.PORT, 10),
 
   /**
    * MongoDB configuration
@@ -168,7 +170,7 @@ const config = {
      * MongoDB connection URI
      * @type {string}
      */
-    uri: process.nodeEnv.MONGODB_URI.trim(),
+    uri: process.env.MONGODB_URI.trim(),
 
     /**
      * MongoDB connection options
@@ -189,7 +191,7 @@ const config = {
      * Allowed origins for CORS
      * @type {string}
      */
-    origin: process.nodeEnv.CORS_ORIGIN ? process.nodeEnv.CORS_ORIGIN.trim() : '*'
+    origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.trim() : '*'
   },
 
   /**
@@ -201,7 +203,7 @@ const config = {
      * Log level (error, warn, info, debug)
      * @type {string}
      */
-    level: process.nodeEnv.LOG_LEVEL ? process.nodeEnv.LOG_LEVEL.trim() : 'info'
+    level: process.env.LOG_LEVEL ? process.env.LOG_LEVEL.trim() : 'info'
   },
 
   /**
@@ -239,10 +241,10 @@ Object.freeze(config.logging);
 
 /**
  * Export the immutable configuration object
- * Other modules should import this to access nodeEnvironment variables
+ * Other modules should import this to access environment variables
  *
  * Usage:
- *   const config = require('./config/nodeEnv');
+ *   const config = require('./config/env');
  *   console.log(config.port);
  *   console.log(config.mongodb.uri);
  */
@@ -0,0 +1,86 @@
+// File: src/config/policies.js
+// Generated: 2026-10-19 17:57:35 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_jnqhtp214qhp
+
+/**
+ * Access Control Policies
+ *
+ * Declarative rules consumed by the policy engine (src/utils/policy.js).
+ * Each resource names the Mongoose model used to load documents, the field
+ * that identifies the owner, and for every action the list of grants that
+ * allow it. A request is allowed if ANY grant matches.
+ *
+ * Grants:
+ * - 'public'         Anyone, including anonymous requests
+ * - 'authenticated'  Any logged-in user
+ * - 'owner'          The user referenced by the document's owner field
+ * - <role>           A user with that role (user, editor, moderator, admin)
+ *
+ * Actions that are not listed are denied. Actions named in withDeleted load
+ * the document even when it is in the trash (see models/plugins/softDelete.js).
+ */
+
+
+const POLICIES = {
+  post: {
+    model: 'Post',
+    ownerField: 'author',
+    actions: {
+      read: ['public'],
+      create: ['authenticated'],
+      update: ['owner', 'editor', 'admin'],
+      delete: ['owner', 'admin'],
+      restore: ['owner', 'admin'],
+      changeAuthor: ['admin'],
+      readRevisions: ['owner', 'editor', 'admin'],
+      listScheduled: ['admin'],
+      like: ['authenticated'],
+      bookmark: ['authenticated']
+    },
+    withDeleted: ['restore']
+  },
+
+  comment: {
+    model: 'Comment',
+    ownerField: 'author',
+    actions: {
+      read: ['public'],
+      create: ['authenticated'],
+      update: ['owner', 'admin'],
+      delete: ['owner', 'moderator', 'admin'],
+      restore: ['owner', 'moderator', 'admin'],
+      moderate: ['moderator', 'admin'],
+      react: ['authenticated']
+    },
+    withDeleted: ['restore']
+  },
+
+  category: {
+    model: 'Category',
+    actions: {
+      read: ['public'],
+      create: ['editor', 'admin']
+    }
+  }
+};
+
+/**
+ * Default action for each HTTP method
+ * Used when a route does not name its action explicitly
+ */
+
+
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+module.exports = {
+  POLICIES,
+  METHOD_ACTIONS
+};
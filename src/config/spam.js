@@ -0,0 +1,80 @@
+// File: src/config/spam.js
+// Generated: 2026-10-19 18:14:21 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_9erjrdexq1g3
+
+/**
+ * Spam Filter Configuration
+ *
+ * Thresholds and limits for the comment spam pipeline (src/utils/spam.js).
+ * Each checker adds to a comment's score; the total decides where the
+ * comment goes:
+ *
+ * - score >= spamThreshold    status "spam" (hidden, listed in the spam queue)
+ * - score >= reviewThreshold  status "pending" (waits in the moderation queue)
+ * - otherwise                 the post's moderation mode decides
+ *
+ * Extra blocked words can be supplied as a comma-separated list in
+ * SPAM_BLOCKED_WORDS.
+ */
+
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+
+const DEFAULT_BLOCKED_WORDS = [
+  'viagra',
+  'cialis',
+  'casino',
+  'payday loan',
+  'crypto giveaway',
+  'work from home',
+  'buy followers'
+];
+
+
+const SPAM_CONFIG = {
+  reviewThreshold: parseNumber(process.env.SPAM_REVIEW_THRESHOLD, 4),
+  spamThreshold: parseNumber(process.env.SPAM_THRESHOLD, 8),
+
+  links: {
+    allowed: 2,
+    scorePerExtraLink: 1.5,
+    maxScore: 6
+  },
+
+  blockedWords: {
+    words: DEFAULT_BLOCKED_WORDS.concat(
+      (process.env.SPAM_BLOCKED_WORDS || '')
+        .split(',')
+        .map(word => word.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+    scorePerWord: 3,
+    maxScore: 9
+  },
+
+  // Short messages ("Thanks!") are legitimately repeated and are not checked
+  duplicate: {
+    minLength: 30,
+    windowMs: 24 * 60 * 60 * 1000,
+    score: 4,
+    repeatedScore: 8,
+    repeatedAfter: 3
+  },
+
+  velocity: {
+    windowMs: 10 * 60 * 1000,
+    maxPerAuthor: 5,
+    maxPerIp: 10,
+    scorePerExtra: 1,
+    maxScore: 6
+  }
+};
+
+module.exports = {
+  SPAM_CONFIG
+};
@@ -0,0 +1,240 @@
+// File: src/controllers/authController.js
+// Generated: 2026-10-19 17:56:39 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_7bpr52sipb0z
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const RefreshToken = require('../models/RefreshToken');
+
+
+const User = require('../models/User');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+const { signAccessToken, signRefreshToken, verifyRefreshToken, decodeToken } = require('../utils/jwt');
+
+/**
+ * Issue an access/refresh token pair and persist the refresh token record
+ *
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object (for IP and user agent)
+ * @param {string} family - Existing token family, or undefined to start a new one
+ * @returns {Promise<Object>} Token pair and metadata
+ */
+
+
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+  const jti = crypto.randomUUID();
+  const accessToken = signAccessToken(user);
+  const refreshToken = signRefreshToken({ userId: user._id, jti, family });
+  const { exp } = decodeToken(refreshToken);
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: req.ip,
+    userAgent: (req.get('user-agent') || '').substring(0, 500)
+  });
+
+  return {
+    jti,
+    tokens: {
+      tokenType: 'Bearer',
+      accessToken,
+      accessTokenExpiresAt: new Date(decodeToken(accessToken).exp * 1000),
+      refreshToken,
+      refreshTokenExpiresAt: new Date(exp * 1000)
+    }
+  };
+};
+
+/**
+ * Register a new user account
+ * @route POST /api/v1/auth/register
+ */
+
+
+const register = async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      logger.logAuth('register_conflict', { ip: req.ip });
+      return ApiResponse.conflict(res, 'An account with this email already exists');
+    }
+
+    const user = await User.create({ name, email, password });
+    const { tokens } = await issueTokens(user, req);
+
+    logger.logAuth('register', { userId: user._id, ip: req.ip });
+
+    return ApiResponse.created(res, { user, ...tokens }, 'Account created successfully');
+  } catch (error) {
+    if (error.code === 11000) {
+      return ApiResponse.conflict(res, 'An account with this email already exists');
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      logger.warn('User validation failed', { errors: messages });
+      return ApiResponse.badRequest(res, messages.join(', '));
+    }
+    logger.error(`Error registering user: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to register user');
+  }
+};
+
+/**
+ * Log in with email and password
+ * @route POST /api/v1/auth/login
+ */
+
+
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findByEmailWithPassword(email);
+    // Unknown emails still pay for a password check, so timing does not reveal which are registered
+    const valid = user ? await user.comparePassword(password) : await User.comparePasswordToDummy(password);
+
+    if (!valid) {
+      logger.logAuth('login_failed', { ip: req.ip });
+      return ApiResponse.unauthorized(res, 'Invalid email or password');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { tokens } = await issueTokens(user, req);
+
+    logger.logAuth('login', { userId: user._id, ip: req.ip });
+
+    return ApiResponse.success(res, { user, ...tokens }, 'Logged in successfully');
+  } catch (error) {
+    logger.error(`Error logging in: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to log in');
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is revoked and replaced. Presenting a token that was
+ * already rotated is treated as theft and revokes the whole token family.
+ *
+ * @route POST /api/v1/auth/refresh
+ */
+
+
+const refresh = async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = verifyRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      logger.logAuth('refresh_rejected', { reason: error.name, ip: req.ip });
+      return ApiResponse.unauthorized(res, 'Invalid or expired refresh token');
+    }
+
+    const record = await RefreshToken.findOne({ jti: payload.jti });
+    if (!record) {
+      logger.logAuth('refresh_unknown_token', { userId: payload.sub, ip: req.ip });
+      return ApiResponse.unauthorized(res, 'Invalid or expired refresh token');
+    }
+
+    if (record.revokedAt) {
+      await RefreshToken.revokeFamily(record.family);
+      logger.logAuth('refresh_token_reuse', {
+        userId: payload.sub,
+        family: record.family,
+        ip: req.ip
+      });
+      return ApiResponse.unauthorized(res, 'Refresh token has been revoked');
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      await RefreshToken.revokeFamily(record.family);
+      logger.logAuth('refresh_user_missing', { userId: payload.sub, ip: req.ip });
+      return ApiResponse.unauthorized(res, 'Invalid or expired refresh token');
+    }
+
+    const { jti, tokens } = await issueTokens(user, req, record.family);
+
+    // Revoke the presented token; losing this race means it was reused concurrently
+    const rotated = await RefreshToken.rotate(record.jti, jti);
+    if (!rotated) {
+      await RefreshToken.revokeFamily(record.family);
+      logger.logAuth('refresh_token_reuse', {
+        userId: payload.sub,
+        family: record.family,
+        ip: req.ip
+      });
+      return ApiResponse.unauthorized(res, 'Refresh token has been revoked');
+    }
+
+    logger.logAuth('refresh', { userId: user._id, ip: req.ip });
+
+    return ApiResponse.success(res, tokens, 'Token refreshed successfully');
+  } catch (error) {
+    logger.error(`Error refreshing token: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to refresh token');
+  }
+};
+
+/**
+ * Log out by revoking the refresh token family
+ * Always succeeds for well-formed requests so clients can discard tokens safely
+ *
+ * @route POST /api/v1/auth/logout
+ */
+
+
+const logout = async (req, res) => {
+  try {
+    let payload = null;
+    try {
+      payload = verifyRefreshToken(req.body.refreshToken, { ignoreExpiration: true });
+    } catch (error) {
+      logger.logAuth('logout_invalid_token', { reason: error.name, ip: req.ip });
+    }
+
+    if (payload) {
+      await RefreshToken.revokeFamily(payload.fam);
+      logger.logAuth('logout', { userId: payload.sub, ip: req.ip });
+    }
+
+    return ApiResponse.success(res, null, 'Logged out successfully');
+  } catch (error) {
+    logger.error(`Error logging out: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to log out');
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout
+};
@@ -13,10 +13,32 @@ const Comment = require('../models/Comment');
 const Post = require('../models/Post');
 
 
+const User = require('../models/User');
+
+
 const logger = require('../utils/logger');
 
+const { can } = require('../utils/policy');
+
+const { scoreComment, classifySpamScore } = require('../utils/spam');
+
+const { buildListQuery, selectFields } = require('../utils/queryBuilder');
+
+const { cursorOrder, cursorQuery } = require('../utils/cursor');
+
+const { entityTag, checkNotModified, checkPrecondition } = require('../utils/conditional');
+
+const { COMMENT_LIST_QUERY } = require('../validators/commentValidator');
+
 /**
  * Get comments by post with pagination
+ * With ?threaded=true, top-level comments are paginated and returned as
+ * nested reply trees, each comment limited to ?replyLimit replies.
+ * ?sort=top ranks by score and ?sort=controversial by evenly split votes;
+ * sort also takes a field list (?sort=-score,createdAt). Flat lists accept
+ * the author and createdAt filters and a ?fields fieldset (COMMENT_LIST_QUERY),
+ * and ?cursor / ?paginate=cursor for cursor pagination (newest or oldest order).
+ * Comments on an unpublished post answer 404 unless the caller may edit the post.
  * @route GET /posts/:postId/comments
  */
 
@@ -24,25 +46,84 @@ const logger = require('../utils/logger');
 const getCommentsByPost = async (req, res) => {
   try {
     const { postId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, threaded, replyLimit } = req.query;
+    const sort = req.query.sort || COMMENT_LIST_QUERY.sort.default;
+    const listQuery = buildListQuery(req.query, COMMENT_LIST_QUERY);
 
-    // Validate post exists
-    const post = await Post.findById(postId);
-    if (!post) {
+    // Validate post exists and is visible to the caller
+    const post = await Post.findById(postId).select('status author');
+    if (!post || (post.status !== 'published' && !can(req.user, 'post', 'update', post))) {
       logger.warn(`Post not found: ${postId}`);
       return ApiResponse.notFound(res, 'Post not found');
     }
 
+    if (threaded === true || threaded === 'true') {
+      const result = await Comment.findThreadsByPostId(postId, {
+        page,
+        limit,
+        replyLimit,
+        sort: listQuery.sort,
+        authorFields: User.PUBLIC_PROFILE_FIELDS
+      });
+
+      logger.info(`Retrieved ${result.threads.length} comment threads for post ${postId}`, {
+        postId,
+        page: result.page,
+        limit: result.limit,
+        total: result.total
+      });
+
+      return ApiResponse.paginated(res, {
+        comments: result.threads,
+        replyLimit: result.replyLimit,
+        sort
+      }, { page: result.page, limit: result.limit, total: result.total });
+    }
+
+    const filter = { ...listQuery.filter, postId, status: 'approved' };
+
+    if (req.query.cursor || req.query.paginate === 'cursor') {
+      const order = cursorOrder(listQuery.sort);
+      if (!order) {
+        return ApiResponse.badRequest(res, 'Cursor pagination only supports sort=newest or sort=oldest');
+      }
+
+      const cursorPage = cursorQuery(req.query.cursor, { scope: 'comments', order, limit: parseInt(limit) });
+      if (!cursorPage) {
+        logger.warn('Invalid comments cursor', { postId, cursor: req.query.cursor });
+        return ApiResponse.badRequest(res, 'Invalid cursor');
+      }
+      if (cursorPage.order !== order) {
+        return ApiResponse.badRequest(res, 'Cursor does not match the sort order');
+      }
+
+      const docs = await Comment.find({ ...filter, ...cursorPage.filter })
+        .select(listQuery.projection && { ...listQuery.projection, createdAt: 1 })
+        .sort(cursorPage.sort)
+        .limit(cursorPage.limit)
+        .populate('author', User.PUBLIC_PROFILE_FIELDS);
+      const { items, pagination } = cursorPage.paginate(docs);
+
+      logger.info(`Retrieved ${items.length} comments for post ${postId}`, { postId, limit: pagination.limit, cursor: true });
+
+      return ApiResponse.paginated(res, {
+        comments: items.map(comment => selectFields(comment, listQuery.fields)),
+        sort
+      }, pagination);
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Fetch comments and count in parallel to avoid race condition
     const [comments, total] = await Promise.all([
-      Comment.find({ postId })
+      Comment.find(filter)
+        .select(listQuery.projection)
         .limit(parseInt(limit))
         .skip(skip)
-        .sort({ createdAt: -1 }),
-      Comment.countDocuments({ postId })
+        .sort(listQuery.sort)
+        .populate('author', User.PUBLIC_PROFILE_FIELDS),
+      Comment.countDocuments(filter)
     ]);
 
     logger.info(`Retrieved ${comments.length} comments for post ${postId}`, {
@@ -52,15 +133,10 @@ const getCommentsByPost = async (req, res) => {
       total
     });
 
-    return ApiResponse.success(res, {
-      comments,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
-    });
+    return ApiResponse.paginated(res, {
+      comments: comments.map(comment => selectFields(comment, listQuery.fields)),
+      sort
+    }, { page, limit, total });
   } catch (error) {
     if (error.name === 'CastError') {
       logger.warn(`Invalid post ID format: ${req.params.postId}`);
@@ -77,6 +153,7 @@ const getCommentsByPost = async (req, res) => {
 
 /**
  * Get comment by ID
+ * Sends ETag and Last-Modified and answers conditional requests with 304.
  * @route GET /comments/:id
  */
 
@@ -92,6 +169,13 @@ const getCommentById = async (req, res) => {
       return ApiResponse.notFound(res, 'Comment not found');
     }
 
+    // Unapproved comments are visible only to their author and moderators
+    if (!comment.isApproved() && !can(req.user, 'comment', 'moderate')
+      && !(req.user && req.user.id === comment.author.toString())) {
+      logger.warn(`Unapproved comment requested: ${id}`, { status: comment.status });
+      return ApiResponse.notFound(res, 'Comment not found');
+    }
+
     // Authorization check - verify user can view this comment
     if (req.user && req.user.id !== comment.author.toString() && req.user.role !== 'admin') {
       // If the post is private or restricted, check access
@@ -105,6 +189,11 @@ const getCommentById = async (req, res) => {
       }
     }
 
+    if (checkNotModified(req, res, { etag: entityTag(comment), lastModified: comment.updatedAt })) {
+      logger.info(`Comment not modified: ${id}`);
+      return ApiResponse.notModified(res);
+    }
+
     logger.info(`Retrieved comment: ${id}`);
 
     return ApiResponse.success(res, comment);
@@ -122,15 +211,68 @@ const getCommentById = async (req, res) => {
   }
 };
 
+/**
+ * Get replies to a comment with pagination
+ * Direct replies are paginated oldest first; each carries its nested replies.
+ * Works for trashed comments that are still shown as "[deleted]" placeholders.
+ * @route GET /comments/:id/replies
+ */
+
+
+const getCommentReplies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page, limit, replyLimit } = req.query;
+
+    // Placeholders (trashed comments with replies) can be expanded too
+    const comment = await Comment.findByIdWithDeleted(id).select('deletedAt replyCount status');
+    const visible = comment && (comment.isDeleted() ? comment.replyCount > 0 : comment.isApproved());
+    if (!visible) {
+      logger.warn(`Comment not found for replies: ${id}`);
+      return ApiResponse.notFound(res, 'Comment not found');
+    }
+
+    const result = await Comment.findReplies(comment._id, {
+      page,
+      limit,
+      replyLimit,
+      authorFields: User.PUBLIC_PROFILE_FIELDS
+    });
+
+    logger.info(`Retrieved ${result.replies.length} replies for comment ${id}`, {
+      commentId: id,
+      page: result.page,
+      total: result.total
+    });
+
+    return ApiResponse.paginated(res, {
+      replies: result.replies,
+      replyLimit: result.replyLimit
+    }, { page: result.page, limit: result.limit, total: result.total });
+  } catch (error) {
+    logger.error(`Error fetching comment replies: ${error.message}`, {
+      commentId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to fetch replies');
+  }
+};
+
 /**
  * Create new comment
- * @route POST /comments
+ * Replies name the comment they answer in parentId; the model derives the
+ * thread path and rejects replies deeper than COMMENT_MAX_DEPTH.
+ * Unpublished posts answer 404 unless the caller may edit them.
+ * @route POST /comments/posts/:postId/comments
+ * The post may also be given as postId in the body
  */
 
 
 const createComment = async (req, res) => {
   try {
-    const { content, postId } = req.body;
+    const { content, parentId } = req.body;
+    const postId = req.params.postId || req.body.postId;
 
     // Authorization check - user must be authenticated
     if (!req.user || !req.user.id) {
@@ -149,31 +291,78 @@ const createComment = async (req, res) => {
 
     // Validate post exists
     const post = await Post.findById(postId);
-    if (!post) {
+    if (!post || (post.status !== 'published' && !can(req.user, 'post', 'update', post))) {
       logger.warn(`Cannot create comment - post not found: ${postId}`);
       return ApiResponse.notFound(res, 'Post not found');
     }
 
     // Check if user can comment on this post
-    if (post.commentsDisabled) {
-      logger.warn(`Cannot create comment - comments disabled for post: ${postId}`);
-      return ApiResponse.forbidden(res, 'Comments are disabled for this post');
+    if (post.commentModeration === 'closed') {
+      logger.warn(`Cannot create comment - comments closed for post: ${postId}`);
+      return ApiResponse.forbidden(res, 'Comments are closed for this post');
+    }
+
+    // The author is the authenticated user; the name is denormalized for listings
+    const user = await User.findById(req.user.id).select('name');
+    if (!user) {
+      logger.warn('Authenticated user not found for comment creation', { userId: req.user.id });
+      return ApiResponse.unauthorized(res, 'User account not found');
+    }
+
+    if (parentId) {
+      const parent = await Comment.findById(parentId).select('postId depth status');
+      if (!parent || !parent.isApproved()) {
+        logger.warn(`Cannot create reply - parent comment not found: ${parentId}`);
+        return ApiResponse.notFound(res, 'Parent comment not found');
+      }
+      if (!parent.belongsToPost(postId)) {
+        logger.warn('Cannot create reply - parent belongs to another post', { parentId, postId });
+        return ApiResponse.badRequest(res, 'Parent comment belongs to a different post');
+      }
+      if (parent.depth >= Comment.COMMENT_MAX_DEPTH) {
+        logger.warn('Cannot create reply - maximum depth reached', { parentId, depth: parent.depth });
+        return ApiResponse.badRequest(res, `Replies cannot be nested more than ${Comment.COMMENT_MAX_DEPTH} levels deep`);
+      }
+    }
+
+    // Moderated posts queue comments for review, except those from moderators
+    const isModerator = can(req.user, 'comment', 'moderate');
+    let status = post.commentModeration === 'moderated' && !isModerator ? 'pending' : 'approved';
+
+    // Moderators skip the spam pipeline; a high score overrides the post's mode
+    const spam = isModerator
+      ? { score: 0, reasons: [] }
+      : await scoreComment({ content, authorId: user._id, ip: req.ip, postId, parentId: parentId || null });
+    const spamStatus = classifySpamScore(spam.score);
+    if (spamStatus === 'spam' || (spamStatus === 'pending' && status === 'approved')) {
+      status = spamStatus;
     }
 
-    // Create comment with authenticated user as author
     const comment = await Comment.create({
       content,
-      author: req.user.id,
-      postId
+      author: user._id,
+      authorName: user.name,
+      postId,
+      parentId: parentId || null,
+      status,
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      authorIp: req.ip || null
     });
 
     logger.info(`Comment created: ${comment._id} for post ${postId}`, {
       commentId: comment._id,
       postId,
+      status,
+      spamScore: spam.score,
       author: req.user.id
     });
 
-    return ApiResponse.created(res, comment, 'Comment created successfully');
+    return ApiResponse.created(
+      res,
+      comment,
+      status === 'approved' ? 'Comment created successfully' : 'Comment submitted for moderation'
+    );
   } catch (error) {
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
@@ -195,7 +384,11 @@ const createComment = async (req, res) => {
 
 /**
  * Update comment
+ * Requires If-Match (the comment's ETag) or version (its __v, PUT only): 428
+ * without either, 412 with the current version if the comment has changed since.
+ * PATCH arrives with only the fields its patch document changed.
  * @route PUT /comments/:id
+ * @route PATCH /comments/:id
  */
 
 
@@ -210,21 +403,24 @@ const updateComment = async (req, res) => {
       return ApiResponse.unauthorized(res, 'Authentication required');
     }
 
-    // Find comment first to check ownership
-    const comment = await Comment.findById(id);
+    // Ownership is enforced by authorize('comment'), which loads the comment
+    const comment = req.resource || await Comment.findById(id);
 
     if (!comment) {
       logger.warn(`Comment not found for update: ${id}`);
       return ApiResponse.notFound(res, 'Comment not found');
     }
 
-    // Authorization check - verify ownership or admin role
-    if (comment.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      logger.warn(`Unauthorized comment update attempt: ${id}`, {
-        userId: req.user.id,
-        commentAuthor: comment.author
-      });
-      return ApiResponse.forbidden(res, 'You can only update your own comments');
+    const current = { etag: entityTag(comment), version: comment.__v || 0 };
+    const precondition = checkPrecondition(req, current);
+    if (precondition === 'missing') {
+      logger.warn('Comment update without a precondition', { commentId: id });
+      return ApiResponse.preconditionRequired(res, 'If-Match header or version is required');
+    }
+    if (precondition === 'failed') {
+      logger.warn('Comment update based on a stale version', { commentId: id, version: current.version });
+      res.set('ETag', current.etag);
+      return ApiResponse.preconditionFailed(res, 'Comment has been modified since it was read', current);
     }
 
     // Build update object with only allowed fields
@@ -237,20 +433,35 @@ const updateComment = async (req, res) => {
       return ApiResponse.badRequest(res, 'No valid fields to update');
     }
 
-    const updatedComment = await Comment.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Edits on moderated posts go back through the moderation queue
+    const post = await Post.findById(comment.postId).select('commentModeration');
+    if (post && post.commentModeration === 'moderated' && !can(req.user, 'comment', 'moderate')) {
+      updateData.status = 'pending';
+    }
+
+    // Saving (rather than findByIdAndUpdate) checks the version loaded above
+    comment.set(updateData);
+    await comment.save();
 
     logger.info(`Comment updated: ${id}`, {
       commentId: id,
+      version: comment.__v,
       updatedFields: Object.keys(updateData),
       userId: req.user.id
     });
 
-    return ApiResponse.success(res, updatedComment, 'Comment updated successfully');
+    res.set('ETag', entityTag(comment));
+    return ApiResponse.success(res, comment, 'Comment updated successfully');
   } catch (error) {
+    if (error.name === 'VersionError') {
+      const latest = await Comment.findById(req.params.id);
+      logger.warn(`Concurrent comment update rejected: ${req.params.id}`);
+      return ApiResponse.preconditionFailed(
+        res,
+        'Comment has been modified since it was read',
+        latest ? { etag: entityTag(latest), version: latest.__v || 0 } : null
+      );
+    }
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       logger.warn('Comment validation failed on update', { errors: messages });
@@ -271,6 +482,7 @@ const updateComment = async (req, res) => {
 
 /**
  * Delete comment
+ * Moves the comment to the trash; the purge job removes it permanently later
  * @route DELETE /comments/:id
  */
 
@@ -285,32 +497,31 @@ const deleteComment = async (req, res) => {
       return ApiResponse.unauthorized(res, 'Authentication required');
     }
 
-    // Find comment first to check ownership
-    const comment = await Comment.findById(id);
+    // Ownership is enforced by authorize('comment'), which loads the comment
+    const comment = req.resource || await Comment.findById(id);
 
     if (!comment) {
       logger.warn(`Comment not found for deletion: ${id}`);
       return ApiResponse.notFound(res, 'Comment not found');
     }
 
-    // Authorization check - verify ownership or admin role
-    if (comment.author.toString() !== req.user.id && req.user.role !== 'admin') {
-      logger.warn(`Unauthorized comment deletion attempt: ${id}`, {
-        userId: req.user.id,
-        commentAuthor: comment.author
-      });
-      return ApiResponse.forbidden(res, 'You can only delete your own comments');
-    }
-
-    await Comment.findByIdAndDelete(id);
+    await comment.softDelete(req.user.id);
 
-    logger.info(`Comment deleted: ${id}`, {
+    logger.info(`Comment moved to trash: ${id}`, {
       commentId: id,
       postId: comment.postId,
+      replyCount: comment.replyCount,
       userId: req.user.id
     });
 
-    return ApiResponse.success(res, null, 'Comment deleted successfully');
+    // Replies stay visible in threads under a "[deleted]" placeholder
+    return ApiResponse.success(
+      res,
+      null,
+      comment.replyCount > 0
+        ? 'Comment moved to trash; its replies remain under a [deleted] placeholder'
+        : 'Comment moved to trash'
+    );
   } catch (error) {
     if (error.name === 'CastError') {
       logger.warn(`Invalid comment ID format: ${req.params.id}`);
@@ -325,10 +536,66 @@ const deleteComment = async (req, res) => {
   }
 };
 
+/**
+ * Restore a trashed comment
+ * Comments on a trashed post can only come back with the post
+ * @route POST /comments/:id/restore
+ */
+
+
+const restoreComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // authorize('comment', 'restore') loads the comment including trashed ones
+    const comment = req.resource || await Comment.findByIdWithDeleted(id);
+
+    if (!comment) {
+      logger.warn(`Comment not found for restore: ${id}`);
+      return ApiResponse.notFound(res, 'Comment not found');
+    }
+
+    if (!comment.isDeleted()) {
+      return ApiResponse.conflict(res, 'Comment is not in the trash');
+    }
+
+    const postExists = await Post.exists({ _id: comment.postId });
+    if (!postExists) {
+      logger.warn(`Cannot restore comment - post is trashed or missing: ${comment.postId}`, { commentId: id });
+      return ApiResponse.conflict(res, 'Restore the post before restoring its comments');
+    }
+
+    // A purged parent would leave the reply with no place in the thread
+    if (comment.parentId && !(await Comment.exists({ _id: comment.parentId }).setOptions({ withDeleted: true }))) {
+      logger.warn(`Cannot restore reply - parent comment was purged: ${comment.parentId}`, { commentId: id });
+      return ApiResponse.conflict(res, 'The comment this replies to has been permanently deleted');
+    }
+
+    await comment.restore();
+
+    logger.info(`Comment restored from trash: ${id}`, {
+      commentId: id,
+      postId: comment.postId,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, comment, 'Comment restored from trash');
+  } catch (error) {
+    logger.error(`Error restoring comment: ${error.message}`, {
+      commentId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to restore comment');
+  }
+};
+
 module.exports = {
   getCommentsByPost,
   getCommentById,
+  getCommentReplies,
   createComment,
   updateComment,
-  deleteComment
+  deleteComment,
+  restoreComment
 };
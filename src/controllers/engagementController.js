@@ -0,0 +1,229 @@
+// File: src/controllers/engagementController.js
+// Generated: 2026-10-19 18:19:56 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_lvtjgxh7t30k
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Bookmark = require('../models/Bookmark');
+
+
+const Post = require('../models/Post');
+
+
+const PostLike = require('../models/PostLike');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+const { attachViewerFlags } = require('../utils/postEngagement');
+
+const { cursorQuery } = require('../utils/cursor');
+
+/**
+ * Find a live post for a like or bookmark change
+ * Only published posts can be liked or bookmarked; undoing is always allowed.
+ *
+ * @param {Object} res - Express response
+ * @param {String} id - Post ID
+ * @param {Boolean} adding - True when adding a like or bookmark
+ * @returns {Promise<Object|null>} The post, or null once an error response was sent
+ */
+
+
+const findEngageablePost = async (res, id, adding) => {
+  const post = await Post.findById(id).select('status likeCount').lean();
+  if (!post) {
+    logger.warn('Post not found for engagement', { postId: id });
+    ApiResponse.notFound(res, 'Post not found');
+    return null;
+  }
+  if (adding && post.status !== 'published') {
+    logger.warn('Engagement with unpublished post', { postId: id, status: post.status });
+    ApiResponse.conflict(res, 'Only published posts can be liked or bookmarked');
+    return null;
+  }
+  return post;
+};
+
+/**
+ * Like or unlike a post
+ * Idempotent: likeCount only changes when the like is actually added or removed.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Boolean} like - True to like, false to unlike
+ */
+
+
+const setLike = async (req, res, like) => {
+  const { id } = req.params;
+
+  try {
+    const post = await findEngageablePost(res, id, like);
+    if (!post) {
+      return res;
+    }
+
+    const changed = like
+      ? await PostLike.like(post._id, req.user.id)
+      : await PostLike.unlike(post._id, req.user.id);
+
+    let { likeCount } = post;
+    if (changed) {
+      // Leave updatedAt alone: it feeds the post's ETag, and a like is not an edit
+      const updated = await Post.findOneAndUpdate(
+        like ? { _id: post._id } : { _id: post._id, likeCount: { $gt: 0 } },
+        { $inc: { likeCount: like ? 1 : -1 } },
+        { new: true, projection: { likeCount: 1 }, timestamps: false }
+      ).lean();
+      likeCount = updated ? updated.likeCount : likeCount;
+    }
+
+    logger.info(`Post ${like ? 'liked' : 'unliked'}`, { postId: id, changed, userId: req.user.id });
+
+    return ApiResponse.success(
+      res,
+      { postId: id, liked: like, likeCount },
+      like ? 'Post liked' : 'Post unliked'
+    );
+  } catch (error) {
+    logger.error(`Error updating post like: ${error.message}`, {
+      postId: id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Bookmark or unbookmark a post
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Boolean} bookmark - True to bookmark, false to remove the bookmark
+ */
+
+
+const setBookmark = async (req, res, bookmark) => {
+  const { id } = req.params;
+
+  try {
+    const post = await findEngageablePost(res, id, bookmark);
+    if (!post) {
+      return res;
+    }
+
+    const changed = bookmark
+      ? await Bookmark.bookmark(post._id, req.user.id)
+      : await Bookmark.unbookmark(post._id, req.user.id);
+
+    logger.info(`Post ${bookmark ? 'bookmarked' : 'unbookmarked'}`, { postId: id, changed, userId: req.user.id });
+
+    return ApiResponse.success(
+      res,
+      { postId: id, bookmarked: bookmark },
+      bookmark ? 'Post bookmarked' : 'Bookmark removed'
+    );
+  } catch (error) {
+    logger.error(`Error updating bookmark: ${error.message}`, {
+      postId: id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Like a post
+ * @route POST /api/posts/:id/like
+ */
+
+
+const likePost = (req, res) => setLike(req, res, true);
+
+/**
+ * Remove the caller's like
+ * @route DELETE /api/posts/:id/like
+ */
+
+
+const unlikePost = (req, res) => setLike(req, res, false);
+
+/**
+ * Add a post to the caller's reading list
+ * @route POST /api/posts/:id/bookmark
+ */
+
+
+const bookmarkPost = (req, res) => setBookmark(req, res, true);
+
+/**
+ * Remove a post from the caller's reading list
+ * @route DELETE /api/posts/:id/bookmark
+ */
+
+
+const unbookmarkPost = (req, res) => setBookmark(req, res, false);
+
+/**
+ * Get the caller's reading list, most recently bookmarked first
+ * Pages are addressed by cursor, so bookmarks added while paging never shift
+ * or repeat entries. Bookmarks of posts that have been trashed are skipped.
+ *
+ * @route GET /api/me/bookmarks
+ * @query {string} cursor - nextCursor or prevCursor from a previous page (optional)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+
+
+const getMyBookmarks = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const cursorPage = cursorQuery(req.query.cursor, { scope: 'bookmarks', order: -1, limit });
+    if (!cursorPage) {
+      logger.warn('Invalid bookmarks cursor', { userId: req.user.id });
+      return ApiResponse.badRequest(res, 'Invalid cursor');
+    }
+
+    const bookmarks = await Bookmark.find({ user: req.user.id, ...cursorPage.filter })
+      .sort(cursorPage.sort)
+      .limit(cursorPage.limit)
+      .populate({ path: 'post', populate: { path: 'author', select: User.PUBLIC_PROFILE_FIELDS } })
+      .lean();
+
+    const { items, pagination } = cursorPage.paginate(bookmarks);
+    const visible = items.filter(bookmark => bookmark.post);
+
+    await attachViewerFlags(visible.map(bookmark => bookmark.post), req.user.id);
+
+    logger.info('Reading list retrieved', { userId: req.user.id, limit, count: visible.length });
+
+    return ApiResponse.paginated(res, {
+      bookmarks: visible.map(bookmark => ({ bookmarkedAt: bookmark.createdAt, post: bookmark.post }))
+    }, pagination);
+  } catch (error) {
+    logger.error(`Error fetching reading list: ${error.message}`, {
+      userId: req.user && req.user.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  likePost,
+  unlikePost,
+  bookmarkPost,
+  unbookmarkPost,
+  getMyBookmarks
+};
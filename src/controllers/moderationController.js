@@ -0,0 +1,123 @@
+// File: src/controllers/moderationController.js
+// Generated: 2026-10-19 18:12:45 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_lqt1qqtbwyfn
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Comment = require('../models/Comment');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Status set by each bulk moderation action
+ */
+
+
+const ACTION_STATUSES = {
+  approve: 'approved',
+  reject: 'rejected',
+  spam: 'spam'
+};
+
+/**
+ * Get the comment moderation queue
+ * Oldest first, so comments are reviewed in the order they were submitted.
+ * Includes the spam score, the reasons behind it and the author's IP.
+ *
+ * @route GET /api/moderation/comments
+ * @query {string} status - pending (default), approved, rejected, or spam
+ * @query {string} postId - Only comments on this post (optional)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+
+
+const getModerationQueue = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status };
+    if (req.query.postId) {
+      filter.postId = req.query.postId;
+    }
+
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .select('+spamScore +spamReasons +authorIp')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', User.PUBLIC_PROFILE_FIELDS)
+        .populate('postId', 'title slug commentModeration')
+        .lean(),
+      Comment.countDocuments(filter)
+    ]);
+
+    logger.info('Moderation queue retrieved', { status, page, limit, total, userId: req.user.id });
+
+    return ApiResponse.paginated(res, {
+      status,
+      comments
+    }, { page, limit, total });
+  } catch (error) {
+    logger.error('Error in getModerationQueue', { error: error.message, stack: error.stack });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Approve, reject, or mark as spam several comments at once
+ * IDs that do not match a comment (or match a trashed one) are reported in notFound.
+ *
+ * @route POST /api/moderation/comments/bulk
+ * @body {string} action - approve, reject, or spam
+ * @body {Array<string>} ids - Comment IDs (1-100)
+ */
+
+
+const bulkModerateComments = async (req, res) => {
+  try {
+    const { action } = req.body;
+    const ids = [...new Set(req.body.ids.map(String))];
+    const status = ACTION_STATUSES[action];
+
+    const existing = await Comment.find({ _id: { $in: ids } }).select('_id').lean();
+    const found = new Set(existing.map(comment => String(comment._id)));
+    const notFound = ids.filter(id => !found.has(id));
+
+    const result = await Comment.moderate([...found], status, req.user.id);
+
+    logger.info('Comments moderated', {
+      action,
+      requested: ids.length,
+      modified: result.modifiedCount,
+      notFound: notFound.length,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, {
+      action,
+      status,
+      updated: [...found],
+      notFound
+    }, `${found.size} comment(s) marked as ${status}`);
+  } catch (error) {
+    logger.error('Error in bulkModerateComments', { error: error.message, stack: error.stack });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  bulkModerateComments
+};
@@ -7,22 +7,136 @@
 const ApiResponse = require('../utils/apiResponse');
 
 
+const Category = require('../models/Category');
+
+
 const Comment = require('../models/Comment');
 
 
 const Post = require('../models/Post');
 
 
+const SearchSuggestion = require('../models/SearchSuggestion');
+
+
+const Tag = require('../models/Tag');
+
+
+const User = require('../models/User');
+
+
 const logger = require('../utils/logger');
 
 
 const mongoose = require('mongoose');
 
+
+const publishScheduler = require('../jobs/publishScheduler');
+
+const { attachViewerFlags, getPostVersion } = require('../utils/postEngagement');
+
+const { buildListQuery, selectFields } = require('../utils/queryBuilder');
+
+const { cursorOrder, cursorQuery } = require('../utils/cursor');
+
+const { entityTag, checkNotModified, checkPrecondition } = require('../utils/conditional');
+
+const { can } = require('../utils/policy');
+
+const { validateStatusTransition, getValidTransitions, POST_LIST_QUERY } = require('../validators/postValidator');
+
+/**
+ * Values PUT gives the optional editable fields it leaves out
+ * PUT replaces the post, so an omitted field is reset rather than kept
+ */
+
+
+const REPLACEMENT_DEFAULTS = {
+  publishAt: null,
+  commentModeration: 'open',
+  tags: [],
+  categories: []
+};
+
+/**
+ * How each bulk action is authorized and applied
+ * permission is the post policy action checked per post; status actions
+ * also have to be a valid lifecycle transition from the post's status
+ */
+
+
+const BULK_ACTIONS = {
+  publish: { permission: 'update', status: 'published' },
+  unpublish: { permission: 'update', status: 'draft' },
+  archive: { permission: 'update', status: 'archived' },
+  delete: { permission: 'delete' },
+  retag: { permission: 'update' },
+  'change-author': { permission: 'changeAuthor' }
+};
+
+/**
+ * Respond 409 for an illegal status transition
+ * Includes the current status and the valid targets so clients can recover
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} post - Post document
+ * @param {string} requestedStatus - Rejected target status
+ * @param {string} message - Transition error message
+ * @returns {Object} Express response
+ */
+
+
+const respondInvalidTransition = (res, post, requestedStatus, message) => {
+  logger.warn('Invalid post status transition', {
+    postId: post._id,
+    from: post.status,
+    to: requestedStatus
+  });
+
+  return ApiResponse.conflict(res, message, {
+    currentStatus: post.status,
+    requestedStatus,
+    validTransitions: getValidTransitions(post.status)
+  });
+};
+
+/**
+ * Look up categories by slug for assignment to a post
+ *
+ * @param {Array<string>} slugs - Category slugs from the request
+ * @returns {Promise<Object>} { ids, missing } - IDs found and slugs that do not exist
+ */
+
+
+const resolveCategories = async (slugs) => {
+  const unique = [...new Set(slugs)];
+  const categories = await Category.find({ slug: { $in: unique } }).select('slug').lean();
+  const found = new Set(categories.map(category => category.slug));
+
+  return {
+    ids: categories.map(category => category._id),
+    missing: unique.filter(slug => !found.has(slug))
+  };
+};
+
 /**
  * Get all posts with pagination
+ * Each post carries likeCount, an excerpt and the caller's liked/bookmarked
+ * flags. Filters, sort and fields follow POST_LIST_QUERY.
  * @route GET /api/posts
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 10, max: 100)
+ * @query {string} cursor - nextCursor or prevCursor from a previous page; switches to cursor pagination
+ * @query {string} paginate - cursor: first page of cursor pagination (no total count)
+ * @query {string} status - published (default), draft or archived (comma-separated for several);
+ *   draft and archived need an editor or admin, or author set to the caller
+ * @query {string} author - Author user ID
+ * @query {string} createdAt[gte|gt|lte|lt] - Creation date range (also publishedAt)
+ * @query {string} sort - Up to 3 of createdAt, updatedAt, publishedAt, title, likeCount; - for descending (default: -createdAt)
+ * @query {string} fields - Comma-separated fieldset, e.g. title,excerpt (_id is always included)
+ * @query {string|string[]} tags - Only posts with these tags (repeatable or comma-separated)
+ * @query {string} tagMode - any (default): at least one of the tags; all: every tag
+ * @query {string} category - Only posts in this category or one of its subcategories
  */
 
 
@@ -36,84 +150,173 @@ const getPosts = async (req, res, next) => {
     // Validate pagination values
     if (page < 1) {
       logger.warn('Invalid page number requested', { page });
-      return res.status(400).json(ApiResponse.error('Page number must be greater than 0', 400));
+      return ApiResponse.badRequest(res, 'Page number must be greater than 0');
     }
 
     if (limit < 1) {
       logger.warn('Invalid limit requested', { limit });
-      return res.status(400).json(ApiResponse.error('Limit must be greater than 0', 400));
+      return ApiResponse.badRequest(res, 'Limit must be greater than 0');
+    }
+
+    const { filter, sort, projection, fields } = buildListQuery(req.query, POST_LIST_QUERY);
+
+    // Drafts (scheduled ones included) and archived posts are listed only to
+    // editors and admins, or to an author filtering on their own posts
+    if (!filter.status) {
+      filter.status = 'published';
+    } else if ([].concat(filter.status.$in || filter.status).some(status => status !== 'published')
+      && !can(req.user, 'post', 'update', { author: filter.author })) {
+      logger.warn('Unpublished post listing denied', { userId: req.user && req.user.id, status: req.query.status });
+      return ApiResponse.forbidden(res, 'You do not have permission to list unpublished posts');
+    }
+
+    // Taxonomy filters; an unknown category simply matches nothing
+    const tags = Tag.normalizeTags(req.query.tags || []).map(tag => tag.slug);
+    if (tags.length > 0) {
+      filter.tags = req.query.tagMode === 'all' ? { $all: tags } : { $in: tags };
+    }
+    if (req.query.category) {
+      const categoryIds = await Category.findSubtreeIds(req.query.category);
+      filter.categories = { $in: categoryIds || [] };
     }
 
-    // Fetch posts with pagination
-    const posts = await Post.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    // createdAt is needed for cursors even when the fieldset leaves it out
+    const findPosts = conditions => Post.find(conditions)
+      .select(projection && { ...projection, createdAt: 1 })
+      .populate('author', User.PUBLIC_PROFILE_FIELDS)
+      .populate('categories', 'name slug')
       .lean();
 
-    // Get total count for pagination metadata
-    const total = await Post.countDocuments();
-    const totalPages = Math.ceil(total / limit);
+    let posts;
+    let pagination;
+    let cursorMode = false;
+
+    if (req.query.cursor || req.query.paginate === 'cursor') {
+      const order = cursorOrder(sort);
+      if (!order) {
+        return ApiResponse.badRequest(res, 'Cursor pagination only supports sort=createdAt or sort=-createdAt');
+      }
+
+      const cursorPage = cursorQuery(req.query.cursor, { scope: 'posts', order, limit });
+      if (!cursorPage) {
+        logger.warn('Invalid posts cursor', { cursor: req.query.cursor });
+        return ApiResponse.badRequest(res, 'Invalid cursor');
+      }
+      if (cursorPage.order !== order) {
+        return ApiResponse.badRequest(res, 'Cursor does not match the sort order');
+      }
+
+      const docs = await findPosts({ ...filter, ...cursorPage.filter })
+        .sort(cursorPage.sort)
+        .limit(cursorPage.limit);
+      ({ items: posts, pagination } = cursorPage.paginate(docs));
+      cursorMode = true;
+    } else {
+      posts = await findPosts(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
+
+      // Get total count for pagination metadata
+      const total = await Post.countDocuments(filter);
+
+      pagination = { page, limit, total };
+    }
+
+    posts.forEach((post) => {
+      if (post.content !== undefined) {
+        post.excerpt = Post.buildExcerpt(post.content);
+      }
+    });
+
+    await attachViewerFlags(posts, req.user && req.user.id);
 
     logger.info('Posts retrieved successfully', {
-      page,
       limit,
-      total,
+      page: pagination.page,
+      total: pagination.total,
+      cursor: cursorMode,
       count: posts.length
     });
 
-    return res.json(ApiResponse.success({
-      posts,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
-    }));
+    return ApiResponse.paginated(res, {
+      posts: posts.map(post => selectFields(post, fields))
+    }, pagination);
   } catch (error) {
     logger.error('Error in getPosts', { error: error.message, stack: error.stack });
-    return res.status(500).json(ApiResponse.error('Internal server error', 500));
+    return ApiResponse.internalServerError(res);
   }
 };
 
 /**
- * Get post by ID
- * @route GET /api/posts/:id
- * @param {string} id - Post ID
+ * Get post by ID or slug
+ * A request for a previous slug answers 301 with a Location header pointing
+ * at the canonical slug URL instead of the post body.
+ * The post carries likeCount and the caller's liked/bookmarked flags.
+ * Sends ETag and Last-Modified; a matching If-None-Match or an unchanged
+ * If-Modified-Since answers 304 Not Modified without a body.
+ * Unpublished posts answer 404 unless the caller may edit them.
+ *
+ * @route GET /api/posts/:idOrSlug
+ * @param {string} idOrSlug - Post ID, current slug, or previous slug
  */
 
 
 const getPostById = async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { idOrSlug } = req.params;
 
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      logger.warn('Invalid post ID format', { id });
-      return res.status(400).json(ApiResponse.error('Invalid post ID format', 400));
+    // Find post by ID, slug, or previous slug
+    const post = await Post.findByIdOrSlug(idOrSlug)
+      .populate('author', User.PUBLIC_PROFILE_FIELDS)
+      .populate('categories', 'name slug')
+      .lean();
+
+    if (!post) {
+      logger.warn('Post not found', { idOrSlug });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    if (post.status !== 'published' && !can(req.user, 'post', 'update', post)) {
+      logger.warn('Unpublished post hidden', { idOrSlug, status: post.status });
+      return ApiResponse.notFound(res, 'Post not found');
     }
 
-    // Find post by ID
-    const post = await Post.findById(id).lean();
+    const requested = String(idOrSlug).trim().toLowerCase();
+    if (requested !== post.slug && requested !== String(post._id)) {
+      const location = `${req.baseUrl}/${post.slug}`;
 
-    if (!post) {
-      logger.warn('Post not found', { postId: id });
-      return res.status(404).json(ApiResponse.error('Post not found', 404));
+      logger.info('Post requested by previous slug', { postId: post._id, slug: requested });
+
+      res.location(location);
+      return ApiResponse.success(
+        res,
+        { id: post._id, slug: post.slug, location },
+        'Post has moved permanently',
+        301
+      );
+    }
+
+    await attachViewerFlags([post], req.user && req.user.id);
+
+    // The liked/bookmarked flags make the representation depend on the caller
+    res.vary('Authorization');
+    const validators = { etag: entityTag(post, [post.liked, post.bookmarked]), lastModified: post.updatedAt };
+    if (checkNotModified(req, res, validators)) {
+      logger.info('Post not modified', { postId: post._id });
+      return ApiResponse.notModified(res);
     }
 
-    logger.info('Post retrieved successfully', { postId: id });
+    logger.info('Post retrieved successfully', { postId: post._id });
 
-    return res.json(ApiResponse.success(post));
+    return ApiResponse.success(res, post);
   } catch (error) {
     logger.error('Error in getPostById', {
-      postId: req.params.id,
+      idOrSlug: req.params.idOrSlug,
       error: error.message,
       stack: error.stack
     });
-    return res.status(500).json(ApiResponse.error('Internal server error', 500));
+    return ApiResponse.internalServerError(res);
   }
 };
 
@@ -122,58 +325,83 @@ const getPostById = async (req, res, next) => {
  * @route POST /api/posts
  * @body {string} title - Post title (required)
  * @body {string} content - Post content (required)
- * @body {string} author - Post author (required)
  * @body {string} status - Post status (optional: draft/published)
+ * @body {string} publishAt - Future publication time for drafts (optional, ISO 8601)
+ * @body {string} commentModeration - open, moderated, or closed (optional, default: open)
+ * @body {string[]} tags - Tag names; new tags are created (optional)
+ * @body {string[]} categories - Existing category slugs (optional)
+ * The author is always the authenticated user
  */
 
 
 const createPost = async (req, res, next) => {
   try {
-    const { title, content, author, status } = req.body;
+    const { title, content, status, publishAt, commentModeration, tags, categories } = req.body;
 
     // Validate required fields
-    if (!title || !content || !author) {
+    if (!title || !content) {
       logger.warn('Missing required fields for post creation', {
         hasTitle: !!title,
-        hasContent: !!content,
-        hasAuthor: !!author
+        hasContent: !!content
       });
-      return res.status(400).json(
-        ApiResponse.error('Missing required fields: title, content, and author are required', 400)
-      );
+      return ApiResponse.badRequest(res, 'Missing required fields: title and content are required');
     }
 
     // Validate title and content are non-empty strings
     if (typeof title !== 'string' || title.trim().length === 0) {
       logger.warn('Invalid title provided', { title });
-      return res.status(400).json(ApiResponse.error('Title must be a non-empty string', 400));
+      return ApiResponse.badRequest(res, 'Title must be a non-empty string');
     }
 
     if (typeof content !== 'string' || content.trim().length === 0) {
       logger.warn('Invalid content provided');
-      return res.status(400).json(ApiResponse.error('Content must be a non-empty string', 400));
-    }
-
-    if (typeof author !== 'string' || author.trim().length === 0) {
-      logger.warn('Invalid author provided', { author });
-      return res.status(400).json(ApiResponse.error('Author must be a non-empty string', 400));
+      return ApiResponse.badRequest(res, 'Content must be a non-empty string');
     }
 
     // Validate status if provided
     if (status && !['draft', 'published'].includes(status)) {
       logger.warn('Invalid status provided', { status });
-      return res.status(400).json(
-        ApiResponse.error('Status must be either "draft" or "published"', 400)
-      );
+      return ApiResponse.badRequest(res, 'Status must be either "draft" or "published"');
+    }
+
+    // Scheduling only applies to drafts; the scheduler publishes them later
+    if (publishAt && status === 'published') {
+      logger.warn('Published post created with publishAt', { publishAt });
+      return ApiResponse.badRequest(res, 'Only draft posts can be scheduled for publishing');
+    }
+
+    // The author is the authenticated user; the name is denormalized for listings
+    const user = await User.findById(req.user.id).select('name');
+    if (!user) {
+      logger.warn('Authenticated user not found for post creation', { userId: req.user.id });
+      return ApiResponse.unauthorized(res, 'User account not found');
     }
 
     // Create post
-    const postData = { title, content, author };
+    const postData = { title, content, author: user._id, authorName: user.name };
     if (status) {
       postData.status = status;
     }
+    if (publishAt) {
+      postData.publishAt = publishAt;
+    }
+    if (commentModeration) {
+      postData.commentModeration = commentModeration;
+    }
+    if (categories) {
+      const { ids, missing } = await resolveCategories(categories);
+      if (missing.length > 0) {
+        logger.warn('Unknown categories for post creation', { missing });
+        return ApiResponse.badRequest(res, `Unknown categories: ${missing.join(', ')}`);
+      }
+      postData.categories = ids;
+    }
+    if (tags) {
+      postData.tags = await Tag.ensureTags(tags);
+    }
 
     const post = new Post(postData);
+    post.$locals.editor = user._id;
     await post.save();
 
     logger.info('Post created successfully', {
@@ -182,53 +410,79 @@ const createPost = async (req, res, next) => {
       author: post.author
     });
 
-    return res.status(201).json(
-      ApiResponse.success(post, 'Post created successfully')
-    );
+    return ApiResponse.created(res, post, 'Post created successfully');
   } catch (error) {
     logger.error('Error in createPost', {
       error: error.message,
       stack: error.stack
     });
-    return res.status(500).json(ApiResponse.error('Internal server error', 500));
+    return ApiResponse.internalServerError(res);
   }
 };
 
 /**
  * Update post
+ * PUT replaces the editable fields: title, content and status are required
+ * and omitted optional fields are reset (see REPLACEMENT_DEFAULTS). PATCH
+ * arrives here with only the fields its patch document changed (see the
+ * patchBody middleware) and leaves the rest alone.
+ *
+ * The client must name the version it edited, with If-Match (the ETag from
+ * GET /api/posts/:idOrSlug) or version (the post's __v, PUT only): 428
+ * without either, 412 with the current version if the post has changed since.
+ *
  * @route PUT /api/posts/:id
+ * @route PATCH /api/posts/:id
  * @param {string} id - Post ID
- * @body {string} title - Post title (optional)
- * @body {string} content - Post content (optional)
- * @body {string} author - Post author (optional)
- * @body {string} status - Post status (optional: draft/published)
+ * @header {string} If-Match - ETag of the version being edited
+ * @body {number} version - __v of the version being edited (alternative to If-Match)
+ * @body {string} title - Post title
+ * @body {string} content - Post content
+ * @body {string} status - Post status (draft/published/archived, must be a valid transition)
+ * @body {string|null} publishAt - Future publication time for drafts, or null to unschedule (optional)
+ * @body {string} commentModeration - open, moderated, or closed (optional)
+ * @body {string[]} tags - Replaces the post's tags; new tags are created (optional)
+ * @body {string[]} categories - Replaces the post's categories (optional, existing slugs)
  */
 
 
 const updatePost = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, content, author, status } = req.body;
+    const fields = req.method === 'PUT' ? { ...REPLACEMENT_DEFAULTS, ...req.body } : req.body;
+    const { title, content, status, publishAt, commentModeration, tags, categories } = fields;
 
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
       logger.warn('Invalid post ID format for update', { id });
-      return res.status(400).json(ApiResponse.error('Invalid post ID format', 400));
+      return ApiResponse.badRequest(res, 'Invalid post ID format');
     }
 
-    // Find post
-    const post = await Post.findById(id);
+    // Ownership is enforced by authorize('post'), which loads the post
+    const post = req.resource || await Post.findById(id);
 
     if (!post) {
       logger.warn('Post not found for update', { postId: id });
-      return res.status(404).json(ApiResponse.error('Post not found', 404));
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    const current = await getPostVersion(post, req.user.id);
+    const precondition = checkPrecondition(req, current);
+    if (precondition === 'missing') {
+      logger.warn('Post update without a precondition', { postId: id });
+      return ApiResponse.preconditionRequired(res, 'If-Match header or version is required');
+    }
+    if (precondition === 'failed') {
+      logger.warn('Post update based on a stale version', { postId: id, version: current.version });
+      res.set('ETag', current.etag);
+      return ApiResponse.preconditionFailed(res, 'Post has been modified since it was read', current);
     }
 
     // Validate and update fields
     if (title !== undefined) {
       if (typeof title !== 'string' || title.trim().length === 0) {
         logger.warn('Invalid title provided for update', { title });
-        return res.status(400).json(ApiResponse.error('Title must be a non-empty string', 400));
+        return ApiResponse.badRequest(res, 'Title must be a non-empty string');
       }
       post.title = title;
     }
@@ -236,52 +490,196 @@ const updatePost = async (req, res, next) => {
     if (content !== undefined) {
       if (typeof content !== 'string' || content.trim().length === 0) {
         logger.warn('Invalid content provided for update');
-        return res.status(400).json(ApiResponse.error('Content must be a non-empty string', 400));
+        return ApiResponse.badRequest(res, 'Content must be a non-empty string');
       }
       post.content = content;
     }
 
-    if (author !== undefined) {
-      if (typeof author !== 'string' || author.trim().length === 0) {
-        logger.warn('Invalid author provided for update', { author });
-        return res.status(400).json(ApiResponse.error('Author must be a non-empty string', 400));
-      }
-      post.author = author;
-    }
-
     if (status !== undefined) {
-      if (!['draft', 'published'].includes(status)) {
+      if (!Post.POST_STATUSES.includes(status)) {
         logger.warn('Invalid status provided for update', { status });
-        return res.status(400).json(
-          ApiResponse.error('Status must be either "draft" or "published"', 400)
-        );
+        return ApiResponse.badRequest(res, 'Status must be draft, published, or archived');
+      }
+
+      const transition = validateStatusTransition(post.status, status);
+      if (!transition.valid) {
+        return respondInvalidTransition(res, post, status, transition.message);
       }
       post.status = status;
     }
 
-    // Save updated post
+    if (publishAt !== undefined) {
+      if (publishAt && post.status !== 'draft') {
+        logger.warn('publishAt provided for non-draft post', { postId: id, status: post.status });
+        return ApiResponse.badRequest(res, 'Only draft posts can be scheduled for publishing');
+      }
+      post.publishAt = publishAt;
+    }
+
+    if (commentModeration !== undefined) {
+      if (!Post.COMMENT_MODERATION_MODES.includes(commentModeration)) {
+        logger.warn('Invalid comment moderation mode for update', { postId: id, commentModeration });
+        return ApiResponse.badRequest(res, 'Comment moderation must be open, moderated, or closed');
+      }
+      post.commentModeration = commentModeration;
+    }
+
+    if (categories !== undefined) {
+      const { ids, missing } = await resolveCategories(categories);
+      if (missing.length > 0) {
+        logger.warn('Unknown categories for post update', { postId: id, missing });
+        return ApiResponse.badRequest(res, `Unknown categories: ${missing.join(', ')}`);
+      }
+      post.categories = ids;
+    }
+
+    if (tags !== undefined) {
+      post.tags = await Tag.ensureTags(tags);
+    }
+
+    // Save updated post; a revision is recorded if title, content, or status changed.
+    // The save itself fails with a VersionError if another edit landed in between.
+    post.$locals.editor = req.user.id;
     await post.save();
 
     logger.info('Post updated successfully', {
       postId: id,
+      version: post.__v,
       updatedFields: Object.keys(req.body)
     });
 
-    return res.json(
-      ApiResponse.success(post, 'Post updated successfully')
-    );
+    res.set('ETag', (await getPostVersion(post, req.user.id)).etag);
+    return ApiResponse.success(res, post, 'Post updated successfully');
   } catch (error) {
+    if (error.name === 'VersionError') {
+      const latest = await Post.findById(req.params.id);
+      logger.warn('Concurrent post update rejected', { postId: req.params.id });
+      return ApiResponse.preconditionFailed(
+        res,
+        'Post has been modified since it was read',
+        latest ? await getPostVersion(latest, req.user.id) : null
+      );
+    }
     logger.error('Error in updatePost', {
       postId: req.params.id,
       error: error.message,
       stack: error.stack
     });
-    return res.status(500).json(ApiResponse.error('Internal server error', 500));
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Update post status
+ * Moves a post through its lifecycle (draft -> published -> archived).
+ * Illegal transitions are rejected with 409 and the list of valid targets.
+ * A concurrent edit between loading and saving the post is rejected with 412.
+ *
+ * @route PATCH /api/posts/:id/status
+ * @param {string} id - Post ID
+ * @body {string} status - Target status (draft/published/archived)
+ */
+
+
+const updatePostStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    // Ownership is enforced by authorize('post'), which loads the post
+    const post = req.resource || await Post.findById(id);
+
+    if (!post) {
+      logger.warn('Post not found for status update', { postId: id });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    const previousStatus = post.status;
+    const transition = validateStatusTransition(previousStatus, status);
+    if (!transition.valid) {
+      return respondInvalidTransition(res, post, status, transition.message);
+    }
+
+    post.status = status;
+    post.$locals.editor = req.user.id;
+    await post.save();
+
+    logger.info('Post status updated', {
+      postId: id,
+      from: previousStatus,
+      to: status,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, post, 'Post status updated successfully');
+  } catch (error) {
+    // Another edit landed between loading the post and saving the new status
+    if (error.name === 'VersionError') {
+      const latest = await Post.findById(req.params.id);
+      logger.warn('Concurrent post status update rejected', { postId: req.params.id });
+      return ApiResponse.preconditionFailed(
+        res,
+        'Post has been modified since it was read',
+        latest ? await getPostVersion(latest, req.user.id) : null
+      );
+    }
+    logger.error('Error in updatePostStatus', {
+      postId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
   }
 };
 
 /**
- * Delete post and cascade delete associated comments
+ * Get the queue of scheduled publications
+ * Lists drafts with a publishAt time, soonest first, including the scheduler
+ * lease so admins can see which instance is publishing a post.
+ *
+ * @route GET /api/posts/scheduled
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 100)
+ */
+
+
+const getScheduledPosts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { status: 'draft', publishAt: { $ne: null } };
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .select('title slug author authorName publishAt +leaseOwner +leaseExpiresAt createdAt updatedAt')
+        .sort({ publishAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', User.PUBLIC_PROFILE_FIELDS)
+        .lean(),
+      Post.countDocuments(filter)
+    ]);
+
+    logger.info('Scheduled posts retrieved', { page, limit, total, userId: req.user.id });
+
+    return ApiResponse.paginated(res, {
+      posts,
+      scheduler: publishScheduler.getStatus()
+    }, { page, limit, total });
+  } catch (error) {
+    logger.error('Error in getScheduledPosts', { error: error.message, stack: error.stack });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Move a post and its comments to the trash
+ * Comments are trashed with the post's deletedAt timestamp so that restoring
+ * the post brings back exactly those comments. The purge job removes trashed
+ * posts permanently after the retention period.
+ *
  * @route DELETE /api/posts/:id
  * @param {string} id - Post ID
  */
@@ -296,48 +694,275 @@ const deletePost = async (req, res, next) => {
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(id)) {
       logger.warn('Invalid post ID format for deletion', { id });
-      return res.status(400).json(ApiResponse.error('Invalid post ID format', 400));
+      return ApiResponse.badRequest(res, 'Invalid post ID format');
     }
 
     await session.startTransaction();
 
-    // Find and delete post in one atomic operation
-    const post = await Post.findByIdAndDelete(id).session(session);
+    const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
+
+    // Trash the post in one atomic operation; already-trashed posts are not matched
+    const post = await Post.findOneAndUpdate({ _id: id }, { $set: deletion }, { new: true, session });
 
     if (!post) {
       await session.abortTransaction();
       logger.warn('Post not found for deletion', { postId: id });
-      return res.status(404).json(ApiResponse.error('Post not found', 404));
+      return ApiResponse.notFound(res, 'Post not found');
     }
 
-    // Cascade delete associated comments
-    const deletedComments = await Comment.deleteMany({ postId: id }).session(session);
-    logger.info('Deleted comments for post', {
+    // Cascade to comments that are not already in the trash
+    const trashedComments = await Comment.updateMany({ postId: id }, { $set: deletion }, { session });
+
+    await session.commitTransaction();
+
+    // The update query skips the post's save hooks, so drop it from the suggestions here
+    await SearchSuggestion.syncPost(post, { removed: true });
+
+    logger.info('Post moved to trash', {
       postId: id,
-      commentCount: deletedComments.deletedCount
+      trashedComments: trashedComments.modifiedCount,
+      userId: req.user.id
     });
 
+    return ApiResponse.success(
+      res,
+      { trashedComments: trashedComments.modifiedCount },
+      'Post and associated comments moved to trash'
+    );
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error('Error in deletePost', {
+      postId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Restore a trashed post
+ * Also restores the comments that were trashed together with it; comments
+ * deleted individually beforehand stay in the trash.
+ *
+ * @route POST /api/posts/:id/restore
+ * @param {string} id - Post ID
+ */
+
+
+const restorePost = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { id } = req.params;
+
+    // authorize('post', 'restore') loads the post including trashed ones
+    const post = req.resource || await Post.findByIdWithDeleted(id);
+
+    if (!post) {
+      logger.warn('Post not found for restore', { postId: id });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    if (!post.isDeleted()) {
+      return ApiResponse.conflict(res, 'Post is not in the trash');
+    }
+
+    const { deletedAt } = post;
+
+    await session.startTransaction();
+
+    await post.restore({ session });
+    const restoredComments = await Comment.updateMany(
+      { postId: post._id, deletedAt },
+      { $set: { deletedAt: null, deletedBy: null } },
+      { session }
+    );
+
     await session.commitTransaction();
+    await post.syncSuggestions();
 
-    logger.info('Post deleted successfully', {
+    logger.info('Post restored from trash', {
       postId: id,
-      deletedComments: deletedComments.deletedCount
+      restoredComments: restoredComments.modifiedCount,
+      userId: req.user.id
     });
 
-    return res.json(
-      ApiResponse.success(
-        { deletedComments: deletedComments.deletedCount },
-        'Post and associated comments deleted successfully'
-      )
+    return ApiResponse.success(
+      res,
+      { post, restoredComments: restoredComments.modifiedCount },
+      'Post restored from trash'
     );
   } catch (error) {
-    await session.abortTransaction();
-    logger.error('Error in deletePost', {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error('Error in restorePost', {
       postId: req.params.id,
       error: error.message,
       stack: error.stack
     });
-    return res.status(500).json(ApiResponse.error('Internal server error', 500));
+    return ApiResponse.internalServerError(res);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Decide whether a bulk action may be applied to one post
+ *
+ * @param {Object|undefined} post - Post document, or undefined if the ID matched none
+ * @param {string} id - Requested post ID
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @param {Object} bulkAction - Entry of BULK_ACTIONS
+ * @returns {Object} Per-ID report entry; result is succeeded when the post can be changed
+ */
+
+
+const checkBulkTarget = (post, id, user, { permission, status }) => {
+  if (!post) {
+    return { id, result: 'notFound' };
+  }
+
+  if (!can(user, 'post', permission, post)) {
+    return { id, result: 'forbidden' };
+  }
+
+  if (status) {
+    const transition = validateStatusTransition(post.status, status);
+    if (!transition.valid) {
+      return {
+        id,
+        result: 'invalidTransition',
+        currentStatus: post.status,
+        validTransitions: getValidTransitions(post.status)
+      };
+    }
+  }
+
+  return { id, result: 'succeeded' };
+};
+
+/**
+ * Apply one action to several posts
+ * Every ID is checked first (exists, caller may perform the action, valid
+ * status transition). The posts that pass are then changed in one
+ * transaction, so either all of them change or, on error, none do. Deleting
+ * trashes the posts and their comments like DELETE /api/posts/:id.
+ *
+ * @route POST /api/posts/bulk
+ * @body {string} action - publish, unpublish, archive, delete, retag, or change-author
+ * @body {Array<string>} postIds - Post IDs (1-100)
+ * @body {Array<string>} tags - New tags, replacing the current ones (retag only)
+ * @body {string} authorId - User who becomes the author (change-author only, admin)
+ */
+
+
+const bulkUpdatePosts = async (req, res, next) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { action, tags, authorId } = req.body;
+    const bulkAction = BULK_ACTIONS[action];
+    const ids = [...new Set(req.body.postIds.map(String))];
+
+    let author = null;
+    if (action === 'change-author') {
+      author = await User.findById(authorId).select('name');
+      if (!author) {
+        logger.warn('Unknown author for bulk change-author', { authorId });
+        return ApiResponse.badRequest(res, 'Author not found');
+      }
+    }
+
+    // Trashed posts are not matched and are reported as not found
+    const posts = await Post.find({ _id: { $in: ids } });
+    const byId = new Map(posts.map(post => [String(post._id), post]));
+
+    const results = ids.map(id => checkBulkTarget(byId.get(id), id, req.user, bulkAction));
+    const targets = results
+      .filter(entry => entry.result === 'succeeded')
+      .map(entry => byId.get(entry.id));
+
+    const tagSlugs = action === 'retag' && targets.length > 0 ? await Tag.ensureTags(tags) : null;
+    let trashedComments = 0;
+
+    if (targets.length > 0) {
+      await session.startTransaction();
+
+      if (action === 'delete') {
+        const targetIds = targets.map(post => post._id);
+        const deletion = { deletedAt: new Date(), deletedBy: req.user.id };
+
+        await Post.updateMany({ _id: { $in: targetIds } }, { $set: deletion }, { session });
+        const trashed = await Comment.updateMany({ postId: { $in: targetIds } }, { $set: deletion }, { session });
+        trashedComments = trashed.modifiedCount;
+      } else {
+        // Saved one by one so lifecycle timestamps and revisions are recorded as usual
+        for (const post of targets) {
+          if (bulkAction.status) {
+            post.status = bulkAction.status;
+          }
+          if (tagSlugs) {
+            post.tags = tagSlugs;
+          }
+          if (author) {
+            post.author = author._id;
+            post.authorName = author.name;
+          }
+          post.$locals.editor = req.user.id;
+          await post.save({ session });
+        }
+      }
+
+      await session.commitTransaction();
+
+      // Suggestion counts are only right once the transaction has committed
+      for (const post of targets) {
+        if (action === 'delete') {
+          await SearchSuggestion.syncPost(post, { removed: true });
+        } else {
+          await post.syncSuggestions();
+        }
+      }
+    }
+
+    const summary = { succeeded: 0, notFound: 0, forbidden: 0, invalidTransition: 0 };
+    results.forEach(entry => {
+      summary[entry.result] += 1;
+    });
+
+    logger.info('Bulk post action applied', {
+      action,
+      requested: ids.length,
+      ...summary,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, {
+      action,
+      summary,
+      results,
+      ...(action === 'delete' && { trashedComments })
+    }, `${action} applied to ${summary.succeeded} of ${ids.length} post(s)`);
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (error.name === 'VersionError') {
+      logger.warn('Concurrent update during bulk post action', { action: req.body.action });
+      return ApiResponse.conflict(res, 'A post was modified during the bulk action; no changes were applied');
+    }
+    logger.error('Error in bulkUpdatePosts', {
+      action: req.body.action,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
   } finally {
     session.endSession();
   }
@@ -348,5 +973,9 @@ module.exports = {
   getPostById,
   createPost,
   updatePost,
-  deletePost
+  updatePostStatus,
+  getScheduledPosts,
+  deletePost,
+  restorePost,
+  bulkUpdatePosts
 };
@@ -0,0 +1,97 @@
+// File: src/controllers/reactionController.js
+// Generated: 2026-10-19 18:17:45 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_6qbjyi5plfyw
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Comment = require('../models/Comment');
+
+
+const CommentReaction = require('../models/CommentReaction');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Add or remove the current user's reaction and report the new totals
+ * Both operations are idempotent: repeating one changes nothing.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} add - True to add the reaction, false to remove it
+ */
+
+
+const setReaction = async (req, res, add) => {
+  const { id, type } = req.params;
+
+  try {
+    // Reactions are limited to comments the public can see
+    const comment = await Comment.findById(id).select('postId status');
+    if (!comment || !comment.isApproved()) {
+      logger.warn(`Cannot react - comment not found: ${id}`);
+      return ApiResponse.notFound(res, 'Comment not found');
+    }
+
+    const reaction = { comment: comment._id, post: comment.postId, user: req.user.id, type };
+    const delta = add ? await CommentReaction.react(reaction) : await CommentReaction.unreact(reaction);
+
+    const stats = Object.keys(delta).length > 0
+      ? await Comment.applyReactionDelta(comment._id, delta)
+      : await Comment.findById(comment._id).select('reactions score controversy').lean();
+    if (!stats) {
+      logger.warn(`Comment removed while reacting: ${id}`);
+      return ApiResponse.notFound(res, 'Comment not found');
+    }
+
+    const userReactions = await CommentReaction.findUserReactions(comment._id, req.user.id);
+
+    logger.info(`Comment reaction ${add ? 'added' : 'removed'}: ${id}`, {
+      commentId: id,
+      type,
+      changed: delta,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, {
+      commentId: id,
+      reactions: stats.reactions,
+      score: stats.score,
+      controversy: stats.controversy,
+      userReactions
+    }, add ? 'Reaction added' : 'Reaction removed');
+  } catch (error) {
+    logger.error(`Error updating comment reaction: ${error.message}`, {
+      commentId: id,
+      type,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.error(res, 'Failed to update reaction');
+  }
+};
+
+/**
+ * Add a reaction to a comment
+ * Adding upvote removes the user's downvote and vice versa.
+ * @route PUT /comments/:id/reactions/:type
+ */
+
+
+const addCommentReaction = (req, res) => setReaction(req, res, true);
+
+/**
+ * Remove a reaction from a comment
+ * @route DELETE /comments/:id/reactions/:type
+ */
+
+
+const removeCommentReaction = (req, res) => setReaction(req, res, false);
+
+module.exports = {
+  addCommentReaction,
+  removeCommentReaction
+};
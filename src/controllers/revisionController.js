@@ -0,0 +1,213 @@
+// File: src/controllers/revisionController.js
+// Generated: 2026-10-19 18:05:11 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_bjnxhga6c9x3
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Post = require('../models/Post');
+
+
+const PostRevision = require('../models/PostRevision');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+const { diffLines } = require('../utils/diff');
+
+const { getPostVersion } = require('../utils/postEngagement');
+
+/**
+ * Load the post for a revision route
+ * authorize('post', ...) attaches the post when the policy checks ownership
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Post|null>} Post document
+ */
+
+
+const loadPost = (req) => req.resource || Post.findById(req.params.id);
+
+/**
+ * Get a post's revision history, newest first
+ * Content is omitted from the listing; use the diff endpoint to inspect a revision.
+ *
+ * @route GET /api/posts/:id/revisions
+ * @param {string} id - Post ID
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+
+
+const getPostRevisions = async (req, res, next) => {
+  try {
+    const post = await loadPost(req);
+    if (!post) {
+      logger.warn('Post not found for revision listing', { postId: req.params.id });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      PostRevision.find({ post: post._id })
+        .select('-content')
+        .sort({ rev: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('editor', User.PUBLIC_PROFILE_FIELDS)
+        .lean(),
+      PostRevision.countDocuments({ post: post._id })
+    ]);
+
+    logger.info('Post revisions retrieved', { postId: post._id, page, limit, total });
+
+    return ApiResponse.paginated(res, {
+      currentRevision: post.currentRevision,
+      revisions
+    }, { page, limit, total });
+  } catch (error) {
+    logger.error('Error in getPostRevisions', {
+      postId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Diff a revision against the post's current content
+ * Content changes are line-level; title and status are compared as a whole.
+ *
+ * @route GET /api/posts/:id/revisions/:rev/diff
+ * @param {string} id - Post ID
+ * @param {number} rev - Revision number
+ */
+
+
+const getRevisionDiff = async (req, res, next) => {
+  try {
+    const rev = parseInt(req.params.rev);
+    const post = await loadPost(req);
+    if (!post) {
+      logger.warn('Post not found for revision diff', { postId: req.params.id });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    const revision = await PostRevision.findRevision(post._id, rev).lean();
+    if (!revision) {
+      logger.warn('Revision not found', { postId: post._id, rev });
+      return ApiResponse.notFound(res, `Revision ${rev} not found`);
+    }
+
+    const { changes, stats } = diffLines(revision.content, post.content);
+
+    return ApiResponse.success(res, {
+      post: post._id,
+      rev,
+      currentRevision: post.currentRevision,
+      title: {
+        from: revision.title,
+        to: post.title,
+        changed: revision.title !== post.title
+      },
+      status: {
+        from: revision.status,
+        to: post.status,
+        changed: revision.status !== post.status
+      },
+      content: {
+        changes,
+        stats
+      }
+    });
+  } catch (error) {
+    logger.error('Error in getRevisionDiff', {
+      postId: req.params.id,
+      rev: req.params.rev,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Restore a post's title and content from a revision
+ * The restore is saved as a new revision (with restoredFrom set), so it can
+ * itself be undone. Status is not restored; use the status endpoint for that.
+ * Answers 412 with the current version if another edit lands while saving.
+ *
+ * @route POST /api/posts/:id/revisions/:rev/restore
+ * @param {string} id - Post ID
+ * @param {number} rev - Revision number
+ */
+
+
+const restoreRevision = async (req, res, next) => {
+  try {
+    const rev = parseInt(req.params.rev);
+    const post = await loadPost(req);
+    if (!post) {
+      logger.warn('Post not found for revision restore', { postId: req.params.id });
+      return ApiResponse.notFound(res, 'Post not found');
+    }
+
+    const revision = await PostRevision.findRevision(post._id, rev).lean();
+    if (!revision) {
+      logger.warn('Revision not found for restore', { postId: post._id, rev });
+      return ApiResponse.notFound(res, `Revision ${rev} not found`);
+    }
+
+    if (revision.title === post.title && revision.content === post.content) {
+      return ApiResponse.success(res, post, `Post already matches revision ${rev}`);
+    }
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.$locals.editor = req.user.id;
+    post.$locals.restoredFrom = rev;
+    await post.save();
+
+    logger.info('Post restored from revision', {
+      postId: post._id,
+      restoredFrom: rev,
+      newRevision: post.currentRevision,
+      userId: req.user.id
+    });
+
+    return ApiResponse.success(res, post, `Post restored to revision ${rev}`);
+  } catch (error) {
+    // Another edit landed between loading the post and saving the restore
+    if (error.name === 'VersionError') {
+      const latest = await Post.findById(req.params.id);
+      logger.warn('Concurrent revision restore rejected', { postId: req.params.id, rev: req.params.rev });
+      return ApiResponse.preconditionFailed(
+        res,
+        'Post has been modified since it was read',
+        latest ? await getPostVersion(latest, req.user.id) : null
+      );
+    }
+    logger.error('Error in restoreRevision', {
+      postId: req.params.id,
+      rev: req.params.rev,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  getPostRevisions,
+  getRevisionDiff,
+  restoreRevision
+};
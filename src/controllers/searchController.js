@@ -0,0 +1,138 @@
+// File: src/controllers/searchController.js
+// Generated: 2026-10-19 18:24:47 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_12ranit5cmga
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Post = require('../models/Post');
+
+
+const SearchSuggestion = require('../models/SearchSuggestion');
+
+
+const Tag = require('../models/Tag');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+const { attachViewerFlags } = require('../utils/postEngagement');
+
+const { parseSearchTerms, highlightText, buildSnippet } = require('../utils/highlight');
+
+/**
+ * Full-text search over posts
+ * Hits are ranked by relevance unless sortBy is given. Each hit carries
+ * highlights.title and highlights.content (a snippet around the first
+ * match) as HTML with matches wrapped in <mark>; the full content is not
+ * returned. Facet counts cover every hit, not just the current page. When
+ * nothing matches, didYouMean holds the search with likely typos corrected.
+ *
+ * @route GET /api/posts/search
+ * @query {string} q - Search query (alias: search); supports "phrases" and -exclusions
+ * @query {string} author - Author user ID or name
+ * @query {string} status - published (default) or archived
+ * @query {string} from - Created at or after (ISO 8601)
+ * @query {string} to - Created at or before (ISO 8601)
+ * @query {string} tag - Tag name or slug
+ * @query {string} sortBy - createdAt, updatedAt, title, or author (default: relevance)
+ * @query {string} order - asc or desc (default: desc)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Hits per page (default: 10, max: 100)
+ */
+
+
+const searchPosts = async (req, res) => {
+  try {
+    const q = req.query.q || req.query.search;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 10;
+    const [tag] = req.query.tag ? Tag.normalizeTags([req.query.tag]).map(entry => entry.slug) : [];
+
+    const { hits, total, facets } = await Post.searchPosts(q, {
+      status: req.query.status,
+      author: req.query.author,
+      from: req.query.from,
+      to: req.query.to,
+      tag,
+      page,
+      limit,
+      sortBy: req.query.sortBy,
+      order: req.query.order
+    });
+
+    await Post.populate(hits, [
+      { path: 'author', select: User.PUBLIC_PROFILE_FIELDS },
+      { path: 'categories', select: 'name slug' }
+    ]);
+
+    const terms = parseSearchTerms(q);
+    const results = hits.map(({ content, ...hit }) => ({
+      ...hit,
+      highlights: {
+        title: highlightText(hit.title, terms),
+        content: buildSnippet(content, terms)
+      }
+    }));
+
+    await attachViewerFlags(results, req.user && req.user.id);
+
+    const didYouMean = total === 0 ? await SearchSuggestion.didYouMean(q) : null;
+
+    logger.info('Post search completed', { q, page, limit, total });
+
+    return ApiResponse.paginated(res, {
+      query: q,
+      didYouMean,
+      hits: results,
+      facets
+    }, { page, limit, total });
+  } catch (error) {
+    logger.error(`Error searching posts: ${error.message}`, {
+      q: req.query.q || req.query.search,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Search-as-you-type suggestions
+ * Post titles, tags and authors with a word starting with q, most used
+ * first. Only published posts contribute.
+ *
+ * @route GET /api/search/suggest
+ * @query {string} q - Text typed so far
+ * @query {string} type - Only title, tag, or author suggestions
+ * @query {number} limit - Maximum suggestions (default: 10, max: 20)
+ */
+
+
+const getSuggestions = async (req, res) => {
+  try {
+    const { q, type } = req.query;
+    const limit = req.query.limit || 10;
+
+    const suggestions = await SearchSuggestion.suggest(q, { limit, type });
+
+    return ApiResponse.success(res, { query: q, suggestions });
+  } catch (error) {
+    logger.error(`Error fetching search suggestions: ${error.message}`, {
+      q: req.query.q,
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  searchPosts,
+  getSuggestions
+};
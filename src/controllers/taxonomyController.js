@@ -0,0 +1,119 @@
+// File: src/controllers/taxonomyController.js
+// Generated: 2026-10-19 18:22:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_g92mece2v4g1
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Category = require('../models/Category');
+
+
+const Tag = require('../models/Tag');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * List tags in use with the number of published posts carrying each
+ * @route GET /api/tags
+ * @query {number} limit - Maximum tags returned, most used first (default: 100, max: 500)
+ */
+
+
+const getTags = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const tags = await Tag.findWithUsage({ limit });
+
+    logger.info('Tags retrieved', { limit, count: tags.length });
+
+    return ApiResponse.success(res, { tags });
+  } catch (error) {
+    logger.error(`Error fetching tags: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Get every category as a tree
+ * @route GET /api/categories
+ */
+
+
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.findTree();
+
+    logger.info('Category tree retrieved', { roots: categories.length });
+
+    return ApiResponse.success(res, { categories });
+  } catch (error) {
+    logger.error(`Error fetching categories: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+/**
+ * Create a category
+ * @route POST /api/categories
+ * @body {string} name - Category name (required)
+ * @body {string} slug - URL slug (optional, derived from the name)
+ * @body {string} description - Short description (optional)
+ * @body {string} parent - Slug of the parent category (optional)
+ */
+
+
+const createCategory = async (req, res) => {
+  try {
+    const { name, slug, description, parent } = req.body;
+
+    let parentId = null;
+    if (parent) {
+      const parentCategory = await Category.findOne({ slug: parent }).select('depth');
+      if (!parentCategory) {
+        logger.warn('Parent category not found', { parent });
+        return ApiResponse.notFound(res, 'Parent category not found');
+      }
+      if (parentCategory.depth >= Category.CATEGORY_MAX_DEPTH) {
+        logger.warn('Category nesting too deep', { parent });
+        return ApiResponse.badRequest(res, `Categories cannot be nested more than ${Category.CATEGORY_MAX_DEPTH} levels deep`);
+      }
+      parentId = parentCategory._id;
+    }
+
+    const category = await Category.create({ name, slug, description, parent: parentId });
+
+    logger.info('Category created', { categoryId: category._id, slug: category.slug, userId: req.user.id });
+
+    return ApiResponse.created(res, category, 'Category created successfully');
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.warn('Duplicate category slug', { slug: req.body.slug || req.body.name });
+      return ApiResponse.conflict(res, 'A category with this slug already exists');
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      logger.warn('Category validation failed', { errors: messages });
+      return ApiResponse.badRequest(res, messages.join(', '));
+    }
+    logger.error(`Error creating category: ${error.message}`, {
+      error: error.message,
+      stack: error.stack
+    });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  getTags,
+  getCategories,
+  createCategory
+};
@@ -0,0 +1,95 @@
+// File: src/controllers/trashController.js
+// Generated: 2026-10-19 18:08:19 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_oikd0uxdbs89
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const Comment = require('../models/Comment');
+
+
+const Post = require('../models/Post');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+
+const trashPurger = require('../jobs/trashPurger');
+
+const { can } = require('../utils/policy');
+
+/**
+ * Trash listing configuration per item type
+ */
+
+
+const TRASH_TYPES = {
+  posts: {
+    model: Post,
+    resource: 'post',
+    fields: 'title slug author authorName status deletedAt deletedBy'
+  },
+  comments: {
+    model: Comment,
+    resource: 'comment',
+    fields: 'content postId author authorName deletedAt deletedBy'
+  }
+};
+
+/**
+ * List trashed posts or comments
+ * Users who may restore any item of the type (e.g. admins, moderators for
+ * comments) see the whole trash; everyone else sees only what they authored.
+ * Each item includes purgeAt, when the purge job will delete it permanently.
+ *
+ * @route GET /api/trash
+ * @query {string} type - posts or comments (default: posts)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 100)
+ */
+
+
+const getTrash = async (req, res) => {
+  try {
+    const type = req.query.type || 'posts';
+    const { model, resource, fields } = TRASH_TYPES[type];
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    // Without a document only role grants can match, so this is "may restore anything"
+    const filter = can(req.user, resource, 'restore') ? {} : { author: req.user.id };
+
+    const [items, total] = await Promise.all([
+      model.findDeleted(filter)
+        .select(fields)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('deletedBy', User.PUBLIC_PROFILE_FIELDS)
+        .lean(),
+      model.countDocuments({ ...filter, deletedAt: { $ne: null } })
+    ]);
+
+    logger.info('Trash retrieved', { type, page, limit, total, userId: req.user.id });
+
+    return ApiResponse.paginated(res, {
+      type,
+      retentionDays: trashPurger.getRetentionDays(),
+      items: items.map(item => ({ ...item, purgeAt: trashPurger.getPurgeDate(item.deletedAt) }))
+    }, { page, limit, total });
+  } catch (error) {
+    logger.error('Error in getTrash', { error: error.message, stack: error.stack });
+    return ApiResponse.internalServerError(res);
+  }
+};
+
+module.exports = {
+  getTrash
+};
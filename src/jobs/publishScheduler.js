@@ -0,0 +1,272 @@
+// File: src/jobs/publishScheduler.js
+// Generated: 2026-10-19 18:03:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_k6yoji28aj7k
+
+
+const Post = require('../models/Post');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+
+const os = require('os');
+
+/**
+ * Publish Scheduler
+ *
+ * Runs inside the API process and publishes drafts once their publishAt time
+ * has passed. Several API instances may run the scheduler at once: each post
+ * is claimed with an atomic findOneAndUpdate that takes a time-limited lease
+ * (leaseOwner / leaseExpiresAt), so only one instance publishes a given post.
+ * A lease left behind by a crashed instance expires and the post is retried.
+ *
+ * Environment:
+ * - PUBLISH_SCHEDULER_ENABLED      Set to "false" to disable (default: enabled)
+ * - PUBLISH_SCHEDULER_INTERVAL_MS  Delay between runs (default: 30000)
+ * - PUBLISH_SCHEDULER_LEASE_MS     How long a claim is held (default: 60000)
+ * - PUBLISH_SCHEDULER_BATCH_SIZE   Maximum posts published per run (default: 25)
+ */
+
+
+const DEFAULTS = {
+  intervalMs: 30000,
+  leaseMs: 60000,
+  batchSize: 25
+};
+
+/**
+ * Identifies this process in post leases
+ */
+
+
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+
+let timer = null;
+
+let isRunning = false;
+
+let currentRun = null;
+
+let lastRunAt = null;
+
+/**
+ * Parse a positive integer environment value
+ *
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Parsed value
+ */
+
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Read scheduler settings from the environment
+ *
+ * @returns {Object} { enabled, intervalMs, leaseMs, batchSize }
+ */
+
+
+const getSchedulerOptions = () => ({
+  enabled: process.env.PUBLISH_SCHEDULER_ENABLED !== 'false',
+  intervalMs: readPositiveInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS, DEFAULTS.intervalMs),
+  leaseMs: readPositiveInt(process.env.PUBLISH_SCHEDULER_LEASE_MS, DEFAULTS.leaseMs),
+  batchSize: readPositiveInt(process.env.PUBLISH_SCHEDULER_BATCH_SIZE, DEFAULTS.batchSize)
+});
+
+/**
+ * Atomically claim the next due draft
+ * Only drafts without a lease, or whose lease has expired, can be claimed.
+ *
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Post|null>} Claimed post document, or null when none are due
+ */
+
+
+const claimNextDuePost = (leaseMs) => {
+  const now = new Date();
+
+  return Post.findOneAndUpdate(
+    {
+      status: 'draft',
+      publishAt: { $ne: null, $lte: now },
+      $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }]
+    },
+    {
+      $set: {
+        leaseOwner: instanceId,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs)
+      }
+    },
+    { new: true, sort: { publishAt: 1 } }
+  );
+};
+
+/**
+ * Publish a claimed post
+ * On failure the lease is left in place, so the post is retried once it expires.
+ *
+ * @param {Post} post - Post document claimed by this instance
+ * @returns {Promise<boolean>} True if the post was published
+ */
+
+
+const publishClaimedPost = async (post) => {
+  const scheduledFor = post.publishAt;
+
+  try {
+    await post.publish();
+
+    logger.info('Scheduled post published', {
+      postId: post._id,
+      scheduledFor,
+      instanceId
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to publish scheduled post', {
+      postId: post._id,
+      scheduledFor,
+      instanceId,
+      error: error.message,
+      stack: error.stack
+    });
+    return false;
+  }
+};
+
+/**
+ * Publish every due draft, up to the batch size
+ *
+ * @returns {Promise<number>} Number of posts published
+ */
+
+
+const runOnce = async () => {
+  const { leaseMs, batchSize } = getSchedulerOptions();
+  let published = 0;
+
+  for (let claimed = 0; claimed < batchSize; claimed++) {
+    const post = await claimNextDuePost(leaseMs);
+    if (!post) {
+      break;
+    }
+    if (await publishClaimedPost(post)) {
+      published++;
+    }
+  }
+
+  lastRunAt = new Date();
+  return published;
+};
+
+/**
+ * Queue the next run
+ * Runs are chained with setTimeout so a slow run never overlaps the next one.
+ *
+ * @param {number} delay - Milliseconds until the run
+ * @param {number} intervalMs - Delay between subsequent runs
+ */
+
+
+const scheduleNextRun = (delay, intervalMs) => {
+  timer = setTimeout(async () => {
+    timer = null;
+    currentRun = runOnce().catch((error) => {
+      logger.error('Publish scheduler run failed', {
+        instanceId,
+        error: error.message,
+        stack: error.stack
+      });
+    });
+
+    await currentRun;
+    currentRun = null;
+
+    if (isRunning) {
+      scheduleNextRun(intervalMs, intervalMs);
+    }
+  }, delay);
+
+  // Never keep the process alive just for the scheduler
+  timer.unref();
+};
+
+/**
+ * Start the scheduler
+ * Call after the database connection is established. The first run happens immediately.
+ */
+
+
+const start = () => {
+  const { enabled, intervalMs } = getSchedulerOptions();
+
+  if (isRunning) {
+    return;
+  }
+
+  if (!enabled) {
+    logger.info('Publish scheduler disabled');
+    return;
+  }
+
+  isRunning = true;
+  scheduleNextRun(0, intervalMs);
+
+  logger.info('Publish scheduler started', { instanceId, intervalMs });
+};
+
+/**
+ * Stop the scheduler
+ * Cancels the next run and waits for an in-flight run to finish.
+ *
+ * @returns {Promise<void>}
+ */
+
+
+const stop = async () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentRun) {
+    await currentRun;
+  }
+
+  logger.info('Publish scheduler stopped', { instanceId });
+};
+
+/**
+ * Describe the scheduler state for the admin queue endpoint
+ *
+ * @returns {Object} { instanceId, running, intervalMs, lastRunAt }
+ */
+
+
+const getStatus = () => ({
+  instanceId,
+  running: isRunning,
+  intervalMs: getSchedulerOptions().intervalMs,
+  lastRunAt
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus
+};
@@ -0,0 +1,276 @@
+// File: src/jobs/trashPurger.js
+// Generated: 2026-10-19 18:08:19 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_mur829wbslrs
+
+
+const Bookmark = require('../models/Bookmark');
+
+
+const Comment = require('../models/Comment');
+
+
+const CommentReaction = require('../models/CommentReaction');
+
+
+const Post = require('../models/Post');
+
+
+const PostLike = require('../models/PostLike');
+
+
+const PostRevision = require('../models/PostRevision');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Trash Purger
+ *
+ * Runs inside the API process and permanently deletes posts and comments that
+ * have been in the trash longer than the retention period. Purging a post
+ * also removes its comments and revisions. Trashed comments that still have
+ * live replies are kept so their thread stays intact. Every delete re-checks deletedAt,
+ * so an item restored while a run is in progress is kept, and running the
+ * purger on several instances at once is harmless.
+ *
+ * Environment:
+ * - TRASH_PURGE_ENABLED      Set to "false" to disable (default: enabled)
+ * - TRASH_RETENTION_DAYS     Days an item stays in the trash (default: 30)
+ * - TRASH_PURGE_INTERVAL_MS  Delay between runs (default: 3600000)
+ */
+
+
+const DEFAULTS = {
+  retentionDays: 30,
+  intervalMs: 60 * 60 * 1000,
+  batchSize: 100
+};
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+let timer = null;
+
+let isRunning = false;
+
+let currentRun = null;
+
+/**
+ * Parse a positive integer environment value
+ *
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when missing or invalid
+ * @returns {number} Parsed value
+ */
+
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Days a trashed item is kept before it is purged
+ *
+ * @returns {number} Retention in days
+ */
+
+
+const getRetentionDays = () => readPositiveInt(process.env.TRASH_RETENTION_DAYS, DEFAULTS.retentionDays);
+
+/**
+ * When a trashed item becomes eligible for purging
+ *
+ * @param {Date} deletedAt - When the item was trashed
+ * @returns {Date|null} Purge time, or null if the item is not trashed
+ */
+
+
+const getPurgeDate = (deletedAt) => (
+  deletedAt ? new Date(new Date(deletedAt).getTime() + getRetentionDays() * DAY_MS) : null
+);
+
+/**
+ * Permanently delete one trashed post with its comments, reactions, likes,
+ * bookmarks and revisions
+ * Runs in a transaction, so a failure part way leaves the post in the trash
+ * with everything that belongs to it.
+ *
+ * @param {ObjectId} postId - Post ID
+ * @param {Date} cutoff - Only purge if trashed before this time
+ * @returns {Promise<boolean>} True if the post was purged
+ */
+
+
+const purgePost = async (postId, cutoff) => {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.startTransaction();
+
+    const post = await Post.findOneAndDelete({ _id: postId, deletedAt: { $ne: null, $lte: cutoff } }, { session });
+    if (!post) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    // Operations in a transaction run one at a time
+    await Comment.deleteMany({ postId }, { session }).setOptions({ withDeleted: true });
+    await CommentReaction.deleteMany({ post: postId }, { session });
+    await PostLike.deleteMany({ post: postId }, { session });
+    await Bookmark.deleteMany({ post: postId }, { session });
+    await PostRevision.deleteMany({ post: postId }, { session });
+
+    await session.commitTransaction();
+    return true;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Purge everything trashed before the retention cutoff
+ *
+ * @returns {Promise<Object>} { posts, comments } counts of purged items
+ */
+
+
+const runOnce = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+  let posts = 0;
+
+  for (;;) {
+    const expired = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .select('_id')
+      .limit(DEFAULTS.batchSize)
+      .lean();
+
+    for (const { _id } of expired) {
+      if (await purgePost(_id, cutoff)) {
+        posts++;
+      }
+    }
+
+    if (expired.length < DEFAULTS.batchSize) {
+      break;
+    }
+  }
+
+  // Trashed comments with live replies stay as "[deleted]" placeholders in their thread
+  const expiredComments = {
+    deletedAt: { $ne: null, $lte: cutoff },
+    replyCount: { $not: { $gt: 0 } }
+  };
+  const commentIds = await Comment.find(expiredComments).distinct('_id');
+  const { deletedCount: comments } = await Comment.deleteMany({ _id: { $in: commentIds }, ...expiredComments });
+
+  // Keep the reactions of any comment restored while this run was in progress
+  const remaining = await Comment.find({ _id: { $in: commentIds } }).setOptions({ withDeleted: true }).distinct('_id');
+  const remainingIds = new Set(remaining.map(String));
+  await CommentReaction.deleteMany({ comment: { $in: commentIds.filter(id => !remainingIds.has(String(id))) } });
+
+  if (posts > 0 || comments > 0) {
+    logger.info('Trash purged', { posts, comments, cutoff });
+  }
+
+  return { posts, comments };
+};
+
+/**
+ * Queue the next run
+ * Runs are chained with setTimeout so a slow run never overlaps the next one.
+ *
+ * @param {number} delay - Milliseconds until the run
+ * @param {number} intervalMs - Delay between subsequent runs
+ */
+
+
+const scheduleNextRun = (delay, intervalMs) => {
+  timer = setTimeout(async () => {
+    timer = null;
+    currentRun = runOnce().catch((error) => {
+      logger.error('Trash purge run failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    });
+
+    await currentRun;
+    currentRun = null;
+
+    if (isRunning) {
+      scheduleNextRun(intervalMs, intervalMs);
+    }
+  }, delay);
+
+  // Never keep the process alive just for the purger
+  timer.unref();
+};
+
+/**
+ * Start the purger
+ * Call after the database connection is established. The first run happens immediately.
+ */
+
+
+const start = () => {
+  if (isRunning) {
+    return;
+  }
+
+  if (process.env.TRASH_PURGE_ENABLED === 'false') {
+    logger.info('Trash purger disabled');
+    return;
+  }
+
+  const intervalMs = readPositiveInt(process.env.TRASH_PURGE_INTERVAL_MS, DEFAULTS.intervalMs);
+
+  isRunning = true;
+  scheduleNextRun(0, intervalMs);
+
+  logger.info('Trash purger started', { intervalMs, retentionDays: getRetentionDays() });
+};
+
+/**
+ * Stop the purger
+ * Cancels the next run and waits for an in-flight run to finish.
+ *
+ * @returns {Promise<void>}
+ */
+
+
+const stop = async () => {
+  if (!isRunning) {
+    return;
+  }
+
+  isRunning = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentRun) {
+    await currentRun;
+  }
+
+  logger.info('Trash purger stopped');
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getRetentionDays,
+  getPurgeDate
+};
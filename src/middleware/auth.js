@@ -0,0 +1,206 @@
+// File: src/middleware/auth.js
+// Generated: 2026-10-19 17:55:21 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_2onhi90ax7er
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { METHOD_ACTIONS } = require('../config/policies');
+
+const { can, getPolicy, isPublic, requiresDocument } = require('../utils/policy');
+
+const { verifyAccessToken } = require('../utils/jwt');
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null if the header is missing or malformed
+ */
+
+
+const extractBearerToken = (req) => {
+  const header = req.headers.authorization;
+
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Authentication middleware
+ * Verifies the JWT bearer token and populates req.user with { id, role }.
+ * Token errors are forwarded to the error handler, which maps
+ * JsonWebTokenError and TokenExpiredError to 401 responses.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * router.post('/', authenticate, createPost);
+ */
+
+
+const authenticate = (req, res, next) => {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    logger.warn('Missing or malformed bearer token', {
+      method: req.method,
+      path: req.originalUrl
+    });
+    return ApiResponse.unauthorized(res, 'Authentication required');
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+
+    req.user = {
+      id: String(payload.sub),
+      role: payload.role || 'user'
+    };
+
+    return next();
+  } catch (error) {
+    logger.logAuth('token_rejected', {
+      reason: error.name,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Optional authentication middleware
+ * Populates req.user when a valid bearer token is sent and otherwise lets the
+ * request through anonymously, so public routes can tailor their response
+ * (e.g. show authors their own unapproved comments). An invalid token is
+ * treated the same as no token.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * router.get('/:id', optionalAuthenticate, getCommentById);
+ */
+
+
+const optionalAuthenticate = (req, res, next) => {
+  const token = extractBearerToken(req);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+
+    req.user = {
+      id: String(payload.sub),
+      role: payload.role || 'user'
+    };
+  } catch (error) {
+    logger.logAuth('optional_token_ignored', {
+      reason: error.name,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+  }
+
+  return next();
+};
+
+/**
+ * Authorization middleware factory
+ * Delegates to the policy engine (src/config/policies.js). When the route has
+ * an :id param and the policy depends on ownership, the document is loaded,
+ * checked, and attached to req.resource for the controller to reuse.
+ *
+ * @param {string} resource - Resource name (e.g. 'post', 'comment')
+ * @param {string} action - Action name; defaults from the HTTP method
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.delete('/:id', authenticate, authorize('comment'), deleteComment);
+ * router.post('/:id/publish', authenticate, authorize('post', 'update'), publishPost);
+ */
+
+
+const authorize = (resource, action) => {
+  if (!getPolicy(resource)) {
+    throw new Error(`No access policy defined for resource "${resource}"`);
+  }
+
+  return async (req, res, next) => {
+    const resolvedAction = action || METHOD_ACTIONS[req.method];
+
+    if ((!req.user || !req.user.id) && !isPublic(resource, resolvedAction)) {
+      logger.warn('Authorization attempted without authenticated user', {
+        resource,
+        action: resolvedAction,
+        path: req.originalUrl
+      });
+      return ApiResponse.unauthorized(res, 'Authentication required');
+    }
+
+    try {
+      let document = null;
+      const id = req.params.id;
+
+      if (id && requiresDocument(resource, resolvedAction)) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          return ApiResponse.badRequest(res, `Invalid ${resource} ID format`);
+        }
+
+        const policy = getPolicy(resource);
+        const query = mongoose.model(policy.model).findById(id);
+        if ((policy.withDeleted || []).includes(resolvedAction)) {
+          query.setOptions({ withDeleted: true });
+        }
+
+        document = await query;
+        if (!document) {
+          logger.warn(`${resource} not found during authorization`, { id });
+          return ApiResponse.notFound(res, `${resource.charAt(0).toUpperCase()}${resource.slice(1)} not found`);
+        }
+      }
+
+      if (!can(req.user, resource, resolvedAction, document)) {
+        logger.warn('Authorization denied', {
+          resource,
+          action: resolvedAction,
+          resourceId: id,
+          userId: req.user && req.user.id,
+          role: req.user && req.user.role
+        });
+        return ApiResponse.forbidden(res, `You do not have permission to ${resolvedAction} this ${resource}`);
+      }
+
+      req.resource = document;
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+};
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authorize
+};
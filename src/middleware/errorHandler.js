@@ -144,6 +144,11 @@ const errorHandler = (err, req, res, next) => {
     message = 'Token expired';
   }
 
+  if (err.name === 'NotBeforeError') {
+    statusCode = 401;
+    message = 'Token not yet valid';
+  }
+
   // Handle Mongoose Document Not Found Error
   if (err.name === 'DocumentNotFoundError') {
     statusCode = 404;
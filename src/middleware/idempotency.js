@@ -0,0 +1,206 @@
+// File: src/middleware/idempotency.js
+// Generated: 2026-10-19 18:51:02 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_rk7o78ppusga
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency-Key settings
+ * Keys are 1-255 visible ASCII characters. A request holds its key for
+ * LOCK_MS at most (a crashed request frees it after that); successful
+ * responses are replayed for IDEMPOTENCY_KEY_TTL_HOURS.
+ */
+
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+
+const LOCK_MS = 60 * 1000;
+
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Response headers stored with the response and replayed with it
+ */
+
+
+const REPLAYED_HEADERS = ['Location', 'ETag'];
+
+/**
+ * How long a successful response is replayed
+ *
+ * @returns {number} TTL in milliseconds
+ */
+
+
+const getTtlMs = () => {
+  const hours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10);
+  return (Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+};
+
+/**
+ * Copy a JSON value with object keys in sorted order
+ * So bodies that differ only in key order get the same fingerprint
+ *
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Canonical copy
+ */
+
+
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Fingerprint a request by method, path and body
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+
+
+const fingerprintRequest = req => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, `${req.baseUrl}${req.path}`, canonicalize(req.body || {})]))
+  .digest('hex');
+
+/**
+ * Answer a request whose key is already held
+ *
+ * @param {Object} res - Express response object
+ * @param {Object|null} record - Stored IdempotencyKey, or null if it just expired
+ * @param {string} fingerprint - Fingerprint of this request
+ * @returns {Object} Express response
+ */
+
+
+const respondToRetry = (res, record, fingerprint) => {
+  if (record && record.fingerprint !== fingerprint) {
+    return ApiResponse.unprocessableEntity(
+      res,
+      'Idempotency-Key was already used for a different request'
+    );
+  }
+
+  if (!record || record.state !== 'completed') {
+    res.set('Retry-After', '1');
+    return ApiResponse.conflict(res, 'A request with this Idempotency-Key is still being processed');
+  }
+
+  res.set(record.headers || {});
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).type('json').send(record.body);
+};
+
+/**
+ * Idempotency-Key middleware
+ * Lets clients retry a create request safely. The first request with a key
+ * runs normally; once it succeeds (2xx) its response is stored before it is
+ * sent, and a retry with the same key and body gets that response back with
+ * Idempotent-Replayed: true. A retry while the first request is still
+ * running gets 409, and reusing the key for a different body gets 422. If
+ * the first request fails, or answers without res.json, the key is released
+ * so a retry runs again.
+ * Requests without the header are not affected. Must run after authenticate,
+ * since keys are scoped to req.user.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ *
+ * @example
+ * router.post('/', authenticate, authorize('post'), writeLimiter, idempotent, createPostValidation, createPost);
+ */
+
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return ApiResponse.badRequest(res, 'Idempotency-Key must be 1 to 255 visible ASCII characters');
+  }
+
+  const userId = req.user.id;
+  const fingerprint = fingerprintRequest(req);
+  let claimToken;
+
+  try {
+    const claim = await IdempotencyKey.claim(userId, key, fingerprint, LOCK_MS);
+    if (!claim.claimed) {
+      logger.info('Idempotency-Key retry', { userId, path: req.originalUrl, state: claim.record && claim.record.state });
+      return respondToRetry(res, claim.record, fingerprint);
+    }
+    claimToken = claim.claimToken;
+  } catch (error) {
+    return next(error);
+  }
+
+  const logFailure = error => logger.error('Failed to record Idempotency-Key outcome', {
+    userId,
+    path: req.originalUrl,
+    error: error.message
+  });
+  let recorded = false;
+
+  // Store the outcome before the response goes out, so a retry never sees a stale "processing"
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    recorded = true;
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+    const settled = succeeded
+      ? IdempotencyKey.complete(userId, key, claimToken, {
+        statusCode: res.statusCode,
+        headers: REPLAYED_HEADERS.reduce((headers, name) => {
+          const value = res.get(name);
+          return value === undefined ? headers : { ...headers, [name]: value };
+        }, {}),
+        body: JSON.stringify(body)
+      }, getTtlMs())
+      : IdempotencyKey.release(userId, key, claimToken);
+
+    settled
+      .catch(logFailure)
+      .then(() => sendJson(body));
+
+    return res;
+  };
+
+  // Responses sent without res.json (res.send, res.end, a failed write) are
+  // released once they end. A client that disconnects mid-request leaves the
+  // claim in place: the handler is still running and its retry must not race it.
+  res.on('close', () => {
+    if (!recorded && res.writableEnded) {
+      IdempotencyKey.release(userId, key, claimToken).catch(logFailure);
+    }
+  });
+
+  return next();
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,102 @@
+// File: src/middleware/patch.js
+// Generated: 2026-10-19 18:44:37 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_3hay1ijfd1qa
+
+
+const ApiResponse = require('../utils/apiResponse');
+
+
+const logger = require('../utils/logger');
+
+const { isDeepStrictEqual } = require('util');
+
+const { applyMergePatch, applyJsonPatch } = require('../utils/patch');
+
+/**
+ * Supported PATCH media types and how each is applied
+ */
+
+
+const PATCH_TYPES = {
+  'application/merge-patch+json': applyMergePatch,
+  'application/json-patch+json': applyJsonPatch
+};
+
+/**
+ * Value sent for a field the patch removed
+ * @param {*} value - The field's current value
+ * @returns {Array|null} An empty list for list fields, otherwise null
+ */
+
+
+const removedValue = value => (Array.isArray(value) ? [] : null);
+
+/**
+ * Turn a PATCH document into an update body
+ * Applies the merge patch (RFC 7396) or JSON Patch (RFC 6902) to the
+ * editable fields of req.resource (see toEditable on the Post and Comment
+ * models) and replaces req.body with just the fields the patch changed, so
+ * the same field validation and update handler as PUT apply. A list the
+ * patch removes is sent as [], any other removed field as null (which
+ * validation rejects for required fields). Must run after authorize(), which loads
+ * req.resource.
+ *
+ * Responds 415 for other content types, 400/422/409 when the patch cannot
+ * be applied, and 422 when it touches fields that cannot be edited.
+ *
+ * @example
+ * router.patch('/:id', authenticate, authorize('post'), patchBody, patchPostValidation, updatePost);
+ */
+
+
+const patchBody = async (req, res, next) => {
+  const type = req.is(Object.keys(PATCH_TYPES));
+  if (!type) {
+    return ApiResponse.unsupportedMediaType(
+      res,
+      `PATCH requires Content-Type ${Object.keys(PATCH_TYPES).join(' or ')}`
+    );
+  }
+
+  try {
+    const current = await req.resource.toEditable();
+
+    let patched;
+    try {
+      patched = PATCH_TYPES[type](current, req.body);
+    } catch (error) {
+      if (!error.statusCode) {
+        throw error;
+      }
+      logger.warn('Patch could not be applied', { path: req.path, type, error: error.message });
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+
+    if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+      return ApiResponse.unprocessableEntity(res, 'The patched document must be an object');
+    }
+
+    const unknown = Object.keys(patched).filter(field => !Object.prototype.hasOwnProperty.call(current, field));
+    if (unknown.length > 0) {
+      logger.warn('Patch touches fields that cannot be edited', { path: req.path, fields: unknown });
+      return ApiResponse.unprocessableEntity(res, `These fields cannot be edited: ${unknown.join(', ')}`);
+    }
+
+    req.body = Object.keys(current).reduce((changes, field) => {
+      if (!isDeepStrictEqual(patched[field], current[field])) {
+        changes[field] = patched[field] !== undefined ? patched[field] : removedValue(current[field]);
+      }
+      return changes;
+    }, {});
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+module.exports = {
+  patchBody,
+  PATCH_TYPES
+};
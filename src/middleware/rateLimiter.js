@@ -9,7 +9,9 @@ const config = require('../config/env');
 
 const rateLimit = require('express-rate-limit');
 
-* from abuse and ensure fair usage across all clients.
+/**
+ * Rate limiting middleware that protects the API
+ * from abuse and ensure fair usage across all clients.
  *
  * Features:
  * - Multiple rate limiter configurations for different endpoint types
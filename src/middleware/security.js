@@ -79,8 +79,8 @@ const configureSecurityMiddleware = (app) => {
       credentials: true,
       optionsSuccessStatus: 200,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-      exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-None-Match', 'If-Modified-Since', 'If-Match', 'Idempotency-Key'],
+      exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'Link', 'ETag', 'Idempotent-Replayed', 'Retry-After'],
       maxAge: 86400, // 24 hours
     };
 
@@ -123,7 +123,7 @@ const configureSecurityMiddleware = (app) => {
     // Stricter rate limit for authentication routes
     const authLimiter = rateLimit({
       windowMs: 15 * 60 * 1000, // 15 minutes
-      max: 5, // 5 requests per window
+      max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 5, // 5 requests per window
       message: {
         success: false,
         error: 'Too many authentication attempts, please try again later.',
@@ -142,8 +142,8 @@ const configureSecurityMiddleware = (app) => {
       },
     });
 
-    app.use('/api/auth/login', authLimiter);
-    app.use('/api/auth/register', authLimiter);
+    app.use('/api/v1/auth/login', authLimiter);
+    app.use('/api/v1/auth/register', authLimiter);
     logger.info('Authentication rate limiting configured');
 
     // 4. MongoDB Sanitization - Prevent NoSQL injection
@@ -8,6 +8,8 @@ const ApiResponse = require('../utils/apiResponse');
 
 const { body, param, query, validationResult } = require('express-validator');
 
+const { parseFilter, parseSort, parseFields } = require('../utils/queryBuilder');
+
 /**
  * Validation rules for creating a new post
  *
@@ -30,14 +32,7 @@ const validateCreatePost = [
     .notEmpty()
     .withMessage('Content is required')
     .isLength({ min: 10 })
-    .withMessage('Content must be at least 10 characters long'),
-
-  body('author')
-    .trim()
-    .notEmpty()
-    .withMessage('Author is required')
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters')
+    .withMessage('Content must be at least 10 characters long')
 ];
 
 /**
@@ -63,17 +58,11 @@ const validateUpdatePost = [
     .isLength({ min: 10 })
     .withMessage('Content must be at least 10 characters long'),
 
-  body('author')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters'),
-
   body()
     .custom((value, { req }) => {
-      const hasAtLeastOneField = req.body.title || req.body.content || req.body.author;
+      const hasAtLeastOneField = req.body.title || req.body.content;
       if (!hasAtLeastOneField) {
-        throw new Error('At least one field (title, content, or author) must be provided for update');
+        throw new Error('At least one field (title or content) must be provided for update');
       }
       return true;
     })
@@ -96,13 +85,6 @@ const validateCreateComment = [
     .isLength({ min: 3, max: 500 })
     .withMessage('Comment content must be between 3 and 500 characters'),
 
-  body('author')
-    .trim()
-    .notEmpty()
-    .withMessage('Author is required')
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters'),
-
   body('postId')
     .notEmpty()
     .withMessage('Post ID is required')
@@ -201,6 +183,97 @@ const validateSearch = [
     .withMessage('Order must be either asc or desc')
 ];
 
+/**
+ * Validation rules for the version an update was based on
+ * The body's version is the document's __v; an If-Match header can be sent
+ * instead (see checkPrecondition in utils/conditional.js).
+ *
+ * @type {Array}
+ * @example
+ * router.put('/posts/:id', validateVersion, handleValidationErrors, updatePost);
+ */
+
+
+const validateVersion = [
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for cursor pagination
+ * cursor is opaque (see utils/cursor.js); paginate=cursor asks for the first
+ * cursor page. A page number cannot be combined with either.
+ *
+ * @type {Array}
+ * @example
+ * router.get('/posts', validateCursor, handleValidationErrors, getPosts);
+ */
+
+
+const validateCursor = [
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('Cursor must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Cursor must not be empty')
+    .isLength({ max: 300 })
+    .withMessage('Cursor is too long'),
+
+  query('paginate')
+    .optional()
+    .isIn(['offset', 'cursor'])
+    .withMessage('paginate must be offset or cursor'),
+
+  query('page')
+    .optional()
+    .custom((page, { req }) => {
+      if (req.query.cursor || req.query.paginate === 'cursor') {
+        throw new Error('page cannot be combined with cursor pagination');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for list filters, sort and sparse fieldsets
+ * Runs the query builder's parsers so unknown fields, operators and values
+ * are rejected with the builder's message (see utils/queryBuilder.js).
+ *
+ * @param {Object} spec - List query spec
+ * @returns {Array} Validation chains
+ * @example
+ * router.get('/posts', validateListQuery(POST_LIST_QUERY), handleValidationErrors, getPosts);
+ */
+
+
+const validateListQuery = (spec) => [
+  ...Object.keys(spec.filters || {}).map(field => query(field)
+    .optional()
+    .custom((value) => {
+      parseFilter({ [field]: value }, { [field]: spec.filters[field] });
+      return true;
+    })),
+
+  query('sort')
+    .optional()
+    .custom((value) => {
+      parseSort(value, spec.sort);
+      return true;
+    }),
+
+  query('fields')
+    .optional()
+    .custom((value) => {
+      parseFields(value, spec.fields);
+      return true;
+    })
+];
+
 /**
  * Middleware to handle validation errors
  * Must be used after validation rule chains
@@ -271,14 +344,7 @@ const validateCommentCreate = [
     .notEmpty()
     .withMessage('Comment content is required')
     .isLength({ min: 3, max: 500 })
-    .withMessage('Comment content must be between 3 and 500 characters'),
-
-  body('author')
-    .trim()
-    .notEmpty()
-    .withMessage('Author is required')
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters')
+    .withMessage('Comment content must be between 3 and 500 characters')
 ];
 
 /**
@@ -298,17 +364,11 @@ const validateCommentUpdate = [
     .isLength({ min: 3, max: 500 })
     .withMessage('Comment content must be between 3 and 500 characters'),
 
-  body('author')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters'),
-
   body()
     .custom((value, { req }) => {
-      const hasAtLeastOneField = req.body.content || req.body.author;
+      const hasAtLeastOneField = req.body.content;
       if (!hasAtLeastOneField) {
-        throw new Error('At least one field (content or author) must be provided for update');
+        throw new Error('Comment content must be provided for update');
       }
       return true;
     })
@@ -323,6 +383,9 @@ const Validator = {
   validateCommentId,
   validatePagination,
   validateSearch,
+  validateCursor,
+  validateVersion,
+  validateListQuery,
   handleValidationErrors,
   validatePostUpdate,
   validateCommentCreate,
@@ -0,0 +1,199 @@
+// File: src/migrations/001-author-references.js
+// Generated: 2026-10-19 17:59:16 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_8ntur8plrlec
+
+
+const User = require('../models/User');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Migration: convert free-text author strings to User references
+ *
+ * Posts and comments used to store the author as a plain string (a display
+ * name for posts, the user ID as a string for comments). This migration
+ * rewrites every such document so `author` is an ObjectId referencing a User
+ * and `authorName` holds the denormalized display name.
+ *
+ * Mapping rules, in order:
+ * 1. A string that is a valid ObjectId of an existing user maps to that user
+ * 2. A string matching an existing user's name (case-insensitive) maps to the
+ *    oldest such user
+ * 3. Anything else creates a placeholder account with an unusable password
+ *
+ * The migration is idempotent: documents whose author is already an ObjectId
+ * are skipped. Run with --dry-run to report the mapping without writing.
+ *
+ * Usage:
+ *   npm run migrate:authors
+ *   npm run migrate:authors -- --dry-run
+ */
+
+
+const UNKNOWN_AUTHOR_NAME = 'Unknown author';
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create a placeholder user for an author name with no matching account
+ * The email uses the reserved .invalid TLD and the password is random,
+ * so the account cannot be logged into until an admin claims it.
+ *
+ * @param {string} name - Author display name
+ * @returns {Promise<User>} Created user
+ */
+
+
+const createPlaceholderUser = (name) => {
+  const id = crypto.randomBytes(8).toString('hex');
+
+  return User.create({
+    name,
+    email: `migrated-author-${id}@users.invalid`,
+    password: crypto.randomBytes(32).toString('base64')
+  });
+};
+
+/**
+ * Resolve a legacy author string to a user
+ *
+ * @param {string|null} rawAuthor - Legacy author value
+ * @param {Map} cache - Cache of resolved authors keyed by normalized name
+ * @param {Object} stats - Counters updated in place
+ * @param {boolean} dryRun - Skip creating placeholder users
+ * @returns {Promise<Object>} { _id, name } of the resolved user
+ */
+
+
+const resolveAuthor = async (rawAuthor, cache, stats, dryRun) => {
+  let name = typeof rawAuthor === 'string' ? rawAuthor.trim() : '';
+  if (name.length < 2) {
+    name = UNKNOWN_AUTHOR_NAME;
+  }
+  name = name.substring(0, 100);
+
+  const cacheKey = name.toLowerCase();
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let user = null;
+
+  if (mongoose.Types.ObjectId.isValid(name) && String(new mongoose.Types.ObjectId(name)) === name) {
+    user = await User.findById(name).select('name');
+  }
+
+  if (!user) {
+    user = await User.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') })
+      .sort({ createdAt: 1 })
+      .select('name');
+  }
+
+  if (user) {
+    stats.matchedUsers += 1;
+  } else {
+    stats.placeholderUsers += 1;
+    user = dryRun
+      ? { _id: null, name }
+      : await createPlaceholderUser(name);
+    logger.info('Created placeholder author account', { name, userId: user._id });
+  }
+
+  const resolved = { _id: user._id, name: user.name };
+  cache.set(cacheKey, resolved);
+  return resolved;
+};
+
+/**
+ * Migrate one collection
+ * Uses the raw driver collection so legacy string values are not cast by the schema
+ *
+ * @param {string} collectionName - MongoDB collection name
+ * @param {Map} cache - Shared author cache
+ * @param {Object} stats - Counters updated in place
+ * @param {boolean} dryRun - Report only
+ * @returns {Promise<number>} Number of documents migrated
+ */
+
+
+const migrateCollection = async (collectionName, cache, stats, dryRun) => {
+  const collection = mongoose.connection.collection(collectionName);
+  const cursor = collection.find(
+    { $or: [{ author: { $type: 'string' } }, { author: null }] },
+    { projection: { author: 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const doc of cursor) {
+    const user = await resolveAuthor(doc.author, cache, stats, dryRun);
+
+    if (!dryRun) {
+      // Match on the old value so a concurrent edit is not overwritten
+      await collection.updateOne(
+        { _id: doc._id, author: doc.author === undefined ? null : doc.author },
+        { $set: { author: user._id, authorName: user.name } }
+      );
+    }
+
+    migrated += 1;
+  }
+
+  logger.info(`Migrated ${collectionName} authors`, { collection: collectionName, migrated, dryRun });
+  return migrated;
+};
+
+/**
+ * Run the migration
+ *
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report the mapping without writing
+ * @returns {Promise<Object>} Migration statistics
+ */
+
+
+const up = async ({ dryRun = false } = {}) => {
+  const cache = new Map();
+  const stats = { posts: 0, comments: 0, matchedUsers: 0, placeholderUsers: 0 };
+
+  stats.posts = await migrateCollection('posts', cache, stats, dryRun);
+  stats.comments = await migrateCollection('comments', cache, stats, dryRun);
+
+  logger.info('Author reference migration completed', { ...stats, dryRun });
+  return stats;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => up({ dryRun }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Author reference migration failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,83 @@
+// File: src/migrations/002-comment-moderation.js
+// Generated: 2026-10-19 18:13:08 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_iviuvc6l0pxg
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Migration: comment moderation fields
+ *
+ * Comments created before moderation have no status; they were already
+ * public, so they are marked approved. Posts used an (unenforced)
+ * commentsDisabled flag; posts with it set become "closed" and every other
+ * post without a mode becomes "open". The flag is removed.
+ *
+ * The migration is idempotent: only documents missing the new fields are
+ * touched. Run with --dry-run to report counts without writing.
+ *
+ * Usage:
+ *   npm run migrate:comment-moderation
+ *   npm run migrate:comment-moderation -- --dry-run
+ */
+
+
+const up = async ({ dryRun = false } = {}) => {
+  const comments = mongoose.connection.collection('comments');
+  const posts = mongoose.connection.collection('posts');
+
+  const steps = [
+    {
+      name: 'approvedComments',
+      collection: comments,
+      filter: { status: { $exists: false } },
+      update: { $set: { status: 'approved' } }
+    },
+    {
+      name: 'closedPosts',
+      collection: posts,
+      filter: { commentModeration: { $exists: false }, commentsDisabled: true },
+      update: { $set: { commentModeration: 'closed' }, $unset: { commentsDisabled: '' } }
+    },
+    {
+      name: 'openPosts',
+      collection: posts,
+      filter: { commentModeration: { $exists: false } },
+      update: { $set: { commentModeration: 'open' }, $unset: { commentsDisabled: '' } }
+    }
+  ];
+
+  const stats = {};
+  for (const step of steps) {
+    stats[step.name] = dryRun
+      ? await step.collection.countDocuments(step.filter)
+      : (await step.collection.updateMany(step.filter, step.update)).modifiedCount;
+  }
+
+  logger.info('Comment moderation migration completed', { ...stats, dryRun });
+  return stats;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => up({ dryRun }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Comment moderation migration failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,56 @@
+// File: src/migrations/003-search-suggestions.js
+// Generated: 2026-10-19 18:28:13 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_uoo0pw9bjzyw
+
+
+const logger = require('../utils/logger');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+// Registers the Post, Tag and User models the rebuild reads from
+require('../models/Post');
+require('../models/User');
+
+
+const SearchSuggestion = require('../models/SearchSuggestion');
+
+/**
+ * Migration: search suggestions
+ *
+ * Builds the autocomplete index (titles, tags and authors of published
+ * posts) for posts that existed before suggestions were added. From then
+ * on the Post hooks keep it up to date. The index is dropped and rebuilt,
+ * so the migration can be re-run to repair it. Run with --dry-run to
+ * report counts without writing.
+ *
+ * Usage:
+ *   npm run migrate:search-suggestions
+ *   npm run migrate:search-suggestions -- --dry-run
+ */
+
+
+const up = async ({ dryRun = false } = {}) => {
+  const stats = await SearchSuggestion.rebuild({ dryRun });
+
+  logger.info('Search suggestions migration completed', { ...stats, dryRun });
+  return stats;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => up({ dryRun }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Search suggestions migration failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
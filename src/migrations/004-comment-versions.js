@@ -0,0 +1,61 @@
+// File: src/migrations/004-comment-versions.js
+// Generated: 2026-10-19 18:41:41 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_tgqxbiux5lf5
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Migration: comment versions
+ *
+ * Comments used to be stored without a version key. Editing now requires
+ * the comment's version (__v) or ETag, and optimistic concurrency compares
+ * __v on save, so comments without one are given version 0. Posts always
+ * had a version key and are left alone.
+ *
+ * The migration is idempotent: only comments missing __v are touched.
+ * Run with --dry-run to report counts without writing.
+ *
+ * Usage:
+ *   npm run migrate:comment-versions
+ *   npm run migrate:comment-versions -- --dry-run
+ */
+
+
+const up = async ({ dryRun = false } = {}) => {
+  const comments = mongoose.connection.collection('comments');
+  const filter = { __v: { $exists: false } };
+
+  const stats = {
+    versionedComments: dryRun
+      ? await comments.countDocuments(filter)
+      : (await comments.updateMany(filter, { $set: { __v: 0 } })).modifiedCount
+  };
+
+  logger.info('Comment versions migration completed', { ...stats, dryRun });
+  return stats;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => up({ dryRun }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Comment versions migration failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
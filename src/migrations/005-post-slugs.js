@@ -0,0 +1,91 @@
+// File: src/migrations/005-post-slugs.js
+// Generated: 2026-10-19 19:06:28 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_sp9okcyx0krj
+
+
+const Post = require('../models/Post');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+const { slugify } = require('../utils/slugify');
+
+/**
+ * Migration: post slugs
+ *
+ * Posts created before slugs existed have no slug, and the unique index on
+ * slug cannot be built while several posts share the missing value. This
+ * migration gives every such post a slug generated from its title, oldest
+ * first so the earliest post gets the plain slug and later ones a numbered
+ * variant, and then builds the post indexes. Trashed posts get a slug too,
+ * since they keep it when restored.
+ *
+ * The migration is idempotent: posts that already have a slug are skipped.
+ * Run with --dry-run to report counts without writing.
+ *
+ * Usage:
+ *   npm run migrate:post-slugs
+ *   npm run migrate:post-slugs -- --dry-run
+ */
+
+
+const MISSING_SLUG = { $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] };
+
+/**
+ * Run the migration
+ * Uses the raw driver collection so the post hooks (revisions, version bumps,
+ * search suggestions) do not run for a slug backfill
+ *
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report counts without writing
+ * @returns {Promise<Object>} Migration statistics
+ */
+
+
+const up = async ({ dryRun = false } = {}) => {
+  const posts = mongoose.connection.collection('posts');
+  const stats = { sluggedPosts: 0 };
+
+  if (dryRun) {
+    stats.sluggedPosts = await posts.countDocuments(MISSING_SLUG);
+  } else {
+    const cursor = posts.find(MISSING_SLUG, { projection: { title: 1, slug: 1 } }).sort({ createdAt: 1, _id: 1 });
+
+    for await (const doc of cursor) {
+      const slug = await Post.findAvailableSlug(slugify(doc.title), doc._id);
+
+      // Match on the missing slug so a post saved meanwhile keeps the slug its hook generated
+      const { modifiedCount } = await posts.updateOne({ _id: doc._id, ...MISSING_SLUG }, { $set: { slug } });
+      stats.sluggedPosts += modifiedCount;
+    }
+
+    await Post.createIndexes();
+  }
+
+  logger.info('Post slugs migration completed', { ...stats, dryRun });
+  return stats;
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  connectDB()
+    .then(() => up({ dryRun }))
+    .then(() => disconnectDB())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('Post slugs migration failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,84 @@
+// File: src/models/Bookmark.js
+// Generated: 2026-10-19 18:19:22 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_hfx6gp3qtykw
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Bookmark Schema
+ * A post saved to a user's reading list
+ */
+
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required'],
+    index: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes
+ * A user bookmarks a post at most once; the reading list is read newest
+ * first with (createdAt, _id) as the cursor
+ */
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+/**
+ * Static method: bookmark
+ * @param {ObjectId|String} postId - Post ID
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<Boolean>} True if the bookmark was added, false if it already existed
+ */
+bookmarkSchema.statics.bookmark = async function(postId, userId) {
+  try {
+    const result = await this.updateOne(
+      { post: postId, user: userId },
+      { $setOnInsert: { post: postId, user: userId } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // A concurrent request inserted the same bookmark first
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Static method: unbookmark
+ * @param {ObjectId|String} postId - Post ID
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<Boolean>} True if a bookmark was removed
+ */
+bookmarkSchema.statics.unbookmark = async function(postId, userId) {
+  const { deletedCount } = await this.deleteOne({ post: postId, user: userId });
+  return deletedCount === 1;
+};
+
+/**
+ * Static method: findBookmarkedPostIds
+ * @param {ObjectId|String} userId - User ID
+ * @param {Array<ObjectId>} postIds - Posts to check
+ * @returns {Promise<Set<String>>} IDs of the given posts the user has bookmarked
+ */
+bookmarkSchema.statics.findBookmarkedPostIds = async function(userId, postIds) {
+  const bookmarks = await this.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(bookmarks.map(bookmark => String(bookmark.post)));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
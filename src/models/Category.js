@@ -0,0 +1,154 @@
+// File: src/models/Category.js
+// Generated: 2026-10-19 18:21:47 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_a4xbbzvqc7zb
+
+
+const mongoose = require('mongoose');
+
+const { slugify } = require('../utils/slugify');
+
+/**
+ * Deepest allowed category level (top-level categories are depth 0)
+ */
+
+
+const CATEGORY_MAX_DEPTH = 4;
+
+/**
+ * Most categories a single post can be in
+ */
+
+
+const MAX_CATEGORIES_PER_POST = 5;
+
+/**
+ * Category Schema
+ * Categories form a tree. Like comments, each stores a materialized path of
+ * ancestor IDs, so a whole subtree is found with one prefix query.
+ */
+
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name cannot exceed 60 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: ''
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Ancestor IDs and this category's ID joined by '/'
+  path: {
+    type: String,
+    index: true
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [CATEGORY_MAX_DEPTH, `Categories cannot be nested more than ${CATEGORY_MAX_DEPTH} levels deep`]
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pre-validate hook
+ * Derives the slug from the name and path/depth from the parent
+ */
+categorySchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name, 'category');
+  }
+
+  if (!this.isNew) {
+    return;
+  }
+
+  if (!this.parent) {
+    this.path = this._id.toHexString();
+    this.depth = 0;
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('path depth');
+  if (!parent) {
+    this.invalidate('parent', 'Parent category does not exist', this.parent);
+    return;
+  }
+
+  this.path = `${parent.path}/${this._id.toHexString()}`;
+  this.depth = parent.depth + 1;
+});
+
+/**
+ * Static method: findSubtreeIds
+ * @param {String} slug - Category slug
+ * @returns {Promise<Array<ObjectId>|null>} IDs of the category and all its
+ * descendants, or null if there is no such category
+ */
+categorySchema.statics.findSubtreeIds = async function(slug) {
+  const category = await this.findOne({ slug }).select('path').lean();
+  if (!category) {
+    return null;
+  }
+
+  const descendants = await this.find({ path: new RegExp(`^${category.path}/`) }).select('_id').lean();
+  return [category._id, ...descendants.map(descendant => descendant._id)];
+};
+
+/**
+ * Static method: findTree
+ * Every category nested under its parent, siblings sorted by name. Each
+ * node carries postCount, the number of published posts assigned to it
+ * directly.
+ *
+ * @returns {Promise<Array<Object>>} Top-level category nodes with children
+ */
+categorySchema.statics.findTree = async function() {
+  const [categories, usage] = await Promise.all([
+    this.find().sort({ name: 1 }).select('name slug description parent depth').lean(),
+    mongoose.model('Post').aggregate([
+      { $match: { status: 'published', categories: { $exists: true, $ne: [] } } },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const counts = new Map(usage.map(entry => [String(entry._id), entry.count]));
+  const nodes = new Map(categories.map(category => [String(category._id), {
+    id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    depth: category.depth,
+    postCount: counts.get(String(category._id)) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  categories.forEach(category => {
+    const node = nodes.get(String(category._id));
+    const parent = category.parent && nodes.get(String(category.parent));
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+module.exports = mongoose.model('Category', categorySchema);
+module.exports.CATEGORY_MAX_DEPTH = CATEGORY_MAX_DEPTH;
+module.exports.MAX_CATEGORIES_PER_POST = MAX_CATEGORIES_PER_POST;
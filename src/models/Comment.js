@@ -7,14 +7,72 @@
 const createDOMPurify = require('isomorphic-dompurify');
 
 
+const crypto = require('crypto');
+
+
 const mongoose = require('mongoose');
 
-* Mongoose schema for blog comments with cascade delete support
+
+const softDelete = require('./plugins/softDelete');
+
+const { REACTION_TYPES } = require('./CommentReaction');
+
+/**
+ * Comment Model
+ * Mongoose schema for blog comments with cascade delete support
  */
 
 
 const MAX_PAGINATION_LIMIT = 100;
 
+/**
+ * Deepest allowed reply level (top-level comments are depth 0)
+ */
+
+
+const COMMENT_MAX_DEPTH = 5;
+
+/**
+ * Maximum replies returned per comment in a threaded listing
+ */
+
+
+const MAX_REPLY_LIMIT = 50;
+
+/**
+ * Moderation statuses; only approved comments are shown to the public
+ */
+
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+/**
+ * Content shown in place of a trashed comment that still has replies
+ */
+
+
+const DELETED_PLACEHOLDER = '[deleted]';
+
+/**
+ * Spam-check fields that are never shown outside the moderation queue
+ */
+
+
+const PRIVATE_FIELDS = ['authorIp', 'contentHash', 'spamScore', 'spamReasons'];
+
+/**
+ * Listing orders accepted by findByPostId and findThreadsByPostId
+ * top ranks by score; controversial by how many votes are split evenly
+ */
+
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  top: { score: -1, createdAt: -1, _id: -1 },
+  controversial: { controversy: -1, createdAt: -1, _id: -1 }
+};
+
 /**
  * Comment Schema Definition
  * Defines the structure for comment documents in MongoDB
@@ -37,15 +95,26 @@ const commentSchema = new mongoose.Schema(
     },
 
     /**
-     * Author name
-     * @type {String}
+     * Reference to the authoring user
+     * @type {ObjectId}
+     * @ref User
      * @required
      */
     author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Author is required'],
+      index: true
+    },
+
+    /**
+     * Denormalized author display name
+     * Kept in sync when the user renames themselves
+     * @type {String}
+     */
+    authorName: {
       type: String,
-      required: [true, 'Author name is required'],
       trim: true,
-      minlength: [1, 'Author name cannot be empty'],
       maxlength: [100, 'Author name cannot exceed 100 characters']
     },
 
@@ -68,20 +137,179 @@ const commentSchema = new mongoose.Schema(
         },
         message: 'Referenced post does not exist'
       }
+    },
+
+    /**
+     * Moderation status
+     * Set by the controller from the post's moderation mode on creation
+     * @type {String}
+     */
+    status: {
+      type: String,
+      enum: {
+        values: COMMENT_STATUSES,
+        message: '{VALUE} is not a valid comment status'
+      },
+      default: 'pending'
+    },
+
+    /**
+     * Spam pipeline result (see utils/spam.js)
+     * High scores route the comment to pending or spam on creation
+     */
+    spamScore: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    spamReasons: {
+      type: [{
+        _id: false,
+        checker: String,
+        reason: String,
+        score: Number
+      }],
+      default: [],
+      select: false
+    },
+
+    /**
+     * Submitting client address, used for per-IP velocity checks
+     * @type {String}
+     */
+    authorIp: {
+      type: String,
+      default: null,
+      select: false
+    },
+
+    /**
+     * Hash of the normalized content, used to detect duplicate submissions
+     * @type {String}
+     */
+    contentHash: {
+      type: String,
+      select: false
+    },
+
+    /**
+     * Moderator who last changed the status, and when
+     */
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    moderatedAt: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * Comment this is a reply to; null for top-level comments
+     * @type {ObjectId}
+     * @ref Comment
+     */
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null
+    },
+
+    /**
+     * Materialized path: ancestor IDs and this comment's ID joined by '/'
+     * Descendants of a comment are the comments whose path starts with "<path>/"
+     * @type {String}
+     */
+    path: {
+      type: String,
+      index: true
+    },
+
+    /**
+     * Nesting level, 0 for top-level comments
+     * @type {Number}
+     */
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: [COMMENT_MAX_DEPTH, `Replies cannot be nested more than ${COMMENT_MAX_DEPTH} levels deep`]
+    },
+
+    /**
+     * Number of direct replies that are not in the trash
+     * Keeps trashed comments with live replies visible as placeholders
+     * @type {Number}
+     */
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    /**
+     * Cached reaction totals, one counter per reaction type
+     * Maintained by applyReactionDelta; the reactions themselves live in
+     * the CommentReaction collection
+     */
+    reactions: Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0, min: 0 }])),
+
+    /**
+     * Positive votes (upvote, like) minus downvotes
+     * @type {Number}
+     */
+    score: {
+      type: Number,
+      default: 0
+    },
+
+    /**
+     * Large when many positive and negative votes balance out, 0 when the
+     * votes are one-sided: (positive + negative) ^ (smaller / larger)
+     * @type {Number}
+     */
+    controversy: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt fields
-    versionKey: false
+    // __v is exposed as the version clients send back when editing; saves fail
+    // with a VersionError if the comment changed since it was loaded
+    optimisticConcurrency: true
   }
 );
 
+/**
+ * Soft delete
+ * Trashed comments are hidden from queries until restored or purged
+ */
+commentSchema.plugin(softDelete);
+
 /**
  * Indexes for query optimization
  * Compound index for efficient querying of comments by post with sorting
  */
 commentSchema.index({ postId: 1, createdAt: -1 });
 
+// Top-level comments of a post and direct replies of a comment
+commentSchema.index({ postId: 1, parentId: 1, createdAt: 1 });
+
+// Top and controversial listings
+commentSchema.index({ postId: 1, score: -1 });
+commentSchema.index({ postId: 1, controversy: -1 });
+
+// Moderation queue, oldest first
+commentSchema.index({ status: 1, createdAt: 1 });
+
+// Spam checks: duplicate content and submission velocity
+commentSchema.index({ contentHash: 1, createdAt: -1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ authorIp: 1, createdAt: -1 });
+
 /**
  * Virtual for comment ID as string
  * Useful for consistent ID handling in API responses
@@ -99,7 +327,7 @@ commentSchema.set('toJSON', {
   transform: function (doc, ret) {
     ret.id = ret._id.toHexString();
     delete ret._id;
-    delete ret.__v;
+    PRIVATE_FIELDS.forEach(field => delete ret[field]);
     return ret;
   }
 });
@@ -120,17 +348,102 @@ function sanitizeInput(input) {
   });
 }
 
+/**
+ * Pre-validate hook
+ * Derives path and depth for new comments from the parent. A reply must
+ * belong to the same post as its parent and respect COMMENT_MAX_DEPTH.
+ */
+commentSchema.pre('validate', async function () {
+  if (!this.isNew) {
+    return;
+  }
+
+  if (!this.parentId) {
+    this.path = this._id.toHexString();
+    this.depth = 0;
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parentId).select('postId path depth');
+  if (!parent) {
+    this.invalidate('parentId', 'Parent comment does not exist', this.parentId);
+    return;
+  }
+  if (this.postId && !parent.belongsToPost(this.postId)) {
+    this.invalidate('parentId', 'Parent comment belongs to a different post', this.parentId);
+    return;
+  }
+
+  // Comments created before threading have no path; their ID is their path
+  this.path = `${parent.path || parent._id.toHexString()}/${this._id.toHexString()}`;
+  this.depth = (parent.depth || 0) + 1;
+});
+
+/**
+ * Pre-save hook
+ * Works out how the parent's replyCount changes: +1 for a new or restored
+ * reply, -1 for a reply moved to the trash. Applied in the post-save hook.
+ */
+commentSchema.pre('save', function (next) {
+  this.$locals.replyCountDelta = 0;
+  if (this.parentId) {
+    if (this.isNew) {
+      this.$locals.replyCountDelta = 1;
+    } else if (this.isModified('deletedAt')) {
+      this.$locals.replyCountDelta = this.deletedAt ? -1 : 1;
+    }
+  }
+  next();
+});
+
+/**
+ * Post-save hook
+ * Keeps the parent's replyCount in step; the parent may itself be trashed
+ */
+commentSchema.post('save', async function () {
+  const delta = this.$locals.replyCountDelta;
+  if (!delta) {
+    return;
+  }
+  this.$locals.replyCountDelta = 0;
+
+  await this.constructor.updateOne({ _id: this.parentId }, { $inc: { replyCount: delta } })
+    .setOptions({ withDeleted: true });
+});
+
+/**
+ * Hash comment content for duplicate detection
+ * Ignores case, markup, punctuation and whitespace so trivial variations of
+ * the same message produce the same hash
+ * @param {String} content - Comment content
+ * @returns {String} Hex SHA-256 hash
+ */
+
+
+function hashContent(content) {
+  const normalized = String(content || '')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
 /**
  * Pre-save hook for additional validation
  * Ensures data integrity before saving to database
  */
 commentSchema.pre('save', function (next) {
-  // Trim whitespace and sanitize content and author
+  // Trim whitespace and sanitize content and author name
   if (this.content) {
     this.content = sanitizeInput(this.content.trim());
   }
-  if (this.author) {
-    this.author = sanitizeInput(this.author.trim());
+  if (this.authorName) {
+    this.authorName = sanitizeInput(this.authorName.trim());
+  }
+  if (this.isModified('content')) {
+    this.contentHash = hashContent(this.content);
   }
   next();
 });
@@ -153,17 +466,29 @@ commentSchema.statics.deleteByPostId = async function (postId) {
  * @returns {Promise<Number>} Comment count
  */
 commentSchema.statics.countByPostId = async function (postId) {
-  return await this.countDocuments({ postId });
+  return await this.countDocuments({ postId, status: 'approved' });
 };
 
 /**
- * Static method to find comments by post with pagination
+ * Resolve a listing order
+ *
+ * @param {String|Object} sort - A COMMENT_SORTS name or a Mongoose sort
+ * @returns {String|Object} Mongoose sort
+ */
+
+
+function resolveSort(sort) {
+  return COMMENT_SORTS[sort] || sort || COMMENT_SORTS.newest;
+}
+
+/**
+ * Static method to find approved comments by post with pagination
  *
  * @param {ObjectId} postId - The ID of the post
  * @param {Object} options - Pagination options
  * @param {Number} options.page - Page number (default: 1)
  * @param {Number} options.limit - Items per page (default: 10)
- * @param {String} options.sort - Sort order (default: '-createdAt')
+ * @param {String} options.sort - newest (default), oldest, top, controversial, or a Mongoose sort
  * @returns {Promise<Array>} Array of comments
  */
 commentSchema.statics.findByPostId = async function (postId, options = {}) {
@@ -173,16 +498,246 @@ commentSchema.statics.findByPostId = async function (postId, options = {}) {
   // Cap the limit to prevent DoS attacks
   limit = Math.min(Math.max(1, limit), MAX_PAGINATION_LIMIT);
 
-  const sort = options.sort || '-createdAt';
   const skip = (page - 1) * limit;
 
-  return await this.find({ postId })
-    .sort(sort)
+  return await this.find({ postId, status: 'approved' })
+    .sort(resolveSort(options.sort))
     .skip(skip)
     .limit(limit)
     .lean();
 };
 
+/**
+ * Filter for comments shown in threads: live approved comments, plus trashed
+ * comments that still have live replies (rendered as placeholders)
+ * Queries using it must set the withDeleted option.
+ */
+
+
+const VISIBLE_IN_THREAD = {
+  $or: [
+    { deletedAt: null, status: 'approved' },
+    { deletedAt: { $ne: null }, replyCount: { $gt: 0 } }
+  ]
+};
+
+/**
+ * Shape a comment for a threaded listing
+ * Trashed comments keep only their position in the tree
+ *
+ * @param {Object} comment - Lean comment
+ * @returns {Object} Thread node with an empty replies array
+ */
+
+
+function toThreadNode(comment) {
+  const { deletedAt, deletedBy, ...fields } = comment;
+  const node = deletedAt
+    ? {
+      _id: comment._id,
+      postId: comment.postId,
+      parentId: comment.parentId,
+      path: comment.path,
+      depth: comment.depth,
+      replyCount: comment.replyCount,
+      createdAt: comment.createdAt,
+      content: DELETED_PLACEHOLDER,
+      author: null,
+      authorName: null,
+      deleted: true
+    }
+    : { ...fields, deleted: false };
+
+  node.replies = [];
+  node.hasMoreReplies = false;
+  return node;
+}
+
+/**
+ * Load the replies below a set of comments and nest them
+ * Each comment gets at most replyLimit direct replies (oldest first);
+ * hasMoreReplies tells clients to page the rest via findReplies.
+ *
+ * @param {Model} model - Comment model
+ * @param {Array} comments - Lean comments at the top of the returned trees
+ * @param {Number} replyLimit - Maximum direct replies per comment
+ * @param {String} authorFields - User fields to populate on author, if any
+ * @returns {Promise<Array>} Thread nodes
+ */
+
+
+async function buildThreads(model, comments, replyLimit, authorFields) {
+  if (comments.length === 0) {
+    return [];
+  }
+
+  // Comments created before threading have no path; their ID is their path
+  const prefixes = comments.map(comment => new RegExp(`^${comment.path || comment._id.toHexString()}/`));
+
+  const groups = await model.aggregate([
+    { $match: { path: { $in: prefixes }, ...VISIBLE_IN_THREAD } },
+    { $project: Object.fromEntries(PRIVATE_FIELDS.map(field => [field, 0])) },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$parentId', replies: { $push: '$$ROOT' }, total: { $sum: 1 } } },
+    { $project: { total: 1, replies: { $slice: ['$replies', replyLimit] } } }
+  ]).option({ withDeleted: true });
+
+  if (authorFields) {
+    const everyComment = comments.concat(...groups.map(group => group.replies));
+    await model.populate(everyComment, { path: 'author', select: authorFields });
+  }
+
+  const repliesByParent = new Map(groups.map(group => [String(group._id), group]));
+
+  const attachReplies = (node) => {
+    const group = repliesByParent.get(String(node._id));
+    if (group) {
+      node.replies = group.replies.map(reply => attachReplies(toThreadNode(reply)));
+      node.hasMoreReplies = group.total > group.replies.length;
+    }
+    return node;
+  };
+
+  return comments.map(comment => attachReplies(toThreadNode(comment)));
+}
+
+/**
+ * Read page, limit and replyLimit options with the model's caps applied
+ *
+ * @param {Object} options - Raw options
+ * @returns {Object} { page, limit, skip, replyLimit }
+ */
+
+
+function threadPagination(options) {
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(options.limit) || 10), MAX_PAGINATION_LIMIT);
+  const replyLimit = Math.min(Math.max(1, parseInt(options.replyLimit) || 10), MAX_REPLY_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit, replyLimit };
+}
+
+/**
+ * Static method to find a post's comments as nested threads
+ * Top-level comments are paginated in the requested order (newest first by
+ * default); each carries its replies (oldest first), limited to replyLimit
+ * per comment at every level.
+ *
+ * @param {ObjectId} postId - The ID of the post
+ * @param {Object} options - Pagination options
+ * @param {Number} options.page - Page of top-level comments (default: 1)
+ * @param {Number} options.limit - Top-level comments per page (default: 10)
+ * @param {Number} options.replyLimit - Replies per comment (default: 10, max: 50)
+ * @param {String} options.sort - Order of top-level comments (a COMMENT_SORTS name)
+ * @param {String} options.authorFields - User fields to populate on author
+ * @returns {Promise<Object>} { threads, total, page, limit, replyLimit }
+ */
+commentSchema.statics.findThreadsByPostId = async function (postId, options = {}) {
+  const { page, limit, skip, replyLimit } = threadPagination(options);
+  const filter = { postId, parentId: null, ...VISIBLE_IN_THREAD };
+
+  const [roots, total] = await Promise.all([
+    this.find(filter)
+      .setOptions({ withDeleted: true })
+      .sort(resolveSort(options.sort))
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter).setOptions({ withDeleted: true })
+  ]);
+
+  const threads = await buildThreads(this, roots, replyLimit, options.authorFields);
+  return { threads, total, page, limit, replyLimit };
+};
+
+/**
+ * Static method to page through the direct replies of a comment
+ * Each reply carries its own nested replies, as in findThreadsByPostId.
+ *
+ * @param {ObjectId} commentId - The ID of the parent comment
+ * @param {Object} options - Same options as findThreadsByPostId
+ * @returns {Promise<Object>} { replies, total, page, limit, replyLimit }
+ */
+commentSchema.statics.findReplies = async function (commentId, options = {}) {
+  const { page, limit, skip, replyLimit } = threadPagination(options);
+  const filter = { parentId: commentId, ...VISIBLE_IN_THREAD };
+
+  const [children, total] = await Promise.all([
+    this.find(filter)
+      .setOptions({ withDeleted: true })
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter).setOptions({ withDeleted: true })
+  ]);
+
+  const replies = await buildThreads(this, children, replyLimit, options.authorFields);
+  return { replies, total, page, limit, replyLimit };
+};
+
+/**
+ * Instance method to check if the public can see the comment
+ *
+ * @returns {Boolean} True if the comment is approved
+ */
+commentSchema.methods.isApproved = function () {
+  return this.status === 'approved';
+};
+
+/**
+ * Static method to set the moderation status of several comments
+ *
+ * @param {Array<ObjectId>} ids - Comment IDs
+ * @param {String} status - New status
+ * @param {ObjectId} moderatorId - User making the decision
+ * @returns {Promise<Object>} Update result
+ */
+commentSchema.statics.moderate = async function (ids, status, moderatorId) {
+  return await this.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status, moderatedBy: moderatorId, moderatedAt: new Date() } },
+    { runValidators: true }
+  );
+};
+
+/**
+ * Static method to apply reaction count changes
+ * Increments the cached counters and recomputes score and controversy in a
+ * single pipeline update, so concurrent reactions never overwrite each other.
+ * updatedAt is left alone, so reactions do not change the comment's ETag.
+ *
+ * @param {ObjectId} commentId - The ID of the comment
+ * @param {Object} delta - Count change per reaction type, e.g. { upvote: 1, downvote: -1 }
+ * @returns {Promise<Object|null>} { reactions, score, controversy }, or null if the comment is gone
+ */
+commentSchema.statics.applyReactionDelta = async function (commentId, delta) {
+  const count = type => ({ $ifNull: [`$reactions.${type}`, 0] });
+  const positive = { $add: [count('upvote'), count('like')] };
+  const negative = count('downvote');
+
+  const counters = Object.fromEntries(Object.entries(delta).map(([type, change]) => [
+    `reactions.${type}`,
+    { $max: [0, { $add: [count(type), change] }] }
+  ]));
+
+  return await this.findOneAndUpdate({ _id: commentId }, [
+    { $set: counters },
+    {
+      $set: {
+        score: { $subtract: [positive, negative] },
+        controversy: {
+          $cond: [
+            { $or: [{ $eq: [positive, 0] }, { $eq: [negative, 0] }] },
+            0,
+            { $pow: [{ $add: [positive, negative] }, { $divide: [{ $min: [positive, negative] }, { $max: [positive, negative] }] }] }
+          ]
+        }
+      }
+    }
+  ], { new: true, projection: { reactions: 1, score: 1, controversy: 1 }, timestamps: false }).lean();
+};
+
 /**
  * Instance method to check if comment belongs to a specific post
  *
@@ -193,6 +748,16 @@ commentSchema.methods.belongsToPost = function (postId) {
   return this.postId.toString() === postId.toString();
 };
 
+/**
+ * Instance method to get the fields a client can change
+ * PATCH documents are applied to this representation
+ *
+ * @returns {Object} { content }
+ */
+commentSchema.methods.toEditable = function () {
+  return { content: this.content };
+};
+
 /**
  * Create and export Comment model
  * This model is used throughout the application for comment operations
@@ -202,3 +767,8 @@ commentSchema.methods.belongsToPost = function (postId) {
 const Comment = mongoose.model('Comment', commentSchema);
 
 module.exports = Comment;
+module.exports.COMMENT_MAX_DEPTH = COMMENT_MAX_DEPTH;
+module.exports.COMMENT_STATUSES = COMMENT_STATUSES;
+module.exports.hashContent = hashContent;
+module.exports.DELETED_PLACEHOLDER = DELETED_PLACEHOLDER;
+module.exports.COMMENT_SORTS = COMMENT_SORTS;
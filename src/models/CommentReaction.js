@@ -0,0 +1,129 @@
+// File: src/models/CommentReaction.js
+// Generated: 2026-10-19 18:17:00 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_003ndplpildh
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Reactions a user can leave on a comment
+ * upvote and downvote are votes: a user holds at most one of them per
+ * comment. The others can be combined freely.
+ */
+
+
+const REACTION_TYPES = ['like', 'upvote', 'downvote', 'heart', 'laugh', 'wow', 'sad', 'angry'];
+
+
+const OPPOSITE_VOTES = {
+  upvote: 'downvote',
+  downvote: 'upvote'
+};
+
+/**
+ * CommentReaction Schema
+ * One document per user, comment and reaction type. The comment caches the
+ * totals (see Comment.applyReactionDelta), so listings never count these.
+ */
+
+
+const commentReactionSchema = new mongoose.Schema({
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: [true, 'Comment reference is required']
+  },
+  // Denormalized so a purged post's reactions can be removed in one query
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required'],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: REACTION_TYPES,
+      message: '{VALUE} is not a valid reaction'
+    },
+    required: [true, 'Reaction type is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes
+ * A user reacts with each type at most once; also serves per-user lookups
+ */
+commentReactionSchema.index({ comment: 1, user: 1, type: 1 }, { unique: true });
+
+/**
+ * Static method: react
+ * Adds the reaction if the user does not have it yet. Adding a vote removes
+ * the user's opposite vote.
+ *
+ * @param {Object} reaction - { comment, post, user, type }
+ * @returns {Promise<Object>} Count changes, e.g. { upvote: 1, downvote: -1 }
+ */
+commentReactionSchema.statics.react = async function({ comment, post, user, type }) {
+  const delta = {};
+
+  try {
+    const result = await this.updateOne(
+      { comment, user, type },
+      { $setOnInsert: { post } },
+      { upsert: true, runValidators: true }
+    );
+    if (result.upsertedCount === 1) {
+      delta[type] = 1;
+    }
+  } catch (error) {
+    // A concurrent request inserted the same reaction first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const opposite = OPPOSITE_VOTES[type];
+  if (opposite) {
+    const { deletedCount } = await this.deleteOne({ comment, user, type: opposite });
+    if (deletedCount === 1) {
+      delta[opposite] = -1;
+    }
+  }
+
+  return delta;
+};
+
+/**
+ * Static method: unreact
+ * Removes the reaction if the user has it
+ *
+ * @param {Object} reaction - { comment, user, type }
+ * @returns {Promise<Object>} Count changes, e.g. { like: -1 }, or {} if nothing changed
+ */
+commentReactionSchema.statics.unreact = async function({ comment, user, type }) {
+  const { deletedCount } = await this.deleteOne({ comment, user, type });
+  return deletedCount === 1 ? { [type]: -1 } : {};
+};
+
+/**
+ * Static method: findUserReactions
+ * @param {ObjectId|String} commentId - Comment ID
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<Array<String>>} Reaction types the user has left
+ */
+commentReactionSchema.statics.findUserReactions = async function(commentId, userId) {
+  const reactions = await this.find({ comment: commentId, user: userId }).select('type').lean();
+  return reactions.map(reaction => reaction.type);
+};
+
+module.exports = mongoose.model('CommentReaction', commentReactionSchema);
+module.exports.REACTION_TYPES = REACTION_TYPES;
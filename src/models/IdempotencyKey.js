@@ -0,0 +1,164 @@
+// File: src/models/IdempotencyKey.js
+// Generated: 2026-10-19 18:50:47 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_2y24tfipt76r
+
+
+const crypto = require('crypto');
+
+
+const mongoose = require('mongoose');
+
+/**
+ * IdempotencyKey Schema
+ * Remembers a client's Idempotency-Key for a create request so a retry can
+ * be answered with the original response instead of creating a duplicate.
+ * A record starts out "processing" while the first request runs and becomes
+ * "completed" with the cached response once it succeeds. Keys are scoped to
+ * the user who sent them.
+ */
+
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    maxlength: 255
+  },
+  // Hash of the method, path and body of the first request with this key
+  fingerprint: {
+    type: String,
+    required: [true, 'Request fingerprint is required']
+  },
+  // Random per claim, so a request whose claim expired cannot settle the next one's
+  claimToken: {
+    type: String,
+    required: [true, 'Claim token is required']
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Serialized JSON body, replayed byte for byte
+  body: {
+    type: String,
+    default: null
+  },
+  // Short while processing (so a crashed request frees the key), the full TTL once completed
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Indexes
+ * One record per key and user
+ */
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+/**
+ * TTL index
+ * MongoDB removes records once they expire
+ */
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method: claim
+ * Atomically records a key as processing. An expired record that the TTL
+ * monitor has not removed yet is taken over; a live one is returned instead.
+ *
+ * @param {ObjectId|String} userId - User sending the key
+ * @param {String} key - Idempotency-Key header value
+ * @param {String} fingerprint - Request fingerprint
+ * @param {Number} lockMs - How long the claim holds before it can be retried
+ * @returns {Promise<Object>} { claimed: true, claimToken } or { claimed: false, record } (record may be null)
+ */
+idempotencyKeySchema.statics.claim = async function(userId, key, fingerprint, lockMs) {
+  const now = new Date();
+  const claimToken = crypto.randomBytes(16).toString('hex');
+
+  try {
+    await this.updateOne(
+      { user: userId, key, expiresAt: { $lte: now } },
+      {
+        $set: {
+          fingerprint,
+          claimToken,
+          state: 'processing',
+          statusCode: null,
+          headers: null,
+          body: null,
+          expiresAt: new Date(now.getTime() + lockMs)
+        }
+      },
+      { upsert: true }
+    );
+    return { claimed: true, claimToken };
+  } catch (error) {
+    // A live record holds the key, so the upsert collided with it
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return { claimed: false, record: await this.findOne({ user: userId, key }).lean() };
+  }
+};
+
+/**
+ * Static method: complete
+ * Stores the response of the request holding the key. Does nothing once the
+ * claim has expired and another request has taken the key over.
+ *
+ * @param {ObjectId|String} userId - User sending the key
+ * @param {String} key - Idempotency-Key header value
+ * @param {String} claimToken - Token returned by claim
+ * @param {Object} response - { statusCode, headers, body }
+ * @param {Number} ttlMs - How long the response is replayed
+ * @returns {Promise}
+ */
+idempotencyKeySchema.statics.complete = function(userId, key, claimToken, { statusCode, headers, body }, ttlMs) {
+  return this.updateOne(
+    { user: userId, key, claimToken, state: 'processing' },
+    {
+      $set: {
+        state: 'completed',
+        statusCode,
+        headers,
+        body,
+        expiresAt: new Date(Date.now() + ttlMs)
+      }
+    }
+  );
+};
+
+/**
+ * Static method: release
+ * Frees a key whose request did not succeed so the client can retry with it.
+ * Like complete, only the request holding the current claim can release it.
+ *
+ * @param {ObjectId|String} userId - User sending the key
+ * @param {String} key - Idempotency-Key header value
+ * @param {String} claimToken - Token returned by claim
+ * @returns {Promise}
+ */
+idempotencyKeySchema.statics.release = function(userId, key, claimToken) {
+  return this.deleteOne({ user: userId, key, claimToken, state: 'processing' });
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -4,8 +4,51 @@
 // Task ID: task_9ca9e8qrodaz
 
 
+const Category = require('./Category');
+
+
+const PostRevision = require('./PostRevision');
+
+
+const SearchSuggestion = require('./SearchSuggestion');
+
+
+const Tag = require('./Tag');
+
+
 const mongoose = require('mongoose');
 
+
+const softDelete = require('./plugins/softDelete');
+
+const { slugify } = require('../utils/slugify');
+
+const { validateStatusTransition } = require('../validators/postValidator');
+
+/**
+ * Post lifecycle statuses
+ * Allowed transitions are defined in validators/postValidator.js
+ */
+
+
+const POST_STATUSES = ['draft', 'published', 'archived'];
+
+/**
+ * Comment moderation modes
+ * open: comments are approved immediately; moderated: comments wait in the
+ * moderation queue; closed: no new comments
+ */
+
+
+const COMMENT_MODERATION_MODES = ['open', 'moderated', 'closed'];
+
+/**
+ * Maximum attempts at a numbered slug suffix before falling back to a random one
+ */
+
+
+const MAX_SLUG_ATTEMPTS = 50;
+
 /**
  * Post Schema
  * Represents a blog post with title, content, author, and publication status
@@ -20,29 +63,112 @@ const postSchema = new mongoose.Schema({
     minlength: [1, 'Title cannot be empty'],
     maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
   content: {
     type: String,
     required: [true, 'Content is required'],
     minlength: [1, 'Content cannot be empty']
   },
   author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  authorName: {
     type: String,
-    trim: true
+    trim: true,
+    maxlength: [100, 'Author name cannot exceed 100 characters']
   },
   status: {
     type: String,
     enum: {
-      values: ['draft', 'published'],
-      message: '{VALUE} is not a valid status. Status must be either draft or published'
+      values: POST_STATUSES,
+      message: '{VALUE} is not a valid status. Status must be draft, published, or archived'
     },
     default: 'draft'
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  commentModeration: {
+    type: String,
+    enum: {
+      values: COMMENT_MODERATION_MODES,
+      message: '{VALUE} is not a valid comment moderation mode'
+    },
+    default: 'open'
+  },
+  // Tag slugs (see models/Tag.js); tags are created on first use
+  tags: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: tags => tags.length <= Tag.MAX_TAGS_PER_POST,
+      message: `A post can have at most ${Tag.MAX_TAGS_PER_POST} tags`
+    }
+  },
+  categories: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    default: [],
+    validate: {
+      validator: categories => categories.length <= Category.MAX_CATEGORIES_PER_POST,
+      message: `A post can be in at most ${Category.MAX_CATEGORIES_PER_POST} categories`
+    }
+  },
+  // Cached number of PostLike documents, kept in step by the like endpoints
+  likeCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Number of the latest PostRevision snapshot
+  currentRevision: {
+    type: Number,
+    default: 0
+  },
+  // Scheduler lease: the instance currently publishing this post and until when
+  leaseOwner: {
+    type: String,
+    default: null,
+    select: false
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true,
+  // Saves fail with a VersionError if the post changed since it was loaded
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+/**
+ * Soft delete
+ * Trashed posts are hidden from queries until restored or purged
+ */
+postSchema.plugin(softDelete);
+
 /**
  * Indexes for optimized queries
  */
@@ -54,34 +180,233 @@ postSchema.index({ createdAt: -1 });
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ status: 1, createdAt: -1 });
 
+// Scheduler scans drafts whose publishAt has passed
+postSchema.index({ status: 1, publishAt: 1 });
+
+// Old slugs are resolved to redirect to the current one
+postSchema.index({ previousSlugs: 1 });
+
+// Taxonomy filters and usage counts
+postSchema.index({ tags: 1, status: 1 });
+postSchema.index({ categories: 1, status: 1 });
+
 // Text search index for title and content
 postSchema.index({ title: 'text', content: 'text' });
 
 /**
- * Virtual field: excerpt
+ * Build a post excerpt
  * Returns first 200 characters of content with ellipsis
+ * @param {String} content - Post content
+ * @returns {String} Excerpt
+ */
+
+
+function buildExcerpt(content) {
+  if (!content) return '';
+  return content.length > 200
+    ? content.substring(0, 200) + '...'
+    : content;
+}
+
+/**
+ * Virtual field: excerpt
+ * Lean queries skip virtuals; they can call Post.buildExcerpt instead
  */
 postSchema.virtual('excerpt').get(function() {
-  if (!this.content) return '';
-  return this.content.length > 200
-    ? this.content.substring(0, 200) + '...'
-    : this.content;
+  return buildExcerpt(this.content);
+});
+
+/**
+ * Fields shown in search suggestions (see models/SearchSuggestion.js)
+ */
+
+
+const SUGGESTION_FIELDS = ['title', 'status', 'tags', 'authorName', 'deletedAt'];
+
+/**
+ * Post-init hook
+ * Remembers the status loaded from the database so transitions can be checked,
+ * and the tags so suggestions for removed tags can be recounted
+ */
+postSchema.post('init', function() {
+  this.$locals.originalStatus = this.status;
+  this.$locals.originalTags = [...(this.tags || [])];
+});
+
+/**
+ * Pre-validate hook
+ * Rejects status changes that the lifecycle does not allow
+ */
+postSchema.pre('validate', function() {
+  if (this.isNew || !this.isModified('status') || !this.$locals.originalStatus) {
+    return;
+  }
+
+  const transition = validateStatusTransition(this.$locals.originalStatus, this.status);
+  if (!transition.valid) {
+    this.invalidate('status', transition.message, this.status);
+  }
+});
+
+/**
+ * Pre-validate hook
+ * Generates a unique slug from the title on create and whenever the title
+ * changes. The replaced slug is kept in previousSlugs so old URLs still resolve.
+ */
+postSchema.pre('validate', async function() {
+  if (!this.title || (!this.isNew && !this.isModified('title') && this.slug)) {
+    return;
+  }
+
+  const base = slugify(this.title);
+  const currentSlug = this.slug;
+  let candidate = await this.constructor.findAvailableSlug(base, this._id);
+
+  // While the plain slug is taken, a numbered one the post already has is kept
+  // rather than renumbered; "Version 2" renamed to "Version" still gets "version" if it is free
+  if (candidate !== base && currentSlug && new RegExp(`^${base}-\\d+$`).test(currentSlug)) {
+    candidate = currentSlug;
+  }
+
+  if (currentSlug && currentSlug !== candidate && !this.previousSlugs.includes(currentSlug)) {
+    this.previousSlugs.push(currentSlug);
+  }
+  this.previousSlugs = this.previousSlugs.filter(previous => previous !== candidate);
+  this.slug = candidate;
 });
 
 /**
  * Pre-save hook
- * Trims whitespace from title and author fields
+ * Trims whitespace from title and denormalized author name
  */
 postSchema.pre('save', function(next) {
   if (this.isModified('title')) {
     this.title = this.title.trim();
   }
-  if (this.isModified('author') && this.author) {
-    this.author = this.author.trim();
+  if (this.isModified('authorName') && this.authorName) {
+    this.authorName = this.authorName.trim();
+  }
+
+  // Record lifecycle timestamps; republishing an archived post keeps its original publishedAt
+  if (this.isModified('status')) {
+    if (this.status === 'published') {
+      this.publishedAt = this.publishedAt || new Date();
+      this.archivedAt = null;
+    } else if (this.status === 'archived') {
+      this.archivedAt = new Date();
+    } else if (this.status === 'draft') {
+      this.publishedAt = null;
+      this.archivedAt = null;
+    }
+  }
+
+  // Only drafts stay scheduled; a rescheduled post can be claimed again right away
+  if (this.status !== 'draft') {
+    this.publishAt = null;
+  }
+  if (this.isModified('status') || this.isModified('publishAt')) {
+    this.leaseOwner = null;
+    this.leaseExpiresAt = null;
+  }
+  next();
+});
+
+/**
+ * Pre-save hook
+ * Bumps currentRevision when a versioned field changes; the snapshot itself is
+ * written in the post-save hook once the post is known to be stored.
+ */
+postSchema.pre('save', function(next) {
+  const changedFields = this.isNew
+    ? [...PostRevision.REVISION_FIELDS]
+    : PostRevision.REVISION_FIELDS.filter(field => this.isModified(field));
+
+  if (changedFields.length > 0) {
+    this.currentRevision = (this.currentRevision || 0) + 1;
+    this.$locals.revisionChanges = changedFields;
+  }
+  next();
+});
+
+/**
+ * Post-save hook
+ * Stores the saved version as a PostRevision. Controllers set $locals.editor
+ * (and $locals.restoredFrom when restoring) before saving.
+ */
+postSchema.post('save', async function() {
+  const changedFields = this.$locals.revisionChanges;
+  if (!changedFields) {
+    return;
   }
+  this.$locals.revisionChanges = null;
+
+  // Inside a transaction the revision commits or aborts together with the post
+  await PostRevision.create([{
+    post: this._id,
+    rev: this.currentRevision,
+    title: this.title,
+    content: this.content,
+    status: this.status,
+    editor: this.$locals.editor || null,
+    changedFields,
+    restoredFrom: this.$locals.restoredFrom || null
+  }], { session: this.$session() });
+});
+
+/**
+ * Pre-save hook
+ * Marks the post for a search suggestion update when a suggested field changes
+ * (a change still waiting for syncSuggestions stays marked)
+ */
+postSchema.pre('save', function(next) {
+  this.$locals.suggestionsChanged = this.$locals.suggestionsChanged ||
+    this.isNew || SUGGESTION_FIELDS.some(field => this.isModified(field));
   next();
 });
 
+/**
+ * Post-save hook
+ * Updates the search suggestions for the post's title, tags and author.
+ * Inside a transaction the counts would be taken from uncommitted data, so
+ * the caller runs syncSuggestions after committing instead.
+ */
+postSchema.post('save', async function() {
+  const session = this.$session();
+  if (session && session.inTransaction()) {
+    return;
+  }
+
+  await this.syncSuggestions();
+});
+
+/**
+ * Instance method: syncSuggestions
+ * Updates the search suggestions if a suggested field changed since the
+ * last sync. Called by the post-save hook, and by controllers once a
+ * transaction that saved the post has committed.
+ * @returns {Promise}
+ */
+postSchema.methods.syncSuggestions = async function() {
+  if (!this.$locals.suggestionsChanged) {
+    return;
+  }
+  this.$locals.suggestionsChanged = false;
+
+  await SearchSuggestion.syncPost(this, { previousTags: this.$locals.originalTags });
+  this.$locals.originalTags = [...this.tags];
+};
+
+/**
+ * Post-delete hook
+ * Drops a permanently deleted post from the search suggestions. Trashing
+ * with an update query skips the save hooks; those callers sync themselves.
+ */
+postSchema.post('findOneAndDelete', async function(post) {
+  if (post) {
+    await SearchSuggestion.syncPost(post, { removed: true });
+  }
+});
+
 /**
  * Instance method: isPublished
  * Checks if the post is published
@@ -111,6 +436,46 @@ postSchema.methods.unpublish = function() {
   return this.save();
 };
 
+/**
+ * Instance method: archive
+ * Changes post status to archived and saves
+ * @returns {Promise<Post>} Updated post document
+ */
+postSchema.methods.archive = function() {
+  this.status = 'archived';
+  return this.save();
+};
+
+/**
+ * Instance method: isScheduled
+ * Checks if the post is a draft waiting for automatic publication
+ * @returns {Boolean} True if the post is a draft with publishAt set
+ */
+postSchema.methods.isScheduled = function() {
+  return this.status === 'draft' && Boolean(this.publishAt);
+};
+
+/**
+ * Instance method: toEditable
+ * The fields a client can change, in the form PUT accepts them (categories
+ * as slugs); PATCH documents are applied to this representation
+ * @returns {Promise<Object>} { title, content, status, publishAt, commentModeration, tags, categories }
+ */
+postSchema.methods.toEditable = async function() {
+  const categories = await Category.find({ _id: { $in: this.categories } }).select('slug').lean();
+  const slugs = new Map(categories.map(category => [String(category._id), category.slug]));
+
+  return {
+    title: this.title,
+    content: this.content,
+    status: this.status,
+    publishAt: this.publishAt ? this.publishAt.toISOString() : null,
+    commentModeration: this.commentModeration,
+    tags: [...this.tags],
+    categories: this.categories.map(id => slugs.get(String(id))).filter(Boolean)
+  };
+};
+
 /**
  * Static method: findPublished
  * Retrieves published posts with pagination
@@ -127,10 +492,54 @@ postSchema.statics.findPublished = function(options = {}) {
     .lean();
 };
 
+/**
+ * Static method: findAvailableSlug
+ * The base slug, or the first numbered variant (base-2, base-3, ...) that no
+ * other post uses as its current or previous slug. Trashed posts still own
+ * their slugs; a post may take back one of its own previous slugs.
+ * @param {String} base - Slug generated from the title
+ * @param {ObjectId} postId - Post the slug is for
+ * @returns {Promise<String>} Unused slug
+ */
+postSchema.statics.findAvailableSlug = async function(base, postId) {
+  let candidate = base;
+  for (let attempt = 2; ; attempt++) {
+    const taken = await this.exists({
+      _id: { $ne: postId },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }]
+    }).setOptions({ withDeleted: true });
+    if (!taken) {
+      return candidate;
+    }
+    candidate = attempt <= MAX_SLUG_ATTEMPTS
+      ? `${base}-${attempt}`
+      : `${base}-${Math.random().toString(36).substring(2, 8)}`;
+  }
+};
+
+/**
+ * Static method: findByIdOrSlug
+ * Finds a post by ObjectId, current slug, or any previous slug.
+ * Callers compare the result's slug to detect a previous-slug match.
+ * @param {String} idOrSlug - Post ID or slug
+ * @returns {Query} Mongoose query for a single post
+ */
+postSchema.statics.findByIdOrSlug = function(idOrSlug) {
+  const value = String(idOrSlug).trim();
+  const slug = value.toLowerCase();
+  const conditions = [{ slug }, { previousSlugs: slug }];
+
+  if (/^[0-9a-fA-F]{24}$/.test(value)) {
+    conditions.unshift({ _id: value });
+  }
+
+  return this.findOne({ $or: conditions });
+};
+
 /**
  * Static method: findByAuthor
  * Retrieves posts by a specific author
- * @param {String} author - Author name
+ * @param {ObjectId|String} author - Author user ID
  * @param {Boolean} includeDrafts - Whether to include draft posts (default: false)
  * @returns {Promise<Array>} Array of posts by the author
  */
@@ -142,46 +551,145 @@ postSchema.statics.findByAuthor = function(author, includeDrafts = false) {
   return this.find(query).sort({ createdAt: -1 }).lean();
 };
 
+/**
+ * Escape a string for use in a RegExp
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string
+ */
+
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Sort orders accepted by searchPosts; relevance is the text score
+ */
+
+
+const SEARCH_SORT_FIELDS = {
+  relevance: 'score',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  author: 'authorName'
+};
+
 /**
  * Static method: searchPosts
- * Full-text search across title and content
- * @param {String} searchTerm - Search query
+ * Full-text search across title and content. One aggregation returns the
+ * requested page of hits, the total hit count and facet counts (tags,
+ * authors, months) over every hit, not just the page. There is no status
+ * facet: every hit has the one status being searched.
+ *
+ * @param {String} searchTerm - Search query ($text syntax: words, "phrases", -exclusions)
  * @param {Object} options - Query options
- * @returns {Promise<Array>} Array of matching posts
+ * @param {String} options.status - published (default) or archived
+ * @param {String} options.author - Author user ID, or author name (case-insensitive)
+ * @param {Date} options.from - Only posts created at or after this time
+ * @param {Date} options.to - Only posts created at or before this time
+ * @param {String} options.tag - Only posts with this tag slug
+ * @param {Number} options.page - Page number (default: 1)
+ * @param {Number} options.limit - Hits per page (default: 10, max: 100)
+ * @param {String} options.sortBy - relevance (default), createdAt, updatedAt, title, or author
+ * @param {String} options.order - desc (default) or asc; relevance is always best first
+ * @returns {Promise<Object>} { hits, total, facets }
  */
-postSchema.statics.searchPosts = function(searchTerm, options = {}) {
-  if (!searchTerm || typeof searchTerm !== 'string') {
-    return Promise.resolve([]);
-  }
+postSchema.statics.searchPosts = async function(searchTerm, options = {}) {
+  const empty = { hits: [], total: 0, facets: { tags: [], authors: [], months: [] } };
 
-  const sanitizedSearchTerm = searchTerm.trim();
+  const sanitizedSearchTerm = typeof searchTerm === 'string' ? searchTerm.trim() : '';
   if (!sanitizedSearchTerm) {
-    return Promise.resolve([]);
+    return empty;
   }
 
-  const query = {
-    $text: { $search: sanitizedSearchTerm }
-  };
+  const status = options.status || 'published';
+  if (!POST_STATUSES.includes(status)) {
+    return empty;
+  }
 
-  if (options.status) {
-    if (options.status !== 'draft' && options.status !== 'published') {
-      return Promise.resolve([]);
+  const match = { $text: { $search: sanitizedSearchTerm }, status };
+
+  if (options.author) {
+    const author = String(options.author);
+    Object.assign(match, /^[0-9a-fA-F]{24}$/.test(author)
+      ? { author: new mongoose.Types.ObjectId(author) }
+      : { authorName: new RegExp(`^${escapeRegex(author)}$`, 'i') });
+  }
+  if (options.from || options.to) {
+    match.createdAt = {};
+    if (options.from) {
+      match.createdAt.$gte = new Date(options.from);
+    }
+    if (options.to) {
+      match.createdAt.$lte = new Date(options.to);
     }
-    query.status = options.status;
+  }
+  if (options.tag) {
+    match.tags = options.tag;
   }
 
-  const limit = parseInt(options.limit) || 10;
-  const skip = parseInt(options.skip) || 0;
+  const page = Math.max(1, parseInt(options.page) || 1);
+  const limit = Math.min(Math.max(1, parseInt(options.limit) || 10), 100);
 
-  if (limit < 0 || skip < 0 || !Number.isInteger(limit) || !Number.isInteger(skip)) {
-    return Promise.resolve([]);
-  }
+  const sortField = SEARCH_SORT_FIELDS[options.sortBy] || SEARCH_SORT_FIELDS.relevance;
+  const direction = sortField === 'score' || options.order !== 'asc' ? -1 : 1;
+  const sort = sortField === 'score'
+    ? { score: -1, createdAt: -1, _id: -1 }
+    : { [sortField]: direction, _id: direction };
 
-  return this.find(query, { score: { $meta: 'textScore' } })
-    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
-    .limit(Math.min(limit, 100))
-    .skip(skip)
-    .lean();
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        hits: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1, slug: 1, content: 1, status: 1, author: 1, authorName: 1, tags: 1,
+              categories: 1, likeCount: 1, publishedAt: 1, createdAt: 1, updatedAt: 1, score: 1
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ],
+        authors: [
+          { $group: { _id: '$author', name: { $first: '$authorName' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, name: 1 } },
+          { $limit: 10 }
+        ],
+        months: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+          { $limit: 24 }
+        ]
+      }
+    }
+  ]);
+
+  const toFacet = entries => entries.map(({ _id, ...rest }) => ({ value: _id, ...rest }));
+
+  return {
+    hits: result.hits,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      tags: toFacet(result.tags),
+      authors: toFacet(result.authors),
+      months: toFacet(result.months)
+    }
+  };
 };
 
 module.exports = mongoose.model('Post', postSchema);
+module.exports.POST_STATUSES = POST_STATUSES;
+module.exports.COMMENT_MODERATION_MODES = COMMENT_MODERATION_MODES;
+module.exports.SEARCH_SORT_FIELDS = SEARCH_SORT_FIELDS;
+module.exports.buildExcerpt = buildExcerpt;
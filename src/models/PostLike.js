@@ -0,0 +1,83 @@
+// File: src/models/PostLike.js
+// Generated: 2026-10-19 18:19:22 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_bmyv8dletwkc
+
+
+const mongoose = require('mongoose');
+
+/**
+ * PostLike Schema
+ * One document per user and liked post. The post caches the total in
+ * likeCount, so listings never count these.
+ */
+
+
+const postLikeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required'],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes
+ * A user likes a post at most once; also serves the batched liked lookup
+ */
+postLikeSchema.index({ user: 1, post: 1 }, { unique: true });
+
+/**
+ * Static method: like
+ * @param {ObjectId|String} postId - Post ID
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<Boolean>} True if the like was added, false if it already existed
+ */
+postLikeSchema.statics.like = async function(postId, userId) {
+  try {
+    const result = await this.updateOne(
+      { post: postId, user: userId },
+      { $setOnInsert: { post: postId, user: userId } },
+      { upsert: true }
+    );
+    return result.upsertedCount === 1;
+  } catch (error) {
+    // A concurrent request inserted the same like first
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Static method: unlike
+ * @param {ObjectId|String} postId - Post ID
+ * @param {ObjectId|String} userId - User ID
+ * @returns {Promise<Boolean>} True if a like was removed
+ */
+postLikeSchema.statics.unlike = async function(postId, userId) {
+  const { deletedCount } = await this.deleteOne({ post: postId, user: userId });
+  return deletedCount === 1;
+};
+
+/**
+ * Static method: findLikedPostIds
+ * @param {ObjectId|String} userId - User ID
+ * @param {Array<ObjectId>} postIds - Posts to check
+ * @returns {Promise<Set<String>>} IDs of the given posts the user has liked
+ */
+postLikeSchema.statics.findLikedPostIds = async function(userId, postIds) {
+  const likes = await this.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(likes.map(like => String(like.post)));
+};
+
+module.exports = mongoose.model('PostLike', postLikeSchema);
@@ -0,0 +1,83 @@
+// File: src/models/PostRevision.js
+// Generated: 2026-10-19 18:04:39 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_63s7is6jn2m1
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Post fields captured in every revision
+ * A save that changes none of these does not create a revision
+ */
+
+
+const REVISION_FIELDS = ['title', 'content', 'status'];
+
+/**
+ * PostRevision Schema
+ * An immutable snapshot of a post taken each time it is saved.
+ * Revisions are numbered per post starting at 1; the post's currentRevision
+ * is the number of its latest snapshot.
+ */
+
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post reference is required']
+  },
+  rev: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision numbers start at 1']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required']
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required']
+  },
+  // Null when the save was not made by a user (e.g. the publish scheduler)
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedFields: {
+    type: [{ type: String, enum: REVISION_FIELDS }],
+    default: []
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Indexes
+ * One revision per number per post; also serves newest-first listings
+ */
+postRevisionSchema.index({ post: 1, rev: -1 }, { unique: true });
+
+/**
+ * Static method: findRevision
+ * @param {ObjectId|String} postId - Post ID
+ * @param {Number} rev - Revision number
+ * @returns {Query} Mongoose query for a single revision
+ */
+postRevisionSchema.statics.findRevision = function(postId, rev) {
+  return this.findOne({ post: postId, rev });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
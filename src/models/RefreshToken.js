@@ -0,0 +1,114 @@
+// File: src/models/RefreshToken.js
+// Generated: 2026-10-19 17:56:16 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_cbsb9rr5xapd
+
+
+const mongoose = require('mongoose');
+
+/**
+ * RefreshToken Schema
+ * Tracks issued refresh tokens so they can be rotated and revoked.
+ * Every token issued from one login shares a family; presenting a token
+ * that was already rotated revokes the whole family.
+ */
+
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+    index: true
+  },
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * TTL index
+ * MongoDB removes token records once they expire
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Instance method: isActive
+ * @returns {Boolean} True if the token is neither revoked nor expired
+ */
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Static method: rotate
+ * Atomically revokes an active token and records its replacement.
+ * Returns null if the token was already revoked, which callers treat as reuse.
+ *
+ * @param {String} jti - Token ID being rotated
+ * @param {String} replacedBy - Token ID of the replacement
+ * @returns {Promise<RefreshToken|null>} The revoked token record
+ */
+refreshTokenSchema.statics.rotate = function(jti, replacedBy) {
+  return this.findOneAndUpdate(
+    { jti, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy } },
+    { new: true }
+  );
+};
+
+/**
+ * Static method: revokeFamily
+ * Revokes every active token that belongs to a family
+ * @param {String} family - Token family ID
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Static method: revokeAllForUser
+ * Revokes every active token for a user (e.g. on password change)
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object>} Update result
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
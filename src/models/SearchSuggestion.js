@@ -0,0 +1,395 @@
+// File: src/models/SearchSuggestion.js
+// Generated: 2026-10-19 18:27:45 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_0i61salgnwek
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { decodeEntities } = require('../utils/highlight');
+
+const { closestMatch, maxTypoDistance } = require('../utils/levenshtein');
+
+/**
+ * Kinds of suggestion: post titles, tags and authors of published posts
+ */
+
+
+const SUGGESTION_TYPES = ['title', 'tag', 'author'];
+
+/**
+ * Words shorter than this are never corrected by didYouMean
+ */
+
+
+const MIN_CORRECTION_LENGTH = 3;
+
+/**
+ * Search Suggestion Schema
+ * Autocomplete index over published posts, kept in step by the Post save
+ * and delete hooks (see syncPost). One document per post title, per tag
+ * and per author. terms holds the normalized text starting at every word
+ * ("strategies for mongodb", "for mongodb", "mongodb") so an anchored
+ * prefix regex on the multikey index matches from any word. words is the
+ * vocabulary used for "did you mean" corrections.
+ */
+
+
+const searchSuggestionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: SUGGESTION_TYPES,
+    required: true
+  },
+  // Post ID for titles, tag slug for tags, user ID for authors
+  key: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String,
+    default: null
+  },
+  // Published posts behind a tag or author; 1 for titles
+  weight: {
+    type: Number,
+    default: 1
+  },
+  terms: {
+    type: [String],
+    default: []
+  },
+  words: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+searchSuggestionSchema.index({ kind: 1, key: 1 }, { unique: true });
+searchSuggestionSchema.index({ terms: 1 });
+searchSuggestionSchema.index({ words: 1 });
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {String} value - Raw string
+ * @returns {String} Escaped string
+ */
+
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize text for matching: entities decoded, accents stripped,
+ * lowercased, punctuation collapsed to single spaces
+ *
+ * @param {String} text - Stored or typed text
+ * @returns {String} Normalized text
+ */
+
+
+function normalizeText(text) {
+  return decodeEntities(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Build the stored fields for one suggestion
+ *
+ * @param {String} kind - title, tag or author
+ * @param {String} key - Post ID, tag slug or user ID
+ * @param {String} text - Display text
+ * @param {Object} fields - Extra fields (slug, weight)
+ * @returns {Object} Suggestion document fields
+ */
+
+
+function buildSuggestion(kind, key, text, fields = {}) {
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const terms = new Set(tokens.map((_, index) => tokens.slice(index).join(' ')));
+  // "nodejs" should also find "Node.js"
+  terms.add(tokens.join(''));
+
+  return {
+    kind,
+    key: String(key),
+    text: decodeEntities(text),
+    terms: [...terms].filter(Boolean),
+    words: [...new Set(tokens.filter(token => token.length > 1))],
+    ...fields
+  };
+}
+
+/**
+ * Shape a stored suggestion for API responses
+ * @param {Object} suggestion - Lean suggestion document
+ * @returns {Object} { type, text, slug?, id?, count? }
+ */
+
+
+function toResponse(suggestion) {
+  const { kind, key, text, slug, weight } = suggestion;
+  if (kind === 'title') {
+    return { type: kind, text, slug, id: key };
+  }
+  if (kind === 'tag') {
+    return { type: kind, text, slug, count: weight };
+  }
+  return { type: kind, text, id: key, count: weight };
+}
+
+/**
+ * Static method: refreshTag
+ * Recounts the published posts carrying a tag and updates or removes its suggestion
+ *
+ * @param {String} slug - Tag slug
+ * @returns {Promise}
+ */
+searchSuggestionSchema.statics.refreshTag = async function(slug) {
+  const count = await mongoose.model('Post').countDocuments({ status: 'published', tags: slug });
+  if (count === 0) {
+    return this.deleteOne({ kind: 'tag', key: slug });
+  }
+
+  const tag = await mongoose.model('Tag').findOne({ slug }).select('name').lean();
+  return this.updateOne(
+    { kind: 'tag', key: slug },
+    { $set: buildSuggestion('tag', slug, tag ? tag.name : slug, { slug, weight: count }) },
+    { upsert: true }
+  );
+};
+
+/**
+ * Static method: refreshAuthor
+ * Recounts an author's published posts and updates or removes their suggestion
+ *
+ * @param {ObjectId|String} authorId - User ID
+ * @returns {Promise}
+ */
+searchSuggestionSchema.statics.refreshAuthor = async function(authorId) {
+  const Post = mongoose.model('Post');
+  const [count, latest, user] = await Promise.all([
+    Post.countDocuments({ status: 'published', author: authorId }),
+    Post.findOne({ status: 'published', author: authorId }).sort({ publishedAt: -1 }).select('authorName').lean(),
+    mongoose.model('User').findById(authorId).select('name').lean()
+  ]);
+
+  const name = (user && user.name) || (latest && latest.authorName);
+  if (count === 0 || !name) {
+    return this.deleteOne({ kind: 'author', key: String(authorId) });
+  }
+
+  return this.updateOne(
+    { kind: 'author', key: String(authorId) },
+    { $set: buildSuggestion('author', authorId, name, { weight: count }) },
+    { upsert: true }
+  );
+};
+
+/**
+ * Static method: syncPost
+ * Brings the suggestions for a post's title, tags and author up to date.
+ * Called from the Post hooks after a save or delete; failures are logged and
+ * never fail the write itself (a rebuild repairs the index).
+ *
+ * @param {Object} post - Saved or deleted post
+ * @param {Object} options - { previousTags: tag slugs before the save, removed: post was deleted }
+ * @returns {Promise}
+ */
+searchSuggestionSchema.statics.syncPost = async function(post, { previousTags = [], removed = false } = {}) {
+  const key = String(post._id);
+  const author = post.author && post.author._id ? post.author._id : post.author;
+
+  try {
+    if (!removed && post.status === 'published' && !post.deletedAt) {
+      await this.updateOne(
+        { kind: 'title', key },
+        { $set: buildSuggestion('title', key, post.title, { slug: post.slug, weight: 1 }) },
+        { upsert: true }
+      );
+    } else {
+      await this.deleteOne({ kind: 'title', key });
+    }
+
+    const tags = new Set([...previousTags, ...(post.tags || [])]);
+    await Promise.all([
+      ...[...tags].map(slug => this.refreshTag(slug)),
+      author ? this.refreshAuthor(author) : null
+    ]);
+  } catch (error) {
+    logger.error(`Error updating search suggestions: ${error.message}`, {
+      postId: key,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
+
+/**
+ * Static method: suggest
+ * Search-as-you-type: suggestions whose title, tag or author name has a
+ * word starting with the typed text, heaviest first
+ *
+ * @param {String} search - Text typed so far
+ * @param {Object} options - { limit, type: title|tag|author }
+ * @returns {Promise<Array<Object>>} [{ type, text, slug?, id?, count? }]
+ */
+searchSuggestionSchema.statics.suggest = async function(search, { limit = 10, type } = {}) {
+  const prefix = normalizeText(search);
+  if (!prefix) {
+    return [];
+  }
+
+  const filter = { terms: new RegExp(`^${escapeRegex(prefix)}`) };
+  if (type) {
+    filter.kind = type;
+  }
+
+  const suggestions = await this.find(filter)
+    .sort({ weight: -1, text: 1 })
+    .limit(limit)
+    .select('kind key text slug weight')
+    .lean();
+
+  return suggestions.map(toResponse);
+};
+
+/**
+ * Static method: correctWord
+ * Closest known word within typo distance of an unknown word. Candidates
+ * share the first letter, which keeps the lookup on the words index.
+ *
+ * @param {String} word - Normalized single word
+ * @returns {Promise<String|null>} Correction, or null if the word is known or nothing is close
+ */
+searchSuggestionSchema.statics.correctWord = async function(word) {
+  if (await this.exists({ words: word })) {
+    return null;
+  }
+
+  const maxDistance = maxTypoDistance(word);
+  const minRest = Math.max(0, word.length - 1 - maxDistance);
+  const maxRest = word.length - 1 + maxDistance;
+  const pattern = new RegExp(`^${escapeRegex(word[0])}.{${minRest},${maxRest}}$`);
+
+  const candidates = await this.aggregate([
+    { $match: { words: pattern } },
+    { $unwind: '$words' },
+    { $match: { words: pattern } },
+    { $group: { _id: '$words', weight: { $sum: '$weight' } } }
+  ]);
+
+  const match = closestMatch(word, candidates.map(candidate => ({ value: candidate._id, weight: candidate.weight })));
+  return match ? match.value : null;
+};
+
+/**
+ * Static method: didYouMean
+ * Rewrites a search with each unknown word replaced by its closest known
+ * word. Excluded words (-word) and words too short to judge are kept.
+ *
+ * @param {String} search - Search string as sent by the client
+ * @returns {Promise<String|null>} Corrected search, or null if nothing changed
+ */
+searchSuggestionSchema.statics.didYouMean = async function(search) {
+  const tokens = String(search || '').trim().split(/\s+/).filter(Boolean);
+  let changed = false;
+
+  const corrected = [];
+  for (const token of tokens) {
+    const [, lead, core, trail] = token.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+    const word = normalizeText(core);
+
+    const correction = lead.includes('-') || word.length < MIN_CORRECTION_LENGTH || word.includes(' ')
+      ? null
+      : await this.correctWord(word);
+
+    if (correction) {
+      changed = true;
+      corrected.push(`${lead}${correction}${trail}`);
+    } else {
+      corrected.push(token);
+    }
+  }
+
+  return changed ? corrected.join(' ') : null;
+};
+
+/**
+ * Static method: rebuild
+ * Recreates the whole index from published posts; used by the
+ * search-suggestions migration and to repair a drifted index
+ *
+ * @param {Object} options - { dryRun: count without writing }
+ * @returns {Promise<Object>} { titles, tags, authors } suggestion counts
+ */
+searchSuggestionSchema.statics.rebuild = async function({ dryRun = false } = {}) {
+  const Post = mongoose.model('Post');
+
+  const [posts, tagCounts, authorCounts] = await Promise.all([
+    Post.find({ status: 'published' }).select('title slug').lean(),
+    Post.aggregate([
+      { $match: { status: 'published' } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]),
+    Post.aggregate([
+      { $match: { status: 'published' } },
+      { $sort: { publishedAt: -1 } },
+      { $group: { _id: '$author', name: { $first: '$authorName' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const [tags, users] = await Promise.all([
+    mongoose.model('Tag').find({ slug: { $in: tagCounts.map(entry => entry._id) } }).select('name slug').lean(),
+    mongoose.model('User').find({ _id: { $in: authorCounts.map(entry => entry._id) } }).select('name').lean()
+  ]);
+  const tagNames = new Map(tags.map(tag => [tag.slug, tag.name]));
+  const userNames = new Map(users.map(user => [String(user._id), user.name]));
+
+  const suggestions = [
+    ...posts.map(post => buildSuggestion('title', post._id, post.title, { slug: post.slug, weight: 1 })),
+    ...tagCounts.map(entry => buildSuggestion('tag', entry._id, tagNames.get(entry._id) || entry._id, {
+      slug: entry._id,
+      weight: entry.count
+    })),
+    ...authorCounts
+      .filter(entry => userNames.get(String(entry._id)) || entry.name)
+      .map(entry => buildSuggestion('author', entry._id, userNames.get(String(entry._id)) || entry.name, {
+        weight: entry.count
+      }))
+  ];
+
+  const stats = {
+    titles: posts.length,
+    tags: tagCounts.length,
+    authors: suggestions.length - posts.length - tagCounts.length
+  };
+
+  if (!dryRun) {
+    await this.deleteMany({});
+    if (suggestions.length > 0) {
+      await this.insertMany(suggestions, { ordered: false });
+    }
+  }
+
+  return stats;
+};
+
+module.exports = mongoose.model('SearchSuggestion', searchSuggestionSchema);
+module.exports.SUGGESTION_TYPES = SUGGESTION_TYPES;
+module.exports.normalizeText = normalizeText;
@@ -0,0 +1,110 @@
+// File: src/models/Tag.js
+// Generated: 2026-10-19 18:21:35 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_rlpsnwx44mop
+
+
+const mongoose = require('mongoose');
+
+const { slugify } = require('../utils/slugify');
+
+/**
+ * Most tags a single post can carry
+ */
+
+
+const MAX_TAGS_PER_POST = 10;
+
+/**
+ * Tag Schema
+ * Tags are created on first use. Posts store tag slugs in their tags array,
+ * so filtering posts by tag needs no lookup here.
+ */
+
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [50, 'Tag name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Tag slug is required'],
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Normalize tag input into unique slugs
+ *
+ * @param {Array<String>} names - Tag names or slugs as entered
+ * @returns {Array<Object>} [{ name, slug }] in input order, without duplicates
+ */
+
+
+function normalizeTags(names) {
+  const tags = new Map();
+  names.forEach(name => {
+    const trimmed = String(name).trim();
+    const slug = slugify(trimmed, '');
+    if (slug && !tags.has(slug)) {
+      tags.set(slug, { name: trimmed, slug });
+    }
+  });
+  return [...tags.values()];
+}
+
+/**
+ * Static method: ensureTags
+ * Creates any tags that do not exist yet; existing tags keep their name.
+ *
+ * @param {Array<String>} names - Tag names as entered
+ * @returns {Promise<Array<String>>} Tag slugs to store on the post
+ */
+tagSchema.statics.ensureTags = async function(names) {
+  const tags = normalizeTags(names);
+  if (tags.length > 0) {
+    await this.bulkWrite(tags.map(tag => ({
+      updateOne: {
+        filter: { slug: tag.slug },
+        update: { $setOnInsert: tag },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+  return tags.map(tag => tag.slug);
+};
+
+/**
+ * Static method: findWithUsage
+ * Tags used by published posts, most used first
+ *
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<Object>>} [{ name, slug, count }]
+ */
+tagSchema.statics.findWithUsage = async function({ limit = 100 } = {}) {
+  const usage = await mongoose.model('Post').aggregate([
+    { $match: { status: 'published' } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+
+  const tags = await this.find({ slug: { $in: usage.map(entry => entry._id) } }).select('name slug').lean();
+  const names = new Map(tags.map(tag => [tag.slug, tag.name]));
+
+  return usage.map(entry => ({
+    name: names.get(entry._id) || entry._id,
+    slug: entry._id,
+    count: entry.count
+  }));
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
+module.exports.MAX_TAGS_PER_POST = MAX_TAGS_PER_POST;
+module.exports.normalizeTags = normalizeTags;
@@ -0,0 +1,225 @@
+// File: src/models/User.js
+// Generated: 2026-10-19 17:56:16 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_pi0thvzvlo6c
+
+
+const crypto = require('crypto');
+
+
+const mongoose = require('mongoose');
+
+
+const { promisify } = require('util');
+
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Available user roles, from least to most privileged
+ */
+
+
+const ROLES = ['user', 'editor', 'moderator', 'admin'];
+
+/**
+ * scrypt parameters for password hashing
+ * Stored alongside each hash so they can be raised without breaking old hashes
+ */
+
+
+const SCRYPT_PARAMS = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keylen: 64,
+  saltBytes: 16
+};
+
+/**
+ * Hash a password with scrypt
+ * Output format: scrypt$N$r$p$salt$hash (salt and hash base64 encoded)
+ *
+ * @param {String} password - Plain text password
+ * @returns {Promise<String>} Encoded password hash
+ */
+
+
+const hashPassword = async (password) => {
+  const { N, r, p, keylen, saltBytes } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(saltBytes);
+  const derivedKey = await scrypt(password, salt, keylen, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), derivedKey.toString('base64')].join('$');
+};
+
+/**
+ * Verify a password against an encoded scrypt hash
+ * Uses a constant-time comparison to avoid timing attacks
+ *
+ * @param {String} password - Plain text password
+ * @param {String} encoded - Encoded hash produced by hashPassword
+ * @returns {Promise<Boolean>} True if the password matches
+ */
+
+
+const verifyPassword = async (password, encoded) => {
+  if (typeof password !== 'string' || typeof encoded !== 'string') {
+    return false;
+  }
+
+  const [algorithm, N, r, p, salt, hash] = encoded.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const derivedKey = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10)
+  });
+
+  return crypto.timingSafeEqual(expected, derivedKey);
+};
+
+/**
+ * Hash of a random password, created on first use
+ * Checked against when a login names an unknown email
+ */
+
+
+let dummyPasswordHash = null;
+
+/**
+ * User Schema
+ * Represents an account that can authenticate and author content
+ */
+
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: `{VALUE} is not a valid role. Role must be one of: ${ROLES.join(', ')}`
+    },
+    default: 'user'
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot exceed 500 characters']
+  },
+  avatarUrl: {
+    type: String,
+    trim: true,
+    maxlength: [2048, 'Avatar URL cannot exceed 2048 characters']
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.password;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Public profile fields
+ * Used when populating author references on posts and comments
+ */
+
+
+const PUBLIC_PROFILE_FIELDS = 'name bio avatarUrl';
+
+/**
+ * Pre-save hook
+ * Hashes the password whenever it is set or changed
+ */
+userSchema.pre('save', async function() {
+  if (this.isModified('password')) {
+    this.password = await hashPassword(this.password);
+  }
+  this.$locals.nameChanged = !this.isNew && this.isModified('name');
+});
+
+/**
+ * Post-save hook
+ * Keeps the denormalized authorName on posts and comments in sync
+ */
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.nameChanged) {
+    return;
+  }
+
+  await Promise.all([
+    mongoose.model('Post').updateMany({ author: doc._id }, { $set: { authorName: doc.name } }),
+    mongoose.model('Comment').updateMany({ author: doc._id }, { $set: { authorName: doc.name } })
+  ]);
+});
+
+/**
+ * Instance method: comparePassword
+ * Requires the document to be loaded with +password
+ * @param {String} candidate - Plain text password to check
+ * @returns {Promise<Boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = function(candidate) {
+  return verifyPassword(candidate, this.password);
+};
+
+/**
+ * Static method: comparePasswordToDummy
+ * Runs the same scrypt check as comparePassword against a hash no password
+ * matches, so a login for an unknown email takes as long as a wrong password
+ * @param {String} candidate - Plain text password to check
+ * @returns {Promise<Boolean>} Always false
+ */
+userSchema.statics.comparePasswordToDummy = async function(candidate) {
+  dummyPasswordHash = dummyPasswordHash || hashPassword(crypto.randomBytes(32).toString('base64'));
+  await verifyPassword(candidate, await dummyPasswordHash);
+  return false;
+};
+
+/**
+ * Static method: findByEmailWithPassword
+ * Loads a user by email including the password hash for login checks
+ * @param {String} email - Email address
+ * @returns {Promise<User|null>} User document
+ */
+userSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).trim().toLowerCase() }).select('+password');
+};
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
+module.exports.PUBLIC_PROFILE_FIELDS = PUBLIC_PROFILE_FIELDS;
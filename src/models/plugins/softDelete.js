@@ -0,0 +1,147 @@
+// File: src/models/plugins/softDelete.js
+// Generated: 2026-10-19 18:06:32 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_e3msy8kic5bz
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Query operations that hide soft-deleted documents by default
+ */
+
+
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Soft Delete Plugin
+ *
+ * Adds deletedAt/deletedBy to a schema and hides trashed documents from
+ * queries and aggregations. To include them, pass the withDeleted option:
+ *
+ *   Post.find().setOptions({ withDeleted: true })
+ *   Post.aggregate(pipeline).option({ withDeleted: true })
+ *
+ * A query whose filter already mentions deletedAt (e.g. the trash listing)
+ * is left as is.
+ *
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    const { withDeleted } = this.getOptions();
+    if (withDeleted !== undefined) {
+      // Not a driver option; keep it out of the command sent to MongoDB
+      delete this.options.withDeleted;
+    }
+
+    if (withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const { withDeleted } = this.options;
+    delete this.options.withDeleted;
+    if (withDeleted) {
+      return;
+    }
+
+    // Merge into a leading $match so stages that must come first ($text) stay first
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (first.$match.deletedAt === undefined) {
+        first.$match.deletedAt = null;
+      }
+    } else if (first && (first.$geoNear || first.$search)) {
+      pipeline.splice(1, 0, { $match: { deletedAt: null } });
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  /**
+   * Instance method: isDeleted
+   * @returns {Boolean} True if the document is in the trash
+   */
+  schema.methods.isDeleted = function() {
+    return Boolean(this.deletedAt);
+  };
+
+  /**
+   * Instance method: softDelete
+   * Moves the document to the trash
+   * @param {ObjectId|String} userId - User deleting the document
+   * @param {Object} options - Save options (e.g. { session })
+   * @returns {Promise<Document>} Saved document
+   */
+  schema.methods.softDelete = function(userId, options = {}) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save(options);
+  };
+
+  /**
+   * Instance method: restore
+   * Takes the document out of the trash
+   * @param {Object} options - Save options (e.g. { session })
+   * @returns {Promise<Document>} Saved document
+   */
+  schema.methods.restore = function(options = {}) {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save(options);
+  };
+
+  /**
+   * Static method: findDeleted
+   * Finds trashed documents only
+   * @param {Object} filter - Additional conditions
+   * @returns {Query} Mongoose query
+   */
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ ...filter, deletedAt: { $ne: null } });
+  };
+
+  /**
+   * Static method: findByIdWithDeleted
+   * Finds a document by ID whether or not it is trashed
+   * @param {ObjectId|String} id - Document ID
+   * @returns {Query} Mongoose query
+   */
+  schema.statics.findByIdWithDeleted = function(id) {
+    return this.findById(id).setOptions({ withDeleted: true });
+  };
+};
+
+module.exports = softDeletePlugin;
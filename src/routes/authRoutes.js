@@ -0,0 +1,47 @@
+// File: src/routes/authRoutes.js
+// Generated: 2026-10-19 17:56:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_xqfoda5w2uxs
+
+
+const express = require('express');
+
+const { register, login, refresh, logout } = require('../controllers/authController');
+
+const { registerValidation, loginValidation, refreshTokenValidation } = require('../validators/authValidator');
+
+
+const router = express.Router();
+
+/**
+ * POST /register
+ * Create an account and return an access/refresh token pair
+ * @body {string} name - Display name (required)
+ * @body {string} email - Email address (required)
+ * @body {string} password - Password, 8-128 chars with letters and digits (required)
+ */
+router.post('/register', registerValidation, register);
+
+/**
+ * POST /login
+ * Authenticate with email and password
+ * @body {string} email - Email address (required)
+ * @body {string} password - Password (required)
+ */
+router.post('/login', loginValidation, login);
+
+/**
+ * POST /refresh
+ * Rotate a refresh token and return a new token pair
+ * @body {string} refreshToken - Current refresh token (required)
+ */
+router.post('/refresh', refreshTokenValidation, refresh);
+
+/**
+ * POST /logout
+ * Revoke the refresh token and every token rotated from the same login
+ * @body {string} refreshToken - Current refresh token (required)
+ */
+router.post('/logout', refreshTokenValidation, logout);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+// File: src/routes/categoryRoutes.js
+// Generated: 2026-10-19 18:22:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_6ixvfgpg7hyv
+
+
+const express = require('express');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+const { writeLimiter } = require('../middleware/rateLimiter');
+
+const { getCategories, createCategory } = require('../controllers/taxonomyController');
+
+const { createCategoryValidation } = require('../validators/taxonomyValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /
+ * All categories as a tree, with published post counts
+ */
+router.get('/', getCategories);
+
+/**
+ * POST /
+ * Create a category, optionally under a parent category
+ */
+router.post('/', authenticate, authorize('category', 'create'), writeLimiter, createCategoryValidation, createCategory);
+
+module.exports = router;
@@ -9,28 +9,53 @@ const express = require('express');
 
 const logger = require('../utils/logger');
 
-const { Validator } = require('../middleware/validator');
+const { authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
 
-const { authenticate, authorize } = require('../middleware/auth');
+const { writeLimiter } = require('../middleware/rateLimiter');
 
-const { getComments, getCommentById, createComment, updateComment, deleteComment } = require('../controllers/commentController');
+const { patchBody } = require('../middleware/patch');
 
+const { idempotent } = require('../middleware/idempotency');
 
-const router = express.Router();
+const {
+  getCommentsByPost,
+  getCommentById,
+  getCommentReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  restoreComment
+} = require('../controllers/commentController');
+
+const { addCommentReaction, removeCommentReaction } = require('../controllers/reactionController');
 
-// Initialize validator instance
+const {
+  createPostCommentValidation,
+  updateCommentValidation,
+  patchCommentValidation,
+  postCommentsValidation,
+  commentIdValidation,
+  commentRepliesValidation,
+  reactionValidation,
+  handleValidationErrors
+} = require('../validators/commentValidator');
 
 
-const validator = new Validator();
+const router = express.Router();
 
 /**
  * GET /posts/:postId/comments
  * Retrieve all comments for a specific post
+ * ?threaded=true returns nested reply trees with per-thread reply limits
+ * ?sort=newest|oldest|top|controversial orders the (top-level) comments
+ * Comments on unpublished posts are only returned to those who may edit the post
  * @param {string} postId - MongoDB ObjectId of the post
  */
 router.get('/posts/:postId/comments',
-  validator.validateId('postId'),
-  getComments
+  optionalAuthenticate,
+  postCommentsValidation,
+  handleValidationErrors,
+  getCommentsByPost
 );
 
 /**
@@ -38,50 +63,133 @@ router.get('/posts/:postId/comments',
  * Create a new comment on a post
  * @param {string} postId - MongoDB ObjectId of the post
  * @body {string} content - Comment content (required)
- * @body {string} author - Comment author (required)
+ * @body {string} parentId - Comment being replied to (optional)
+ * @header {string} Idempotency-Key - Replays the original response on retry (optional)
  */
 router.post('/posts/:postId/comments',
   authenticate,
-  validator.validateId('postId'),
-  validator.validateComment(),
+  authorize('comment'),
+  writeLimiter,
+  idempotent,
+  createPostCommentValidation,
+  handleValidationErrors,
   createComment
 );
 
 /**
  * GET /comments/:id
  * Retrieve a single comment by ID
+ * Unapproved comments are only returned to their author and moderators
  * @param {string} id - MongoDB ObjectId of the comment
  */
 router.get('/:id',
-  validator.validateId('id'),
+  optionalAuthenticate,
+  commentIdValidation,
+  handleValidationErrors,
   getCommentById
 );
 
+/**
+ * GET /comments/:id/replies
+ * Page through a comment's direct replies, each with its nested replies
+ * @param {string} id - MongoDB ObjectId of the comment
+ */
+router.get('/:id/replies',
+  commentRepliesValidation,
+  handleValidationErrors,
+  getCommentReplies
+);
+
 /**
  * PUT /comments/:id
  * Update an existing comment
  * @param {string} id - MongoDB ObjectId of the comment
  * @body {string} content - Updated comment content (required)
- * @body {string} author - Updated comment author (required)
  */
 router.put('/:id',
   authenticate,
   authorize('comment'),
-  validator.validateId('id'),
-  validator.validateComment(),
+  writeLimiter,
+  commentIdValidation,
+  updateCommentValidation,
+  handleValidationErrors,
+  updateComment
+);
+
+/**
+ * PATCH /comments/:id
+ * Update a comment with a JSON Merge Patch (application/merge-patch+json)
+ * or JSON Patch (application/json-patch+json) document; requires If-Match
+ * @param {string} id - MongoDB ObjectId of the comment
+ */
+router.patch('/:id',
+  authenticate,
+  authorize('comment'),
+  writeLimiter,
+  commentIdValidation,
+  handleValidationErrors,
+  patchBody,
+  patchCommentValidation,
+  handleValidationErrors,
   updateComment
 );
 
 /**
  * DELETE /comments/:id
- * Delete a comment
+ * Move a comment to the trash
  * @param {string} id - MongoDB ObjectId of the comment
  */
 router.delete('/:id',
   authenticate,
   authorize('comment'),
-  validator.validateId('id'),
+  writeLimiter,
+  commentIdValidation,
+  handleValidationErrors,
   deleteComment
 );
 
+/**
+ * POST /comments/:id/restore
+ * Restore a trashed comment
+ * @param {string} id - MongoDB ObjectId of the comment
+ */
+router.post('/:id/restore',
+  authenticate,
+  authorize('comment', 'restore'),
+  writeLimiter,
+  commentIdValidation,
+  handleValidationErrors,
+  restoreComment
+);
+
+/**
+ * PUT /comments/:id/reactions/:type
+ * Add the current user's reaction (idempotent)
+ * @param {string} id - MongoDB ObjectId of the comment
+ * @param {string} type - like, upvote, downvote, heart, laugh, wow, sad, or angry
+ */
+router.put('/:id/reactions/:type',
+  authenticate,
+  authorize('comment', 'react'),
+  writeLimiter,
+  reactionValidation,
+  handleValidationErrors,
+  addCommentReaction
+);
+
+/**
+ * DELETE /comments/:id/reactions/:type
+ * Remove the current user's reaction (idempotent)
+ * @param {string} id - MongoDB ObjectId of the comment
+ * @param {string} type - Reaction type
+ */
+router.delete('/:id/reactions/:type',
+  authenticate,
+  authorize('comment', 'react'),
+  writeLimiter,
+  reactionValidation,
+  handleValidationErrors,
+  removeCommentReaction
+);
+
 module.exports = router;
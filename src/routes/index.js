@@ -4,6 +4,12 @@
 // Task ID: task_xdekduz5gnoe
 
 
+const authRoutes = require('./authRoutes');
+
+
+const categoryRoutes = require('./categoryRoutes');
+
+
 const commentRoutes = require('./commentRoutes');
 
 
@@ -16,9 +22,24 @@ const healthRoutes = require('./healthRoutes');
 const logger = require('../utils/logger');
 
 
+const meRoutes = require('./meRoutes');
+
+
+const moderationRoutes = require('./moderationRoutes');
+
+
 const postRoutes = require('./postRoutes');
 
 
+const searchRoutes = require('./searchRoutes');
+
+
+const tagRoutes = require('./tagRoutes');
+
+
+const trashRoutes = require('./trashRoutes');
+
+
 const router = express.Router();
 
 // Import route modules
@@ -30,6 +51,13 @@ const router = express.Router();
  */
 router.use('/health', healthRoutes);
 
+/**
+ * Auth Routes
+ * Mounts account endpoints at /auth
+ * Includes: POST /register, POST /login, POST /refresh, POST /logout
+ */
+router.use('/auth', authRoutes);
+
 /**
  * Posts API Routes
  * Mounts all post-related endpoints at /api/posts
@@ -45,9 +73,45 @@ router.use('/api/posts', postRoutes);
  */
 router.use('/api/comments', commentRoutes);
 
+/**
+ * Moderation Routes
+ * Mounts the comment moderation queue at /api/moderation
+ * Includes: GET /comments, POST /comments/bulk
+ */
+router.use('/api/moderation', moderationRoutes);
+
+/**
+ * Trash Routes
+ * Mounts the trash listing at /api/trash
+ * Includes: GET /
+ */
+router.use('/api/trash', trashRoutes);
+
+/**
+ * Current User Routes
+ * Mounts the caller's own resources at /api/me
+ * Includes: GET /bookmarks
+ */
+router.use('/api/me', meRoutes);
+
+/**
+ * Taxonomy Routes
+ * Mounts tags at /api/tags and categories at /api/categories
+ * Includes: GET /api/tags, GET /api/categories, POST /api/categories
+ */
+router.use('/api/tags', tagRoutes);
+router.use('/api/categories', categoryRoutes);
+
+/**
+ * Search Routes
+ * Mounts search helpers at /api/search (post search itself is GET /api/posts/search)
+ * Includes: GET /suggest
+ */
+router.use('/api/search', searchRoutes);
+
 // Log route registration
 logger.info('Routes registered successfully', {
-  routes: ['/health', '/api/posts', '/api/comments']
+  routes: ['/health', '/auth', '/api/posts', '/api/comments', '/api/moderation', '/api/trash', '/api/me', '/api/tags', '/api/categories', '/api/search']
 });
 
 module.exports = router;
@@ -0,0 +1,24 @@
+// File: src/routes/meRoutes.js
+// Generated: 2026-10-19 18:19:56 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_kb4q72dy8zy9
+
+
+const express = require('express');
+
+const { authenticate } = require('../middleware/auth');
+
+const { getMyBookmarks } = require('../controllers/engagementController');
+
+const { bookmarksQueryValidation } = require('../validators/meValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /bookmarks
+ * The caller's reading list, newest bookmark first, paged by cursor
+ */
+router.get('/bookmarks', authenticate, bookmarksQueryValidation, getMyBookmarks);
+
+module.exports = router;
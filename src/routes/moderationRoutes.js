@@ -0,0 +1,32 @@
+// File: src/routes/moderationRoutes.js
+// Generated: 2026-10-19 18:12:45 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_w3wh6npm1v9q
+
+
+const express = require('express');
+
+const { authenticate, authorize } = require('../middleware/auth');
+
+const { writeLimiter } = require('../middleware/rateLimiter');
+
+const { getModerationQueue, bulkModerateComments } = require('../controllers/moderationController');
+
+const { moderationQueueValidation, bulkModerationValidation } = require('../validators/moderationValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /comments
+ * Comments awaiting moderation (or with another status via ?status=)
+ */
+router.get('/comments', authenticate, authorize('comment', 'moderate'), moderationQueueValidation, getModerationQueue);
+
+/**
+ * POST /comments/bulk
+ * Approve, reject, or mark as spam up to 100 comments
+ */
+router.post('/comments/bulk', authenticate, authorize('comment', 'moderate'), writeLimiter, bulkModerationValidation, bulkModerateComments);
+
+module.exports = router;
@@ -6,13 +6,47 @@
 
 const express = require('express');
 
-const { Validator } = require('../middleware/validator');
+const { authenticate, optionalAuthenticate, authorize } = require('../middleware/auth');
 
-const { authenticate, authorize } = require('../middleware/auth');
+const {
+  getPosts,
+  getPostById,
+  getScheduledPosts,
+  createPost,
+  updatePost,
+  updatePostStatus,
+  deletePost,
+  restorePost,
+  bulkUpdatePosts
+} = require('../controllers/postController');
 
-const { getPosts, getPostById, createPost, updatePost, deletePost } = require('../controllers/postController');
+const { getPostRevisions, getRevisionDiff, restoreRevision } = require('../controllers/revisionController');
 
-const { rateLimiter } = require('../middleware/rateLimiter');
+const { likePost, unlikePost, bookmarkPost, unbookmarkPost } = require('../controllers/engagementController');
+
+const { searchPosts } = require('../controllers/searchController');
+
+const {
+  createPostValidation,
+  updatePostValidation,
+  patchPostValidation,
+  updatePostStatusValidation,
+  postIdValidation,
+  postIdOrSlugValidation,
+  postRevisionsValidation,
+  revisionValidation,
+  queryPostsValidation,
+  listPostsValidation,
+  searchPostsValidation,
+  deletePostValidation,
+  bulkPostValidation
+} = require('../validators/postValidator');
+
+const { writeLimiter } = require('../middleware/rateLimiter');
+
+const { patchBody } = require('../middleware/patch');
+
+const { idempotent } = require('../middleware/idempotency');
 
 
 const router = express.Router();
@@ -20,33 +54,109 @@ const router = express.Router();
 /**
  * GET /
  * Retrieve all posts
+ * Filter with ?tags=a&tags=b (&tagMode=all) and ?category=slug
+ * Signed-in callers also get their liked/bookmarked flags
  */
-router.get('/', getPosts);
+router.get('/', optionalAuthenticate, listPostsValidation, getPosts);
 
 /**
- * GET /:id
- * Retrieve a single post by ID
+ * GET /search
+ * Full-text search with highlighted snippets, filters and facet counts
+ * Registered before /:idOrSlug so "search" is not treated as a slug
  */
-router.get('/:id', Validator.validatePostId, getPostById);
+router.get('/search', optionalAuthenticate, searchPostsValidation, searchPosts);
+
+/**
+ * GET /scheduled
+ * Admin view of drafts waiting for the publish scheduler
+ * Registered before /:idOrSlug so "scheduled" is not treated as a slug
+ */
+router.get('/scheduled', authenticate, authorize('post', 'listScheduled'), queryPostsValidation, getScheduledPosts);
+
+/**
+ * GET /:idOrSlug
+ * Retrieve a single post by ID or slug
+ * Previous slugs answer 301 with a Location header for the current slug
+ */
+router.get('/:idOrSlug', optionalAuthenticate, postIdOrSlugValidation, getPostById);
 
 /**
  * POST /
  * Create a new post
- * Validates request body before processing
+ * Validates request body before processing; retries with the same Idempotency-Key are replayed
  */
-router.post('/', authenticate, rateLimiter, Validator.validatePost, createPost);
+router.post('/', authenticate, authorize('post'), writeLimiter, idempotent, createPostValidation, createPost);
+
+/**
+ * POST /bulk
+ * Publish, unpublish, archive, delete, retag or change the author of up to 100 posts
+ * Permission is checked per post; the response reports the result for each ID
+ */
+router.post('/bulk', authenticate, writeLimiter, bulkPostValidation, bulkUpdatePosts);
 
 /**
  * PUT /:id
- * Update an existing post
- * Validates both ID and request body
+ * Replace an existing post's editable fields
+ * Validates both ID and request body; requires If-Match or version
+ */
+router.put('/:id', authenticate, authorize('post'), writeLimiter, updatePostValidation, updatePost);
+
+/**
+ * PATCH /:id
+ * Partially update a post with a JSON Merge Patch (application/merge-patch+json)
+ * or JSON Patch (application/json-patch+json) document; requires If-Match
+ */
+router.patch('/:id', authenticate, authorize('post'), writeLimiter, patchBody, patchPostValidation, updatePost);
+
+/**
+ * PATCH /:id/status
+ * Move a post through its lifecycle (draft -> published -> archived)
+ * Illegal transitions return 409 with the valid target statuses
+ */
+router.patch('/:id/status', authenticate, authorize('post', 'update'), writeLimiter, updatePostStatusValidation, updatePostStatus);
+
+/**
+ * GET /:id/revisions
+ * List the post's saved revisions, newest first
+ */
+router.get('/:id/revisions', authenticate, authorize('post', 'readRevisions'), postRevisionsValidation, getPostRevisions);
+
+/**
+ * GET /:id/revisions/:rev/diff
+ * Line-level diff between a revision and the current content
+ */
+router.get('/:id/revisions/:rev/diff', authenticate, authorize('post', 'readRevisions'), revisionValidation, getRevisionDiff);
+
+/**
+ * POST /:id/revisions/:rev/restore
+ * Restore title and content from a revision (saved as a new revision)
  */
-router.put('/:id', authenticate, authorize, rateLimiter, Validator.validatePostId, Validator.validatePost, updatePost);
+router.post('/:id/revisions/:rev/restore', authenticate, authorize('post', 'update'), writeLimiter, revisionValidation, restoreRevision);
 
 /**
  * DELETE /:id
- * Delete a post by ID
+ * Move a post and its comments to the trash
+ */
+router.delete('/:id', authenticate, authorize('post'), writeLimiter, deletePostValidation, deletePost);
+
+/**
+ * POST /:id/restore
+ * Restore a trashed post together with the comments trashed with it
+ */
+router.post('/:id/restore', authenticate, authorize('post', 'restore'), writeLimiter, postIdValidation, restorePost);
+
+/**
+ * POST /:id/like, DELETE /:id/like
+ * Like or unlike a published post (idempotent)
+ */
+router.post('/:id/like', authenticate, authorize('post', 'like'), writeLimiter, postIdValidation, likePost);
+router.delete('/:id/like', authenticate, authorize('post', 'like'), writeLimiter, postIdValidation, unlikePost);
+
+/**
+ * POST /:id/bookmark, DELETE /:id/bookmark
+ * Add a published post to, or remove it from, the caller's reading list (idempotent)
  */
-router.delete('/:id', authenticate, authorize, rateLimiter, Validator.validatePostId, deletePost);
+router.post('/:id/bookmark', authenticate, authorize('post', 'bookmark'), writeLimiter, postIdValidation, bookmarkPost);
+router.delete('/:id/bookmark', authenticate, authorize('post', 'bookmark'), writeLimiter, postIdValidation, unbookmarkPost);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+// File: src/routes/searchRoutes.js
+// Generated: 2026-10-19 18:28:05 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_xsxci9sp241b
+
+
+const express = require('express');
+
+const { getSuggestions } = require('../controllers/searchController');
+
+const { suggestValidation } = require('../validators/searchValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /suggest
+ * Search-as-you-type suggestions from post titles, tags and authors
+ */
+router.get('/suggest', suggestValidation, getSuggestions);
+
+module.exports = router;
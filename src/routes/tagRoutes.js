@@ -0,0 +1,22 @@
+// File: src/routes/tagRoutes.js
+// Generated: 2026-10-19 18:22:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_ncn3a59x29l9
+
+
+const express = require('express');
+
+const { getTags } = require('../controllers/taxonomyController');
+
+const { tagsQueryValidation } = require('../validators/taxonomyValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /
+ * Tags used by published posts, with usage counts, most used first
+ */
+router.get('/', tagsQueryValidation, getTags);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// File: src/routes/trashRoutes.js
+// Generated: 2026-10-19 18:08:19 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_2m9h7d8dza73
+
+
+const express = require('express');
+
+const { authenticate } = require('../middleware/auth');
+
+const { getTrash } = require('../controllers/trashController');
+
+const { trashQueryValidation } = require('../validators/trashValidator');
+
+
+const router = express.Router();
+
+/**
+ * GET /
+ * List trashed posts or comments
+ * Restore with POST /api/posts/:id/restore or POST /api/comments/:id/restore
+ */
+router.get('/', authenticate, trashQueryValidation, getTrash);
+
+module.exports = router;
@@ -12,6 +12,12 @@ const config = require('./config/env');
 
 const logger = require('./utils/logger');
 
+
+const publishScheduler = require('./jobs/publishScheduler');
+
+
+const trashPurger = require('./jobs/trashPurger');
+
 const { connectDB, disconnectDB } = require('./config/database');
 
 
@@ -31,6 +37,10 @@ const startServer = async () => {
     await connectDB();
     logger.info('Database connected successfully');
 
+    // Start background jobs that need the database
+    publishScheduler.start();
+    trashPurger.start();
+
     // Start HTTP server
     server = app.listen(config.port, () => {
       logger.info(`Server running on port ${config.port} in ${config.nodeEnv} mode`, {
@@ -83,6 +93,9 @@ const gracefulShutdown = async (signal) => {
   }, 10000);
 
   try {
+    // Let in-flight job runs finish before the database goes away
+    await Promise.all([publishScheduler.stop(), trashPurger.stop()]);
+
     if (server) {
       // Stop accepting new connections
       server.close(() => {
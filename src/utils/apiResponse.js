@@ -3,10 +3,15 @@
 // Project ID: proj_ac172ae5aba9
 // Task ID: task_2bhn4l1mielh
 
-* - Success: { success: true, data: any, message: string, statusCode: number }
+/**
+ * Standard response envelope
+ * - Success: { success: true, data: any, message: string, statusCode: number }
  * - Error: { success: false, data: null, message: string, statusCode: number, errors?: any }
  */
 
+
+const { weakEntityTag, checkNotModified } = require('./conditional');
+
 /**
  * HTTP Status Code Constants
  * Common status codes used throughout the application
@@ -17,12 +22,16 @@ const STATUS_CODES = {
   OK: 200,
   CREATED: 201,
   NO_CONTENT: 204,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
+  PRECONDITION_REQUIRED: 428,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -48,6 +57,94 @@ function sanitizeString(input) {
     .replace(/\//g, '&#x2F;');
 }
 
+/**
+ * Build a link to another page of the current request
+ * Keeps the request's path and query string and overrides the given
+ * parameters; a null value removes the parameter.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} params - Query parameters to set or remove
+ * @returns {string} URL relative to the host
+ */
+
+
+function pageUrl(req, params) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  Object.entries(params).forEach(([name, value]) => {
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, String(value));
+    }
+  });
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Build the pagination envelope and first/prev/next/last links
+ * Offset pages are described by { page, limit, total }; cursor pages by the
+ * { limit, hasNextPage, hasPrevPage, nextCursor, prevCursor } object from
+ * cursorQuery().paginate. Fields that do not apply to the mode are null, so
+ * every list endpoint returns the same shape.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} pagination - Offset or cursor pagination input
+ * @returns {Object} { pagination, links }
+ */
+
+
+function buildPagination(req, pagination) {
+  if (pagination.nextCursor !== undefined) {
+    const { limit, hasNextPage, hasPrevPage, nextCursor, prevCursor } = pagination;
+    return {
+      pagination: {
+        type: 'cursor',
+        limit,
+        page: null,
+        total: null,
+        totalPages: null,
+        hasNextPage,
+        hasPrevPage,
+        nextCursor,
+        prevCursor
+      },
+      links: {
+        first: pageUrl(req, { page: null, cursor: null, paginate: 'cursor' }),
+        prev: prevCursor ? pageUrl(req, { page: null, cursor: prevCursor }) : null,
+        next: nextCursor ? pageUrl(req, { page: null, cursor: nextCursor }) : null,
+        last: null
+      }
+    };
+  }
+
+  const page = parseInt(pagination.page) || 1;
+  const limit = parseInt(pagination.limit);
+  const total = pagination.total;
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  return {
+    pagination: {
+      type: 'offset',
+      limit,
+      page,
+      total,
+      totalPages,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: null,
+      prevCursor: null
+    },
+    links: {
+      first: pageUrl(req, { page: 1 }),
+      prev: hasPrevPage ? pageUrl(req, { page: Math.min(page - 1, Math.max(totalPages, 1)) }) : null,
+      next: hasNextPage ? pageUrl(req, { page: page + 1 }) : null,
+      last: pageUrl(req, { page: Math.max(totalPages, 1) })
+    }
+  };
+}
+
 /**
  * ApiResponse Class
  * Static methods for sending standardized API responses
@@ -86,6 +183,54 @@ class ApiResponse {
     });
   }
 
+  /**
+   * Send a page of a list
+   * Adds a uniform pagination envelope and first/prev/next/last links to the
+   * data, the same links as an RFC 8288 Link header, and X-Total-Count and
+   * X-Page-Count headers when the total is known (offset pagination).
+   * The page carries a weak ETag, so an unchanged page answers 304. Pages can
+   * hold per-caller data (drafts, liked/bookmarked flags), so they vary on
+   * Authorization.
+   *
+   * @param {Object} res - Express response object
+   * @param {Object} data - Response data holding the page's items
+   * @param {Object} pagination - { page, limit, total } for offset pages, or the
+   *   pagination object from cursorQuery().paginate for cursor pages
+   * @param {string} message - Success message
+   * @returns {Object} Express response
+   *
+   * @example
+   * ApiResponse.paginated(res, { posts }, { page, limit, total });
+   * ApiResponse.paginated(res, { bookmarks }, cursorPage.paginate(docs).pagination);
+   */
+  static paginated(res, data, pagination, message = 'Success') {
+    if (!res || typeof res.status !== 'function') {
+      throw new Error('Invalid response object provided to ApiResponse.paginated');
+    }
+
+    const envelope = buildPagination(res.req, pagination);
+
+    const linkHeader = Object.entries(envelope.links)
+      .filter(([, url]) => url)
+      .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+      .join(', ');
+    res.set('Link', linkHeader);
+
+    if (envelope.pagination.type === 'offset') {
+      res.set('X-Total-Count', String(envelope.pagination.total));
+      res.set('X-Page-Count', String(envelope.pagination.totalPages));
+    }
+
+    res.vary('Authorization');
+
+    const body = { ...data, ...envelope };
+    if (checkNotModified(res.req, res, { etag: weakEntityTag({ data: body, message }) })) {
+      return this.notModified(res);
+    }
+
+    return this.success(res, body, message);
+  }
+
   /**
    * Send an error response
    *
@@ -159,6 +304,25 @@ class ApiResponse {
     return res.status(STATUS_CODES.NO_CONTENT).send();
   }
 
+  /**
+   * Send a not modified response (304)
+   * Used when a conditional GET matches the current representation; the
+   * ETag and Last-Modified headers set beforehand are sent without a body.
+   *
+   * @param {Object} res - Express response object
+   * @returns {Object} Express response
+   *
+   * @example
+   * ApiResponse.notModified(res);
+   */
+  static notModified(res) {
+    if (!res || typeof res.status !== 'function') {
+      throw new Error('Invalid response object provided to ApiResponse.notModified');
+    }
+
+    return res.status(STATUS_CODES.NOT_MODIFIED).end();
+  }
+
   /**
    * Send a bad request error (400)
    *
@@ -222,13 +386,60 @@ class ApiResponse {
    *
    * @param {Object} res - Express response object
    * @param {string} message - Error message
+   * @param {*} errors - Conflict details (optional)
    * @returns {Object} Express response
    *
    * @example
    * ApiResponse.conflict(res, 'Resource already exists');
+   * ApiResponse.conflict(res, 'Invalid transition', { validTransitions: ['published'] });
+   */
+  static conflict(res, message = 'Conflict', errors = null) {
+    return this.error(res, message, STATUS_CODES.CONFLICT, errors);
+  }
+
+  /**
+   * Send a precondition failed error (412)
+   * Used when an If-Match tag or version no longer matches the stored document
+   *
+   * @param {Object} res - Express response object
+   * @param {string} message - Error message
+   * @param {*} errors - Current server version (optional)
+   * @returns {Object} Express response
+   *
+   * @example
+   * ApiResponse.preconditionFailed(res, 'Post has been modified', { etag, version });
+   */
+  static preconditionFailed(res, message = 'Precondition failed', errors = null) {
+    return this.error(res, message, STATUS_CODES.PRECONDITION_FAILED, errors);
+  }
+
+  /**
+   * Send an unsupported media type error (415)
+   *
+   * @param {Object} res - Express response object
+   * @param {string} message - Error message
+   * @returns {Object} Express response
+   *
+   * @example
+   * ApiResponse.unsupportedMediaType(res, 'Content-Type must be application/merge-patch+json');
+   */
+  static unsupportedMediaType(res, message = 'Unsupported media type') {
+    return this.error(res, message, STATUS_CODES.UNSUPPORTED_MEDIA_TYPE);
+  }
+
+  /**
+   * Send a precondition required error (428)
+   * Used when an update is sent without If-Match or a version
+   *
+   * @param {Object} res - Express response object
+   * @param {string} message - Error message
+   * @returns {Object} Express response
+   *
+   * @example
+   * ApiResponse.preconditionRequired(res, 'If-Match header or version is required');
    */
-  static conflict(res, message = 'Conflict') {
-    return this.error(res, message, STATUS_CODES.CONFLICT);
+  static preconditionRequired(res, message = 'Precondition required') {
+    return this.error(res, message, STATUS_CODES.PRECONDITION_REQUIRED);
   }
 
   /**
@@ -0,0 +1,194 @@
+// File: src/utils/conditional.js
+// Generated: 2026-10-19 18:38:32 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_le3uvy7xvi9z
+
+
+const crypto = require('crypto');
+
+/**
+ * Hash a value into a short opaque tag
+ * @param {string} value - Value to hash
+ * @returns {string} base64url SHA-1 digest
+ */
+
+
+const hash = value => crypto.createHash('sha1').update(value).digest('base64url');
+
+/**
+ * Build a strong ETag for a document
+ * The tag changes whenever the document is saved (its updatedAt moves).
+ * Representations that also depend on the caller, such as a post's liked
+ * and bookmarked flags, pass those values as the variant.
+ *
+ * @param {Object} doc - Document or lean object with _id and updatedAt
+ * @param {Array} variant - Extra values the representation depends on
+ * @returns {string} Quoted strong entity tag
+ *
+ * @example
+ * entityTag(post, [post.liked, post.bookmarked]); // '"k3Jd0..."'
+ */
+
+
+const entityTag = (doc, variant = []) => {
+  const updatedAt = doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0;
+  return `"${hash([String(doc._id), updatedAt, ...variant].join(':'))}"`;
+};
+
+/**
+ * Build a weak ETag for a response body
+ * Used for list pages, where equal bodies are all that can be promised.
+ *
+ * @param {*} body - Response body (serialized as JSON)
+ * @returns {string} Weak entity tag (W/"...")
+ */
+
+
+const weakEntityTag = body => `W/"${hash(JSON.stringify(body))}"`;
+
+/**
+ * Check an If-None-Match or If-Match header against an entity tag
+ * Weak comparison (If-None-Match) ignores W/ prefixes; strong comparison
+ * (If-Match) never matches a weak tag. * matches any tag.
+ *
+ * @param {string} header - Header value: * or a comma-separated list of tags
+ * @param {string} etag - Current entity tag
+ * @param {Object} options - { strong: use strong comparison (default: false) }
+ * @returns {boolean} True if one of the listed tags matches
+ */
+
+
+const matchesTag = (header, etag, { strong = false } = {}) => {
+  if (!header || !etag) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+
+  const isWeak = tag => tag.startsWith('W/');
+  if (strong && isWeak(etag)) {
+    return false;
+  }
+
+  return header.split(',').some((entry) => {
+    const tag = entry.trim();
+    if (strong) {
+      return !isWeak(tag) && tag === etag;
+    }
+    return tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+  });
+};
+
+/**
+ * Set the ETag and Last-Modified validators on a response
+ * Cache-Control: no-cache lets clients and CDNs store the response but makes
+ * them revalidate it with If-None-Match / If-Modified-Since before reuse.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} validators - { etag, lastModified }
+ */
+
+
+const setValidators = (res, { etag, lastModified }) => {
+  res.set('Cache-Control', 'no-cache');
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+};
+
+/**
+ * Whether a conditional GET can be answered with 304 Not Modified
+ * If-None-Match takes precedence; If-Modified-Since is only used without it
+ * (RFC 9110 section 13.2.2). Last-Modified has one-second precision, so the
+ * comparison drops milliseconds.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True if the client's copy is current
+ */
+
+
+const isNotModified = (req, { etag, lastModified }) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return matchesTag(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = req.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = Math.floor(new Date(lastModified).getTime() / 1000) * 1000;
+    return !Number.isNaN(since) && modified <= since;
+  }
+
+  return false;
+};
+
+/**
+ * Set validators and evaluate the request's conditional headers
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True if the caller should answer 304 Not Modified
+ *
+ * @example
+ * if (checkNotModified(req, res, { etag: entityTag(post), lastModified: post.updatedAt })) {
+ *   return ApiResponse.notModified(res);
+ * }
+ */
+
+
+const checkNotModified = (req, res, validators) => {
+  setValidators(res, validators);
+  return isNotModified(req, validators);
+};
+
+/**
+ * Check the preconditions of an update against the current document
+ * The client names the version it edited with If-Match (an ETag from a
+ * previous read) or a version field in the body (the document's __v);
+ * when both are given both must match.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} current - { etag, version } of the stored document
+ * @returns {string} 'ok', 'missing' (neither was sent) or 'failed' (stale)
+ *
+ * @example
+ * const precondition = checkPrecondition(req, { etag: entityTag(comment), version: comment.__v });
+ */
+
+
+const checkPrecondition = (req, { etag, version }) => {
+  const ifMatch = req.get('If-Match');
+  const expected = req.body ? req.body.version : undefined;
+
+  if (!ifMatch && expected === undefined) {
+    return 'missing';
+  }
+  if (ifMatch && !matchesTag(ifMatch, etag, { strong: true })) {
+    return 'failed';
+  }
+  if (expected !== undefined && Number(expected) !== version) {
+    return 'failed';
+  }
+  return 'ok';
+};
+
+module.exports = {
+  entityTag,
+  weakEntityTag,
+  matchesTag,
+  setValidators,
+  isNotModified,
+  checkNotModified,
+  checkPrecondition
+};
@@ -0,0 +1,209 @@
+// File: src/utils/cursor.js
+// Generated: 2026-10-19 18:33:54 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_wjbvgyh9g1k3
+
+
+const crypto = require('crypto');
+
+/**
+ * Cursor Pagination
+ *
+ * Every cursor-paged list uses the same opaque cursor: the (createdAt, _id)
+ * position of a boundary item, the list order and the paging direction,
+ * as base64url JSON followed by an HMAC-SHA256 signature. Cursors are
+ * scoped to one list, so a posts cursor cannot be replayed against comments,
+ * and a tampered or truncated cursor fails verification.
+ *
+ * Usage:
+ *   const page = cursorQuery(req.query.cursor, { scope: 'posts', order: -1, limit });
+ *   if (!page) -> 400 Invalid cursor
+ *   const docs = await Post.find({ ...filter, ...page.filter }).sort(page.sort).limit(page.limit);
+ *   const { items, pagination } = page.paginate(docs);
+ *
+ * Signed with CURSOR_SECRET, falling back to a key derived from
+ * JWT_ACCESS_SECRET (never the token secret itself). Without either, a
+ * random per-process key is used and cursors stop working after a restart
+ * or on another instance.
+ */
+
+
+const PROCESS_SECRET = crypto.randomBytes(32);
+
+
+const DIRECTIONS = {
+  next: 'n',
+  prev: 'p'
+};
+
+/**
+ * Get the cursor signing key
+ * The JWT fallback is run through HMAC with a fixed label, so a cursor
+ * signature is never an HMAC computed directly with the token secret
+ *
+ * @returns {string|Buffer} Secret
+ */
+
+
+const getSecret = () => {
+  if (process.env.CURSOR_SECRET) {
+    return process.env.CURSOR_SECRET;
+  }
+  if (process.env.JWT_ACCESS_SECRET) {
+    return crypto.createHmac('sha256', process.env.JWT_ACCESS_SECRET).update('cursor').digest();
+  }
+  return PROCESS_SECRET;
+};
+
+/**
+ * Sign a cursor payload
+ * @param {string} payload - base64url payload
+ * @returns {string} base64url signature
+ */
+
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+/**
+ * Encode a position in a list
+ *
+ * @param {Object} item - Boundary item with createdAt and _id
+ * @param {Object} options - { scope, order: -1 (newest first) or 1, direction: next or prev }
+ * @returns {string} Opaque cursor
+ */
+
+
+const encodeCursor = (item, { scope, order, direction = 'next' }) => {
+  const payload = Buffer.from(JSON.stringify({
+    s: scope,
+    o: order,
+    d: DIRECTIONS[direction],
+    t: new Date(item.createdAt).getTime(),
+    i: String(item._id)
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Verify and decode a cursor
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} scope - List the cursor must belong to
+ * @returns {Object|null} { order, direction, createdAt, id }, or null if invalid
+ */
+
+
+const decodeCursor = (cursor, scope) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const [payload, signature, ...rest] = cursor.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { s, o, d, t, i } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const direction = Object.keys(DIRECTIONS).find(name => DIRECTIONS[name] === d);
+    if (s !== scope || ![-1, 1].includes(o) || !direction || !Number.isInteger(t) || !/^[a-f\d]{24}$/i.test(i)) {
+      return null;
+    }
+    return { order: o, direction, createdAt: new Date(t), id: i };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the list order from a Mongoose sort
+ * Cursors only page lists ordered by createdAt with _id as tiebreaker.
+ *
+ * @param {Object} sort - Mongoose sort object
+ * @returns {number|null} -1 or 1, or null if the sort cannot be cursor-paged
+ */
+
+
+const cursorOrder = (sort) => {
+  const keys = Object.keys(sort || {});
+  const valid = keys.length === 2 && keys[0] === 'createdAt' && keys[1] === '_id' && sort.createdAt === sort._id;
+  return valid ? sort.createdAt : null;
+};
+
+/**
+ * Prepare a cursor-paged query
+ * Fetches one extra item to tell whether another page exists. Paging back
+ * (a prev cursor) queries in reverse order and flips the result.
+ *
+ * @param {string} cursor - Cursor from the request, if any
+ * @param {Object} options - { scope, order: used without a cursor, limit }
+ * @returns {Object|null} { order, filter, sort, limit, paginate(docs) }, or null if the cursor is invalid
+ */
+
+
+const cursorQuery = (cursor, { scope, order = -1, limit }) => {
+  const position = cursor ? decodeCursor(cursor, scope) : null;
+  if (cursor && !position) {
+    return null;
+  }
+
+  const listOrder = position ? position.order : order;
+  const forward = !position || position.direction === 'next';
+  const queryOrder = forward ? listOrder : -listOrder;
+  const operator = queryOrder === -1 ? '$lt' : '$gt';
+
+  const filter = position
+    ? {
+      $or: [
+        { createdAt: { [operator]: position.createdAt } },
+        { createdAt: position.createdAt, _id: { [operator]: position.id } }
+      ]
+    }
+    : {};
+
+  const paginate = (docs) => {
+    const hasMore = docs.length > limit;
+    const items = docs.slice(0, limit);
+    if (!forward) {
+      items.reverse();
+    }
+
+    const hasNextPage = forward ? hasMore : true;
+    const hasPrevPage = forward ? Boolean(position) : hasMore;
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      pagination: {
+        limit,
+        hasNextPage: hasNextPage && Boolean(last),
+        hasPrevPage: hasPrevPage && Boolean(first),
+        nextCursor: hasNextPage && last ? encodeCursor(last, { scope, order: listOrder, direction: 'next' }) : null,
+        prevCursor: hasPrevPage && first ? encodeCursor(first, { scope, order: listOrder, direction: 'prev' }) : null
+      }
+    };
+  };
+
+  return {
+    order: listOrder,
+    filter,
+    sort: { createdAt: queryOrder, _id: queryOrder },
+    limit: limit + 1,
+    paginate
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorOrder,
+  cursorQuery
+};
@@ -0,0 +1,127 @@
+// File: src/utils/diff.js
+// Generated: 2026-10-19 18:04:39 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_89pn3d04a92i
+
+/**
+ * Largest old × new line product diffed exactly
+ * Beyond this the LCS table gets too large, so the changed region is
+ * reported as a full replacement instead
+ */
+
+
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines, treating \r\n and \n alike
+ *
+ * @param {string} text - Source text
+ * @returns {Array<string>} Lines (empty array for empty text)
+ */
+
+
+const splitLines = (text) => {
+  const value = String(text || '');
+  return value === '' ? [] : value.split(/\r?\n/);
+};
+
+/**
+ * Line-level diff between two texts
+ * Uses a longest-common-subsequence table over the lines between the common
+ * prefix and suffix. Line numbers are 1-based; removed lines carry oldLine,
+ * added lines carry newLine and unchanged lines carry both.
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Object} { changes: [{ type, value, oldLine, newLine }], stats: { added, removed, unchanged } }
+ *
+ * @example
+ * diffLines('a\nb', 'a\nc');
+ * // changes: equal 'a', removed 'b', added 'c'
+ */
+
+
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const changes = [];
+
+  // Skip the common prefix and suffix; edits are usually local
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const equal = (oldIndex, newIndex) => changes.push({
+    type: 'equal',
+    value: oldLines[oldIndex],
+    oldLine: oldIndex + 1,
+    newLine: newIndex + 1
+  });
+  const removed = (oldIndex) => changes.push({ type: 'removed', value: oldLines[oldIndex], oldLine: oldIndex + 1 });
+  const added = (newIndex) => changes.push({ type: 'added', value: newLines[newIndex], newLine: newIndex + 1 });
+
+  for (let i = 0; i < start; i++) {
+    equal(i, i);
+  }
+
+  const rows = oldEnd - start;
+  const cols = newEnd - start;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    for (let i = start; i < oldEnd; i++) removed(i);
+    for (let j = start; j < newEnd; j++) added(j);
+  } else {
+    // lcs[i][j] = LCS length of oldLines[start + i..oldEnd) and newLines[start + j..newEnd)
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[start + i] === newLines[start + j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldLines[start + i] === newLines[start + j]) {
+        equal(start + i, start + j);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        removed(start + i);
+        i++;
+      } else {
+        added(start + j);
+        j++;
+      }
+    }
+    for (; i < rows; i++) removed(start + i);
+    for (; j < cols; j++) added(start + j);
+  }
+
+  for (let i = oldEnd, j = newEnd; i < oldLines.length; i++, j++) {
+    equal(i, j);
+  }
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  changes.forEach((change) => {
+    if (change.type === 'added') stats.added++;
+    else if (change.type === 'removed') stats.removed++;
+    else stats.unchanged++;
+  });
+
+  return { changes, stats };
+};
+
+module.exports = {
+  diffLines
+};
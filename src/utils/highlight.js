@@ -0,0 +1,184 @@
+// File: src/utils/highlight.js
+// Generated: 2026-10-19 18:24:02 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_jpstnxtenxuu
+
+/**
+ * Search Highlighting
+ *
+ * Builds the highlighted title and content snippet shown with each search
+ * hit. MongoDB's text index matches stemmed words ("publishing" finds
+ * "published"), so a term is highlighted wherever a word starts with it.
+ * Output is HTML: the text is escaped and matches are wrapped in <mark>.
+ */
+
+
+const DEFAULT_SNIPPET_LENGTH = 160;
+
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': '\'',
+  '&#39;': '\'',
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`'
+};
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Turn entity-escaped stored text back into plain text
+ * Post bodies are escaped by the validators, so they are decoded before
+ * matching and escaped again exactly once on output.
+ *
+ * @param {string} text - Stored text
+ * @returns {string} Plain text
+ */
+
+
+const decodeEntities = (text) => String(text || '').replace(/&(?:amp|lt|gt|quot|#x27|#39|#x2F|#x5C|#96);/g, entity => ENTITIES[entity]);
+
+/**
+ * Extract the terms to highlight from a MongoDB $text search string
+ * Quoted phrases are kept whole; negated words and phrases ("-draft") are
+ * dropped because they never appear in a hit, and so are single characters.
+ *
+ * @param {string} search - Search string as sent by the client
+ * @returns {Array<string>} Lowercased terms and phrases, longest first
+ */
+
+
+const parseSearchTerms = (search) => {
+  const terms = new Set();
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(search || ''))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (!negated && term.length > 1) {
+      terms.add(term);
+    }
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Build a RegExp matching any term at the start of a word
+ *
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {RegExp|null} Global, case-insensitive pattern, or null without terms
+ */
+
+
+const buildTermPattern = (terms) => {
+  if (terms.length === 0) {
+    return null;
+  }
+  const alternatives = terms.map(term => term.split(/\s+/).map(escapeRegex).join('\\s+'));
+  return new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})${WORD_CHAR}*`, 'giu');
+};
+
+/**
+ * Escape text and wrap every match in <mark>
+ *
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - Pattern from buildTermPattern
+ * @returns {string} HTML
+ */
+
+
+const markMatches = (text, pattern) => {
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Highlight every match in a short text such as a title
+ *
+ * @param {string} text - Stored text
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {string} HTML
+ */
+
+
+const highlightText = (text, terms) => markMatches(decodeEntities(text), buildTermPattern(terms));
+
+/**
+ * Cut a snippet around the first match and highlight the matches in it
+ * Falls back to the start of the text when no term appears literally.
+ *
+ * @param {string} text - Stored text
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @param {Object} options - { length } approximate snippet length in characters
+ * @returns {string} HTML, with an ellipsis where the text was cut
+ */
+
+
+const buildSnippet = (text, terms, { length = DEFAULT_SNIPPET_LENGTH } = {}) => {
+  const plain = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  const pattern = buildTermPattern(terms);
+
+  let start = 0;
+  const first = pattern ? plain.search(new RegExp(pattern.source, 'iu')) : -1;
+  if (first > length / 3) {
+    // Start at a word boundary about a third of the snippet before the match
+    start = plain.lastIndexOf(' ', first - Math.floor(length / 3)) + 1;
+  }
+
+  let end = Math.min(plain.length, start + length);
+  if (end < plain.length) {
+    const space = plain.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < plain.length ? ' …' : '';
+  return `${prefix}${markMatches(plain.slice(start, end), pattern)}${suffix}`;
+};
+
+module.exports = {
+  parseSearchTerms,
+  highlightText,
+  buildSnippet,
+  escapeHtml,
+  decodeEntities
+};
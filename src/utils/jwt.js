@@ -0,0 +1,279 @@
+// File: src/utils/jwt.js
+// Generated: 2026-10-19 17:55:21 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_df01qio0sv89
+
+
+const fs = require('fs');
+
+
+const jwt = require('jsonwebtoken');
+
+
+const path = require('path');
+
+/**
+ * Supported signing algorithms for access tokens
+ * HS256 verifies with a shared secret, RS256 with a local PEM public key
+ */
+
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256'];
+
+
+let cachedPublicKey = null;
+
+
+let cachedPrivateKey = null;
+
+/**
+ * Resolve the configured access token algorithm
+ * @returns {string} Algorithm name
+ * @throws {Error} If JWT_ALGORITHM is not supported
+ */
+
+
+const getAlgorithm = () => {
+  const algorithm = (process.env.JWT_ALGORITHM || 'HS256').trim().toUpperCase();
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(
+      `JWT_ALGORITHM must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}. Got: "${algorithm}"`
+    );
+  }
+
+  return algorithm;
+};
+
+/**
+ * Read a PEM key file relative to the working directory
+ * @param {string} keyPath - Path to the key file
+ * @returns {string} Key contents
+ */
+
+
+const readKeyFile = (keyPath) => {
+  return fs.readFileSync(path.resolve(process.cwd(), keyPath), 'utf8');
+};
+
+/**
+ * Get the key used to verify access tokens for the given algorithm
+ * The RS256 public key is read once and cached for the process lifetime
+ *
+ * @param {string} algorithm - HS256 or RS256
+ * @returns {string} Secret or PEM public key
+ * @throws {Error} If the required secret or key path is not configured
+ */
+
+
+const getVerificationKey = (algorithm) => {
+  if (algorithm === 'RS256') {
+    if (!cachedPublicKey) {
+      if (!process.env.JWT_PUBLIC_KEY_PATH) {
+        throw new Error('JWT_PUBLIC_KEY_PATH must be set when JWT_ALGORITHM is RS256');
+      }
+      cachedPublicKey = readKeyFile(process.env.JWT_PUBLIC_KEY_PATH);
+    }
+    return cachedPublicKey;
+  }
+
+  if (!process.env.JWT_ACCESS_SECRET) {
+    throw new Error('JWT_ACCESS_SECRET must be set when JWT_ALGORITHM is HS256');
+  }
+  return process.env.JWT_ACCESS_SECRET;
+};
+
+/**
+ * Get the key used to sign access tokens for the given algorithm
+ * RS256 signing needs JWT_PRIVATE_KEY_PATH; instances that only verify
+ * tokens issued elsewhere can leave it unset
+ *
+ * @param {string} algorithm - HS256 or RS256
+ * @returns {string} Secret or PEM private key
+ * @throws {Error} If the required secret or key path is not configured
+ */
+
+
+const getSigningKey = (algorithm) => {
+  if (algorithm === 'RS256') {
+    if (!cachedPrivateKey) {
+      if (!process.env.JWT_PRIVATE_KEY_PATH) {
+        throw new Error('JWT_PRIVATE_KEY_PATH must be set to issue RS256 tokens');
+      }
+      cachedPrivateKey = readKeyFile(process.env.JWT_PRIVATE_KEY_PATH);
+    }
+    return cachedPrivateKey;
+  }
+
+  return getVerificationKey(algorithm);
+};
+
+/**
+ * Get the secret used for refresh tokens
+ * Refresh tokens are always HS256 because only this API verifies them
+ *
+ * @returns {string} Refresh token secret
+ * @throws {Error} If JWT_REFRESH_SECRET is not configured
+ */
+
+
+const getRefreshSecret = () => {
+  if (!process.env.JWT_REFRESH_SECRET) {
+    throw new Error('JWT_REFRESH_SECRET must be set to issue refresh tokens');
+  }
+  return process.env.JWT_REFRESH_SECRET;
+};
+
+/**
+ * Build issuer/audience claims shared by signing and verification
+ * @returns {Object} jsonwebtoken issuer/audience options
+ */
+
+
+const getClaimOptions = () => {
+  const options = {};
+
+  if (process.env.JWT_ISSUER) {
+    options.issuer = process.env.JWT_ISSUER;
+  }
+  if (process.env.JWT_AUDIENCE) {
+    options.audience = process.env.JWT_AUDIENCE;
+  }
+
+  return options;
+};
+
+/**
+ * Build verification options shared by every access token check
+ * The algorithm list is pinned so a token cannot choose its own algorithm
+ *
+ * @param {string} algorithm - Configured algorithm
+ * @returns {Object} jsonwebtoken verify options
+ */
+
+
+const getVerifyOptions = (algorithm) => {
+  return { algorithms: [algorithm], ...getClaimOptions() };
+};
+
+/**
+ * Verify a signed access token and return its payload
+ * Errors are the jsonwebtoken error classes (JsonWebTokenError,
+ * TokenExpiredError, NotBeforeError) so the error handler can map them to 401
+ *
+ * @param {string} token - Raw JWT string
+ * @returns {Object} Decoded token payload
+ * @throws {jwt.JsonWebTokenError} If the token is invalid or has no subject
+ */
+
+
+const verifyAccessToken = (token) => {
+  const algorithm = getAlgorithm();
+  const payload = jwt.verify(token, getVerificationKey(algorithm), getVerifyOptions(algorithm));
+
+  if (!payload || typeof payload !== 'object' || !payload.sub) {
+    throw new jwt.JsonWebTokenError('jwt subject missing');
+  }
+
+  // Refresh tokens must never be accepted as access tokens
+  if (payload.type && payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('jwt type invalid');
+  }
+
+  return payload;
+};
+
+/**
+ * Sign an access token for a user
+ *
+ * @param {Object} user - User document or plain object with _id/id and role
+ * @returns {string} Signed access token
+ */
+
+
+const signAccessToken = (user) => {
+  const algorithm = getAlgorithm();
+
+  return jwt.sign(
+    { role: user.role, type: 'access' },
+    getSigningKey(algorithm),
+    {
+      algorithm,
+      subject: String(user._id || user.id),
+      expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m',
+      ...getClaimOptions()
+    }
+  );
+};
+
+/**
+ * Sign a refresh token
+ * The jti identifies the stored token record and fam groups every token
+ * issued from the same login so a reused token can revoke the whole chain
+ *
+ * @param {Object} params - Token parameters
+ * @param {string} params.userId - User ID (subject)
+ * @param {string} params.jti - Unique token ID
+ * @param {string} params.family - Token family ID
+ * @returns {string} Signed refresh token
+ */
+
+
+const signRefreshToken = ({ userId, jti, family }) => {
+  return jwt.sign(
+    { fam: family, type: 'refresh' },
+    getRefreshSecret(),
+    {
+      algorithm: 'HS256',
+      subject: String(userId),
+      jwtid: jti,
+      expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+      ...getClaimOptions()
+    }
+  );
+};
+
+/**
+ * Verify a refresh token and return its payload
+ *
+ * @param {string} token - Raw refresh token
+ * @param {Object} options - Extra jsonwebtoken verify options
+ * @returns {Object} Decoded token payload (sub, jti, fam, exp)
+ * @throws {jwt.JsonWebTokenError} If the token is invalid or not a refresh token
+ */
+
+
+const verifyRefreshToken = (token, options = {}) => {
+  const payload = jwt.verify(token, getRefreshSecret(), {
+    algorithms: ['HS256'],
+    ...getClaimOptions(),
+    ...options
+  });
+
+  if (payload.type !== 'refresh' || !payload.jti || !payload.sub || !payload.fam) {
+    throw new jwt.JsonWebTokenError('jwt type invalid');
+  }
+
+  return payload;
+};
+
+/**
+ * Decode a token without verifying it
+ * Only used to read the expiry of tokens this module has just signed
+ *
+ * @param {string} token - Raw JWT string
+ * @returns {Object|null} Decoded payload
+ */
+
+
+const decodeToken = (token) => jwt.decode(token);
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  getAlgorithm,
+  verifyAccessToken,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  decodeToken
+};
@@ -0,0 +1,92 @@
+// File: src/utils/levenshtein.js
+// Generated: 2026-10-19 18:26:59 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_l6bshrjlvj2i
+
+/**
+ * Edit Distance
+ *
+ * Levenshtein distance (insertions, deletions and substitutions each cost 1)
+ * used for "did you mean" corrections. A maximum distance stops the
+ * comparison early once every alignment is already too far apart.
+ */
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Stop once the distance is known to exceed this
+ * @returns {number} Distance, or maxDistance + 1 when it is larger than maxDistance
+ */
+
+
+const levenshtein = (a, b, maxDistance = Infinity) => {
+  if (a === b) {
+    return 0;
+  }
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], maxDistance + 1);
+};
+
+/**
+ * Largest edit distance accepted as a typo for a word of this length
+ * Short words allow one edit; longer words allow two.
+ *
+ * @param {string} word - Word as typed
+ * @returns {number} Maximum distance
+ */
+
+
+const maxTypoDistance = (word) => (word.length <= 4 ? 1 : 2);
+
+/**
+ * Pick the closest candidate within the typo distance
+ * Ties go to the candidate with the larger weight.
+ *
+ * @param {string} word - Word as typed
+ * @param {Array<Object>} candidates - [{ value, weight }]
+ * @returns {Object|null} { value, distance } or null if nothing is close enough
+ */
+
+
+const closestMatch = (word, candidates) => {
+  const maxDistance = maxTypoDistance(word);
+  let best = null;
+
+  candidates.forEach(({ value, weight = 0 }) => {
+    const distance = levenshtein(word, value, maxDistance);
+    if (distance > maxDistance) {
+      return;
+    }
+    if (!best || distance < best.distance || (distance === best.distance && weight > best.weight)) {
+      best = { value, distance, weight };
+    }
+  });
+
+  return best && { value: best.value, distance: best.distance };
+};
+
+module.exports = {
+  levenshtein,
+  maxTypoDistance,
+  closestMatch
+};
@@ -0,0 +1,298 @@
+// File: src/utils/patch.js
+// Generated: 2026-10-19 18:44:02 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_sz5iqmtukliz
+
+
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Patch helpers
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) over plain JSON
+ * values. Both return a new value and never modify their input, so a patch
+ * that fails half-way leaves nothing changed.
+ *
+ * Errors carry a statusCode: 400 for a malformed patch document, 422 for a
+ * patch that cannot be applied (e.g. a missing path), 409 for a failed test.
+ */
+
+/**
+ * Create a patch error
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code for the error
+ * @returns {Error} Error with statusCode
+ */
+
+
+const patchError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Deep copy a JSON value
+ * @param {*} value - JSON value
+ * @returns {*} Copy
+ */
+
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Whether a value is a JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396)
+ * Object members replace (or, when null, remove) the target's members
+ * recursively; any other patch value replaces the target as a whole.
+ *
+ * @param {*} target - Current JSON value
+ * @param {*} patch - Merge patch document
+ * @returns {*} Patched value
+ *
+ * @example
+ * applyMergePatch({ title: 'a', tags: ['x'] }, { tags: null }); // { title: 'a' }
+ */
+
+
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into reference tokens
+ * @param {string} pointer - Pointer such as /tags/0
+ * @returns {Array<string>} Unescaped tokens; empty for the whole document
+ */
+
+
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON Pointer: ${pointer}`, 400);
+  }
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Resolve an array index token
+ * @param {string} token - Reference token
+ * @param {Array} array - Array being indexed
+ * @param {boolean} append - Whether "-" and length (one past the end) are allowed
+ * @param {string} pointer - Full pointer, for the error message
+ * @returns {number} Index
+ */
+
+
+const arrayIndex = (token, array, append, pointer) => {
+  if (append && token === '-') {
+    return array.length;
+  }
+
+  const index = /^(0|[1-9][0-9]*)$/.test(token) ? Number(token) : NaN;
+  if (Number.isNaN(index) || index > array.length || (!append && index === array.length)) {
+    throw patchError(`Path not found: ${pointer}`, 422);
+  }
+  return index;
+};
+
+/**
+ * Follow reference tokens from the root of a document
+ * @param {*} document - JSON document
+ * @param {Array<string>} tokens - Reference tokens
+ * @param {string} pointer - Full pointer, for the error message
+ * @returns {*} Value the tokens refer to
+ */
+
+
+const walk = (document, tokens, pointer) => tokens.reduce((value, token) => {
+  if (Array.isArray(value)) {
+    return value[arrayIndex(token, value, false, pointer)];
+  }
+  if (isObject(value) && Object.prototype.hasOwnProperty.call(value, token)) {
+    return value[token];
+  }
+  throw patchError(`Path not found: ${pointer}`, 422);
+}, document);
+
+/**
+ * Get the value a pointer refers to
+ * @param {*} document - JSON document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} Value
+ */
+
+
+const getValue = (document, pointer) => walk(document, parsePointer(pointer), pointer);
+
+/**
+ * Find the container and key a pointer's last token refers to
+ * @param {*} document - JSON document
+ * @param {string} pointer - JSON Pointer (not the whole document)
+ * @returns {Object} { parent, key }
+ */
+
+
+const resolveParent = (document, pointer) => {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parent = walk(document, tokens, pointer);
+
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw patchError(`Path not found: ${pointer}`, 422);
+  }
+  return { parent, key };
+};
+
+/**
+ * Add a value (RFC 6902 section 4.1)
+ * Inserts into arrays and sets (or replaces) object members.
+ *
+ * @param {*} document - Working document (modified in place)
+ * @param {string} pointer - Target location
+ * @param {*} value - Value to add
+ * @returns {*} Document (the value itself when the pointer is the root)
+ */
+
+
+const addValue = (document, pointer, value) => {
+  if (pointer === '') {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent, true, pointer), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+/**
+ * Remove a value (RFC 6902 section 4.2)
+ * The target must exist.
+ *
+ * @param {*} document - Working document (modified in place)
+ * @param {string} pointer - Location to remove
+ * @returns {*} Document
+ */
+
+
+const removeValue = (document, pointer) => {
+  if (pointer === '') {
+    throw patchError('Cannot remove the whole document', 422);
+  }
+
+  const { parent, key } = resolveParent(document, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(key, parent, false, pointer), 1);
+  } else if (Object.prototype.hasOwnProperty.call(parent, key)) {
+    delete parent[key];
+  } else {
+    throw patchError(`Path not found: ${pointer}`, 422);
+  }
+  return document;
+};
+
+/**
+ * JSON Patch operations (RFC 6902 section 4)
+ * Each takes the working document and the operation and returns the document.
+ */
+
+
+const OPERATIONS = {
+  add: (document, { path, value }) => addValue(document, path, clone(value)),
+  remove: (document, { path }) => removeValue(document, path),
+  replace: (document, { path, value }) => {
+    if (path === '') {
+      return clone(value);
+    }
+    return addValue(removeValue(document, path), path, clone(value));
+  },
+  move: (document, { from, path }) => {
+    if (path !== from && path.startsWith(`${from}/`)) {
+      throw patchError(`Cannot move ${from} into one of its children`, 422);
+    }
+    const value = getValue(document, from);
+    return addValue(removeValue(document, from), path, value);
+  },
+  copy: (document, { from, path }) => addValue(document, path, clone(getValue(document, from))),
+  test: (document, { path, value }) => {
+    if (!isDeepStrictEqual(getValue(document, path), value)) {
+      throw patchError(`Test failed: ${path} does not have the expected value`, 409);
+    }
+    return document;
+  }
+};
+
+/**
+ * Check the shape of a JSON Patch operation
+ * @param {*} operation - Operation object
+ * @param {number} index - Position in the patch, for error messages
+ */
+
+
+const validateOperation = (operation, index) => {
+  if (!isObject(operation) || !Object.prototype.hasOwnProperty.call(OPERATIONS, operation.op)) {
+    throw patchError(`Operation ${index}: op must be one of ${Object.keys(OPERATIONS).join(', ')}`, 400);
+  }
+  if (typeof operation.path !== 'string') {
+    throw patchError(`Operation ${index}: path is required`, 400);
+  }
+  if (['add', 'replace', 'test'].includes(operation.op) && operation.value === undefined) {
+    throw patchError(`Operation ${index}: value is required for ${operation.op}`, 400);
+  }
+  if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+    throw patchError(`Operation ${index}: from is required for ${operation.op}`, 400);
+  }
+  parsePointer(operation.path);
+  if (operation.from !== undefined) {
+    parsePointer(operation.from);
+  }
+};
+
+/**
+ * Apply a JSON Patch (RFC 6902)
+ * Operations run in order on a copy of the document; if any fails, the
+ * whole patch fails.
+ *
+ * @param {*} document - Current JSON value
+ * @param {Array<Object>} operations - Patch document
+ * @returns {*} Patched value
+ *
+ * @example
+ * applyJsonPatch({ tags: ['a'] }, [{ op: 'add', path: '/tags/-', value: 'b' }]); // { tags: ['a', 'b'] }
+ */
+
+
+const applyJsonPatch = (document, operations) => {
+  if (!Array.isArray(operations)) {
+    throw patchError('A JSON Patch document must be an array of operations', 400);
+  }
+  operations.forEach(validateOperation);
+
+  return operations.reduce((result, operation) => OPERATIONS[operation.op](result, operation), clone(document));
+};
+
+module.exports = {
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,137 @@
+// File: src/utils/policy.js
+// Generated: 2026-10-19 17:57:35 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_5o2ozu6gjz9z
+
+
+const { POLICIES } = require('../config/policies');
+
+/**
+ * Resolve the owner ID of a document
+ * Handles both raw ObjectId/string references and populated documents
+ *
+ * @param {Object} document - Mongoose document or plain object
+ * @param {string} ownerField - Field holding the owner reference
+ * @returns {string|null} Owner ID as a string
+ */
+
+
+const getOwnerId = (document, ownerField) => {
+  if (!document || !ownerField) {
+    return null;
+  }
+
+  const owner = document[ownerField];
+  if (owner === null || owner === undefined) {
+    return null;
+  }
+
+  return String(owner._id || owner);
+};
+
+/**
+ * Check whether a single grant matches the user and document
+ *
+ * @param {string} grant - Grant name from the policy
+ * @param {Object|null} user - Authenticated user ({ id, role }) or null
+ * @param {Object} policy - Resource policy
+ * @param {Object|null} document - Target document, if any
+ * @returns {boolean} True if the grant applies
+ */
+
+
+const grantMatches = (grant, user, policy, document) => {
+  if (grant === 'public') {
+    return true;
+  }
+
+  if (!user || !user.id) {
+    return false;
+  }
+
+  if (grant === 'authenticated') {
+    return true;
+  }
+
+  if (grant === 'owner') {
+    return getOwnerId(document, policy.ownerField) === String(user.id);
+  }
+
+  return user.role === grant;
+};
+
+/**
+ * Get the policy for a resource
+ *
+ * @param {string} resource - Resource name (e.g. 'post')
+ * @returns {Object|null} Policy or null if the resource is unknown
+ */
+
+
+const getPolicy = (resource) => POLICIES[resource] || null;
+
+/**
+ * Check whether a user may perform an action on a resource
+ * Unknown resources and actions are denied.
+ *
+ * @param {Object|null} user - Authenticated user ({ id, role }) or null
+ * @param {string} resource - Resource name (e.g. 'post')
+ * @param {string} action - Action name (e.g. 'update')
+ * @param {Object|null} document - Target document for ownership checks
+ * @returns {boolean} True if allowed
+ *
+ * @example
+ * if (!can(req.user, 'post', 'delete', post)) {
+ *   return ApiResponse.forbidden(res);
+ * }
+ */
+
+
+const can = (user, resource, action, document = null) => {
+  const policy = getPolicy(resource);
+  const grants = policy && policy.actions[action];
+
+  if (!grants) {
+    return false;
+  }
+
+  return grants.some(grant => grantMatches(grant, user, policy, document));
+};
+
+/**
+ * Check whether an action requires a loaded document to decide
+ *
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {boolean} True if any grant depends on document ownership
+ */
+
+
+const requiresDocument = (resource, action) => {
+  const policy = getPolicy(resource);
+  const grants = (policy && policy.actions[action]) || [];
+  return grants.includes('owner');
+};
+
+/**
+ * Check whether an action is open to anonymous users
+ *
+ * @param {string} resource - Resource name
+ * @param {string} action - Action name
+ * @returns {boolean} True if the action has a public grant
+ */
+
+
+const isPublic = (resource, action) => {
+  const policy = getPolicy(resource);
+  const grants = (policy && policy.actions[action]) || [];
+  return grants.includes('public');
+};
+
+module.exports = {
+  can,
+  getPolicy,
+  getOwnerId,
+  requiresDocument,
+  isPublic
+};
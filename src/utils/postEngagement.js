@@ -0,0 +1,70 @@
+// File: src/utils/postEngagement.js
+// Generated: 2026-10-19 18:19:28 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_rn3wv918kx92
+
+
+const Bookmark = require('../models/Bookmark');
+
+
+const PostLike = require('../models/PostLike');
+
+const { entityTag } = require('./conditional');
+
+/**
+ * Add the caller's liked and bookmarked flags to lean posts
+ * Looks up every post with one query per collection, so a page of posts
+ * costs two queries however long it is. Anonymous callers get false flags
+ * without touching the database.
+ *
+ * @param {Array<Object>} posts - Lean posts (modified in place)
+ * @param {String|null} userId - Authenticated user ID, if any
+ * @returns {Promise<Array<Object>>} The same posts
+ */
+
+
+const attachViewerFlags = async (posts, userId) => {
+  if (posts.length === 0) {
+    return posts;
+  }
+
+  let liked = new Set();
+  let bookmarked = new Set();
+  if (userId) {
+    const postIds = posts.map(post => post._id);
+    [liked, bookmarked] = await Promise.all([
+      PostLike.findLikedPostIds(userId, postIds),
+      Bookmark.findBookmarkedPostIds(userId, postIds)
+    ]);
+  }
+
+  posts.forEach(post => {
+    post.liked = liked.has(String(post._id));
+    post.bookmarked = bookmarked.has(String(post._id));
+  });
+  return posts;
+};
+
+/**
+ * Current version of a post as seen by a user
+ * The ETag matches the one GET /posts/:idOrSlug sends the same user (it
+ * covers their liked/bookmarked flags), so it can be sent back in If-Match.
+ *
+ * @param {Object} post - Post document or lean object
+ * @param {string} userId - Viewer's user ID (optional)
+ * @returns {Promise<Object>} { etag, version }
+ */
+
+
+const getPostVersion = async (post, userId) => {
+  const [viewer] = await attachViewerFlags([{ _id: post._id }], userId);
+  return {
+    etag: entityTag(post, [viewer.liked, viewer.bookmarked]),
+    version: post.__v || 0
+  };
+};
+
+module.exports = {
+  attachViewerFlags,
+  getPostVersion
+};
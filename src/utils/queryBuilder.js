@@ -0,0 +1,285 @@
+// File: src/utils/queryBuilder.js
+// Generated: 2026-10-19 18:31:13 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_r7r07622ekz7
+
+/**
+ * List Query Builder
+ *
+ * Turns list query strings into a MongoDB filter, sort and projection using
+ * a per-resource spec. Only the fields, operators and values named in the
+ * spec are read, so client input never reaches MongoDB as an operator.
+ *
+ * Spec shape:
+ *   {
+ *     filters: {
+ *       status: { type: 'enum', values: ['draft', 'published'], multiple: true },
+ *       author: { type: 'objectId' },
+ *       createdAt: { type: 'date', operators: ['gte', 'lte'] }
+ *     },
+ *     sort: { fields: ['createdAt', 'title'], presets: { newest: { createdAt: -1 } }, default: '-createdAt' },
+ *     fields: { allowed: ['title', 'excerpt'], requires: { excerpt: ['content'] }, computed: ['excerpt'] }
+ *   }
+ *
+ * Query syntax:
+ *   ?status=draft,published        equality, or $in for multiple values
+ *   ?createdAt[gte]=2024-01-01     range operators listed in the spec
+ *   ?sort=-publishedAt,title       up to MAX_SORT_FIELDS fields, - for descending
+ *   ?fields=title,excerpt          sparse fieldset; _id is always returned
+ *
+ * The parse functions throw an Error whose message is safe to return to the
+ * client; validators run them first (see validateListQuery in
+ * middleware/validator.js), so controllers can build without checking.
+ */
+
+
+const RANGE_OPERATORS = {
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte'
+};
+
+
+const MAX_SORT_FIELDS = 3;
+
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Read a repeatable query parameter as a list
+ * Accepts ?fields=a&fields=b as well as ?fields=a,b
+ *
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+
+
+const toList = (value) => [].concat(value)
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Check a single filter value against its rule
+ *
+ * @param {string} name - Parameter name for error messages
+ * @param {*} value - Raw value
+ * @param {Object} rule - Filter rule from the spec
+ * @returns {string|Date} Value to use in the filter
+ */
+
+
+const castValue = (name, value, rule) => {
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be a single value`);
+  }
+
+  if (rule.type === 'enum') {
+    if (!rule.values.includes(value)) {
+      throw new Error(`${name} must be one of: ${rule.values.join(', ')}`);
+    }
+    return value;
+  }
+  if (rule.type === 'objectId') {
+    if (!OBJECT_ID_PATTERN.test(value)) {
+      throw new Error(`${name} must be a valid ID`);
+    }
+    return value;
+  }
+  if (rule.type === 'date') {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new Error(`${name} must be an ISO 8601 date`);
+    }
+    return new Date(value);
+  }
+
+  throw new Error(`${name} cannot be filtered`);
+};
+
+/**
+ * Build the filter for the fields named in the spec
+ * Other query parameters are ignored.
+ *
+ * @param {Object} query - Parsed query string
+ * @param {Object} filters - spec.filters
+ * @returns {Object} MongoDB filter
+ */
+
+
+const parseFilter = (query, filters = {}) => {
+  const filter = {};
+
+  Object.entries(filters).forEach(([field, rule]) => {
+    const value = query[field];
+    if (value === undefined || value === '') {
+      return;
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const allowed = rule.operators || [];
+      const operators = Object.keys(value);
+      if (operators.length === 0 || allowed.length === 0) {
+        throw new Error(allowed.length === 0
+          ? `${field} only supports a plain value`
+          : `${field} needs one of the operators: ${allowed.join(', ')}`);
+      }
+
+      filter[field] = {};
+      operators.forEach(operator => {
+        if (!allowed.includes(operator) || !RANGE_OPERATORS[operator]) {
+          throw new Error(`Unsupported operator ${field}[${operator}]; use ${allowed.join(', ')}`);
+        }
+        filter[field][RANGE_OPERATORS[operator]] = castValue(`${field}[${operator}]`, value[operator], rule);
+      });
+      return;
+    }
+
+    if (rule.multiple) {
+      const values = toList(value).map(entry => castValue(field, entry, rule));
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+      return;
+    }
+
+    filter[field] = castValue(field, value, rule);
+  });
+
+  return filter;
+};
+
+/**
+ * Build the sort from a preset name or a list of fields
+ * The last sort direction is applied to _id as a tiebreaker so pages are stable.
+ *
+ * @param {string|Array<string>} value - Raw sort parameter
+ * @param {Object} sortSpec - spec.sort
+ * @returns {Object} Mongoose sort
+ */
+
+
+const parseSort = (value, sortSpec = {}) => {
+  const raw = value === undefined || value === '' ? sortSpec.default : value;
+  const presets = sortSpec.presets || {};
+
+  if (typeof raw === 'string' && Object.prototype.hasOwnProperty.call(presets, raw)) {
+    return { ...presets[raw] };
+  }
+
+  const entries = toList(raw || []);
+  if (entries.length === 0) {
+    return { _id: -1 };
+  }
+  if (entries.length > MAX_SORT_FIELDS) {
+    throw new Error(`Sort by at most ${MAX_SORT_FIELDS} fields`);
+  }
+
+  const sortable = sortSpec.fields || [];
+  const sort = {};
+  let direction = -1;
+  entries.forEach(entry => {
+    direction = entry.startsWith('-') ? -1 : 1;
+    const field = entry.replace(/^[-+]/, '');
+
+    if (!sortable.includes(field)) {
+      const options = [...sortable, ...Object.keys(presets)];
+      throw new Error(`Cannot sort by ${field}; use one of: ${options.join(', ')}`);
+    }
+    if (sort[field] !== undefined) {
+      throw new Error(`Sort field ${field} is repeated`);
+    }
+    sort[field] = direction;
+  });
+
+  sort._id = direction;
+  return sort;
+};
+
+/**
+ * Build the projection for a sparse fieldset
+ * Computed fields are not stored, so only the stored fields they require
+ * are selected.
+ *
+ * @param {string|Array<string>} value - Raw fields parameter
+ * @param {Object} fieldsSpec - spec.fields
+ * @returns {Object} { projection, fields }, both null when no fieldset was requested
+ */
+
+
+const parseFields = (value, fieldsSpec = {}) => {
+  if (value === undefined || value === '') {
+    return { projection: null, fields: null };
+  }
+
+  const allowed = fieldsSpec.allowed || [];
+  const requires = fieldsSpec.requires || {};
+  const computed = fieldsSpec.computed || [];
+
+  const fields = [...new Set(toList(value))];
+  if (fields.length === 0) {
+    throw new Error('fields must list at least one field');
+  }
+
+  const projection = { _id: 1 };
+  fields.forEach(field => {
+    if (!allowed.includes(field)) {
+      throw new Error(`Unknown field ${field}; use any of: ${allowed.join(', ')}`);
+    }
+    (requires[field] || []).forEach(required => {
+      projection[required] = 1;
+    });
+    if (!computed.includes(field)) {
+      projection[field] = 1;
+    }
+  });
+
+  return { projection, fields };
+};
+
+/**
+ * Build filter, sort and projection for a list endpoint
+ *
+ * @param {Object} query - Parsed query string (req.query)
+ * @param {Object} spec - List query spec
+ * @returns {Object} { filter, sort, projection, fields }
+ */
+
+
+const buildListQuery = (query, spec) => ({
+  filter: parseFilter(query, spec.filters),
+  sort: parseSort(query.sort, spec.sort),
+  ...parseFields(query.fields, spec.fields)
+});
+
+/**
+ * Trim a result to the requested fieldset
+ * Call after computed fields have been added.
+ *
+ * @param {Object} doc - Lean document or Mongoose document
+ * @param {Array<string>|null} fields - fields from buildListQuery
+ * @returns {Object} The document itself without a fieldset, otherwise _id and the requested fields
+ */
+
+
+const selectFields = (doc, fields) => {
+  if (!fields) {
+    return doc;
+  }
+
+  const source = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  return ['_id', ...fields]
+    .filter(field => source[field] !== undefined)
+    .reduce((selected, field) => ({ ...selected, [field]: source[field] }), {});
+};
+
+module.exports = {
+  MAX_SORT_FIELDS,
+  toList,
+  parseFilter,
+  parseSort,
+  parseFields,
+  buildListQuery,
+  selectFields
+};
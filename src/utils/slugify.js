@@ -0,0 +1,52 @@
+// File: src/utils/slugify.js
+// Generated: 2026-10-19 17:59:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_4ccwll236o10
+
+/**
+ * Maximum slug length
+ * Keeps URLs readable and leaves room for a numeric uniqueness suffix
+ */
+
+
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Pattern matched by every generated slug
+ */
+
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Convert text into a URL-safe slug
+ * Strips diacritics, lowercases, and collapses anything that is not a
+ * letter or digit into single hyphens.
+ *
+ * @param {string} text - Source text (e.g. a post title)
+ * @param {string} fallback - Slug to use when the text has no usable characters
+ * @returns {string} Slug
+ *
+ * @example
+ * slugify('Héllo, World!'); // 'hello-world'
+ */
+
+
+const slugify = (text, fallback = 'post') => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/g, '');
+
+  return slug || fallback;
+};
+
+module.exports = {
+  slugify,
+  SLUG_PATTERN,
+  MAX_SLUG_LENGTH
+};
@@ -0,0 +1,242 @@
+// File: src/utils/spam.js
+// Generated: 2026-10-19 18:14:21 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_gfsa0jmx196u
+
+
+const Comment = require('../models/Comment');
+
+
+const logger = require('./logger');
+
+const { SPAM_CONFIG } = require('../config/spam');
+
+/**
+ * Comment Spam Pipeline
+ *
+ * Runs every registered checker against a new comment and adds up their
+ * scores. A checker is an object with a unique name and an async check
+ * function that receives the submission context and returns either null
+ * (nothing suspicious) or { score, reason }:
+ *
+ *   registerSpamChecker({
+ *     name: 'shouting',
+ *     check: async ({ content }) => (
+ *       content === content.toUpperCase() ? { score: 2, reason: 'All caps' } : null
+ *     )
+ *   });
+ *
+ * Context: { content, authorId, ip, postId, parentId }
+ *
+ * A checker that throws is logged and skipped, so a broken plugin never
+ * blocks commenting.
+ */
+
+
+const checkers = new Map();
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Built-in checker: too many links
+ */
+
+
+const linkChecker = {
+  name: 'links',
+  check: async ({ content }) => {
+    const { allowed, scorePerExtraLink, maxScore } = SPAM_CONFIG.links;
+    const links = (content.match(/\bhttps?:\/\/|\bwww\./gi) || []).length;
+
+    if (links <= allowed) {
+      return null;
+    }
+    return {
+      score: Math.min((links - allowed) * scorePerExtraLink, maxScore),
+      reason: `Contains ${links} links (${allowed} allowed)`
+    };
+  }
+};
+
+/**
+ * Built-in checker: blocked words and phrases
+ */
+
+
+const blockedWordChecker = {
+  name: 'blockedWords',
+  check: async ({ content }) => {
+    const { words, scorePerWord, maxScore } = SPAM_CONFIG.blockedWords;
+    const found = words.filter(word => new RegExp(`\\b${escapeRegex(word)}\\b`, 'i').test(content));
+
+    if (found.length === 0) {
+      return null;
+    }
+    return {
+      score: Math.min(found.length * scorePerWord, maxScore),
+      reason: `Contains blocked words: ${found.join(', ')}`
+    };
+  }
+};
+
+/**
+ * Built-in checker: same content posted recently
+ * Trashed and spam comments count, since spam is usually removed quickly.
+ * Content is compared by Comment.hashContent, ignoring case and punctuation.
+ */
+
+
+const duplicateChecker = {
+  name: 'duplicate',
+  check: async ({ content }) => {
+    const { minLength, windowMs, score, repeatedScore, repeatedAfter } = SPAM_CONFIG.duplicate;
+    if (content.replace(/\s+/g, ' ').trim().length < minLength) {
+      return null;
+    }
+
+    const duplicates = await Comment.countDocuments({
+      contentHash: Comment.hashContent(content),
+      createdAt: { $gte: new Date(Date.now() - windowMs) }
+    }).setOptions({ withDeleted: true });
+
+    if (duplicates === 0) {
+      return null;
+    }
+    return {
+      score: duplicates >= repeatedAfter ? repeatedScore : score,
+      reason: `Same content posted ${duplicates} time(s) recently`
+    };
+  }
+};
+
+/**
+ * Built-in checker: too many comments in a short time, per author and per IP
+ */
+
+
+const velocityChecker = {
+  name: 'velocity',
+  check: async ({ authorId, ip }) => {
+    const { windowMs, maxPerAuthor, maxPerIp, scorePerExtra, maxScore } = SPAM_CONFIG.velocity;
+    const since = new Date(Date.now() - windowMs);
+
+    const [byAuthor, byIp] = await Promise.all([
+      authorId
+        ? Comment.countDocuments({ author: authorId, createdAt: { $gte: since } }).setOptions({ withDeleted: true })
+        : 0,
+      ip
+        ? Comment.countDocuments({ authorIp: ip, createdAt: { $gte: since } }).setOptions({ withDeleted: true })
+        : 0
+    ]);
+
+    const extra = Math.max(byAuthor - maxPerAuthor, 0) + Math.max(byIp - maxPerIp, 0);
+    if (extra === 0) {
+      return null;
+    }
+    return {
+      score: Math.min(extra * scorePerExtra, maxScore),
+      reason: `${byAuthor} comment(s) from this author and ${byIp} from this IP in the last ${Math.round(windowMs / 60000)} minutes`
+    };
+  }
+};
+
+/**
+ * Register a spam checker
+ * A checker with the same name replaces the existing one.
+ *
+ * @param {Object} checker - { name: string, check: async (context) => ({ score, reason }) | null }
+ * @throws {Error} If the checker is malformed
+ */
+
+
+const registerSpamChecker = (checker) => {
+  if (!checker || typeof checker.name !== 'string' || !checker.name || typeof checker.check !== 'function') {
+    throw new Error('A spam checker needs a name and a check function');
+  }
+  checkers.set(checker.name, checker);
+};
+
+/**
+ * Remove a spam checker by name
+ *
+ * @param {string} name - Checker name
+ * @returns {boolean} True if a checker was removed
+ */
+
+
+const unregisterSpamChecker = (name) => checkers.delete(name);
+
+/**
+ * Names of the registered checkers, in the order they run
+ *
+ * @returns {Array<string>} Checker names
+ */
+
+
+const getSpamCheckers = () => [...checkers.keys()];
+
+/**
+ * Score a comment submission with every registered checker
+ *
+ * @param {Object} context - { content, authorId, ip, postId, parentId }
+ * @returns {Promise<Object>} { score, reasons: [{ checker, reason, score }] }
+ */
+
+
+const scoreComment = async (context) => {
+  const results = await Promise.all([...checkers.values()].map(async (checker) => {
+    try {
+      const result = await checker.check(context);
+      return result && result.score > 0
+        ? { checker: checker.name, reason: result.reason || checker.name, score: result.score }
+        : null;
+    } catch (error) {
+      logger.error('Spam checker failed', {
+        checker: checker.name,
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }));
+
+  const reasons = results.filter(Boolean);
+  const score = Math.round(reasons.reduce((total, reason) => total + reason.score, 0) * 100) / 100;
+
+  return { score, reasons };
+};
+
+/**
+ * Moderation status forced by a spam score
+ *
+ * @param {number} score - Total spam score
+ * @returns {string|null} 'spam', 'pending', or null when the score is low
+ */
+
+
+const classifySpamScore = (score) => {
+  if (score >= SPAM_CONFIG.spamThreshold) {
+    return 'spam';
+  }
+  if (score >= SPAM_CONFIG.reviewThreshold) {
+    return 'pending';
+  }
+  return null;
+};
+
+[linkChecker, blockedWordChecker, duplicateChecker, velocityChecker].forEach(registerSpamChecker);
+
+module.exports = {
+  registerSpamChecker,
+  unregisterSpamChecker,
+  getSpamCheckers,
+  scoreComment,
+  classifySpamScore
+};
@@ -0,0 +1,78 @@
+// File: src/validators/authValidator.js
+// Generated: 2026-10-19 17:56:23 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_q2l5ky2n40rn
+
+
+const { body } = require('express-validator');
+
+const { handleValidationErrors } = require('./postValidator');
+
+/**
+ * Validation rules for registering a new account
+ * Validates: name (2-100 chars), email (valid address), password (8-128 chars, letters and digits)
+ */
+
+
+const registerValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be a valid email address')
+    .isLength({ max: 254 }).withMessage('Email cannot exceed 254 characters')
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body('password')
+    .isString().withMessage('Password is required')
+    .isLength({ min: 8, max: 128 }).withMessage('Password must be between 8 and 128 characters')
+    .matches(/[A-Za-z]/).withMessage('Password must contain at least one letter')
+    .matches(/\d/).withMessage('Password must contain at least one number'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for logging in
+ * Only checks presence; credential checks happen in the controller
+ */
+
+
+const loginValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be a valid email address')
+    .normalizeEmail({ gmail_remove_dots: false }),
+
+  body('password')
+    .isString().withMessage('Password is required')
+    .notEmpty().withMessage('Password is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for endpoints that take a refresh token
+ * Used by refresh and logout
+ */
+
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString().withMessage('Refresh token is required')
+    .trim()
+    .notEmpty().withMessage('Refresh token is required'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  registerValidation,
+  loginValidation,
+  refreshTokenValidation
+};
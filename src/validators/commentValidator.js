@@ -4,7 +4,13 @@
 // Task ID: task_l1pgzjgm0fp4
 
 
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+
+const { COMMENT_SORTS } = require('../models/Comment');
+
+const { REACTION_TYPES } = require('../models/CommentReaction');
+
+const { Validator } = require('../middleware/validator');
 
 /**
  * Middleware to handle validation errors
@@ -25,10 +31,10 @@ const handleValidationErrors = (req, res, next) => {
  *
  * Validates:
  * - content: Required, 1-1000 characters after trimming, sanitized (no HTML encoding)
- * - author: Required, 2-100 characters after trimming, sanitized (no HTML encoding)
  * - postId: Required, valid MongoDB ObjectId format
  *
  * Note: HTML escaping should be done at rendering time, not during validation.
+ * The author is taken from the authenticated user, never from the body.
  * Use handleValidationErrors middleware after these rules to check for errors.
  */
 
@@ -44,15 +50,6 @@ const createCommentValidation = [
       return value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
     }),
 
-  body('author')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Author name must be between 2 and 100 characters')
-    .customSanitizer(value => {
-      // Basic sanitization without HTML encoding
-      return value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    }),
-
   body('postId')
     .trim()
     .notEmpty()
@@ -62,29 +59,228 @@ const createCommentValidation = [
 ];
 
 /**
- * Validation rules for updating an existing comment
- *
- * Validates:
- * - content: Required, 1-1000 characters after trimming, sanitized (no HTML encoding)
+ * Validates comment content
+ * 1-1000 characters after trimming, sanitized (no HTML encoding)
  *
- * Note: Author and postId cannot be changed after creation.
- * Use handleValidationErrors middleware after these rules to check for errors.
+ * @param {Object} options - { optional: content may be left out (PATCH bodies) }
+ * @returns {ValidationChain} express-validator chain for content
  */
 
 
-const updateCommentValidation = [
-  body('content')
+const commentContentValidation = ({ optional = false } = {}) => {
+  const content = optional ? body('content').optional() : body('content');
+
+  return content
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Content must be between 1 and 1000 characters')
     .customSanitizer(value => {
       // Basic sanitization without HTML encoding
       return value.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-    })
+    });
+};
+
+/**
+ * Validation rules for updating an existing comment
+ *
+ * Validates:
+ * - content: See commentContentValidation
+ * - version: Optional, the comment's __v; If-Match can be sent instead
+ *
+ * Note: Author and postId cannot be changed after creation.
+ * Use handleValidationErrors middleware after these rules to check for errors.
+ */
+
+
+const updateCommentValidation = [
+  commentContentValidation(),
+
+  ...Validator.validateVersion
+];
+
+/**
+ * Validation rules for the update body built from a PATCH document
+ * Content is optional, as the body only holds fields the patch changed.
+ * Use handleValidationErrors middleware after these rules to check for errors.
+ */
+
+
+const patchCommentValidation = [
+  commentContentValidation({ optional: true })
+];
+
+/**
+ * Validation rules for creating a comment under /posts/:postId/comments
+ *
+ * Validates:
+ * - postId: Route parameter, valid MongoDB ObjectId format
+ * - content: See commentContentValidation
+ * - parentId: Optional, valid MongoDB ObjectId of the comment being replied to
+ */
+
+
+const createPostCommentValidation = [
+  param('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID format'),
+
+  commentContentValidation(),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID format')
+];
+
+/**
+ * Filters, sort fields and fieldset accepted when listing a post's comments
+ * (see utils/queryBuilder.js). sort also takes the COMMENT_SORTS names.
+ */
+
+
+const COMMENT_LIST_QUERY = {
+  filters: {
+    author: { type: 'objectId' },
+    createdAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] }
+  },
+  sort: {
+    fields: ['createdAt', 'updatedAt', 'score', 'controversy'],
+    presets: COMMENT_SORTS,
+    default: 'newest'
+  },
+  fields: {
+    allowed: [
+      'content', 'author', 'authorName', 'postId', 'parentId', 'depth', 'replyCount',
+      'reactions', 'score', 'controversy', 'createdAt', 'updatedAt'
+    ]
+  }
+};
+
+/**
+ * Validation rules for listing a post's comments
+ *
+ * Validates:
+ * - postId: Route parameter, valid MongoDB ObjectId format
+ * - page/limit: Optional pagination (limit 1-100)
+ * - threaded: Optional boolean, return nested reply trees; filters and fields apply to flat lists only
+ * - replyLimit: Optional, replies per comment in threads (1-50)
+ * - author/createdAt/sort/fields: Optional, see COMMENT_LIST_QUERY
+ * - cursor/paginate: Optional cursor pagination (flat lists only)
+ */
+
+
+const postCommentsValidation = [
+  param('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID format'),
+
+  query('threaded')
+    .optional()
+    .isBoolean()
+    .withMessage('threaded must be true or false')
+    .toBoolean()
+    .custom((threaded, { req }) => {
+      const flatOnly = ['author', 'createdAt', 'fields', 'cursor', 'paginate'].filter(field => req.query[field] !== undefined);
+      if (threaded && flatOnly.length > 0) {
+        throw new Error(`${flatOnly.join(', ')} cannot be used with threaded=true`);
+      }
+      return true;
+    }),
+
+  query('replyLimit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('replyLimit must be between 1 and 50')
+    .toInt(),
+
+  ...Validator.validateListQuery(COMMENT_LIST_QUERY),
+  ...Validator.validateCursor,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation rules for routes addressing a single comment
+ *
+ * Validates:
+ * - id: Route parameter, valid MongoDB ObjectId format
+ */
+
+
+const commentIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid comment ID format')
+];
+
+/**
+ * Validation rules for listing a comment's replies
+ *
+ * Validates:
+ * - id: Route parameter, valid MongoDB ObjectId format
+ * - page/limit: Optional pagination of direct replies (limit 1-100)
+ * - replyLimit: Optional, nested replies per comment (1-50)
+ */
+
+
+const commentRepliesValidation = [
+  ...commentIdValidation,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('replyLimit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('replyLimit must be between 1 and 50')
+    .toInt()
+];
+
+/**
+ * Validation rules for adding or removing a reaction
+ *
+ * Validates:
+ * - id: Route parameter, valid MongoDB ObjectId format
+ * - type: Route parameter, one of the reaction types
+ */
+
+
+const reactionValidation = [
+  ...commentIdValidation,
+
+  param('type')
+    .isIn(REACTION_TYPES)
+    .withMessage(`Reaction must be one of: ${REACTION_TYPES.join(', ')}`)
 ];
 
 module.exports = {
   createCommentValidation,
+  createPostCommentValidation,
   updateCommentValidation,
+  patchCommentValidation,
+  postCommentsValidation,
+  COMMENT_LIST_QUERY,
+  commentIdValidation,
+  commentRepliesValidation,
+  reactionValidation,
   handleValidationErrors
 };
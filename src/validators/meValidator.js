@@ -0,0 +1,33 @@
+// File: src/validators/meValidator.js
+// Generated: 2026-10-19 18:19:56 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_94ee5url38o1
+
+
+const { query } = require('express-validator');
+
+const { handleValidationErrors } = require('./postValidator');
+
+const { Validator } = require('../middleware/validator');
+
+/**
+ * Validation rules for the reading list
+ * Validates: cursor (optional, opaque string) and limit
+ */
+
+
+const bookmarksQueryValidation = [
+  ...Validator.validateCursor,
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  bookmarksQueryValidation
+};
@@ -0,0 +1,69 @@
+// File: src/validators/moderationValidator.js
+// Generated: 2026-10-19 18:12:45 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_t49iuwqm7qbl
+
+
+const { body, query } = require('express-validator');
+
+const { COMMENT_STATUSES } = require('../models/Comment');
+
+const { handleValidationErrors } = require('./postValidator');
+
+/**
+ * Validation rules for the comment moderation queue
+ * Validates: status (optional, comment status), postId (optional), page and limit
+ */
+
+
+const moderationQueueValidation = [
+  query('status')
+    .optional()
+    .trim()
+    .isIn(COMMENT_STATUSES).withMessage(`Status must be one of: ${COMMENT_STATUSES.join(', ')}`),
+
+  query('postId')
+    .optional()
+    .trim()
+    .isMongoId().withMessage('Invalid post ID format'),
+
+  query('page')
+    .optional()
+    .trim()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for bulk moderation
+ * Validates: action (approve, reject, spam), ids (1-100 comment IDs)
+ */
+
+
+const bulkModerationValidation = [
+  body('action')
+    .trim()
+    .notEmpty().withMessage('Action is required')
+    .isIn(['approve', 'reject', 'spam']).withMessage('Action must be approve, reject, or spam'),
+
+  body('ids')
+    .isArray({ min: 1, max: 100 }).withMessage('ids must be an array of 1 to 100 comment IDs'),
+
+  body('ids.*')
+    .isMongoId().withMessage('Invalid comment ID format in ids'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  moderationQueueValidation,
+  bulkModerationValidation
+};
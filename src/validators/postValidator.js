@@ -6,8 +6,16 @@
 
 const logger = require('../utils/logger');
 
+const { SLUG_PATTERN } = require('../utils/slugify');
+
+const { MAX_TAGS_PER_POST } = require('../models/Tag');
+
+const { MAX_CATEGORIES_PER_POST } = require('../models/Category');
+
 const { body, param, query, validationResult } = require('express-validator');
 
+const { Validator } = require('../middleware/validator');
+
 /**
  * Middleware to handle validation errors
  * Formats and returns validation errors in consistent format
@@ -39,9 +47,70 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Validates a scheduled publication time
+ * Must be an ISO 8601 date in the future; null clears the schedule on update
+ *
+ * @returns {ValidationChain} express-validator chain for publishAt
+ */
+
+
+const publishAtValidation = () => body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601().withMessage('publishAt must be an ISO 8601 date')
+  .toDate()
+  .custom((publishAt) => {
+    if (publishAt.getTime() <= Date.now()) {
+      throw new Error('publishAt must be in the future');
+    }
+    return true;
+  });
+
+/**
+ * Validates a post's comment moderation mode
+ *
+ * @returns {ValidationChain} express-validator chain for commentModeration
+ */
+
+
+const commentModerationValidation = () => body('commentModeration')
+  .optional()
+  .trim()
+  .isIn(['open', 'moderated', 'closed']).withMessage('Comment moderation must be open, moderated, or closed');
+
+/**
+ * Validates a post's tags
+ * An array of tag names; unknown tags are created when the post is saved
+ *
+ * @returns {ValidationChain} express-validator chain for tags
+ */
+
+
+const tagsValidation = () => body('tags')
+  .optional()
+  .isArray({ max: MAX_TAGS_PER_POST }).withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_POST} names`)
+  .custom(tags => tags.every(tag => typeof tag === 'string' && /[a-z0-9]/i.test(tag) && tag.trim().length <= 50))
+  .withMessage('Each tag must be a name of at most 50 characters containing a letter or digit');
+
+/**
+ * Validates a post's categories
+ * An array of existing category slugs
+ *
+ * @returns {ValidationChain} express-validator chain for categories
+ */
+
+
+const categoriesValidation = () => body('categories')
+  .optional()
+  .isArray({ max: MAX_CATEGORIES_PER_POST })
+  .withMessage(`Categories must be an array of at most ${MAX_CATEGORIES_PER_POST} slugs`)
+  .custom(categories => categories.every(category => typeof category === 'string' && SLUG_PATTERN.test(category)))
+  .withMessage('Each category must be a category slug');
+
 /**
  * Validation rules for creating a new post
- * Validates: title (required, 3-200 chars), content (required, min 10 chars), status (optional, enum)
+ * Validates: title (required, 3-200 chars), content (required, min 10 chars), status (optional, enum),
+ * publishAt (optional, future date), commentModeration (optional, enum), tags and categories (optional)
  */
 
 
@@ -64,53 +133,90 @@ const createPostValidation = [
     .isIn(['draft', 'published']).withMessage('New posts can only be draft or published')
     .escape(),
 
+  publishAtValidation(),
+
+  commentModerationValidation(),
+
+  tagsValidation(),
+
+  categoriesValidation(),
+
   handleValidationErrors
 ];
 
 /**
- * Validation rules for updating an existing post
- * Validates: title (optional, 3-200 chars), content (optional, min 10 chars), status (optional, enum)
- * At least one field must be provided
+ * Validates the editable fields of an existing post
+ * PUT replaces the post, so title, content and status are required; a PATCH
+ * body (built by the patchBody middleware) holds only the changed fields.
+ *
+ * @param {Object} options - { required: whether title, content and status must be present }
+ * @returns {Array<ValidationChain>} express-validator chains
  */
 
 
-const updatePostValidation = [
-  param('id')
-    .trim()
-    .notEmpty().withMessage('Post ID is required')
-    .isMongoId().withMessage('Invalid post ID format'),
+const editablePostValidation = ({ required }) => {
+  const field = name => (required ? body(name) : body(name).optional());
 
-  body('title')
-    .optional()
-    .trim()
-    .notEmpty().withMessage('Title cannot be empty if provided')
-    .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters')
-    .escape(),
+  return [
+    param('id')
+      .trim()
+      .notEmpty().withMessage('Post ID is required')
+      .isMongoId().withMessage('Invalid post ID format'),
 
-  body('content')
-    .optional()
-    .trim()
-    .notEmpty().withMessage('Content cannot be empty if provided')
-    .isLength({ min: 10 }).withMessage('Content must be at least 10 characters')
-    .escape(),
+    field('title')
+      .trim()
+      .notEmpty().withMessage(required ? 'Title is required' : 'Title cannot be empty if provided')
+      .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters')
+      .escape(),
 
-  body('status')
-    .optional()
-    .trim()
-    .isIn(['draft', 'published', 'archived']).withMessage('Status must be draft, published, or archived')
-    .escape(),
+    field('content')
+      .trim()
+      .notEmpty().withMessage(required ? 'Content is required' : 'Content cannot be empty if provided')
+      .isLength({ min: 10 }).withMessage('Content must be at least 10 characters')
+      .escape(),
 
-  body().custom((value, { req }) => {
-    const hasTitle = req.body.title !== undefined;
-    const hasContent = req.body.content !== undefined;
-    const hasStatus = req.body.status !== undefined;
+    field('status')
+      .trim()
+      .notEmpty().withMessage(required ? 'Status is required' : 'Status cannot be empty if provided')
+      .isIn(['draft', 'published', 'archived']).withMessage('Status must be draft, published, or archived')
+      .escape(),
 
-    if (!hasTitle && !hasContent && !hasStatus) {
-      throw new Error('At least one field (title, content, or status) must be provided');
-    }
+    publishAtValidation(),
 
-    return true;
-  }),
+    commentModerationValidation(),
+
+    tagsValidation(),
+
+    categoriesValidation()
+  ];
+};
+
+/**
+ * Validation rules for replacing an existing post (PUT)
+ * Validates: title (required, 3-200 chars), content (required, min 10 chars), status (required, enum),
+ * publishAt (optional, future date), commentModeration (optional, enum), tags and categories
+ * (optional), version (optional, see validateVersion)
+ * Optional fields left out are reset to their defaults by the controller
+ */
+
+
+const updatePostValidation = [
+  ...editablePostValidation({ required: true }),
+
+  ...Validator.validateVersion,
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the update body built from a PATCH document
+ * Same field rules as PUT, but every field is optional; a field the patch
+ * removed arrives as null (lists as []), which title, content and status reject
+ */
+
+
+const patchPostValidation = [
+  ...editablePostValidation({ required: false }),
 
   handleValidationErrors
 ];
@@ -163,6 +269,74 @@ const postIdValidation = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for listing a post's revisions
+ * Validates post ID parameter and pagination
+ */
+
+
+const postRevisionsValidation = [
+  param('id')
+    .trim()
+    .notEmpty().withMessage('Post ID is required')
+    .isMongoId().withMessage('Invalid post ID format'),
+
+  query('page')
+    .optional()
+    .trim()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a single revision
+ * Validates post ID and revision number parameters
+ */
+
+
+const revisionValidation = [
+  param('id')
+    .trim()
+    .notEmpty().withMessage('Post ID is required')
+    .isMongoId().withMessage('Invalid post ID format'),
+
+  param('rev')
+    .trim()
+    .isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for post ID-or-slug parameter
+ * Accepts a MongoDB ObjectId or a slug (lowercase letters, digits, hyphens)
+ */
+
+
+const postIdOrSlugValidation = [
+  param('idOrSlug')
+    .trim()
+    .notEmpty().withMessage('Post ID or slug is required')
+    .isLength({ max: 200 }).withMessage('Post slug cannot exceed 200 characters')
+    .custom((value) => {
+      if (/^[0-9a-fA-F]{24}$/.test(value) || SLUG_PATTERN.test(value.toLowerCase())) {
+        return true;
+      }
+      throw new Error('Invalid post ID or slug format');
+    }),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for querying posts
  * Validates query parameters for filtering and pagination
@@ -203,6 +377,143 @@ const queryPostsValidation = [
   handleValidationErrors
 ];
 
+/**
+ * Read a repeatable query parameter as a list
+ * Accepts ?tags=a&tags=b as well as ?tags=a,b
+ *
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+
+
+const toList = (value) => [].concat(value)
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Filters, sort fields and fieldset accepted by GET /api/posts
+ * (see utils/queryBuilder.js). excerpt, liked and bookmarked are computed
+ * by the controller.
+ */
+
+
+const POST_LIST_QUERY = {
+  filters: {
+    status: { type: 'enum', values: ['draft', 'published', 'archived'], multiple: true },
+    author: { type: 'objectId' },
+    createdAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] },
+    publishedAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] }
+  },
+  sort: {
+    fields: ['createdAt', 'updatedAt', 'publishedAt', 'title', 'likeCount'],
+    default: '-createdAt'
+  },
+  fields: {
+    allowed: [
+      'title', 'slug', 'excerpt', 'content', 'status', 'author', 'authorName', 'tags', 'categories',
+      'likeCount', 'commentModeration', 'publishedAt', 'createdAt', 'updatedAt', 'liked', 'bookmarked'
+    ],
+    requires: { excerpt: ['content'] },
+    computed: ['excerpt', 'liked', 'bookmarked']
+  }
+};
+
+/**
+ * Validation rules for the public post listing
+ * Validates: status, author, createdAt/publishedAt ranges, sort and fields (see POST_LIST_QUERY),
+ * cursor and paginate, tags (optional, repeatable or comma-separated), tagMode (optional, any or all),
+ * category (optional, category slug)
+ */
+
+
+const listPostsValidation = [
+  ...Validator.validateListQuery(POST_LIST_QUERY),
+  ...Validator.validateCursor,
+
+  query('tags')
+    .optional()
+    .customSanitizer(toList)
+    .custom(tags => tags.length <= MAX_TAGS_PER_POST).withMessage(`Filter by at most ${MAX_TAGS_PER_POST} tags`),
+
+  query('tagMode')
+    .optional()
+    .trim()
+    .isIn(['any', 'all']).withMessage('tagMode must be any or all'),
+
+  query('category')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(SLUG_PATTERN).withMessage('Category must be a category slug'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for full-text post search
+ * Validates: q (or its alias search, one required), author, sortBy and order (shared search rules),
+ * status (optional, published or archived), from/to (optional ISO 8601 dates, from <= to),
+ * tag (optional), page and limit
+ */
+
+
+const searchPostsValidation = [
+  ...Validator.validateSearch,
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+
+  query('q').custom((q, { req }) => {
+    if (!q && !req.query.search) {
+      throw new Error('Search query (q) is required');
+    }
+    return true;
+  }),
+
+  query('status')
+    .optional()
+    .trim()
+    .isIn(['published', 'archived']).withMessage('Status must be published or archived'),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be an ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be an ISO 8601 date')
+    .toDate()
+    .custom((to, { req }) => {
+      if (req.query.from instanceof Date && to < req.query.from) {
+        throw new Error('to must not be before from');
+      }
+      return true;
+    }),
+
+  query('tag')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Tag must be between 1 and 50 characters'),
+
+  query('page')
+    .optional()
+    .trim()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
 /**
  * Validation rules for deleting a post
  * Validates post ID parameter
@@ -225,21 +536,28 @@ const deletePostValidation = [
  * @param {string} currentStatus - Current post status
  * @param {string} newStatus - Desired new status
  * @returns {Object} - { valid: boolean, message: string }
+ *
+ * Transitions are defined by getValidTransitions:
+ * draft -> published -> archived, with unpublish (published -> draft)
+ * and restore (archived -> published)
  */
 
 
 const validateStatusTransition = (currentStatus, newStatus) => {
-  // Define invalid transitions
-  const invalidTransitions = {
-    'draft': ['archived'],
-    'archived': ['draft']
-  };
+  // Staying in the same status is a no-op, not a transition
+  if (currentStatus === newStatus) {
+    return {
+      valid: true,
+      message: 'Status is unchanged'
+    };
+  }
 
-  // Check if transition is invalid
-  if (invalidTransitions[currentStatus]?.includes(newStatus)) {
+  const validTransitions = getValidTransitions(currentStatus);
+
+  if (!validTransitions.includes(newStatus)) {
     return {
       valid: false,
-      message: `Cannot transition post from ${currentStatus} to ${newStatus}. Valid transitions from ${currentStatus}: ${getValidTransitions(currentStatus).join(', ')}`
+      message: `Cannot transition post from ${currentStatus} to ${newStatus}. Valid transitions from ${currentStatus}: ${validTransitions.join(', ') || 'none'}`
     };
   }
 
@@ -260,22 +578,42 @@ const validateStatusTransition = (currentStatus, newStatus) => {
 const getValidTransitions = (status) => {
   const transitions = {
     'draft': ['published'],
-    'published': ['archived'],
+    'published': ['draft', 'archived'],
     'archived': ['published']
   };
 
   return transitions[status] || [];
 };
 
+/**
+ * Actions accepted by POST /api/posts/bulk
+ */
+
+
+const BULK_POST_ACTIONS = ['publish', 'unpublish', 'archive', 'delete', 'retag', 'change-author'];
+
+/**
+ * Most posts a single bulk request may name
+ */
+
+
+const MAX_BULK_POSTS = 100;
+
 /**
  * Validation rules for bulk operations
- * Validates array of post IDs
+ * Validates: action, postIds (1-MAX_BULK_POSTS post IDs), tags (required for retag)
+ * and authorId (required for change-author)
  */
 
 
 const bulkPostValidation = [
+  body('action')
+    .trim()
+    .notEmpty().withMessage('Action is required')
+    .isIn(BULK_POST_ACTIONS).withMessage(`Action must be one of: ${BULK_POST_ACTIONS.join(', ')}`),
+
   body('postIds')
-    .isArray({ min: 1 }).withMessage('postIds must be a non-empty array')
+    .isArray({ min: 1, max: MAX_BULK_POSTS }).withMessage(`postIds must be an array of 1 to ${MAX_BULK_POSTS} post IDs`)
     .custom((postIds) => {
       if (!postIds.every(id => typeof id === 'string')) {
         throw new Error('All post IDs must be strings');
@@ -286,17 +624,37 @@ const bulkPostValidation = [
   body('postIds.*')
     .isMongoId().withMessage('Invalid post ID format in array'),
 
+  body('tags')
+    .if(body('action').equals('retag'))
+    .exists().withMessage('Tags are required for retag'),
+
+  tagsValidation(),
+
+  body('authorId')
+    .if(body('action').equals('change-author'))
+    .notEmpty().withMessage('authorId is required for change-author')
+    .isMongoId().withMessage('Invalid author ID format'),
+
   handleValidationErrors
 ];
 
 module.exports = {
   createPostValidation,
   updatePostValidation,
+  patchPostValidation,
   updatePostStatusValidation,
   postIdValidation,
+  postIdOrSlugValidation,
+  postRevisionsValidation,
+  revisionValidation,
   queryPostsValidation,
+  listPostsValidation,
+  searchPostsValidation,
+  POST_LIST_QUERY,
   deletePostValidation,
   bulkPostValidation,
+  BULK_POST_ACTIONS,
+  MAX_BULK_POSTS,
   handleValidationErrors,
   validateStatusTransition,
   getValidTransitions
@@ -0,0 +1,40 @@
+// File: src/validators/searchValidator.js
+// Generated: 2026-10-19 18:28:05 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_71hphu49x7mf
+
+
+const { query } = require('express-validator');
+
+const { SUGGESTION_TYPES } = require('../models/SearchSuggestion');
+
+const { handleValidationErrors } = require('./postValidator');
+
+/**
+ * Validation rules for search suggestions
+ * Validates: q (required, 1-100 chars), type (optional), limit (optional, 1-20)
+ */
+
+
+const suggestValidation = [
+  query('q')
+    .isString().withMessage('Query (q) is required')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters'),
+
+  query('type')
+    .optional()
+    .isIn(SUGGESTION_TYPES).withMessage(`Type must be one of: ${SUGGESTION_TYPES.join(', ')}`),
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  suggestValidation
+};
@@ -0,0 +1,63 @@
+// File: src/validators/taxonomyValidator.js
+// Generated: 2026-10-19 18:22:46 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_3loxhidmdbj6
+
+
+const { body, query } = require('express-validator');
+
+const { SLUG_PATTERN } = require('../utils/slugify');
+
+const { handleValidationErrors } = require('./postValidator');
+
+/**
+ * Validation rules for the tag listing
+ * Validates: limit (optional, 1-500)
+ */
+
+
+const tagsQueryValidation = [
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for creating a category
+ * Validates: name (required, 2-60 chars), slug and parent (optional slugs), description (optional, max 300 chars)
+ */
+
+
+const createCategoryValidation = [
+  body('name')
+    .isString().withMessage('Name is required')
+    .trim()
+    .isLength({ min: 2, max: 60 }).withMessage('Name must be between 2 and 60 characters'),
+
+  body('slug')
+    .optional()
+    .trim()
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, digits and single hyphens'),
+
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .trim()
+    .matches(SLUG_PATTERN).withMessage('Parent must be a category slug'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  tagsQueryValidation,
+  createCategoryValidation
+};
@@ -0,0 +1,40 @@
+// File: src/validators/trashValidator.js
+// Generated: 2026-10-19 18:08:19 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_2fdzn7ff6es5
+
+
+const { query } = require('express-validator');
+
+const { handleValidationErrors } = require('./postValidator');
+
+/**
+ * Validation rules for the trash listing
+ * Validates: type (optional, posts or comments), page and limit
+ */
+
+
+const trashQueryValidation = [
+  query('type')
+    .optional()
+    .trim()
+    .isIn(['posts', 'comments']).withMessage('Type must be posts or comments'),
+
+  query('page')
+    .optional()
+    .trim()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .trim()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  trashQueryValidation
+};
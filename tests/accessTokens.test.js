@@ -0,0 +1,229 @@
+// File: tests/accessTokens.test.js
+// Generated: 2026-10-19 19:08:17 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_pcrhsyvwfjt2
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+
+const app = require('../src/app');
+
+
+const crypto = require('crypto');
+
+
+const fs = require('fs');
+
+
+const jwt = require('jsonwebtoken');
+
+
+const os = require('os');
+
+
+const path = require('path');
+
+
+const request = require('supertest');
+
+const { signAccessToken, signRefreshToken, verifyAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Access Token Tests
+ * Tests how authenticate() and verifyAccessToken treat missing, malformed,
+ * expired and refresh tokens, and that the configured algorithm (HS256 or
+ * RS256) is pinned. Every rejected request stops at authenticate, so no
+ * database is needed.
+ */
+
+
+const user = { _id: '64b7f0c2a1b2c3d4e5f60718', role: 'user' };
+
+
+const ORIGINAL_ENV = { ...process.env };
+
+// POST /api/posts runs authenticate first; rejected tokens never reach the database
+const createPost = authorization => {
+  const req = request(app).post('/api/v1/api/posts');
+  if (authorization !== undefined) {
+    req.set('Authorization', authorization);
+  }
+  return req.send({ title: 'Token test', content: 'Never stored anywhere' });
+};
+
+/**
+ * Load a fresh copy of the jwt module, which caches RS256 keys per process
+ * @returns {Object} src/utils/jwt exports
+ */
+
+
+const loadJwtModule = () => {
+  let module;
+  jest.isolateModules(() => {
+    module = require('../src/utils/jwt');
+  });
+  return module;
+};
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+});
+
+describe('authenticate', () => {
+
+  test('should reject a request without a bearer token', async () => {
+    const response = await createPost().expect(401);
+
+    expect(response.body.message).toBe('Authentication required');
+  });
+
+  test.each([
+    ['another scheme', `Basic ${Buffer.from('user:password').toString('base64')}`],
+    ['a scheme without a token', 'Bearer'],
+    ['an empty header', '']
+  ])('should reject %s', async (_, header) => {
+    const response = await createPost(header).expect(401);
+
+    expect(response.body.message).toBe('Authentication required');
+  });
+
+  test('should reject a token that is not a valid JWT', async () => {
+    const response = await createPost('Bearer not.a.jwt').expect(401);
+
+    expect(response.body.message).toBe('Invalid token');
+  });
+
+  test('should reject a token signed with another secret', async () => {
+    const token = jwt.sign({ type: 'access' }, 'someone-elses-secret', { subject: user._id });
+
+    const response = await createPost(`Bearer ${token}`).expect(401);
+    expect(response.body.message).toBe('Invalid token');
+  });
+
+  test('should reject an expired token', async () => {
+    const token = jwt.sign(
+      { type: 'access', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_ACCESS_SECRET,
+      { subject: user._id }
+    );
+
+    const response = await createPost(`Bearer ${token}`).expect(401);
+    expect(response.body.message).toBe('Token expired');
+  });
+
+  test('should reject a refresh token presented as an access token', async () => {
+    const refreshToken = signRefreshToken({ userId: user._id, jti: 'jti-1', family: 'family-1' });
+    await createPost(`Bearer ${refreshToken}`).expect(401);
+
+    // Even with a shared secret, the type claim keeps refresh tokens out
+    const sameSecret = jwt.sign({ type: 'refresh', fam: 'family-1' }, process.env.JWT_ACCESS_SECRET, {
+      subject: user._id,
+      jwtid: 'jti-2'
+    });
+    const response = await createPost(`Bearer ${sameSecret}`).expect(401);
+    expect(response.body.message).toBe('Invalid token');
+  });
+
+  test('should reject a token without a subject', async () => {
+    const token = jwt.sign({ type: 'access' }, process.env.JWT_ACCESS_SECRET);
+
+    await createPost(`Bearer ${token}`).expect(401);
+  });
+
+});
+
+describe('verifyAccessToken with HS256', () => {
+
+  test('should accept its own access tokens', () => {
+    const payload = verifyAccessToken(signAccessToken(user));
+
+    expect(payload).toMatchObject({ sub: user._id, role: 'user', type: 'access' });
+  });
+
+  test('should reject tokens using another algorithm with the same secret', () => {
+    const hs512 = jwt.sign({ type: 'access' }, process.env.JWT_ACCESS_SECRET, {
+      algorithm: 'HS512',
+      subject: user._id
+    });
+
+    expect(() => verifyAccessToken(hs512)).toThrow('invalid algorithm');
+  });
+
+  test('should reject unsigned tokens', () => {
+    const unsigned = jwt.sign({ type: 'access' }, null, { algorithm: 'none', subject: user._id });
+
+    expect(() => verifyAccessToken(unsigned)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test('should refuse an unsupported JWT_ALGORITHM', () => {
+    process.env.JWT_ALGORITHM = 'none';
+
+    expect(() => signAccessToken(user)).toThrow('JWT_ALGORITHM must be one of: HS256, RS256');
+  });
+
+});
+
+describe('verifyAccessToken with RS256', () => {
+
+  let keyDir;
+
+  let publicKey;
+
+  beforeAll(() => {
+    const keys = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    publicKey = keys.publicKey;
+
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-api-jwt-'));
+    fs.writeFileSync(path.join(keyDir, 'public.pem'), keys.publicKey);
+    fs.writeFileSync(path.join(keyDir, 'private.pem'), keys.privateKey);
+  });
+
+  beforeEach(() => {
+    process.env.JWT_ALGORITHM = 'RS256';
+    process.env.JWT_PUBLIC_KEY_PATH = path.join(keyDir, 'public.pem');
+    process.env.JWT_PRIVATE_KEY_PATH = path.join(keyDir, 'private.pem');
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  });
+
+  test('should sign and verify with the key pair', () => {
+    const rs256 = loadJwtModule();
+    const token = rs256.signAccessToken(user);
+
+    expect(jwt.decode(token, { complete: true }).header.alg).toBe('RS256');
+    expect(rs256.verifyAccessToken(token).sub).toBe(user._id);
+  });
+
+  test('should reject HS256 tokens, including ones keyed with the public key', () => {
+    const rs256 = loadJwtModule();
+    const withSecret = jwt.sign({ type: 'access' }, process.env.JWT_ACCESS_SECRET, { subject: user._id });
+
+    expect(() => rs256.verifyAccessToken(withSecret)).toThrow('invalid algorithm');
+    // Classic algorithm confusion: the public key is public, so it must not work as an HMAC secret
+    const confused = jwt.sign({ type: 'access' }, Buffer.from(publicKey), { algorithm: 'HS256', subject: user._id });
+    expect(() => rs256.verifyAccessToken(confused)).toThrow('invalid algorithm');
+  });
+
+  test('should not verify RS256 tokens when configured for HS256', () => {
+    const rs256Token = loadJwtModule().signAccessToken(user);
+    process.env.JWT_ALGORITHM = 'HS256';
+
+    expect(() => loadJwtModule().verifyAccessToken(rs256Token)).toThrow('invalid algorithm');
+  });
+
+  test('should require the public key path', () => {
+    delete process.env.JWT_PUBLIC_KEY_PATH;
+
+    expect(() => loadJwtModule().verifyAccessToken('any.token.value'))
+      .toThrow('JWT_PUBLIC_KEY_PATH must be set when JWT_ALGORITHM is RS256');
+  });
+
+});
@@ -0,0 +1,202 @@
+// File: tests/auth.test.js
+// Generated: 2026-10-19 17:57:06 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_gdu9w0lgxg8w
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+
+const RefreshToken = require('../src/models/RefreshToken');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+/**
+ * Auth API Integration Tests
+ * Tests registration, login, refresh token rotation and logout
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+const validUser = {
+  name: 'Test User',
+  email: 'test.user@example.com',
+  password: 'password123'
+};
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+});
+
+afterAll(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Auth API Integration Tests', () => {
+
+  describe('POST /api/v1/auth/register', () => {
+
+    test('should register a user and return a token pair', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send(validUser)
+        .expect('Content-Type', /json/)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.user.email).toBe(validUser.email);
+      expect(response.body.data.user).not.toHaveProperty('password');
+      expect(response.body.data.accessToken).toBeTruthy();
+      expect(response.body.data.refreshToken).toBeTruthy();
+
+      // Password must be stored as an scrypt hash
+      const dbUser = await User.findOne({ email: validUser.email }).select('+password');
+      expect(dbUser.password).toMatch(/^scrypt\$/);
+      expect(dbUser.password).not.toContain(validUser.password);
+    });
+
+    test('should reject a duplicate email with 409', async () => {
+      await request(app).post('/api/v1/auth/register').send(validUser).expect(201);
+
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send(validUser)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should reject a weak password with 400', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send({ ...validUser, password: 'short' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+  });
+
+  describe('POST /api/v1/auth/login', () => {
+
+    beforeEach(async () => {
+      await User.create(validUser);
+    });
+
+    test('should log in with valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: validUser.email, password: validUser.password })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBeTruthy();
+      expect(response.body.data.tokenType).toBe('Bearer');
+    });
+
+    test('should reject an invalid password with 401', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: validUser.email, password: 'wrongpassword1' })
+        .expect(401);
+
+      expect(response.body.message).toMatch(/invalid email or password/i);
+    });
+
+    test('should check the password of an unknown email the same way', async () => {
+      const dummyCheck = jest.spyOn(User, 'comparePasswordToDummy');
+
+      try {
+        const unknown = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: 'nobody@example.com', password: 'wrongpassword1' })
+          .expect(401);
+        const wrongPassword = await request(app)
+          .post('/api/v1/auth/login')
+          .send({ email: validUser.email, password: 'wrongpassword1' })
+          .expect(401);
+
+        expect(unknown.body).toEqual(wrongPassword.body);
+        expect(dummyCheck).toHaveBeenCalledTimes(1);
+        expect(dummyCheck).toHaveBeenCalledWith('wrongpassword1');
+        await expect(dummyCheck.mock.results[0].value).resolves.toBe(false);
+      } finally {
+        dummyCheck.mockRestore();
+      }
+    });
+
+  });
+
+  describe('POST /api/v1/auth/refresh', () => {
+
+    let refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/register')
+        .send(validUser);
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    test('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toBeTruthy();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    test('should revoke the token family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The token issued by the legitimate rotation is revoked too
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+    });
+
+    test('should reject a refresh token after logout', async () => {
+      await request(app)
+        .post('/api/v1/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+  });
+
+});
@@ -0,0 +1,207 @@
+// File: tests/authorReferences.test.js
+// Generated: 2026-10-19 19:11:12 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_butuishfozjs
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const mongoose = require('mongoose');
+
+const { up: migrateAuthorReferences } = require('../src/migrations/001-author-references');
+
+/**
+ * Author Reference Tests
+ * Tests the migration from free-text authors to User references and the
+ * authorName denormalization kept in sync when a user is renamed
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+// Legacy documents are written through the driver so the string author is not cast
+let legacyCount = 0;
+
+const insertLegacyPost = (author) => {
+  legacyCount += 1;
+  const doc = {
+    title: `Legacy post ${legacyCount}`,
+    slug: `legacy-post-${legacyCount}`,
+    content: 'Written before authors were users',
+    status: 'published',
+    createdAt: new Date()
+  };
+  if (author !== undefined) {
+    doc.author = author;
+  }
+  return Post.collection.insertOne(doc).then(result => result.insertedId);
+};
+
+const insertLegacyComment = (postId, author) => Comment.collection
+  .insertOne({ postId, author, content: 'Legacy comment', createdAt: new Date() })
+  .then(result => result.insertedId);
+
+const findRaw = (model, _id) => model.collection.findOne({ _id });
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Author references migration', () => {
+
+  test('should map an ObjectId string to that user', async () => {
+    const user = await User.create({ name: 'Ada Lovelace', email: 'ada@example.com', password: 'password123' });
+    const postId = await insertLegacyPost('Someone else');
+    const commentId = await insertLegacyComment(postId, String(user._id));
+
+    await migrateAuthorReferences();
+
+    const comment = await findRaw(Comment, commentId);
+    expect(comment.author).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(String(comment.author)).toBe(String(user._id));
+    expect(comment.authorName).toBe('Ada Lovelace');
+  });
+
+  test('should match names case-insensitively to the oldest user', async () => {
+    const oldest = await User.create({ name: 'Grace Hopper', email: 'grace@example.com', password: 'password123' });
+    const newer = await User.create({ name: 'grace hopper', email: 'grace2@example.com', password: 'password123' });
+    await User.collection.updateOne({ _id: oldest._id }, { $set: { createdAt: new Date('2020-01-01') } });
+    const postId = await insertLegacyPost('  GRACE HOPPER ');
+
+    const stats = await migrateAuthorReferences();
+
+    const post = await findRaw(Post, postId);
+    expect(String(post.author)).toBe(String(oldest._id));
+    expect(String(post.author)).not.toBe(String(newer._id));
+    expect(post.authorName).toBe('Grace Hopper');
+    expect(stats).toEqual({ posts: 1, comments: 0, matchedUsers: 1, placeholderUsers: 0 });
+  });
+
+  test('should create one placeholder user per unknown author', async () => {
+    const firstPost = await insertLegacyPost('Mystery Writer');
+    const secondPost = await insertLegacyPost('mystery writer');
+    const anonymousPost = await insertLegacyPost();
+    const commentId = await insertLegacyComment(firstPost, 'Mystery Writer');
+
+    const stats = await migrateAuthorReferences();
+
+    expect(stats).toEqual({ posts: 3, comments: 1, matchedUsers: 0, placeholderUsers: 2 });
+    const placeholder = await User.findOne({ name: 'Mystery Writer' }).select('+password');
+    expect(placeholder.email).toMatch(/^migrated-author-[0-9a-f]{16}@users\.invalid$/);
+    expect(await placeholder.comparePassword('password123')).toBe(false);
+
+    const posts = await Promise.all([firstPost, secondPost].map(id => findRaw(Post, id)));
+    expect(posts.map(post => String(post.author))).toEqual([String(placeholder._id), String(placeholder._id)]);
+    expect(String((await findRaw(Comment, commentId)).author)).toBe(String(placeholder._id));
+
+    const anonymous = await findRaw(Post, anonymousPost);
+    expect(anonymous.authorName).toBe('Unknown author');
+    expect(await User.countDocuments({ name: 'Unknown author' })).toBe(1);
+  });
+
+  test('should only report in dry-run mode', async () => {
+    const postId = await insertLegacyPost('Dry Run Author');
+
+    const stats = await migrateAuthorReferences({ dryRun: true });
+
+    expect(stats).toEqual({ posts: 1, comments: 0, matchedUsers: 0, placeholderUsers: 1 });
+    expect((await findRaw(Post, postId)).author).toBe('Dry Run Author');
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test('should be a no-op when run again', async () => {
+    const postId = await insertLegacyPost('Repeat Author');
+    await insertLegacyComment(postId, 'Repeat Author');
+    await migrateAuthorReferences();
+    const migrated = await findRaw(Post, postId);
+
+    const stats = await migrateAuthorReferences();
+
+    expect(stats).toEqual({ posts: 0, comments: 0, matchedUsers: 0, placeholderUsers: 0 });
+    expect(await User.countDocuments()).toBe(1);
+    expect(await findRaw(Post, postId)).toEqual(migrated);
+  });
+
+});
+
+describe('Author name denormalization', () => {
+
+  let user;
+
+  let post;
+
+  let comment;
+
+  beforeEach(async () => {
+    user = await User.create({ name: 'Original Name', email: 'rename@example.com', password: 'password123' });
+    post = await Post.create({
+      title: 'Denormalized author',
+      content: 'Post content',
+      status: 'published',
+      author: user._id,
+      authorName: user.name
+    });
+    comment = await Comment.create({
+      postId: post._id,
+      content: 'Comment content',
+      author: user._id,
+      authorName: user.name
+    });
+  });
+
+  test('should copy a new user name onto their posts and comments', async () => {
+    user.name = 'Renamed Author';
+    await user.save();
+
+    expect((await Post.findById(post._id)).authorName).toBe('Renamed Author');
+    expect((await Comment.findById(comment._id)).authorName).toBe('Renamed Author');
+  });
+
+  test('should leave other authors untouched', async () => {
+    const other = await User.create({ name: 'Other Author', email: 'other@example.com', password: 'password123' });
+    const otherPost = await Post.create({
+      title: 'Someone else',
+      content: 'Post content',
+      status: 'published',
+      author: other._id,
+      authorName: other.name
+    });
+
+    user.name = 'Renamed Author';
+    await user.save();
+
+    expect((await Post.findById(otherPost._id)).authorName).toBe('Other Author');
+  });
+
+  test('should not rewrite authorName when the name is unchanged', async () => {
+    await Post.updateOne({ _id: post._id }, { $set: { authorName: 'Stale Name' } });
+
+    user.bio = 'Saved without a rename';
+    await user.save();
+
+    expect((await Post.findById(post._id)).authorName).toBe('Stale Name');
+  });
+
+});
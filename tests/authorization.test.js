@@ -0,0 +1,194 @@
+// File: tests/authorization.test.js
+// Generated: 2026-10-19 19:07:27 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_edetn4kaqxd1
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Authorization Integration Tests
+ * Tests the access policies (src/config/policies.js) as enforced by
+ * authorize() on the post and comment write routes: owners, non-owners and
+ * the editor, moderator and admin roles
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+const tokens = {};
+
+let post;
+
+let comment;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const as = (role, method, path) => request(app)[method](`/api/v1/api${path}`)
+  .set('Authorization', `Bearer ${tokens[role]}`);
+
+const putPost = role => as(role, 'put', `/posts/${post._id}`)
+  .send({ title: 'Edited title', content: 'Edited content for the post', status: 'published', version: post.__v });
+
+const putComment = role => as(role, 'put', `/comments/${comment._id}`)
+  .send({ content: 'Edited comment', version: comment.__v });
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const users = {};
+  for (const role of ['owner', 'stranger', 'editor', 'moderator', 'admin']) {
+    users[role] = await User.create({
+      name: `${role.charAt(0).toUpperCase()}${role.slice(1)} User`,
+      email: `${role}@example.com`,
+      password: 'password123',
+      role: ['owner', 'stranger'].includes(role) ? 'user' : role
+    });
+    tokens[role] = signAccessToken(users[role]);
+  }
+
+  post = await Post.create({
+    title: 'Owned post',
+    content: 'Only some users may change this',
+    status: 'published',
+    author: users.owner._id,
+    authorName: users.owner.name
+  });
+
+  comment = await Comment.create({
+    content: 'Owned comment',
+    author: users.owner._id,
+    authorName: users.owner.name,
+    postId: post._id,
+    status: 'approved'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Post policy', () => {
+
+  test('should forbid a non-owner from updating or deleting a post', async () => {
+    const update = await putPost('stranger').expect(403);
+    expect(update.body.message).toBe('You do not have permission to update this post');
+
+    await as('stranger', 'delete', `/posts/${post._id}`).expect(403);
+    await as('moderator', 'delete', `/posts/${post._id}`).expect(403);
+
+    const stored = await Post.findById(post._id);
+    expect(stored.title).toBe('Owned post');
+  });
+
+  test('should let the owner update and delete the post', async () => {
+    await putPost('owner').expect(200);
+    await as('owner', 'delete', `/posts/${post._id}`).expect(200);
+
+    expect(await Post.findById(post._id)).toBeNull();
+  });
+
+  test('should let editors update but not delete, and admins do both', async () => {
+    await putPost('editor').expect(200);
+    await as('editor', 'delete', `/posts/${post._id}`).expect(403);
+
+    post = await Post.findById(post._id);
+    await putPost('admin').expect(200);
+    await as('admin', 'delete', `/posts/${post._id}`).expect(200);
+  });
+
+});
+
+describe('Comment policy', () => {
+
+  test('should forbid a non-owner from updating or deleting a comment', async () => {
+    await putComment('stranger').expect(403);
+    await putComment('editor').expect(403);
+    await as('stranger', 'delete', `/comments/${comment._id}`).expect(403);
+
+    expect((await Comment.findById(comment._id)).content).toBe('Owned comment');
+  });
+
+  test('should let the owner and an admin update, and moderators delete', async () => {
+    await putComment('owner').expect(200);
+
+    comment = await Comment.findById(comment._id);
+    await putComment('admin').expect(200);
+
+    await as('moderator', 'delete', `/comments/${comment._id}`).expect(200);
+    expect(await Comment.findById(comment._id)).toBeNull();
+  });
+
+});
+
+describe('Trashed documents (withDeleted)', () => {
+
+  beforeEach(async () => {
+    await as('owner', 'delete', `/posts/${post._id}`).expect(200);
+  });
+
+  test('should load trashed posts for restore only', async () => {
+    await putPost('owner').expect(404);
+    await as('stranger', 'post', `/posts/${post._id}/restore`).expect(403);
+
+    await as('owner', 'post', `/posts/${post._id}/restore`).expect(200);
+    expect(await Post.findById(post._id)).not.toBeNull();
+  });
+
+  test('should let an admin restore a post they do not own', async () => {
+    await as('admin', 'post', `/posts/${post._id}/restore`).expect(200);
+  });
+
+});
+
+describe('Authorization order', () => {
+
+  test('should answer 401 before looking up the document', async () => {
+    await request(app).delete(`/api/v1/api/posts/${new mongoose.Types.ObjectId()}`).expect(401);
+    await request(app).delete(`/api/v1/api/posts/${post._id}`).expect(401);
+  });
+
+  test('should answer 404 for a missing document before checking ownership', async () => {
+    const missing = new mongoose.Types.ObjectId();
+
+    await as('stranger', 'delete', `/posts/${missing}`).expect(404);
+    await as('stranger', 'put', `/comments/${missing}`).send({ content: 'Edit', version: 0 }).expect(404);
+  });
+
+  test('should reject a malformed ID with 400 before any lookup', async () => {
+    const response = await as('stranger', 'delete', '/posts/not-an-id').expect(400);
+
+    expect(response.body.message).toBe('Invalid post ID format');
+  });
+
+});
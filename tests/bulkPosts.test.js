@@ -0,0 +1,252 @@
+// File: tests/bulkPosts.test.js
+// Generated: 2026-10-19 18:49:35 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_jai2aa9ntku9
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const PostRevision = require('../src/models/PostRevision');
+
+
+const SearchSuggestion = require('../src/models/SearchSuggestion');
+
+
+const Tag = require('../src/models/Tag');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Bulk Post Operations Integration Tests
+ * Tests POST /api/posts/bulk: per-ID results, permissions, lifecycle checks
+ * and the retag, delete and change-author actions
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let authorToken;
+
+let adminToken;
+
+let draft;
+
+let published;
+
+let othersPost;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  PostRevision.deleteMany({}),
+  SearchSuggestion.deleteMany({}),
+  Tag.deleteMany({}),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const bulk = (body, token = authorToken) => request(app)
+  .post('/api/v1/api/posts/bulk')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const suggestions = query => request(app)
+  .get(`/api/v1/api/search/suggest?${query}`)
+  .expect(200)
+  .then(response => response.body.data.suggestions);
+
+const resultFor = (response, post) => response.body.data.results.find(entry => entry.id === String(post._id));
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+  const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+  const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'password123', role: 'admin' });
+  authorToken = signAccessToken(author);
+  adminToken = signAccessToken(admin);
+
+  const postFor = (user, title, status) => Post.create({
+    title,
+    content: 'Content for bulk operations',
+    status,
+    author: user._id,
+    authorName: user.name
+  });
+
+  draft = await postFor(author, 'Bulk draft', 'draft');
+  published = await postFor(author, 'Bulk published', 'published');
+  othersPost = await postFor(other, 'Someone else', 'draft');
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('POST /api/posts/bulk', () => {
+
+  test('should report succeeded, not found, forbidden and invalid transition per ID', async () => {
+    const missing = new mongoose.Types.ObjectId();
+
+    const response = await bulk({
+      action: 'publish',
+      postIds: [String(draft._id), String(missing), String(othersPost._id)]
+    }).expect(200);
+
+    expect(response.body.data.summary).toEqual({ succeeded: 1, notFound: 1, forbidden: 1, invalidTransition: 0 });
+    expect(resultFor(response, draft).result).toBe('succeeded');
+    expect(resultFor(response, { _id: missing }).result).toBe('notFound');
+    expect(resultFor(response, othersPost).result).toBe('forbidden');
+
+    const stored = await Post.findById(draft._id);
+    expect(stored.status).toBe('published');
+    expect(stored.publishedAt).not.toBeNull();
+    expect((await Post.findById(othersPost._id)).status).toBe('draft');
+  });
+
+  test('should reject illegal transitions and leave those posts unchanged', async () => {
+    const response = await bulk({
+      action: 'archive',
+      postIds: [String(draft._id), String(published._id)]
+    }).expect(200);
+
+    expect(resultFor(response, published).result).toBe('succeeded');
+    expect(resultFor(response, draft)).toEqual({
+      id: String(draft._id),
+      result: 'invalidTransition',
+      currentStatus: 'draft',
+      validTransitions: ['published']
+    });
+    expect((await Post.findById(draft._id)).status).toBe('draft');
+    expect((await Post.findById(published._id)).status).toBe('archived');
+  });
+
+  test('should unpublish and record a revision for each post', async () => {
+    await bulk({ action: 'unpublish', postIds: [String(published._id)] }).expect(200);
+
+    const stored = await Post.findById(published._id);
+    expect(stored.status).toBe('draft');
+    const revisions = await PostRevision.find({ post: published._id });
+    expect(revisions.map(revision => revision.status)).toContain('draft');
+  });
+
+  test('should replace the tags of every post', async () => {
+    const response = await bulk({
+      action: 'retag',
+      postIds: [String(draft._id), String(published._id)],
+      tags: ['Node.js', 'MongoDB']
+    }).expect(200);
+
+    expect(response.body.data.summary.succeeded).toBe(2);
+    expect((await Post.findById(draft._id)).tags).toEqual(['node-js', 'mongodb']);
+    expect((await Post.findById(published._id)).tags).toEqual(['node-js', 'mongodb']);
+
+    await bulk({ action: 'retag', postIds: [String(draft._id)] }).expect(400);
+  });
+
+  test('should move posts and their comments to the trash', async () => {
+    await Comment.create({
+      content: 'Comment on a bulk deleted post',
+      author: author._id,
+      authorName: author.name,
+      postId: draft._id,
+      status: 'approved'
+    });
+
+    const response = await bulk({
+      action: 'delete',
+      postIds: [String(draft._id), String(othersPost._id)]
+    }).expect(200);
+
+    expect(response.body.data.trashedComments).toBe(1);
+    expect(resultFor(response, othersPost).result).toBe('forbidden');
+    expect(await Post.findById(draft._id)).toBeNull();
+    expect(await Post.findById(othersPost._id)).not.toBeNull();
+
+    const again = await bulk({ action: 'delete', postIds: [String(draft._id)] }).expect(200);
+    expect(again.body.data.summary.notFound).toBe(1);
+  });
+
+  test('should drop bulk deleted posts from the search suggestions', async () => {
+    expect((await suggestions('q=bulk')).map(suggestion => suggestion.text)).toEqual(['Bulk published']);
+
+    await bulk({ action: 'delete', postIds: [String(published._id)] }).expect(200);
+
+    expect(await suggestions('q=bulk')).toEqual([]);
+    expect(await suggestions('q=author&type=author')).toEqual([]);
+  });
+
+  test('should count retagged posts in the tag suggestions once committed', async () => {
+    await bulk({ action: 'publish', postIds: [String(draft._id)] }).expect(200);
+    await bulk({
+      action: 'retag',
+      postIds: [String(draft._id), String(published._id)],
+      tags: ['Node.js']
+    }).expect(200);
+
+    expect(await suggestions('q=node&type=tag')).toEqual([
+      { type: 'tag', text: 'Node.js', slug: 'node-js', count: 2 }
+    ]);
+    expect((await suggestions('q=author&type=author'))[0].count).toBe(2);
+  });
+
+  test('should let only admins change the author', async () => {
+    const body = {
+      action: 'change-author',
+      postIds: [String(draft._id), String(othersPost._id)],
+      authorId: String(author._id)
+    };
+
+    const denied = await bulk(body).expect(200);
+    expect(denied.body.data.summary.forbidden).toBe(2);
+
+    const response = await bulk(body, adminToken).expect(200);
+    expect(response.body.data.summary.succeeded).toBe(2);
+
+    const stored = await Post.findById(othersPost._id);
+    expect(String(stored.author)).toBe(String(author._id));
+    expect(stored.authorName).toBe('Author');
+
+    await bulk({ ...body, authorId: String(new mongoose.Types.ObjectId()) }, adminToken).expect(400);
+  });
+
+  test('should validate the action and the number of IDs', async () => {
+    await bulk({ action: 'feature', postIds: [String(draft._id)] }).expect(400);
+    await bulk({ action: 'publish', postIds: [] }).expect(400);
+
+    const tooMany = Array.from({ length: 101 }, () => String(new mongoose.Types.ObjectId()));
+    await bulk({ action: 'publish', postIds: tooMany }).expect(400);
+
+    await request(app)
+      .post('/api/v1/api/posts/bulk')
+      .send({ action: 'publish', postIds: [String(draft._id)] })
+      .expect(401);
+  });
+
+});
@@ -4,12 +4,18 @@
 // Task ID: task_h6eo2xra6nua
 
 
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
 const Comment = require('../src/models/Comment');
 
 
 const Post = require('../src/models/Post');
 
 
+const User = require('../src/models/User');
+
+
 const app = require('../src/app');
 
 
@@ -18,7 +24,11 @@ const mongoose = require('mongoose');
 
 const request = require('supertest');
 
-* Tests CRUD operations, post relationship validation, and cascade delete functionality
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Comment API Integration Tests
+ * Tests CRUD operations, post relationship validation, and cascade delete functionality
  * Uses Jest and Supertest for HTTP testing
  */
 
@@ -29,19 +39,29 @@ const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27
 
 // Test data storage
 
+let testUser;
+
+let token;
+
 let testPost;
 
 let testComment;
 
+// Approved comment by the test user, created directly in the database
+const createComment = (content) => Comment.create({
+  content,
+  author: testUser._id,
+  authorName: testUser.name,
+  postId: testPost._id,
+  status: 'approved'
+});
+
 /**
  * Setup: Connect to test database before all tests
  */
 beforeAll(async () => {
   try {
-    await mongoose.connect(MONGODB_TEST_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true
-    });
+    await mongoose.connect(MONGODB_TEST_URI);
   } catch (error) {
     console.error('Failed to connect to test database:', error);
     throw error;
@@ -53,15 +73,24 @@ beforeAll(async () => {
  */
 beforeEach(async () => {
   try {
-    // Clear all collections
-    await Comment.deleteMany({});
-    await Post.deleteMany({});
+    // Clear all collections, trashed documents included
+    await Comment.deleteMany({}).setOptions({ withDeleted: true });
+    await Post.deleteMany({}).setOptions({ withDeleted: true });
+    await User.deleteMany({});
+
+    testUser = await User.create({
+      name: 'Test Commenter',
+      email: 'commenter@example.com',
+      password: 'password123'
+    });
+    token = signAccessToken(testUser);
 
     // Create test post for comment relationships
     testPost = await Post.create({
       title: 'Test Post for Comments',
       content: 'This is a test post to associate comments with',
-      author: 'Test Author',
+      author: testUser._id,
+      authorName: testUser.name,
       status: 'published'
     });
   } catch (error) {
@@ -75,6 +104,9 @@ beforeEach(async () => {
  */
 afterAll(async () => {
   try {
+    await Comment.deleteMany({}).setOptions({ withDeleted: true });
+    await Post.deleteMany({}).setOptions({ withDeleted: true });
+    await User.deleteMany({});
     await mongoose.connection.close();
   } catch (error) {
     console.error('Failed to close database connection:', error);
@@ -84,16 +116,16 @@ afterAll(async () => {
 
 describe('Comment API Integration Tests', () => {
 
-  describe('POST /api/posts/:postId/comments', () => {
+  describe('POST /api/comments/posts/:postId/comments', () => {
 
     test('should create a new comment with valid data', async () => {
       const commentData = {
-        content: 'This is a test comment',
-        author: 'Test Commenter'
+        content: 'This is a test comment'
       };
 
       const response = await request(app)
-        .post(`/api/posts/${testPost._id}/comments`)
+        .post(`/api/v1/api/comments/posts/${testPost._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
         .send(commentData)
         .expect('Content-Type', /json/)
         .expect(201);
@@ -101,7 +133,8 @@ describe('Comment API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('_id');
       expect(response.body.data.content).toBe(commentData.content);
-      expect(response.body.data.author).toBe(commentData.author);
+      expect(response.body.data.author).toBe(testUser._id.toString());
+      expect(response.body.data.authorName).toBe(testUser.name);
       expect(response.body.data.postId.toString()).toBe(testPost._id.toString());
       expect(response.body.data).toHaveProperty('createdAt');
 
@@ -111,145 +144,138 @@ describe('Comment API Integration Tests', () => {
       expect(dbComment.content).toBe(commentData.content);
     });
 
-    test('should fail to create comment with missing content', async () => {
-      const commentData = {
-        author: 'Test Commenter'
-      };
+    test('should take the author from the token instead of the body', async () => {
+      const other = await User.create({ name: 'Someone Else', email: 'else@example.com', password: 'password123' });
 
       const response = await request(app)
-        .post(`/api/posts/${testPost._id}/comments`)
-        .send(commentData)
+        .post(`/api/v1/api/comments/posts/${testPost._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'This is a test comment', author: other._id.toString() })
+        .expect(201);
+
+      expect(response.body.data.author).toBe(testUser._id.toString());
+    });
+
+    test('should fail to create comment without a token', async () => {
+      const response = await request(app)
+        .post(`/api/v1/api/comments/posts/${testPost._id}/comments`)
+        .send({ content: 'This is a test comment' })
         .expect('Content-Type', /json/)
-        .expect(400);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
     });
 
-    test('should fail to create comment with empty content', async () => {
-      const commentData = {
-        content: '',
-        author: 'Test Commenter'
-      };
-
+    test('should fail to create comment with missing content', async () => {
       const response = await request(app)
-        .post(`/api/posts/${testPost._id}/comments`)
-        .send(commentData)
+        .post(`/api/v1/api/comments/posts/${testPost._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
-    test('should fail to create comment with missing author', async () => {
+    test('should fail to create comment with empty content', async () => {
       const commentData = {
-        content: 'This is a test comment'
+        content: ''
       };
 
       const response = await request(app)
-        .post(`/api/posts/${testPost._id}/comments`)
+        .post(`/api/v1/api/comments/posts/${testPost._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
         .send(commentData)
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
     test('should fail to create comment with invalid post ID format', async () => {
       const commentData = {
-        content: 'This is a test comment',
-        author: 'Test Commenter'
+        content: 'This is a test comment'
       };
 
       const response = await request(app)
-        .post('/api/posts/invalid-id/comments')
+        .post('/api/v1/api/comments/posts/invalid-id/comments')
+        .set('Authorization', `Bearer ${token}`)
         .send(commentData)
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
     test('should fail to create comment with non-existent post ID', async () => {
       const fakePostId = new mongoose.Types.ObjectId();
       const commentData = {
-        content: 'This is a test comment',
-        author: 'Test Commenter'
+        content: 'This is a test comment'
       };
 
       const response = await request(app)
-        .post(`/api/posts/${fakePostId}/comments`)
+        .post(`/api/v1/api/comments/posts/${fakePostId}/comments`)
+        .set('Authorization', `Bearer ${token}`)
         .send(commentData)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/post not found/i);
+      expect(response.body.message).toMatch(/post not found/i);
     });
 
   });
 
-  describe('GET /api/posts/:postId/comments', () => {
+  describe('GET /api/comments/posts/:postId/comments', () => {
 
     test('should retrieve all comments for a specific post', async () => {
       // Create multiple comments for the test post
-      await Comment.create({
-        content: 'First comment',
-        author: 'Author 1',
-        postId: testPost._id
-      });
-      await Comment.create({
-        content: 'Second comment',
-        author: 'Author 2',
-        postId: testPost._id
-      });
+      await createComment('First comment');
+      await createComment('Second comment');
 
       const response = await request(app)
-        .get(`/api/posts/${testPost._id}/comments`)
+        .get(`/api/v1/api/comments/posts/${testPost._id}/comments`)
         .expect('Content-Type', /json/)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeInstanceOf(Array);
-      expect(response.body.data).toHaveLength(2);
-      expect(response.body.data[0].postId.toString()).toBe(testPost._id.toString());
-      expect(response.body.data[1].postId.toString()).toBe(testPost._id.toString());
+      expect(response.body.data.comments).toBeInstanceOf(Array);
+      expect(response.body.data.comments).toHaveLength(2);
+      expect(response.body.data.comments[0].postId.toString()).toBe(testPost._id.toString());
+      expect(response.body.data.comments[1].postId.toString()).toBe(testPost._id.toString());
+      expect(response.body.data.comments[0].author).toMatchObject({ _id: testUser._id.toString(), name: testUser.name });
     });
 
     test('should return empty array for post with no comments', async () => {
       const response = await request(app)
-        .get(`/api/posts/${testPost._id}/comments`)
+        .get(`/api/v1/api/comments/posts/${testPost._id}/comments`)
         .expect('Content-Type', /json/)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeInstanceOf(Array);
-      expect(response.body.data).toHaveLength(0);
+      expect(response.body.data.comments).toBeInstanceOf(Array);
+      expect(response.body.data.comments).toHaveLength(0);
     });
 
     test('should fail to retrieve comments with invalid post ID', async () => {
       const response = await request(app)
-        .get('/api/posts/invalid-id/comments')
+        .get('/api/v1/api/comments/posts/invalid-id/comments')
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
     test('should return 404 for non-existent post', async () => {
       const fakePostId = new mongoose.Types.ObjectId();
 
       const response = await request(app)
-        .get(`/api/posts/${fakePostId}/comments`)
+        .get(`/api/v1/api/comments/posts/${fakePostId}/comments`)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/post not found/i);
+      expect(response.body.message).toMatch(/post not found/i);
     });
 
   });
@@ -257,23 +283,19 @@ describe('Comment API Integration Tests', () => {
   describe('GET /api/comments/:id', () => {
 
     beforeEach(async () => {
-      testComment = await Comment.create({
-        content: 'Test comment for retrieval',
-        author: 'Test Author',
-        postId: testPost._id
-      });
+      testComment = await createComment('Test comment for retrieval');
     });
 
     test('should retrieve a single comment by ID', async () => {
       const response = await request(app)
-        .get(`/api/comments/${testComment._id}`)
+        .get(`/api/v1/api/comments/${testComment._id}`)
         .expect('Content-Type', /json/)
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data._id).toBe(testComment._id.toString());
       expect(response.body.data.content).toBe(testComment.content);
-      expect(response.body.data.author).toBe(testComment.author);
+      expect(response.body.data.author).toBe(testUser._id.toString());
       expect(response.body.data.postId.toString()).toBe(testPost._id.toString());
     });
 
@@ -281,22 +303,21 @@ describe('Comment API Integration Tests', () => {
       const fakeCommentId = new mongoose.Types.ObjectId();
 
       const response = await request(app)
-        .get(`/api/comments/${fakeCommentId}`)
+        .get(`/api/v1/api/comments/${fakeCommentId}`)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/comment not found/i);
+      expect(response.body.message).toMatch(/comment not found/i);
     });
 
     test('should fail with invalid comment ID format', async () => {
       const response = await request(app)
-        .get('/api/comments/invalid-id')
+        .get('/api/v1/api/comments/invalid-id')
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
   });
@@ -304,21 +325,18 @@ describe('Comment API Integration Tests', () => {
   describe('PUT /api/comments/:id', () => {
 
     beforeEach(async () => {
-      testComment = await Comment.create({
-        content: 'Original comment content',
-        author: 'Original Author',
-        postId: testPost._id
-      });
+      testComment = await createComment('Original comment content');
     });
 
     test('should update comment content successfully', async () => {
       const updatedData = {
         content: 'Updated comment content',
-        author: 'Updated Author'
+        version: testComment.__v
       };
 
       const response = await request(app)
-        .put(`/api/comments/${testComment._id}`)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updatedData)
         .expect('Content-Type', /json/)
         .expect(200);
@@ -326,28 +344,77 @@ describe('Comment API Integration Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data._id).toBe(testComment._id.toString());
       expect(response.body.data.content).toBe(updatedData.content);
-      expect(response.body.data.author).toBe(updatedData.author);
+      expect(response.body.data.author).toBe(testUser._id.toString());
 
       // Verify update in database
       const dbComment = await Comment.findById(testComment._id);
       expect(dbComment.content).toBe(updatedData.content);
-      expect(dbComment.author).toBe(updatedData.author);
+    });
+
+    test('should update with the ETag from a read', async () => {
+      const read = await request(app).get(`/api/v1/api/comments/${testComment._id}`).expect(200);
+
+      const response = await request(app)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', read.headers.etag)
+        .send({ content: 'Updated comment content' })
+        .expect(200);
+
+      expect(response.body.data.content).toBe('Updated comment content');
+    });
+
+    test('should return 403 when another user edits the comment', async () => {
+      const other = await User.create({ name: 'Someone Else', email: 'else@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(other)}`)
+        .send({ content: 'Hijacked comment', version: testComment.__v })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+
+      const dbComment = await Comment.findById(testComment._id);
+      expect(dbComment.content).toBe('Original comment content');
+    });
+
+    test('should require If-Match or version', async () => {
+      const response = await request(app)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Updated comment content' })
+        .expect(428);
+
+      expect(response.body.success).toBe(false);
+
+      const dbComment = await Comment.findById(testComment._id);
+      expect(dbComment.content).toBe('Original comment content');
+    });
+
+    test('should reject a stale version with 412', async () => {
+      const response = await request(app)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Updated comment content', version: testComment.__v + 1 })
+        .expect(412);
+
+      expect(response.body.errors.version).toBe(testComment.__v);
     });
 
     test('should fail to update with empty content', async () => {
       const updatedData = {
-        content: '',
-        author: 'Updated Author'
+        content: ''
       };
 
       const response = await request(app)
-        .put(`/api/comments/${testComment._id}`)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updatedData)
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
 
       // Verify comment was not updated
       const dbComment = await Comment.findById(testComment._id);
@@ -355,51 +422,46 @@ describe('Comment API Integration Tests', () => {
     });
 
     test('should fail to update with missing content', async () => {
-      const updatedData = {
-        author: 'Updated Author'
-      };
-
       const response = await request(app)
-        .put(`/api/comments/${testComment._id}`)
-        .send(updatedData)
+        .put(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
         .expect('Content-Type', /json/)
         .expect(400);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
+      expect(response.body.errors).toBeTruthy();
     });
 
     test('should return 404 for non-existent comment', async () => {
       const fakeCommentId = new mongoose.Types.ObjectId();
       const updatedData = {
-        content: 'Updated content',
-        author: 'Updated Author'
+        content: 'Updated content'
       };
 
       const response = await request(app)
-        .put(`/api/comments/${fakeCommentId}`)
+        .put(`/api/v1/api/comments/${fakeCommentId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updatedData)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/comment not found/i);
+      expect(response.body.message).toMatch(/comment not found/i);
     });
 
     test('should fail with invalid comment ID format', async () => {
       const updatedData = {
-        content: 'Updated content',
-        author: 'Updated Author'
+        content: 'Updated content'
       };
 
       const response = await request(app)
-        .put('/api/comments/invalid-id')
+        .put('/api/v1/api/comments/invalid-id')
+        .set('Authorization', `Bearer ${token}`)
         .send(updatedData)
         .expect('Content-Type', /json/)
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
     });
 
   });
@@ -407,76 +469,103 @@ describe('Comment API Integration Tests', () => {
   describe('DELETE /api/comments/:id', () => {
 
     beforeEach(async () => {
-      testComment = await Comment.create({
-        content: 'Comment to be deleted',
-        author: 'Test Author',
-        postId: testPost._id
-      });
+      testComment = await createComment('Comment to be deleted');
     });
 
-    test('should delete comment successfully', async () => {
+    test('should move the comment to the trash', async () => {
       const response = await request(app)
-        .delete(`/api/comments/${testComment._id}`)
+        .delete(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .expect('Content-Type', /json/)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toMatch(/deleted successfully/i);
+      expect(response.body.message).toMatch(/moved to trash/i);
 
-      // Verify comment is deleted from database
-      const dbComment = await Comment.findById(testComment._id);
-      expect(dbComment).toBeNull();
+      // Verify comment is hidden but kept in the trash
+      expect(await Comment.findById(testComment._id)).toBeNull();
+      expect(await Comment.findByIdWithDeleted(testComment._id)).toBeTruthy();
+    });
+
+    test('should let moderators delete comments by other users', async () => {
+      const moderator = await User.create({ name: 'Mod', email: 'mod@example.com', password: 'password123', role: 'moderator' });
+      const other = await User.create({ name: 'Someone Else', email: 'else@example.com', password: 'password123' });
+
+      await request(app)
+        .delete(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(other)}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(moderator)}`)
+        .expect(200);
+
+      expect(await Comment.findById(testComment._id)).toBeNull();
     });
 
     test('should return 404 for non-existent comment', async () => {
       const fakeCommentId = new mongoose.Types.ObjectId();
 
       const response = await request(app)
-        .delete(`/api/comments/${fakeCommentId}`)
+        .delete(`/api/v1/api/comments/${fakeCommentId}`)
+        .set('Authorization', `Bearer ${token}`)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/comment not found/i);
+      expect(response.body.message).toMatch(/comment not found/i);
     });
 
     test('should return 404 when deleting already deleted comment', async () => {
       // Delete comment first time
       await request(app)
-        .delete(`/api/comments/${testComment._id}`)
+        .delete(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .expect(200);
 
       // Try to delete again
       const response = await request(app)
-        .delete(`/api/comments/${testComment._id}`)
+        .delete(`/api/v1/api/comments/${testComment._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .expect('Content-Type', /json/)
         .expect(404);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toMatch(/comment not found/i);
+      expect(response.body.message).toMatch(/comment not found/i);
     });
 
     test('should fail with invalid comment ID format', async () => {
       const response = await request(app)
-        .delete('/api/comments/invalid-id')
+        .delete('/api/v1/api/comments/invalid-id')
+        .set('Authorization', `Bearer ${token}`)
         .expect('Content-Type', /json/)
         .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error).toBeTruthy();
     });
 
   });
 
   describe('Cascade Delete - Post Deletion', () => {
 
-    test('should delete all comments when post is deleted', async () => {
+    test('should move all comments to the trash when post is deleted', async () => {
       // Create multiple comments for the test post
-      const comment1 = await Comment.create({
-        content: 'First comment',
-        author: 'Author 1',
-        postId: testPost._id
-      });
-      const comment2 = await Comment.create({
-        content: 'Second comment',
-        author:
+      const comment1 = await createComment('First comment');
+      const comment2 = await createComment('Second comment');
+
+      await request(app)
+        .delete(`/api/v1/api/posts/${testPost._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments({ postId: testPost._id })).toBe(0);
+      const trashed = await Comment.find({ _id: { $in: [comment1._id, comment2._id] } })
+        .setOptions({ withDeleted: true });
+      expect(trashed).toHaveLength(2);
+      expect(trashed.every(comment => comment.deletedAt)).toBe(true);
+    });
+
+  });
+
+});
@@ -0,0 +1,204 @@
+// File: tests/commentReactions.test.js
+// Generated: 2026-10-19 18:18:43 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_7bag5dtes5o6
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const CommentReaction = require('../src/models/CommentReaction');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Comment Reaction Integration Tests
+ * Tests idempotent reactions, vote switching, cached counts and sorting
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let users;
+
+let tokens;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  CommentReaction.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const createComment = content => Comment.create({
+  content,
+  author: users[0]._id,
+  authorName: users[0].name,
+  postId: post._id,
+  status: 'approved'
+});
+
+const react = (comment, type, token = tokens[0]) => request(app)
+  .put(`/api/v1/api/comments/${comment._id}/reactions/${type}`)
+  .set('Authorization', `Bearer ${token}`);
+
+const unreact = (comment, type, token = tokens[0]) => request(app)
+  .delete(`/api/v1/api/comments/${comment._id}/reactions/${type}`)
+  .set('Authorization', `Bearer ${token}`);
+
+const listComments = sort => request(app)
+  .get(`/api/v1/api/comments/posts/${post._id}/comments?sort=${sort}`)
+  .expect(200);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  users = await Promise.all([1, 2, 3, 4].map(n => User.create({
+    name: `Reader ${n}`,
+    email: `reader${n}@example.com`,
+    password: 'password123'
+  })));
+  tokens = users.map(user => signAccessToken(user));
+
+  post = await Post.create({
+    title: 'Reactions Post',
+    content: 'A post whose comments get voted on.',
+    status: 'published',
+    author: users[0]._id,
+    authorName: users[0].name
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Comment reactions', () => {
+
+  test('should require authentication', async () => {
+    const comment = await createComment('Needs a login to react');
+
+    await request(app)
+      .put(`/api/v1/api/comments/${comment._id}/reactions/like`)
+      .expect(401);
+  });
+
+  test('should add a reaction once no matter how often it is sent', async () => {
+    const comment = await createComment('Like me twice');
+
+    await react(comment, 'like').expect(200);
+    const response = await react(comment, 'like').expect(200);
+
+    expect(response.body.data.reactions.like).toBe(1);
+    expect(response.body.data.score).toBe(1);
+    expect(response.body.data.userReactions).toEqual(['like']);
+    expect(await CommentReaction.countDocuments({ comment: comment._id })).toBe(1);
+  });
+
+  test('should remove a reaction idempotently', async () => {
+    const comment = await createComment('Changed my mind');
+
+    await react(comment, 'heart').expect(200);
+    await unreact(comment, 'heart').expect(200);
+    const response = await unreact(comment, 'heart').expect(200);
+
+    expect(response.body.data.reactions.heart).toBe(0);
+    expect(response.body.data.userReactions).toEqual([]);
+  });
+
+  test('should replace a downvote with an upvote', async () => {
+    const comment = await createComment('Flip-flopping voter');
+
+    await react(comment, 'downvote').expect(200);
+    const response = await react(comment, 'upvote').expect(200);
+
+    expect(response.body.data.reactions.upvote).toBe(1);
+    expect(response.body.data.reactions.downvote).toBe(0);
+    expect(response.body.data.score).toBe(1);
+    expect(response.body.data.userReactions).toEqual(['upvote']);
+  });
+
+  test('should not treat reactions as edits of the comment', async () => {
+    const comment = await createComment('Edited after the votes came in');
+    const read = await request(app).get(`/api/v1/api/comments/${comment._id}`).expect(200);
+
+    await react(comment, 'upvote', tokens[1]).expect(200);
+
+    const response = await request(app)
+      .put(`/api/v1/api/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${tokens[0]}`)
+      .set('If-Match', read.headers.etag)
+      .send({ content: 'Edited after the votes came in, with a fix' })
+      .expect(200);
+
+    expect(response.body.data.score).toBe(1);
+  });
+
+  test('should reject unknown reaction types', async () => {
+    const comment = await createComment('Odd reaction');
+
+    await react(comment, 'shrug').expect(400);
+  });
+
+  test('should not accept reactions on unapproved comments', async () => {
+    const comment = await createComment('Still in the queue');
+    await Comment.updateOne({ _id: comment._id }, { status: 'pending' });
+
+    await react(comment, 'like').expect(404);
+  });
+
+  test('should sort comments by score and controversy', async () => {
+    const popular = await createComment('Everyone agrees');
+    const divisive = await createComment('Opinions differ');
+    const quiet = await createComment('Nobody noticed');
+
+    for (const token of tokens.slice(0, 3)) {
+      await react(popular, 'upvote', token).expect(200);
+    }
+    await react(divisive, 'upvote', tokens[0]).expect(200);
+    await react(divisive, 'upvote', tokens[1]).expect(200);
+    await react(divisive, 'downvote', tokens[2]).expect(200);
+    await react(divisive, 'downvote', tokens[3]).expect(200);
+
+    const top = await listComments('top');
+    expect(top.body.data.comments.map(c => c.content)).toEqual(['Everyone agrees', 'Nobody noticed', 'Opinions differ']);
+
+    const controversial = await listComments('controversial');
+    expect(controversial.body.data.comments[0].content).toBe('Opinions differ');
+    expect(controversial.body.data.comments[0].controversy).toBe(4);
+    expect(quiet.controversy).toBe(0);
+  });
+
+  test('should reject unknown sort orders', async () => {
+    await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments?sort=random`)
+      .expect(400);
+  });
+
+});
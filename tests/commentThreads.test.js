@@ -0,0 +1,154 @@
+// File: tests/commentThreads.test.js
+// Generated: 2026-10-19 18:11:29 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_kwyroww9v25t
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Threaded Comment Integration Tests
+ * Tests replies, depth limits, threaded listings and deleted placeholders
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let token;
+
+let post;
+
+const reply = (parentId, content = 'A reply in the thread') => request(app)
+  .post(`/api/v1/api/comments/posts/${post._id}/comments`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ content, parentId });
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Post.deleteMany({}).setOptions({ withDeleted: true }),
+    Comment.deleteMany({}).setOptions({ withDeleted: true }),
+    User.deleteMany({})
+  ]);
+
+  author = await User.create({
+    name: 'Thread Author',
+    email: 'threads@example.com',
+    password: 'password123'
+  });
+  token = signAccessToken(author);
+
+  post = await Post.create({
+    title: 'Threaded Post',
+    content: 'A post with threaded comments.',
+    status: 'published',
+    author: author._id,
+    authorName: author.name
+  });
+});
+
+afterAll(async () => {
+  await Promise.all([
+    Post.deleteMany({}).setOptions({ withDeleted: true }),
+    Comment.deleteMany({}).setOptions({ withDeleted: true }),
+    User.deleteMany({})
+  ]);
+  await mongoose.connection.close();
+});
+
+describe('Threaded comments', () => {
+
+  test('should nest replies under their parent', async () => {
+    const root = await reply(undefined, 'Top-level comment').expect(201);
+    const child = await reply(root.body.data.id).expect(201);
+
+    expect(child.body.data.depth).toBe(1);
+    expect(child.body.data.path).toBe(`${root.body.data.id}/${child.body.data.id}`);
+
+    const response = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments?threaded=true`)
+      .expect(200);
+
+    expect(response.body.data.comments).toHaveLength(1);
+    expect(response.body.data.comments[0].replies).toHaveLength(1);
+    expect(response.body.data.comments[0].replies[0].content).toBe('A reply in the thread');
+  });
+
+  test('should reject replies deeper than the maximum depth', async () => {
+    let parentId;
+    for (let depth = 0; depth <= Comment.COMMENT_MAX_DEPTH; depth++) {
+      const response = await reply(parentId).expect(201);
+      parentId = response.body.data.id;
+    }
+
+    await reply(parentId).expect(400);
+  });
+
+  test('should limit replies per thread and page the rest', async () => {
+    const root = await reply(undefined, 'Busy thread').expect(201);
+    for (let i = 0; i < 3; i++) {
+      await reply(root.body.data.id, `Reply number ${i}`).expect(201);
+    }
+
+    const threaded = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments?threaded=true&replyLimit=2`)
+      .expect(200);
+
+    expect(threaded.body.data.comments[0].replies).toHaveLength(2);
+    expect(threaded.body.data.comments[0].hasMoreReplies).toBe(true);
+
+    const page = await request(app)
+      .get(`/api/v1/api/comments/${root.body.data.id}/replies?page=2&limit=2`)
+      .expect(200);
+
+    expect(page.body.data.replies).toHaveLength(1);
+    expect(page.body.data.pagination.total).toBe(3);
+  });
+
+  test('should keep replies under a placeholder when the parent is deleted', async () => {
+    const root = await reply(undefined, 'Soon deleted').expect(201);
+    await reply(root.body.data.id, 'Surviving reply').expect(201);
+
+    await request(app)
+      .delete(`/api/v1/api/comments/${root.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments?threaded=true`)
+      .expect(200);
+
+    const [thread] = response.body.data.comments;
+    expect(thread.deleted).toBe(true);
+    expect(thread.content).toBe(Comment.DELETED_PLACEHOLDER);
+    expect(thread.author).toBeNull();
+    expect(thread.replies[0].content).toBe('Surviving reply');
+  });
+
+});
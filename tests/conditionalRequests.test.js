@@ -0,0 +1,176 @@
+// File: tests/conditionalRequests.test.js
+// Generated: 2026-10-19 18:39:17 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_pma4as4ghn9u
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+/**
+ * Conditional Request Integration Tests
+ * Tests ETag / Last-Modified validators and 304 responses to If-None-Match
+ * and If-Modified-Since on post, comment and list reads
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let post;
+
+let comment;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+
+  post = await Post.create({
+    title: 'Cached post',
+    content: 'Cached post content',
+    status: 'published',
+    author: author._id,
+    authorName: author.name
+  });
+
+  comment = await Comment.create({
+    content: 'Cached comment',
+    author: author._id,
+    authorName: author.name,
+    postId: post._id,
+    status: 'approved'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('GET /api/posts/:idOrSlug', () => {
+
+  test('should send a strong ETag and Last-Modified', async () => {
+    const response = await request(app).get(`/api/v1/api/posts/${post._id}`).expect(200);
+
+    expect(response.headers.etag).toMatch(/^"[^"]+"$/);
+    expect(response.headers['last-modified']).toBe(post.updatedAt.toUTCString());
+    expect(response.headers['cache-control']).toBe('no-cache');
+  });
+
+  test('should answer 304 to a matching If-None-Match', async () => {
+    const first = await request(app).get(`/api/v1/api/posts/${post.slug}`).expect(200);
+
+    const second = await request(app)
+      .get(`/api/v1/api/posts/${post.slug}`)
+      .set('If-None-Match', `"other", ${first.headers.etag}`)
+      .expect(304);
+
+    expect(second.text).toBe('');
+    expect(second.headers.etag).toBe(first.headers.etag);
+  });
+
+  test('should change the ETag when the post is updated', async () => {
+    const first = await request(app).get(`/api/v1/api/posts/${post._id}`).expect(200);
+
+    post.title = 'Cached post, edited';
+    await post.save();
+
+    const second = await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('If-None-Match', first.headers.etag)
+      .expect(200);
+
+    expect(second.headers.etag).not.toBe(first.headers.etag);
+    expect(second.body.data.title).toBe('Cached post, edited');
+  });
+
+  test('should honor If-Modified-Since when there is no If-None-Match', async () => {
+    const lastModified = post.updatedAt.toUTCString();
+
+    await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('If-Modified-Since', lastModified)
+      .expect(304);
+
+    await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('If-Modified-Since', new Date(post.updatedAt.getTime() - 60000).toUTCString())
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('If-None-Match', '"other"')
+      .set('If-Modified-Since', lastModified)
+      .expect(200);
+  });
+
+});
+
+describe('GET /api/comments/:id', () => {
+
+  test('should answer 304 until the comment changes', async () => {
+    const first = await request(app).get(`/api/v1/api/comments/${comment._id}`).expect(200);
+    expect(first.headers.etag).toMatch(/^"[^"]+"$/);
+
+    await request(app)
+      .get(`/api/v1/api/comments/${comment._id}`)
+      .set('If-None-Match', first.headers.etag)
+      .expect(304);
+
+    comment.content = 'Cached comment, edited';
+    await comment.save();
+
+    await request(app)
+      .get(`/api/v1/api/comments/${comment._id}`)
+      .set('If-None-Match', first.headers.etag)
+      .expect(200);
+  });
+
+});
+
+describe('List pages', () => {
+
+  test('should send a weak ETag and answer 304 while the page is unchanged', async () => {
+    const first = await request(app).get('/api/v1/api/posts').expect(200);
+    expect(first.headers.etag).toMatch(/^W\/"[^"]+"$/);
+    expect(first.headers.vary).toMatch(/Authorization/);
+
+    await request(app).get('/api/v1/api/posts').set('If-None-Match', first.headers.etag).expect(304);
+
+    await Post.create({
+      title: 'Another post',
+      content: 'Another post content',
+      status: 'published',
+      author: post.author,
+      authorName: post.authorName
+    });
+
+    await request(app).get('/api/v1/api/posts').set('If-None-Match', first.headers.etag).expect(200);
+  });
+
+});
@@ -0,0 +1,195 @@
+// File: tests/cursorPagination.test.js
+// Generated: 2026-10-19 18:35:20 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_802dkxlrth3o
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const crypto = require('crypto');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { decodeCursor, encodeCursor } = require('../src/utils/cursor');
+
+/**
+ * Cursor Pagination Integration Tests
+ * Tests signed cursors on the post and comment listings: paging in both
+ * directions, stability under inserts, and rejection of bad cursors
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const createPost = (title, day) => Post.create({
+  title,
+  content: `${title} content`,
+  status: 'published',
+  author: author._id,
+  authorName: author.name,
+  createdAt: new Date(Date.UTC(2024, 0, day))
+});
+
+const get = url => request(app).get(url).expect(200);
+
+const titles = response => response.body.data.posts.map(entry => entry.title);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+
+  for (let day = 1; day <= 5; day++) {
+    post = await createPost(`Post ${day}`, day);
+  }
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Cursor pagination on GET /api/posts', () => {
+
+  test('should page forward and back with links', async () => {
+    const first = await get('/api/v1/api/posts?paginate=cursor&limit=2');
+    expect(titles(first)).toEqual(['Post 5', 'Post 4']);
+    expect(first.body.data.pagination).toMatchObject({ limit: 2, hasNextPage: true, hasPrevPage: false, prevCursor: null });
+    expect(first.body.data.pagination).toMatchObject({ type: 'cursor', total: null, totalPages: null });
+
+    const second = await get(first.body.data.links.next);
+    expect(titles(second)).toEqual(['Post 3', 'Post 2']);
+
+    const third = await get(second.body.data.links.next);
+    expect(titles(third)).toEqual(['Post 1']);
+    expect(third.body.data.pagination).toMatchObject({ hasNextPage: false, nextCursor: null });
+    expect(third.body.data.links.next).toBeNull();
+
+    const back = await get(third.body.data.links.prev);
+    expect(titles(back)).toEqual(['Post 3', 'Post 2']);
+  });
+
+  test('should not repeat posts when new posts are added while paging', async () => {
+    const first = await get('/api/v1/api/posts?paginate=cursor&limit=2');
+
+    await createPost('Post 6', 6);
+
+    const second = await get(first.body.data.links.next);
+    expect(titles(second)).toEqual(['Post 3', 'Post 2']);
+  });
+
+  test('should keep the sort order and other parameters in the cursor links', async () => {
+    const first = await get('/api/v1/api/posts?paginate=cursor&limit=2&sort=createdAt&fields=title');
+    expect(first.body.data.posts).toEqual([
+      { _id: expect.any(String), title: 'Post 1' },
+      { _id: expect.any(String), title: 'Post 2' }
+    ]);
+
+    const second = await get(first.body.data.links.next);
+    expect(titles(second)).toEqual(['Post 3', 'Post 4']);
+  });
+
+  test('should reject bad cursors and unsupported combinations', async () => {
+    const first = await get('/api/v1/api/posts?paginate=cursor&limit=2');
+    const { nextCursor } = first.body.data.pagination;
+    const tampered = `${nextCursor.slice(0, -3)}abc`;
+
+    await request(app).get(`/api/v1/api/posts?cursor=${tampered}`).expect(400);
+    await request(app).get('/api/v1/api/posts?cursor=not-a-cursor').expect(400);
+    await request(app).get(`/api/v1/api/posts?cursor=${nextCursor}&sort=createdAt`).expect(400);
+    await request(app).get(`/api/v1/api/posts?cursor=${nextCursor}&page=2`).expect(400);
+    await request(app).get('/api/v1/api/posts?paginate=cursor&sort=title').expect(400);
+    await request(app).get(`/api/v1/api/comments/posts/${post._id}/comments?cursor=${nextCursor}`).expect(400);
+  });
+
+});
+
+describe('Cursor pagination on comment listings', () => {
+
+  test('should page comments oldest first', async () => {
+    for (let index = 1; index <= 3; index++) {
+      await Comment.create({
+        content: `Comment ${index}`,
+        author: author._id,
+        authorName: author.name,
+        postId: post._id,
+        status: 'approved',
+        createdAt: new Date(Date.UTC(2024, 1, index))
+      });
+    }
+
+    const url = `/api/v1/api/comments/posts/${post._id}/comments?paginate=cursor&sort=oldest&limit=2`;
+    const first = await get(url);
+    expect(first.body.data.comments.map(comment => comment.content)).toEqual(['Comment 1', 'Comment 2']);
+
+    const second = await get(first.body.data.links.next);
+    expect(second.body.data.comments.map(comment => comment.content)).toEqual(['Comment 3']);
+    expect(second.body.data.pagination).toMatchObject({ hasNextPage: false, hasPrevPage: true });
+  });
+
+});
+
+describe('Cursor signing key', () => {
+
+  const ORIGINAL_ENV = { ...process.env };
+
+  const item = { createdAt: new Date('2024-05-01T10:00:00Z'), _id: '64b7f0c2a1b2c3d4e5f60718' };
+
+  beforeEach(() => {
+    delete process.env.CURSOR_SECRET;
+    process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...ORIGINAL_ENV };
+  });
+
+  test('should derive a key from JWT_ACCESS_SECRET instead of signing with it', () => {
+    const cursor = encodeCursor(item, { scope: 'posts', order: -1 });
+    const [payload] = cursor.split('.');
+    const signedWithJwtSecret = crypto.createHmac('sha256', 'test-access-secret').update(payload).digest('base64url');
+
+    expect(decodeCursor(cursor, 'posts')).toMatchObject({ order: -1, direction: 'next', id: item._id });
+    expect(decodeCursor(`${payload}.${signedWithJwtSecret}`, 'posts')).toBeNull();
+  });
+
+  test('should prefer CURSOR_SECRET and reject cursors signed with another key', () => {
+    const derived = encodeCursor(item, { scope: 'posts', order: -1 });
+    process.env.CURSOR_SECRET = 'cursor-only-secret';
+
+    const cursor = encodeCursor(item, { scope: 'posts', order: -1 });
+
+    expect(decodeCursor(cursor, 'posts')).not.toBeNull();
+    expect(decodeCursor(derived, 'posts')).toBeNull();
+  });
+
+});
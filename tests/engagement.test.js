@@ -0,0 +1,182 @@
+// File: tests/engagement.test.js
+// Generated: 2026-10-19 18:20:51 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_0yuj57ak8df6
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Bookmark = require('../src/models/Bookmark');
+
+
+const Post = require('../src/models/Post');
+
+
+const PostLike = require('../src/models/PostLike');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Post Engagement Integration Tests
+ * Tests likes, bookmarks, viewer flags and the cursor-paged reading list
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let reader;
+
+let token;
+
+let otherToken;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  PostLike.deleteMany({}),
+  Bookmark.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const createPost = (title, status = 'published') => Post.create({
+  title,
+  content: `Content of ${title}`,
+  status,
+  author: reader._id,
+  authorName: reader.name
+});
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  reader = await User.create({ name: 'Reader', email: 'reader@example.com', password: 'password123' });
+  const other = await User.create({ name: 'Other Reader', email: 'other@example.com', password: 'password123' });
+  token = signAccessToken(reader);
+  otherToken = signAccessToken(other);
+
+  post = await createPost('Engaging Post');
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Post likes', () => {
+
+  test('should count each user once', async () => {
+    await request(app).post(`/api/v1/api/posts/${post._id}/like`).set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).post(`/api/v1/api/posts/${post._id}/like`).set('Authorization', `Bearer ${token}`).expect(200);
+    const response = await request(app)
+      .post(`/api/v1/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+
+    expect(response.body.data.likeCount).toBe(2);
+    expect(response.body.data.liked).toBe(true);
+  });
+
+  test('should unlike idempotently', async () => {
+    await request(app).post(`/api/v1/api/posts/${post._id}/like`).set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).delete(`/api/v1/api/posts/${post._id}/like`).set('Authorization', `Bearer ${token}`).expect(200);
+    const response = await request(app)
+      .delete(`/api/v1/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.likeCount).toBe(0);
+    expect(response.body.data.liked).toBe(false);
+  });
+
+  test('should not like drafts', async () => {
+    const draft = await createPost('Unfinished Post', 'draft');
+
+    await request(app).post(`/api/v1/api/posts/${draft._id}/like`).set('Authorization', `Bearer ${token}`).expect(409);
+  });
+
+  test('should require authentication', async () => {
+    await request(app).post(`/api/v1/api/posts/${post._id}/like`).expect(401);
+  });
+
+});
+
+describe('Viewer flags', () => {
+
+  test('should flag liked and bookmarked posts for the caller only', async () => {
+    await createPost('Unread Post');
+    await request(app).post(`/api/v1/api/posts/${post._id}/like`).set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).post(`/api/v1/api/posts/${post._id}/bookmark`).set('Authorization', `Bearer ${token}`).expect(200);
+
+    const mine = await request(app).get('/api/v1/api/posts').set('Authorization', `Bearer ${token}`).expect(200);
+    const flags = Object.fromEntries(mine.body.data.posts.map(p => [p.title, [p.liked, p.bookmarked, p.likeCount]]));
+    expect(flags).toEqual({
+      'Engaging Post': [true, true, 1],
+      'Unread Post': [false, false, 0]
+    });
+
+    const single = await request(app).get(`/api/v1/api/posts/${post._id}`).set('Authorization', `Bearer ${otherToken}`).expect(200);
+    expect(single.body.data.liked).toBe(false);
+    expect(single.body.data.likeCount).toBe(1);
+
+    const anonymous = await request(app).get(`/api/v1/api/posts/${post.slug}`).expect(200);
+    expect(anonymous.body.data.bookmarked).toBe(false);
+  });
+
+});
+
+describe('Reading list', () => {
+
+  test('should page bookmarks newest first by cursor', async () => {
+    const titles = ['First', 'Second', 'Third', 'Fourth', 'Fifth'];
+    for (const title of titles) {
+      const saved = await createPost(title);
+      await request(app).post(`/api/v1/api/posts/${saved._id}/bookmark`).set('Authorization', `Bearer ${token}`).expect(200);
+    }
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const response = await request(app)
+        .get(`/api/v1/api/me/bookmarks?limit=2${cursor ? `&cursor=${cursor}` : ''}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      seen.push(...response.body.data.bookmarks.map(item => item.post.title));
+      expect(response.body.data.bookmarks.every(item => item.post.bookmarked)).toBe(true);
+      cursor = response.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([...titles].reverse());
+  });
+
+  test('should leave out other users\' bookmarks', async () => {
+    await request(app).post(`/api/v1/api/posts/${post._id}/bookmark`).set('Authorization', `Bearer ${otherToken}`).expect(200);
+
+    const response = await request(app).get('/api/v1/api/me/bookmarks').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(response.body.data.bookmarks).toHaveLength(0);
+    expect(response.body.data.pagination.hasNextPage).toBe(false);
+  });
+
+  test('should reject malformed cursors', async () => {
+    await request(app).get('/api/v1/api/me/bookmarks?cursor=not-a-cursor').set('Authorization', `Bearer ${token}`).expect(400);
+  });
+
+});
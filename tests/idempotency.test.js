@@ -0,0 +1,251 @@
+// File: tests/idempotency.test.js
+// Generated: 2026-10-19 18:51:51 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_2r6bl9lzvpy1
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const IdempotencyKey = require('../src/models/IdempotencyKey');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const express = require('express');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { idempotent } = require('../src/middleware/idempotency');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Idempotency-Key Integration Tests
+ * Tests that retried POST /api/posts and comment creation requests with the
+ * same key are replayed instead of creating duplicates
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let user;
+
+let token;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  IdempotencyKey.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const createPost = (body, key, authToken = token) => {
+  const req = request(app)
+    .post('/api/v1/api/posts')
+    .set('Authorization', `Bearer ${authToken}`);
+  if (key) {
+    req.set('Idempotency-Key', key);
+  }
+  return req.send(body);
+};
+
+const postBody = { title: 'Written on a train', content: 'The connection dropped twice.', status: 'published' };
+
+// Handlers that answer without res.json, which the API's own controllers never do
+const plainApp = express();
+plainApp.use(express.json());
+plainApp.use((req, res, next) => {
+  req.user = { id: String(user._id) };
+  next();
+});
+plainApp.post('/send', idempotent, (req, res) => res.status(500).send('Plain text failure'));
+plainApp.post('/end', idempotent, (req, res) => res.status(503).end());
+plainApp.post('/next', idempotent, (req, res, next) => next(new Error('Handler failed')));
+
+// The key is released after the response has gone out
+const waitForRelease = async (key) => {
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    if (await IdempotencyKey.countDocuments({ key }) === 0) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  return false;
+};
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  user = await User.create({ name: 'Commuter', email: 'commuter@example.com', password: 'password123' });
+  token = signAccessToken(user);
+
+  post = await Post.create({
+    title: 'Post to comment on',
+    content: 'Comments are retried too.',
+    status: 'published',
+    author: user._id,
+    authorName: user.name
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Idempotency-Key on POST /api/posts', () => {
+
+  test('should replay the original response for a retry', async () => {
+    const first = await createPost(postBody, 'create-post-1').expect(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const retry = await createPost(postBody, 'create-post-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await Post.countDocuments({ title: postBody.title })).toBe(1);
+  });
+
+  test('should treat bodies that differ only in key order as the same request', async () => {
+    await createPost(postBody, 'create-post-2').expect(201);
+
+    const { status, content, title } = postBody;
+    await createPost({ status, content, title }, 'create-post-2').expect(201);
+
+    expect(await Post.countDocuments({ title: postBody.title })).toBe(1);
+  });
+
+  test('should return 422 when the key is reused with a different body', async () => {
+    await createPost(postBody, 'create-post-3').expect(201);
+
+    const response = await createPost({ ...postBody, title: 'A different post' }, 'create-post-3').expect(422);
+
+    expect(response.body.message).toBe('Idempotency-Key was already used for a different request');
+    expect(await Post.countDocuments({ title: 'A different post' })).toBe(0);
+  });
+
+  test('should release the key when the request fails', async () => {
+    await createPost({ ...postBody, title: '' }, 'create-post-4').expect(400);
+    expect(await IdempotencyKey.countDocuments({ key: 'create-post-4' })).toBe(0);
+
+    await createPost(postBody, 'create-post-4').expect(201);
+  });
+
+  test('should return 409 while the first request is still processing', async () => {
+    // Put the record of a finished request back into the in-flight state
+    await createPost(postBody, 'create-post-5').expect(201);
+    await IdempotencyKey.updateOne({ key: 'create-post-5' }, { $set: { state: 'processing' } });
+
+    const response = await createPost(postBody, 'create-post-5').expect(409);
+    expect(response.headers['retry-after']).toBe('1');
+  });
+
+  test('should scope keys to the user and store them with a TTL', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+    await createPost(postBody, 'shared-key').expect(201);
+    await createPost(postBody, 'shared-key', signAccessToken(other)).expect(201);
+
+    expect(await Post.countDocuments({ title: postBody.title })).toBe(2);
+
+    const record = await IdempotencyKey.findOne({ user: user._id, key: 'shared-key' });
+    expect(record.state).toBe('completed');
+    expect(record.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+  });
+
+  test('should create a post per request without a key and reject malformed keys', async () => {
+    await createPost(postBody).expect(201);
+    await createPost(postBody).expect(201);
+    expect(await Post.countDocuments({ title: postBody.title })).toBe(2);
+
+    await createPost(postBody, 'x'.repeat(256)).expect(400);
+  });
+
+});
+
+describe('Idempotency-Key on POST /api/comments/posts/:postId/comments', () => {
+
+  const createComment = (postId, content, key) => request(app)
+    .post(`/api/v1/api/comments/posts/${postId}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Idempotency-Key', key)
+    .send({ content });
+
+  test('should replay a retried comment and reject the key on another post', async () => {
+    const first = await createComment(post._id, 'Posting this once', 'comment-1').expect(201);
+    const retry = await createComment(post._id, 'Posting this once', 'comment-1').expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data._id).toBe(first.body.data._id);
+    expect(await Comment.countDocuments({ postId: post._id })).toBe(1);
+
+    const otherPost = await Post.create({
+      title: 'Another post',
+      content: 'Same key, different URL.',
+      status: 'published',
+      author: user._id,
+      authorName: user.name
+    });
+    await createComment(otherPost._id, 'Posting this once', 'comment-1').expect(422);
+  });
+
+});
+
+describe('Idempotency-Key claims', () => {
+
+  test.each([
+    ['res.send', '/send', 500],
+    ['res.end', '/end', 503],
+    ['next(error)', '/next', 500]
+  ])('should release the key when the handler answers with %s', async (_, path, status) => {
+    const key = `plain${path.replace('/', '-')}`;
+
+    await request(plainApp).post(path).set('Idempotency-Key', key).send({}).expect(status);
+    expect(await waitForRelease(key)).toBe(true);
+
+    // The retry runs the handler again instead of getting 409
+    await request(plainApp).post(path).set('Idempotency-Key', key).send({}).expect(status);
+  });
+
+  test('should not let an expired claim settle the claim that replaced it', async () => {
+    const response = { statusCode: 201, headers: {}, body: '{"stale":true}' };
+    const stale = await IdempotencyKey.claim(user._id, 'slow-request', 'fingerprint', 0);
+    const current = await IdempotencyKey.claim(user._id, 'slow-request', 'fingerprint', 60 * 1000);
+    expect(current.claimed).toBe(true);
+
+    await IdempotencyKey.complete(user._id, 'slow-request', stale.claimToken, response, 60 * 1000);
+    await IdempotencyKey.release(user._id, 'slow-request', stale.claimToken);
+
+    let record = await IdempotencyKey.findOne({ user: user._id, key: 'slow-request' });
+    expect(record.state).toBe('processing');
+    expect(record.claimToken).toBe(current.claimToken);
+
+    await IdempotencyKey.complete(user._id, 'slow-request', current.claimToken, { ...response, body: '{}' }, 60 * 1000);
+    record = await IdempotencyKey.findOne({ user: user._id, key: 'slow-request' });
+    expect(record.state).toBe('completed');
+    expect(record.body).toBe('{}');
+  });
+
+});
@@ -0,0 +1,185 @@
+// File: tests/listQuery.test.js
+// Generated: 2026-10-19 18:32:40 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_f6xzepp2tw4c
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * List Query Integration Tests
+ * Tests filters, multi-field sorting and sparse fieldsets on the post and
+ * comment listings, and that anything outside the allowlist is rejected
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let alice;
+
+let bob;
+
+let editor;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const createPost = (author, title, fields = {}) => Post.create({
+  title,
+  content: `${title} content`,
+  status: 'published',
+  author: author._id,
+  authorName: author.name,
+  ...fields
+});
+
+const listPosts = (query, user) => {
+  const req = request(app).get(`/api/v1/api/posts?${query}`);
+  return user ? req.set('Authorization', `Bearer ${signAccessToken(user)}`) : req;
+};
+
+const listComments = query => request(app).get(`/api/v1/api/comments/posts/${post._id}/comments?${query}`);
+
+const titles = response => response.body.data.posts.map(entry => entry.title);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  alice = await User.create({ name: 'Alice', email: 'alice@example.com', password: 'password123' });
+  bob = await User.create({ name: 'Bob', email: 'bob@example.com', password: 'password123' });
+  editor = await User.create({ name: 'Eddie', email: 'eddie@example.com', password: 'password123', role: 'editor' });
+
+  post = await createPost(alice, 'Beta', { createdAt: new Date('2024-03-01T00:00:00Z'), likeCount: 5 });
+  await createPost(alice, 'Alpha', { createdAt: new Date('2024-01-15T00:00:00Z'), likeCount: 5 });
+  await createPost(bob, 'Gamma', { createdAt: new Date('2024-06-01T00:00:00Z'), likeCount: 1 });
+  await createPost(bob, 'Delta', { createdAt: new Date('2024-02-01T00:00:00Z'), status: 'draft' });
+
+  await Comment.create([
+    { content: 'First comment', author: alice._id, authorName: 'Alice', postId: post._id, status: 'approved' },
+    { content: 'Second comment', author: bob._id, authorName: 'Bob', postId: post._id, status: 'approved' }
+  ]);
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('GET /api/posts filters and sorting', () => {
+
+  test('should filter by status, author and creation date', async () => {
+    expect(titles(await listPosts('status=draft', editor).expect(200))).toEqual(['Delta']);
+    expect(titles(await listPosts(`author=${bob._id}&status=published`).expect(200))).toEqual(['Gamma']);
+
+    const range = await listPosts('createdAt[gte]=2024-02-01&createdAt[lte]=2024-03-31').expect(200);
+    expect(titles(range)).toEqual(['Beta']);
+    expect(range.body.data.pagination.total).toBe(1);
+  });
+
+  test('should accept several statuses', async () => {
+    const response = await listPosts('status=draft,published&sort=title', editor).expect(200);
+    expect(titles(response)).toEqual(['Alpha', 'Beta', 'Delta', 'Gamma']);
+  });
+
+  test('should list drafts only to editors, admins and their author', async () => {
+    const response = await listPosts('status=draft').expect(403);
+    expect(response.body.message).toBe('You do not have permission to list unpublished posts');
+
+    await listPosts('status=archived', alice).expect(403);
+    await listPosts(`status=published,draft&author=${bob._id}`, alice).expect(403);
+    expect(titles(await listPosts(`status=draft&author=${bob._id}`, bob).expect(200))).toEqual(['Delta']);
+  });
+
+  test('should sort by several fields', async () => {
+    const response = await listPosts('status=published&sort=-likeCount,title').expect(200);
+    expect(titles(response)).toEqual(['Alpha', 'Beta', 'Gamma']);
+  });
+
+  test('should return only the requested fields', async () => {
+    const response = await listPosts('sort=title&fields=title,excerpt&limit=1').expect(200);
+
+    expect(response.body.data.posts).toEqual([{
+      _id: expect.any(String),
+      title: 'Alpha',
+      excerpt: 'Alpha content'
+    }]);
+  });
+
+  test('should reject operators, fields and sorts outside the allowlist', async () => {
+    await listPosts('createdAt[$ne]=2024-01-01').expect(400);
+    await listPosts('createdAt[ne]=2024-01-01').expect(400);
+    await listPosts('author[gte]=a').expect(400);
+    await listPosts('status=deleted').expect(400);
+    await listPosts('createdAt[gte]=yesterday').expect(400);
+    await listPosts('sort=leaseOwner').expect(400);
+    await listPosts('sort=title,-createdAt,likeCount,updatedAt').expect(400);
+
+    const response = await listPosts('fields=title,leaseOwner').expect(400);
+    expect(response.body.errors[0]).toMatchObject({ field: 'fields' });
+  });
+
+  test('should reject a negative page or limit with 400', async () => {
+    const page = await listPosts('page=-1').expect(400);
+    expect(page.body).toMatchObject({ success: false, message: 'Page number must be greater than 0' });
+
+    const limit = await listPosts('limit=-5').expect(400);
+    expect(limit.body.message).toBe('Limit must be greater than 0');
+  });
+
+});
+
+describe('GET /api/comments/posts/:postId/comments filters and sorting', () => {
+
+  test('should filter by author and keep the sort presets', async () => {
+    const byAuthor = await listComments(`author=${bob._id}`).expect(200);
+    expect(byAuthor.body.data.comments.map(comment => comment.content)).toEqual(['Second comment']);
+
+    const oldest = await listComments('sort=oldest').expect(200);
+    expect(oldest.body.data.comments.map(comment => comment.content)).toEqual(['First comment', 'Second comment']);
+  });
+
+  test('should sort by fields and return a sparse fieldset', async () => {
+    const response = await listComments('sort=-score,createdAt&fields=content').expect(200);
+
+    expect(response.body.data.comments).toEqual([
+      { _id: expect.any(String), content: 'First comment' },
+      { _id: expect.any(String), content: 'Second comment' }
+    ]);
+  });
+
+  test('should reject unknown fields and filters on threaded lists', async () => {
+    await listComments('fields=authorIp').expect(400);
+    await listComments('threaded=true&author=' + alice._id).expect(400);
+  });
+
+});
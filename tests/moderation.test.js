@@ -0,0 +1,136 @@
+// File: tests/moderation.test.js
+// Generated: 2026-10-19 18:13:18 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_ss1v09c6lyd5
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Comment Moderation Integration Tests
+ * Tests moderation modes, the moderation queue and bulk actions
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let userToken;
+
+let moderatorToken;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const comment = (content = 'Waiting for a moderator') => request(app)
+  .post(`/api/v1/api/comments/posts/${post._id}/comments`)
+  .set('Authorization', `Bearer ${userToken}`)
+  .send({ content });
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const user = await User.create({ name: 'Commenter', email: 'commenter@example.com', password: 'password123' });
+  const moderator = await User.create({
+    name: 'Moderator',
+    email: 'moderator@example.com',
+    password: 'password123',
+    role: 'moderator'
+  });
+  userToken = signAccessToken(user);
+  moderatorToken = signAccessToken(moderator);
+
+  post = await Post.create({
+    title: 'Moderated Post',
+    content: 'Comments on this post are reviewed.',
+    status: 'published',
+    author: user._id,
+    authorName: user.name,
+    commentModeration: 'moderated'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Comment moderation', () => {
+
+  test('should queue comments on moderated posts and hide them from the public', async () => {
+    const created = await comment().expect(201);
+    expect(created.body.data.status).toBe('pending');
+
+    const listing = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments`)
+      .expect(200);
+    expect(listing.body.data.comments).toHaveLength(0);
+  });
+
+  test('should list pending comments for moderators only', async () => {
+    await comment().expect(201);
+
+    await request(app)
+      .get('/api/v1/api/moderation/comments')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    const queue = await request(app)
+      .get('/api/v1/api/moderation/comments')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+    expect(queue.body.data.comments).toHaveLength(1);
+  });
+
+  test('should approve comments in bulk and report unknown IDs', async () => {
+    const first = await comment('First pending comment').expect(201);
+    const second = await comment('Second pending comment').expect(201);
+    const unknownId = new mongoose.Types.ObjectId().toHexString();
+
+    const response = await request(app)
+      .post('/api/v1/api/moderation/comments/bulk')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ action: 'approve', ids: [first.body.data.id, second.body.data.id, unknownId] })
+      .expect(200);
+
+    expect(response.body.data.updated).toHaveLength(2);
+    expect(response.body.data.notFound).toEqual([unknownId]);
+    expect(await Comment.countByPostId(post._id)).toBe(2);
+  });
+
+  test('should reject new comments on closed posts', async () => {
+    await Post.updateOne({ _id: post._id }, { commentModeration: 'closed' });
+
+    await comment().expect(403);
+  });
+
+});
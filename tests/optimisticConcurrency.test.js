@@ -0,0 +1,234 @@
+// File: tests/optimisticConcurrency.test.js
+// Generated: 2026-10-19 18:42:01 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_11hzj4jb3u0d
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Optimistic Concurrency Integration Tests
+ * Tests that post and comment updates must name the version they edit
+ * (If-Match or version) and are rejected once that version is stale
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let token;
+
+let post;
+
+let comment;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+// PUT replaces the post, so every request carries the required fields
+const putPost = body => request(app)
+  .put(`/api/v1/api/posts/${post._id}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ content: 'Content everyone is editing', status: 'published', ...body });
+
+const putComment = body => request(app)
+  .put(`/api/v1/api/comments/${comment._id}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const author = await User.create({ name: 'Editor', email: 'editor@example.com', password: 'password123' });
+  token = signAccessToken(author);
+
+  post = await Post.create({
+    title: 'Shared draft',
+    content: 'Content everyone is editing',
+    status: 'published',
+    author: author._id,
+    authorName: author.name
+  });
+
+  comment = await Comment.create({
+    content: 'Original comment',
+    author: author._id,
+    authorName: author.name,
+    postId: post._id,
+    status: 'approved'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('PUT /api/posts/:id', () => {
+
+  test('should require If-Match or version', async () => {
+    const response = await putPost({ title: 'No precondition' }).expect(428);
+
+    expect(response.body.message).toBe('If-Match header or version is required');
+  });
+
+  test('should update with the ETag from a read and return the new ETag', async () => {
+    const read = await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await putPost({ title: 'First edit' })
+      .set('If-Match', read.headers.etag)
+      .expect(200);
+
+    expect(response.body.data.title).toBe('First edit');
+    expect(response.body.data.__v).toBe(read.body.data.__v + 1);
+    expect(response.headers.etag).not.toBe(read.headers.etag);
+  });
+
+  test('should reject a stale ETag with 412 and the current version', async () => {
+    const read = await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await putPost({ title: 'First edit' }).set('If-Match', read.headers.etag).expect(200);
+    const response = await putPost({ title: 'Second edit' }).set('If-Match', read.headers.etag).expect(412);
+
+    const stored = await Post.findById(post._id);
+    expect(stored.title).toBe('First edit');
+    expect(response.body.errors).toEqual({ etag: response.headers.etag, version: stored.__v });
+  });
+
+  test('should not treat another user liking the post as an edit', async () => {
+    const read = await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const reader = await User.create({ name: 'Reader', email: 'reader@example.com', password: 'password123' });
+    await request(app)
+      .post(`/api/v1/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${signAccessToken(reader)}`)
+      .expect(200);
+
+    const response = await putPost({ title: 'Edit after a like' }).set('If-Match', read.headers.etag).expect(200);
+
+    expect(response.body.data.likeCount).toBe(1);
+  });
+
+  test('should accept a matching version and reject a stale one', async () => {
+    const { __v: version } = await Post.findById(post._id);
+
+    await putPost({ title: 'Versioned edit', version }).expect(200);
+    const response = await putPost({ title: 'Lost update', version }).expect(412);
+
+    expect(response.body.errors.version).toBe(version + 1);
+    await putPost({ title: 'Invalid version', version: 'latest' }).expect(400);
+  });
+
+});
+
+describe('PATCH /api/posts/:id/status', () => {
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject a status change that races another edit with 412', async () => {
+    const originalSave = Post.prototype.save;
+    // Another editor saves the post after the request loaded it but before its save
+    jest.spyOn(Post.prototype, 'save').mockImplementationOnce(async function(...args) {
+      const concurrent = await Post.findById(this._id);
+      concurrent.title = 'Concurrent edit';
+      await originalSave.call(concurrent);
+      return originalSave.apply(this, args);
+    });
+
+    const response = await request(app)
+      .patch(`/api/v1/api/posts/${post._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'archived' })
+      .expect(412);
+
+    const stored = await Post.findById(post._id);
+    expect(stored.title).toBe('Concurrent edit');
+    expect(stored.status).toBe('published');
+    expect(response.body.message).toBe('Post has been modified since it was read');
+    expect(response.body.errors.version).toBe(stored.__v);
+  });
+
+});
+
+describe('PUT /api/comments/:id', () => {
+
+  test('should update with If-Match and reject the same tag afterwards', async () => {
+    await putComment({ content: 'No precondition' }).expect(428);
+
+    const read = await request(app).get(`/api/v1/api/comments/${comment._id}`).expect(200);
+
+    const response = await putComment({ content: 'Edited comment' })
+      .set('If-Match', read.headers.etag)
+      .expect(200);
+    expect(response.body.data.content).toBe('Edited comment');
+    expect(response.body.data.__v).toBe(1);
+
+    await putComment({ content: 'Stale edit' }).set('If-Match', read.headers.etag).expect(412);
+    await putComment({ content: 'Versioned edit', version: 1 }).expect(200);
+  });
+
+});
+
+describe('Optimistic concurrency on save', () => {
+
+  test('should reject saving a post that changed after it was loaded', async () => {
+    const first = await Post.findById(post._id);
+    const second = await Post.findById(post._id);
+
+    first.title = 'Saved first';
+    await first.save();
+
+    second.title = 'Saved second';
+    await expect(second.save()).rejects.toThrow(mongoose.Error.VersionError);
+  });
+
+  test('should reject saving a comment that changed after it was loaded', async () => {
+    const first = await Comment.findById(comment._id);
+    const second = await Comment.findById(comment._id);
+
+    first.content = 'Saved first';
+    await first.save();
+
+    second.content = 'Saved second';
+    await expect(second.save()).rejects.toThrow(mongoose.Error.VersionError);
+  });
+
+});
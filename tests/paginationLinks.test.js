@@ -0,0 +1,152 @@
+// File: tests/paginationLinks.test.js
+// Generated: 2026-10-19 18:37:16 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_qpeb5kd5lhv5
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+/**
+ * Pagination Envelope Integration Tests
+ * Tests the uniform pagination object, the first/prev/next/last links and the
+ * Link, X-Total-Count and X-Page-Count headers on list endpoints
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const parseLinkHeader = header => Object.fromEntries(
+  header.split(', ').map((entry) => {
+    const [, url, rel] = entry.match(/^<([^>]+)>; rel="([^"]+)"$/);
+    return [rel, url];
+  })
+);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+
+  for (let day = 1; day <= 5; day++) {
+    post = await Post.create({
+      title: `Post ${day}`,
+      content: `Post ${day} content`,
+      status: 'published',
+      author: author._id,
+      authorName: author.name,
+      createdAt: new Date(Date.UTC(2024, 0, day))
+    });
+  }
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Offset pagination', () => {
+
+  test('should return the envelope, links and count headers', async () => {
+    const response = await request(app).get('/api/v1/api/posts?page=2&limit=2&sort=createdAt').expect(200);
+
+    expect(response.body.data.pagination).toEqual({
+      type: 'offset',
+      limit: 2,
+      page: 2,
+      total: 5,
+      totalPages: 3,
+      hasNextPage: true,
+      hasPrevPage: true,
+      nextCursor: null,
+      prevCursor: null
+    });
+    expect(response.body.data.links).toEqual({
+      first: '/api/v1/api/posts?page=1&limit=2&sort=createdAt',
+      prev: '/api/v1/api/posts?page=1&limit=2&sort=createdAt',
+      next: '/api/v1/api/posts?page=3&limit=2&sort=createdAt',
+      last: '/api/v1/api/posts?page=3&limit=2&sort=createdAt'
+    });
+
+    expect(response.headers['x-total-count']).toBe('5');
+    expect(response.headers['x-page-count']).toBe('3');
+    expect(parseLinkHeader(response.headers.link)).toEqual(response.body.data.links);
+  });
+
+  test('should leave out prev on the first page and next on the last', async () => {
+    const first = await request(app).get('/api/v1/api/posts?limit=5').expect(200);
+
+    expect(first.body.data.links).toMatchObject({ prev: null, next: null });
+    expect(Object.keys(parseLinkHeader(first.headers.link))).toEqual(['first', 'last']);
+  });
+
+  test('should use the same envelope for comment listings', async () => {
+    await Comment.create([1, 2, 3].map(index => ({
+      content: `Comment ${index}`,
+      author: author._id,
+      authorName: author.name,
+      postId: post._id,
+      status: 'approved'
+    })));
+
+    const response = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments?limit=2`)
+      .expect(200);
+
+    expect(response.body.data.pagination).toMatchObject({ type: 'offset', page: 1, total: 3, totalPages: 2 });
+    expect(response.body.data.pagination.pages).toBeUndefined();
+    expect(response.headers['x-total-count']).toBe('3');
+    expect(parseLinkHeader(response.headers.link).next).toContain('page=2');
+  });
+
+});
+
+describe('Cursor pagination', () => {
+
+  test('should link pages by cursor without count headers', async () => {
+    const first = await request(app).get('/api/v1/api/posts?paginate=cursor&limit=2').expect(200);
+
+    expect(first.body.data.pagination).toMatchObject({ type: 'cursor', page: null, total: null, hasNextPage: true });
+    expect(first.headers['x-total-count']).toBeUndefined();
+
+    const links = parseLinkHeader(first.headers.link);
+    expect(links).toEqual({
+      first: '/api/v1/api/posts?paginate=cursor&limit=2',
+      next: first.body.data.links.next
+    });
+    expect(first.body.data.links.last).toBeNull();
+
+    const second = await request(app).get(links.next).expect(200);
+    expect(parseLinkHeader(second.headers.link).prev).toBe(second.body.data.links.prev);
+  });
+
+});
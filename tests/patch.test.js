@@ -0,0 +1,219 @@
+// File: tests/patch.test.js
+// Generated: 2026-10-19 18:46:09 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_4sgpnvr8hxfk
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const Tag = require('../src/models/Tag');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Patch Integration Tests
+ * Tests PATCH with JSON Merge Patch and JSON Patch documents on posts and
+ * comments, and PUT as a full replacement
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+const MERGE_PATCH = 'application/merge-patch+json';
+
+
+const JSON_PATCH = 'application/json-patch+json';
+
+
+let token;
+
+let post;
+
+let comment;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  Tag.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const etagOf = async (path) => {
+  const response = await request(app).get(path).set('Authorization', `Bearer ${token}`).expect(200);
+  return response.headers.etag;
+};
+
+const patch = async (path, type, document, status) => request(app)
+  .patch(path)
+  .set('Authorization', `Bearer ${token}`)
+  .set('If-Match', await etagOf(path))
+  .set('Content-Type', type)
+  .send(JSON.stringify(document))
+  .expect(status);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const author = await User.create({ name: 'Patcher', email: 'patcher@example.com', password: 'password123' });
+  token = signAccessToken(author);
+
+  post = await Post.create({
+    title: 'Patchable post',
+    content: 'Content that will be patched',
+    status: 'draft',
+    commentModeration: 'moderated',
+    tags: ['mongodb', 'express'],
+    author: author._id,
+    authorName: author.name
+  });
+
+  comment = await Comment.create({
+    content: 'Patchable comment',
+    author: author._id,
+    authorName: author.name,
+    postId: post._id,
+    status: 'approved'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('PATCH /api/posts/:id', () => {
+
+  test('should apply a JSON Merge Patch to the given fields only', async () => {
+    const response = await patch(`/api/v1/api/posts/${post._id}`, MERGE_PATCH, {
+      title: 'Merged title',
+      tags: null
+    }, 200);
+
+    expect(response.body.data).toMatchObject({
+      title: 'Merged title',
+      content: 'Content that will be patched',
+      commentModeration: 'moderated',
+      tags: []
+    });
+  });
+
+  test('should apply JSON Patch operations in order', async () => {
+    const response = await patch(`/api/v1/api/posts/${post._id}`, JSON_PATCH, [
+      { op: 'test', path: '/status', value: 'draft' },
+      { op: 'add', path: '/tags/-', value: 'node' },
+      { op: 'remove', path: '/tags/0' },
+      { op: 'replace', path: '/status', value: 'published' }
+    ], 200);
+
+    expect(response.body.data.tags).toEqual(['express', 'node']);
+    expect(response.body.data.status).toBe('published');
+  });
+
+  test('should reject failed tests and unappliable operations without changes', async () => {
+    await patch(`/api/v1/api/posts/${post._id}`, JSON_PATCH, [
+      { op: 'replace', path: '/title', value: 'Never saved' },
+      { op: 'test', path: '/status', value: 'archived' }
+    ], 409);
+
+    await patch(`/api/v1/api/posts/${post._id}`, JSON_PATCH, [{ op: 'remove', path: '/tags/5' }], 422);
+    await patch(`/api/v1/api/posts/${post._id}`, JSON_PATCH, { op: 'add' }, 400);
+
+    const stored = await Post.findById(post._id);
+    expect(stored.title).toBe('Patchable post');
+  });
+
+  test('should validate the patched fields and refuse read-only ones', async () => {
+    const invalid = await patch(`/api/v1/api/posts/${post._id}`, MERGE_PATCH, { title: 'ab' }, 400);
+    expect(invalid.body.errors[0].field).toBe('title');
+
+    const readOnly = await patch(`/api/v1/api/posts/${post._id}`, MERGE_PATCH, { author: 'someone' }, 422);
+    expect(readOnly.body.message).toContain('author');
+
+    await patch(`/api/v1/api/posts/${post._id}`, MERGE_PATCH, { status: 'archived' }, 409);
+  });
+
+  test('should require a patch media type and If-Match', async () => {
+    await request(app)
+      .patch(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Plain JSON' })
+      .expect(415);
+
+    await request(app)
+      .patch(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', MERGE_PATCH)
+      .send(JSON.stringify({ title: 'No precondition' }))
+      .expect(428);
+  });
+
+});
+
+describe('PUT /api/posts/:id', () => {
+
+  test('should replace the post and reset omitted fields', async () => {
+    const response = await request(app)
+      .put(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Replaced title', content: 'Replaced content body', status: 'draft', version: post.__v })
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      title: 'Replaced title',
+      commentModeration: 'open',
+      tags: [],
+      categories: []
+    });
+  });
+
+  test('should require title, content and status', async () => {
+    const response = await request(app)
+      .put(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Only a title', version: post.__v })
+      .expect(400);
+
+    expect(response.body.errors.map(error => error.field)).toEqual(expect.arrayContaining(['content', 'status']));
+  });
+
+});
+
+describe('PATCH /api/comments/:id', () => {
+
+  test('should patch a comment with either format', async () => {
+    const merged = await patch(`/api/v1/api/comments/${comment._id}`, MERGE_PATCH, { content: 'Merged comment' }, 200);
+    expect(merged.body.data.content).toBe('Merged comment');
+
+    const patched = await patch(`/api/v1/api/comments/${comment._id}`, JSON_PATCH, [
+      { op: 'replace', path: '/content', value: 'Patched comment' }
+    ], 200);
+    expect(patched.body.data.content).toBe('Patched comment');
+
+    await patch(`/api/v1/api/comments/${comment._id}`, MERGE_PATCH, { postId: 'elsewhere' }, 422);
+  });
+
+});
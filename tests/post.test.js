@@ -4,9 +4,15 @@
 // Task ID: task_wu10ozglbp4p
 
 
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
 const Post = require('../src/models/Post');
 
 
+const User = require('../src/models/User');
+
+
 const app = require('../src/app');
 
 
@@ -15,25 +21,51 @@ const mongoose = require('mongoose');
 
 const request = require('supertest');
 
+const { signAccessToken } = require('../src/utils/jwt');
+
 /**
  * Post API Integration Tests
  * Tests all CRUD operations, validation, error cases, and pagination
  */
 describe('Post API Integration Tests', () => {
+  let author;
+
+  let token;
+
+  // Published post by the test author, created directly in the database
+  const createPost = (fields = {}) => Post.create({
+    title: 'Test Post',
+    content: 'Test post content',
+    status: 'published',
+    author: author._id,
+    authorName: author.name,
+    ...fields
+  });
+
+  const createPosts = count => Promise.all(Array.from({ length: count }, (_, i) => createPost({
+    title: `Post ${i + 1}`,
+    content: `Content ${i + 1}`
+  })));
+
   // Setup: Connect to test database before all tests
   beforeAll(async () => {
-    const testDbUri = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-test';
+    const testDbUri = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
     await mongoose.connect(testDbUri);
   });
 
-  // Cleanup: Clear posts collection before each test for isolation
+  // Cleanup: Clear posts and users before each test for isolation
   beforeEach(async () => {
-    await Post.deleteMany({});
+    await Post.deleteMany({}).setOptions({ withDeleted: true });
+    await User.deleteMany({});
+
+    author = await User.create({ name: 'John Doe', email: 'john@example.com', password: 'password123' });
+    token = signAccessToken(author);
   });
 
   // Teardown: Close database connection after all tests
   afterAll(async () => {
-    await Post.deleteMany({});
+    await Post.deleteMany({}).setOptions({ withDeleted: true });
+    await User.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -44,117 +76,123 @@ describe('Post API Integration Tests', () => {
     it('should create a new post with valid data', async () => {
       const newPost = {
         title: 'Test Post Title',
-        content: 'This is test content for the post.',
-        author: 'John Doe'
+        content: 'This is test content for the post.'
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(newPost)
         .expect('Content-Type', /json/)
         .expect(201);
 
-      expect(response.body).toHaveProperty('_id');
-      expect(response.body.title).toBe(newPost.title);
-      expect(response.body.content).toBe(newPost.content);
-      expect(response.body.author).toBe(newPost.author);
-      expect(response.body).toHaveProperty('createdAt');
-      expect(response.body).toHaveProperty('updatedAt');
+      expect(response.body.data).toHaveProperty('_id');
+      expect(response.body.data.title).toBe(newPost.title);
+      expect(response.body.data.content).toBe(newPost.content);
+      expect(response.body.data.author).toBe(author._id.toString());
+      expect(response.body.data.authorName).toBe(author.name);
+      expect(response.body.data).toHaveProperty('createdAt');
+      expect(response.body.data).toHaveProperty('updatedAt');
 
       // Verify database persistence
-      const dbPost = await Post.findById(response.body._id);
+      const dbPost = await Post.findById(response.body.data._id);
       expect(dbPost).toBeTruthy();
       expect(dbPost.title).toBe(newPost.title);
     });
 
+    it('should return 401 without a token', async () => {
+      await request(app)
+        .post('/api/v1/api/posts')
+        .send({ title: 'Test Title', content: 'Test content body' })
+        .expect(401);
+    });
+
     it('should return 400 when title is missing', async () => {
       const invalidPost = {
-        content: 'Content without title',
-        author: 'John Doe'
+        content: 'Content without title'
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidPost)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/title|required/i);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.map(error => error.field)).toContain('title');
     });
 
     it('should return 400 when content is missing', async () => {
       const invalidPost = {
-        title: 'Title without content',
-        author: 'John Doe'
+        title: 'Title without content'
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidPost)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/content|required/i);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors.map(error => error.field)).toContain('content');
     });
 
-    it('should return 400 when author is missing', async () => {
-      const invalidPost = {
-        title: 'Test Title',
-        content: 'Test content'
-      };
+    it('should take the author from the token instead of the body', async () => {
+      const stranger = await User.create({ name: 'Jane Roe', email: 'jane@example.com', password: 'password123' });
 
       const response = await request(app)
-        .post('/api/posts')
-        .send(invalidPost)
-        .expect(400);
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Test Title', content: 'Test content body', author: stranger._id.toString() })
+        .expect(201);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/author|required/i);
+      expect(response.body.data.author).toBe(author._id.toString());
+      expect(response.body.data.authorName).toBe(author.name);
     });
 
     it('should return 400 when title is empty string', async () => {
       const invalidPost = {
         title: '',
-        content: 'Test content',
-        author: 'John Doe'
+        content: 'Test content body'
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidPost)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.success).toBe(false);
     });
 
     it('should return 400 when data types are invalid', async () => {
       const invalidPost = {
         title: 123,
-        content: true,
-        author: ['invalid']
+        content: true
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidPost)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.success).toBe(false);
     });
 
     it('should create post with default status if not provided', async () => {
       const newPost = {
         title: 'Test Post',
-        content: 'Test content',
-        author: 'John Doe'
+        content: 'Test content body'
       };
 
       const response = await request(app)
-        .post('/api/posts')
+        .post('/api/v1/api/posts')
+        .set('Authorization', `Bearer ${token}`)
         .send(newPost)
         .expect(201);
 
-      expect(response.body.status).toBeDefined();
+      expect(response.body.data.status).toBe('draft');
     });
   });
 
@@ -164,40 +202,31 @@ describe('Post API Integration Tests', () => {
   describe('GET /api/posts', () => {
     it('should retrieve all posts with default pagination', async () => {
       // Seed test data
-      await Post.create([
-        { title: 'Post 1', content: 'Content 1', author: 'Author 1' },
-        { title: 'Post 2', content: 'Content 2', author: 'Author 2' },
-        { title: 'Post 3', content: 'Content 3', author: 'Author 3' }
-      ]);
+      await createPosts(3);
 
       const response = await request(app)
-        .get('/api/posts')
+        .get('/api/v1/api/posts')
         .expect(200);
 
-      expect(response.body.posts).toHaveLength(3);
-      expect(response.body).toHaveProperty('pagination');
-      expect(response.body.pagination).toMatchObject({
+      expect(response.body.data.posts).toHaveLength(3);
+      expect(response.body.data).toHaveProperty('pagination');
+      expect(response.body.data.pagination).toMatchObject({
         total: 3,
         page: 1
       });
-      expect(response.body.pagination.limit).toBeGreaterThan(0);
+      expect(response.body.data.pagination.limit).toBeGreaterThan(0);
+      expect(response.body.data.posts[0].author).toMatchObject({ _id: author._id.toString(), name: author.name });
     });
 
     it('should handle pagination parameters correctly', async () => {
-      // Create 15 posts
-      const posts = Array.from({ length: 15 }, (_, i) => ({
-        title: `Post ${i + 1}`,
-        content: `Content ${i + 1}`,
-        author: 'Test Author'
-      }));
-      await Post.create(posts);
+      await createPosts(15);
 
       const response = await request(app)
-        .get('/api/posts?page=2&limit=5')
+        .get('/api/v1/api/posts?page=2&limit=5')
         .expect(200);
 
-      expect(response.body.posts).toHaveLength(5);
-      expect(response.body.pagination).toMatchObject({
+      expect(response.body.data.posts).toHaveLength(5);
+      expect(response.body.data.pagination).toMatchObject({
         total: 15,
         page: 2,
         limit: 5,
@@ -207,146 +236,123 @@ describe('Post API Integration Tests', () => {
 
     it('should return empty array when no posts exist', async () => {
       const response = await request(app)
-        .get('/api/posts')
+        .get('/api/v1/api/posts')
         .expect(200);
 
-      expect(response.body.posts).toEqual([]);
-      expect(response.body.pagination.total).toBe(0);
+      expect(response.body.data.posts).toEqual([]);
+      expect(response.body.data.pagination.total).toBe(0);
     });
 
     it('should handle page parameter correctly', async () => {
-      // Create 10 posts
-      const posts = Array.from({ length: 10 }, (_, i) => ({
-        title: `Post ${i + 1}`,
-        content: `Content ${i + 1}`,
-        author: 'Test Author'
-      }));
-      await Post.create(posts);
+      await createPosts(10);
 
       const response = await request(app)
-        .get('/api/posts?page=1&limit=5')
+        .get('/api/v1/api/posts?page=1&limit=5')
         .expect(200);
 
-      expect(response.body.posts).toHaveLength(5);
-      expect(response.body.pagination.page).toBe(1);
+      expect(response.body.data.posts).toHaveLength(5);
+      expect(response.body.data.pagination.page).toBe(1);
     });
 
     it('should handle limit parameter correctly', async () => {
-      // Create 10 posts
-      const posts = Array.from({ length: 10 }, (_, i) => ({
-        title: `Post ${i + 1}`,
-        content: `Content ${i + 1}`,
-        author: 'Test Author'
-      }));
-      await Post.create(posts);
+      await createPosts(10);
 
       const response = await request(app)
-        .get('/api/posts?limit=3')
+        .get('/api/v1/api/posts?limit=3')
         .expect(200);
 
-      expect(response.body.posts).toHaveLength(3);
-      expect(response.body.pagination.limit).toBe(3);
+      expect(response.body.data.posts).toHaveLength(3);
+      expect(response.body.data.pagination.limit).toBe(3);
     });
 
     it('should return correct totalPages in pagination', async () => {
-      // Create 12 posts
-      const posts = Array.from({ length: 12 }, (_, i) => ({
-        title: `Post ${i + 1}`,
-        content: `Content ${i + 1}`,
-        author: 'Test Author'
-      }));
-      await Post.create(posts);
+      await createPosts(12);
 
       const response = await request(app)
-        .get('/api/posts?limit=5')
+        .get('/api/v1/api/posts?limit=5')
         .expect(200);
 
-      expect(response.body.pagination.totalPages).toBe(3);
+      expect(response.body.data.pagination.totalPages).toBe(3);
     });
 
     it('should handle invalid page parameter gracefully', async () => {
-      await Post.create([
-        { title: 'Post 1', content: 'Content 1', author: 'Author 1' }
-      ]);
+      await createPosts(1);
 
       const response = await request(app)
-        .get('/api/posts?page=invalid')
+        .get('/api/v1/api/posts?page=invalid')
         .expect(200);
 
-      expect(response.body.posts).toBeDefined();
+      expect(response.body.data.posts).toBeDefined();
     });
 
     it('should handle invalid limit parameter gracefully', async () => {
-      await Post.create([
-        { title: 'Post 1', content: 'Content 1', author: 'Author 1' }
-      ]);
+      await createPosts(1);
 
       const response = await request(app)
-        .get('/api/posts?limit=invalid')
+        .get('/api/v1/api/posts?limit=invalid')
         .expect(200);
 
-      expect(response.body.posts).toBeDefined();
+      expect(response.body.data.posts).toBeDefined();
     });
   });
 
   /**
-   * GET /api/posts/:id - Retrieve single post
+   * GET /api/posts/:idOrSlug - Retrieve single post
    */
-  describe('GET /api/posts/:id', () => {
+  describe('GET /api/posts/:idOrSlug', () => {
     it('should retrieve a single post by valid ID', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Single Post',
-        content: 'Single post content',
-        author: 'Test Author'
+        content: 'Single post content'
       });
 
       const response = await request(app)
-        .get(`/api/posts/${post._id}`)
+        .get(`/api/v1/api/posts/${post._id}`)
         .expect(200);
 
-      expect(response.body._id).toBe(post._id.toString());
-      expect(response.body.title).toBe(post.title);
-      expect(response.body.content).toBe(post.content);
-      expect(response.body.author).toBe(post.author);
+      expect(response.body.data._id).toBe(post._id.toString());
+      expect(response.body.data.title).toBe(post.title);
+      expect(response.body.data.content).toBe(post.content);
+      expect(response.body.data.author).toMatchObject({ _id: author._id.toString(), name: author.name });
     });
 
     it('should return 404 for non-existent post ID', async () => {
       const fakeId = new mongoose.Types.ObjectId();
 
       const response = await request(app)
-        .get(`/api/posts/${fakeId}`)
+        .get(`/api/v1/api/posts/${fakeId}`)
         .expect(404);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/not found/i);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toMatch(/not found/i);
     });
 
-    it('should return 400 for invalid ID format', async () => {
+    it('should return 400 for invalid ID or slug format', async () => {
       const response = await request(app)
-        .get('/api/posts/invalid-id-format')
+        .get('/api/v1/api/posts/invalid_id_format')
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/invalid|id/i);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors[0].message).toMatch(/invalid/i);
     });
 
     it('should return post with all required fields', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Complete Post',
-        content: 'Complete content',
-        author: 'Complete Author'
+        content: 'Complete content'
       });
 
       const response = await request(app)
-        .get(`/api/posts/${post._id}`)
+        .get(`/api/v1/api/posts/${post._id}`)
         .expect(200);
 
-      expect(response.body).toHaveProperty('_id');
-      expect(response.body).toHaveProperty('title');
-      expect(response.body).toHaveProperty('content');
-      expect(response.body).toHaveProperty('author');
-      expect(response.body).toHaveProperty('createdAt');
-      expect(response.body).toHaveProperty('updatedAt');
+      expect(response.body.data).toHaveProperty('_id');
+      expect(response.body.data).toHaveProperty('title');
+      expect(response.body.data).toHaveProperty('content');
+      expect(response.body.data).toHaveProperty('author');
+      expect(response.body.data).toHaveProperty('authorName');
+      expect(response.body.data).toHaveProperty('createdAt');
+      expect(response.body.data).toHaveProperty('updatedAt');
     });
   });
 
@@ -355,26 +361,27 @@ describe('Post API Integration Tests', () => {
    */
   describe('PUT /api/posts/:id', () => {
     it('should update post with valid data', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Original Title',
-        content: 'Original content',
-        author: 'Original Author'
+        content: 'Original content'
       });
 
       const updates = {
         title: 'Updated Title',
         content: 'Updated content',
-        author: 'Updated Author'
+        status: 'published',
+        version: post.__v
       };
 
       const response = await request(app)
-        .put(`/api/posts/${post._id}`)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updates)
         .expect(200);
 
-      expect(response.body.title).toBe(updates.title);
-      expect(response.body.content).toBe(updates.content);
-      expect(response.body.author).toBe(updates.author);
+      expect(response.body.data.title).toBe(updates.title);
+      expect(response.body.data.content).toBe(updates.content);
+      expect(response.body.data.author).toBe(author._id.toString());
 
       // Verify database update
       const dbPost = await Post.findById(post._id);
@@ -382,11 +389,59 @@ describe('Post API Integration Tests', () => {
       expect(dbPost.content).toBe(updates.content);
     });
 
-    it('should handle partial update (only some fields)', async () => {
-      const post = await Post.create({
+    it('should only let the author, editors and admins update a post', async () => {
+      const post = await createPost();
+      const stranger = await User.create({ name: 'Jane Roe', email: 'jane@example.com', password: 'password123' });
+      const editor = await User.create({ name: 'Eddie Editor', email: 'eddie@example.com', password: 'password123', role: 'editor' });
+      const updates = { title: 'Edited Title', content: 'Edited content', status: 'published', version: post.__v };
+
+      await request(app)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .send(updates)
+        .expect(403);
+
+      const response = await request(app)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(editor)}`)
+        .send(updates)
+        .expect(200);
+
+      expect(response.body.data.title).toBe(updates.title);
+      expect(response.body.data.author).toBe(author._id.toString());
+    });
+
+    it('should require If-Match or version', async () => {
+      const post = await createPost();
+
+      const response = await request(app)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Updated Title', content: 'Updated content', status: 'published' })
+        .expect(428);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject an update based on a stale ETag with 412', async () => {
+      const post = await createPost();
+      const read = await request(app).get(`/api/v1/api/posts/${post._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+      await Post.updateOne({ _id: post._id }, { $set: { title: 'Changed elsewhere' }, $inc: { __v: 1 } });
+
+      const response = await request(app)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', read.headers.etag)
+        .send({ title: 'Updated Title', content: 'Updated content', status: 'published' })
+        .expect(412);
+
+      expect(response.body.errors.version).toBe(post.__v + 1);
+    });
+
+    it('should reject a partial update, as PUT replaces the post', async () => {
+      const post = await createPost({
         title: 'Original Title',
-        content: 'Original content',
-        author: 'Original Author'
+        content: 'Original content'
       });
 
       const updates = {
@@ -394,33 +449,36 @@ describe('Post API Integration Tests', () => {
       };
 
       const response = await request(app)
-        .put(`/api/posts/${post._id}`)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updates)
-        .expect(200);
+        .expect(400);
 
-      expect(response.body.title).toBe(updates.title);
-      expect(response.body.content).toBe(post.content);
-      expect(response.body.author).toBe(post.author);
+      expect(response.body.errors.map(error => error.field)).toEqual(expect.arrayContaining(['content', 'status']));
+
+      const dbPost = await Post.findById(post._id);
+      expect(dbPost.title).toBe('Original Title');
     });
 
     it('should return 400 when updating with invalid data', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Original Title',
-        content: 'Original content',
-        author: 'Original Author'
+        content: 'Original content'
       });
 
       const invalidUpdates = {
         title: '',
-        content: 'Valid content'
+        content: 'Valid content',
+        status: 'published'
       };
 
       const response = await request(app)
-        .put(`/api/posts/${post._id}`)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(invalidUpdates)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.success).toBe(false);
     });
 
     it('should return 404 when updating non-existent post', async () => {
@@ -431,12 +489,13 @@ describe('Post API Integration Tests', () => {
       };
 
       const response = await request(app)
-        .put(`/api/posts/${fakeId}`)
+        .put(`/api/v1/api/posts/${fakeId}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updates)
         .expect(404);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toMatch(/not found/i);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toMatch(/not found/i);
     });
 
     it('should return 400 for invalid ID format', async () => {
@@ -446,18 +505,18 @@ describe('Post API Integration Tests', () => {
       };
 
       const response = await request(app)
-        .put('/api/posts/invalid-id')
+        .put('/api/v1/api/posts/invalid-id')
+        .set('Authorization', `Bearer ${token}`)
         .send(updates)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
+      expect(response.body.success).toBe(false);
     });
 
     it('should update updatedAt timestamp', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Original Title',
-        content: 'Original content',
-        author: 'Original Author'
+        content: 'Original content'
       });
 
       const originalUpdatedAt = post.updatedAt;
@@ -466,24 +525,27 @@ describe('Post API Integration Tests', () => {
       await new Promise(resolve => setTimeout(resolve, 100));
 
       const updates = {
-        title: 'Updated Title'
+        title: 'Updated Title',
+        content: 'Original content',
+        status: 'published',
+        version: post.__v
       };
 
       const response = await request(app)
-        .put(`/api/posts/${post._id}`)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
         .send(updates)
         .expect(200);
 
-      expect(new Date(response.body.updatedAt).getTime()).toBeGreaterThan(
+      expect(new Date(response.body.data.updatedAt).getTime()).toBeGreaterThan(
         new Date(originalUpdatedAt).getTime()
       );
     });
 
     it('should reject update with invalid data types', async () => {
-      const post = await Post.create({
+      const post = await createPost({
         title: 'Original Title',
-        content: 'Original content',
-        author: 'Original Author'
+        content: 'Original content'
       });
 
       const invalidUpdates = {
@@ -492,4 +554,45 @@ describe('Post API Integration Tests', () => {
       };
 
       const response = await request(app)
-        .put(`/api/posts/${post._id}`)
+        .put(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(invalidUpdates)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+
+      // Verify the post was not changed
+      const dbPost = await Post.findById(post._id);
+      expect(dbPost.title).toBe('Original Title');
+    });
+  });
+
+  /**
+   * DELETE /api/posts/:id - Move post to trash
+   */
+  describe('DELETE /api/posts/:id', () => {
+    it('should let the author move a post to the trash', async () => {
+      const post = await createPost();
+
+      await request(app)
+        .delete(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Post.findById(post._id)).toBeNull();
+    });
+
+    it('should return 403 when another user deletes the post', async () => {
+      const post = await createPost();
+      const stranger = await User.create({ name: 'Jane Roe', email: 'jane@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .delete(`/api/v1/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(await Post.findById(post._id)).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,189 @@
+// File: tests/postLifecycle.test.js
+// Generated: 2026-10-19 18:01:34 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_1xt9cmcjoaq9
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Post Lifecycle Integration Tests
+ * Tests status transitions, lifecycle timestamps, 409 responses and who
+ * can see unpublished posts and their comments
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let token;
+
+let post;
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await User.deleteMany({});
+
+  author = await User.create({
+    name: 'Lifecycle Author',
+    email: 'lifecycle@example.com',
+    password: 'password123'
+  });
+  token = signAccessToken(author);
+
+  post = await Post.create({
+    title: 'Lifecycle Post',
+    content: 'This post moves through its lifecycle.',
+    author: author._id,
+    authorName: author.name
+  });
+});
+
+afterAll(async () => {
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('PATCH /api/v1/api/posts/:id/status', () => {
+
+  test('should publish a draft and record publishedAt', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/api/posts/${post._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'published' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('published');
+    expect(response.body.data.publishedAt).toBeTruthy();
+  });
+
+  test('should archive a published post and record archivedAt', async () => {
+    await post.publish();
+
+    const response = await request(app)
+      .patch(`/api/v1/api/posts/${post._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'archived' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('archived');
+    expect(response.body.data.archivedAt).toBeTruthy();
+  });
+
+  test('should reject draft to archived with 409 and valid targets', async () => {
+    const response = await request(app)
+      .patch(`/api/v1/api/posts/${post._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'archived' })
+      .expect(409);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.errors.currentStatus).toBe('draft');
+    expect(response.body.errors.validTransitions).toEqual(['published']);
+
+    const dbPost = await Post.findById(post._id);
+    expect(dbPost.status).toBe('draft');
+  });
+
+  test('should reject status changes from users who do not own the post', async () => {
+    const other = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+
+    await request(app)
+      .patch(`/api/v1/api/posts/${post._id}/status`)
+      .set('Authorization', `Bearer ${signAccessToken(other)}`)
+      .send({ status: 'published' })
+      .expect(403);
+  });
+
+});
+
+describe('Unpublished post visibility', () => {
+
+  let reader;
+
+  beforeEach(async () => {
+    reader = await User.create({ name: 'Reader', email: 'reader@example.com', password: 'password123' });
+  });
+
+  test('should hide drafts from anonymous callers and other users', async () => {
+    await request(app).get(`/api/v1/api/posts/${post._id}`).expect(404);
+    await request(app).get(`/api/v1/api/posts/${post.slug}`).expect(404);
+    await request(app)
+      .get(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${signAccessToken(reader)}`)
+      .expect(404);
+  });
+
+  test('should show drafts to their author and editors', async () => {
+    const editor = await User.create({ name: 'Editor', email: 'editor@example.com', password: 'password123', role: 'editor' });
+
+    await request(app).get(`/api/v1/api/posts/${post._id}`).set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get(`/api/v1/api/posts/${post._id}`).set('Authorization', `Bearer ${signAccessToken(editor)}`).expect(200);
+  });
+
+  test('should hide archived posts from anonymous callers', async () => {
+    await post.publish();
+    await request(app).get(`/api/v1/api/posts/${post._id}`).expect(200);
+
+    await Post.updateOne({ _id: post._id }, { status: 'archived' });
+    await request(app).get(`/api/v1/api/posts/${post._id}`).expect(404);
+  });
+
+  test('should not list or accept comments on drafts for other users', async () => {
+    await Comment.create({
+      content: 'Early feedback',
+      author: author._id,
+      authorName: author.name,
+      postId: post._id,
+      status: 'approved'
+    });
+
+    await request(app).get(`/api/v1/api/comments/posts/${post._id}/comments`).expect(404);
+    await request(app)
+      .post(`/api/v1/api/comments/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${signAccessToken(reader)}`)
+      .send({ content: 'Sneaking a comment in' })
+      .expect(404);
+
+    const own = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(own.body.data.comments).toHaveLength(1);
+    expect(await Comment.countDocuments({ postId: post._id })).toBe(1);
+  });
+
+});
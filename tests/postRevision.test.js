@@ -0,0 +1,149 @@
+// File: tests/postRevision.test.js
+// Generated: 2026-10-19 18:05:36 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_twpcghh2uyia
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Post = require('../src/models/Post');
+
+
+const PostRevision = require('../src/models/PostRevision');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Post Revision Integration Tests
+ * Tests revision recording, listing, diffing and restoring
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let token;
+
+let post;
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await Post.deleteMany({});
+  await PostRevision.deleteMany({});
+  await User.deleteMany({});
+
+  author = await User.create({
+    name: 'Revision Author',
+    email: 'revisions@example.com',
+    password: 'password123'
+  });
+  token = signAccessToken(author);
+
+  post = new Post({
+    title: 'Original Title',
+    content: 'First line\nSecond line\nThird line',
+    author: author._id,
+    authorName: author.name
+  });
+  post.$locals.editor = author._id;
+  await post.save();
+
+  post.content = 'First line\nChanged line\nThird line';
+  post.$locals.editor = author._id;
+  await post.save();
+});
+
+afterAll(async () => {
+  await Post.deleteMany({});
+  await PostRevision.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('Post revisions', () => {
+
+  test('should record a revision for every saved version', async () => {
+    const response = await request(app)
+      .get(`/api/v1/api/posts/${post._id}/revisions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.currentRevision).toBe(2);
+    expect(response.body.data.revisions.map(revision => revision.rev)).toEqual([2, 1]);
+    expect(response.body.data.revisions[0].changedFields).toEqual(['content']);
+    expect(response.body.data.revisions[0].editor.name).toBe('Revision Author');
+  });
+
+  test('should diff a revision against the current content line by line', async () => {
+    const response = await request(app)
+      .get(`/api/v1/api/posts/${post._id}/revisions/1/diff`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const { changes, stats } = response.body.data.content;
+    expect(stats).toEqual({ added: 1, removed: 1, unchanged: 2 });
+    expect(changes.find(change => change.type === 'removed').value).toBe('Second line');
+    expect(changes.find(change => change.type === 'added').value).toBe('Changed line');
+  });
+
+  test('should restore a revision as a new revision', async () => {
+    const response = await request(app)
+      .post(`/api/v1/api/posts/${post._id}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.content).toBe('First line\nSecond line\nThird line');
+    expect(response.body.data.currentRevision).toBe(3);
+
+    const restored = await PostRevision.findRevision(post._id, 3);
+    expect(restored.restoredFrom).toBe(1);
+  });
+
+  test('should reject a restore that races another edit with 412', async () => {
+    const originalSave = Post.prototype.save;
+    // Another editor saves the post after the request loaded it but before its save
+    const save = jest.spyOn(Post.prototype, 'save').mockImplementationOnce(async function(...args) {
+      const concurrent = await Post.findById(this._id);
+      concurrent.title = 'Concurrent edit';
+      await originalSave.call(concurrent);
+      return originalSave.apply(this, args);
+    });
+
+    const response = await request(app)
+      .post(`/api/v1/api/posts/${post._id}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(412);
+    save.mockRestore();
+
+    const stored = await Post.findById(post._id);
+    expect(stored.title).toBe('Concurrent edit');
+    expect(stored.content).toBe('First line\nChanged line\nThird line');
+    expect(response.body.errors.version).toBe(stored.__v);
+  });
+
+  test('should return 404 for a revision that does not exist', async () => {
+    await request(app)
+      .get(`/api/v1/api/posts/${post._id}/revisions/99/diff`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+  });
+
+});
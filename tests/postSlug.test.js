@@ -0,0 +1,183 @@
+// File: tests/postSlug.test.js
+// Generated: 2026-10-19 19:06:55 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_o5ccwdhp6bi6
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { up: migratePostSlugs } = require('../src/migrations/005-post-slugs');
+
+/**
+ * Post Slug Integration Tests
+ * Tests slug generation, collision suffixes, lookup by slug, redirects from
+ * previous slugs and the migration for posts stored without a slug
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const createPost = title => Post.create({
+  title,
+  content: 'Content for slug tests',
+  status: 'published',
+  author: author._id,
+  authorName: author.name
+});
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+  await Post.syncIndexes();
+});
+
+beforeEach(async () => {
+  await clearCollections();
+  author = await User.create({ name: 'Slug Author', email: 'slugs@example.com', password: 'password123' });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Post slug generation', () => {
+
+  test('should generate a URL-safe slug from the title', async () => {
+    const post = await createPost('Héllo, World! Ça va?');
+
+    expect(post.slug).toBe('hello-world-ca-va');
+  });
+
+  test('should add a numbered suffix when the slug is taken', async () => {
+    const first = await createPost('Same Title');
+    const second = await createPost('Same title');
+    const third = await createPost('SAME TITLE!');
+
+    expect([first.slug, second.slug, third.slug]).toEqual(['same-title', 'same-title-2', 'same-title-3']);
+  });
+
+  test('should keep slugs owned by trashed posts and by previous titles', async () => {
+    const trashed = await createPost('Taken');
+    await trashed.softDelete(author._id);
+
+    const renamed = await createPost('Old name');
+    renamed.title = 'New name';
+    await renamed.save();
+
+    expect((await createPost('Taken')).slug).toBe('taken-2');
+    expect((await createPost('Old name')).slug).toBe('old-name-2');
+  });
+
+  test('should keep a collision suffix while the plain slug is still taken', async () => {
+    await createPost('Release notes');
+    const post = await createPost('Release notes');
+    expect(post.slug).toBe('release-notes-2');
+
+    post.title = 'Release Notes!';
+    await post.save();
+
+    expect(post.slug).toBe('release-notes-2');
+    expect(post.previousSlugs).toEqual([]);
+  });
+
+  test('should not keep a numbered slug that came from the old title', async () => {
+    const post = await createPost('Version 2');
+    expect(post.slug).toBe('version-2');
+
+    post.title = 'Version';
+    await post.save();
+
+    expect(post.slug).toBe('version');
+    expect(post.previousSlugs).toEqual(['version-2']);
+  });
+
+});
+
+describe('GET /api/posts/:idOrSlug', () => {
+
+  test('should find a post by slug and by ID', async () => {
+    const post = await createPost('Find me by slug');
+
+    const bySlug = await request(app).get('/api/v1/api/posts/find-me-by-slug').expect(200);
+    const byId = await request(app).get(`/api/v1/api/posts/${post._id}`).expect(200);
+
+    expect(bySlug.body.data._id).toBe(String(post._id));
+    expect(byId.body.data.slug).toBe('find-me-by-slug');
+    await request(app).get('/api/v1/api/posts/no-such-slug').expect(404);
+  });
+
+  test('should redirect a previous slug to the current one with 301', async () => {
+    const post = await createPost('Original headline');
+    post.title = 'Better headline';
+    await post.save();
+
+    const response = await request(app).get('/api/v1/api/posts/original-headline').expect(301);
+
+    expect(response.headers.location).toBe('/api/v1/api/posts/better-headline');
+    expect(response.body.data).toEqual({
+      id: String(post._id),
+      slug: 'better-headline',
+      location: '/api/v1/api/posts/better-headline'
+    });
+  });
+
+});
+
+describe('Post slugs migration', () => {
+
+  const insertLegacyPosts = async () => {
+    // Legacy posts predate the unique slug index, which rejects several missing slugs
+    await Post.collection.dropIndex('slug_1').catch(() => null);
+    const fields = { content: 'Legacy content', status: 'published', author: author._id, authorName: author.name };
+
+    await Post.collection.insertMany([
+      { ...fields, title: 'Legacy post', createdAt: new Date('2024-01-01') },
+      { ...fields, title: 'Legacy post', slug: null, createdAt: new Date('2024-02-01') },
+      { ...fields, title: 'Another legacy post', createdAt: new Date('2024-03-01') }
+    ]);
+  };
+
+  test('should slug legacy posts oldest first and build the unique index', async () => {
+    await insertLegacyPosts();
+
+    const stats = await migratePostSlugs();
+
+    expect(stats).toEqual({ sluggedPosts: 3 });
+    const posts = await Post.find().sort({ createdAt: 1 }).lean();
+    expect(posts.map(post => post.slug)).toEqual(['legacy-post', 'legacy-post-2', 'another-legacy-post']);
+
+    const indexes = await Post.collection.indexes();
+    expect(indexes.find(index => index.name === 'slug_1').unique).toBe(true);
+  });
+
+  test('should be a no-op when run again and report only in dry-run', async () => {
+    await insertLegacyPosts();
+
+    expect(await migratePostSlugs({ dryRun: true })).toEqual({ sluggedPosts: 3 });
+    expect(await Post.countDocuments({ slug: { $exists: true, $ne: null } })).toBe(0);
+
+    await migratePostSlugs();
+    expect(await migratePostSlugs()).toEqual({ sluggedPosts: 0 });
+  });
+
+});
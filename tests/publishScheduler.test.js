@@ -0,0 +1,99 @@
+// File: tests/publishScheduler.test.js
+// Generated: 2026-10-19 18:03:59 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_hegf83gbpc2e
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const mongoose = require('mongoose');
+
+
+const publishScheduler = require('../src/jobs/publishScheduler');
+
+/**
+ * Publish Scheduler Tests
+ * Tests that due drafts are published and that leases held by other instances are respected
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+const createScheduledPost = (title, publishAt, extra = {}) => Post.create({
+  title,
+  content: 'This draft is waiting for the scheduler.',
+  author: author._id,
+  authorName: author.name,
+  publishAt,
+  ...extra
+});
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await Post.deleteMany({});
+  await User.deleteMany({});
+
+  author = await User.create({
+    name: 'Scheduler Author',
+    email: 'scheduler@example.com',
+    password: 'password123'
+  });
+});
+
+afterAll(async () => {
+  await publishScheduler.stop();
+  await Post.deleteMany({});
+  await User.deleteMany({});
+  await mongoose.connection.close();
+});
+
+describe('publishScheduler.runOnce', () => {
+
+  test('should publish drafts whose publishAt has passed', async () => {
+    const post = await createScheduledPost('Due Post', new Date(Date.now() - 1000));
+
+    const published = await publishScheduler.runOnce();
+    expect(published).toBe(1);
+
+    const dbPost = await Post.findById(post._id).select('+leaseOwner');
+    expect(dbPost.status).toBe('published');
+    expect(dbPost.publishedAt).toBeTruthy();
+    expect(dbPost.publishAt).toBeNull();
+    expect(dbPost.leaseOwner).toBeNull();
+  });
+
+  test('should leave drafts scheduled in the future alone', async () => {
+    const post = await createScheduledPost('Future Post', new Date(Date.now() + 60 * 60 * 1000));
+
+    const published = await publishScheduler.runOnce();
+    expect(published).toBe(0);
+
+    const dbPost = await Post.findById(post._id);
+    expect(dbPost.status).toBe('draft');
+  });
+
+  test('should not publish a post leased by another instance until the lease expires', async () => {
+    const post = await createScheduledPost('Leased Post', new Date(Date.now() - 1000));
+    await Post.updateOne(
+      { _id: post._id },
+      { leaseOwner: 'other-instance', leaseExpiresAt: new Date(Date.now() + 60 * 1000) }
+    );
+
+    expect(await publishScheduler.runOnce()).toBe(0);
+
+    await Post.updateOne({ _id: post._id }, { leaseExpiresAt: new Date(Date.now() - 1000) });
+
+    expect(await publishScheduler.runOnce()).toBe(1);
+  });
+
+});
@@ -0,0 +1,130 @@
+// File: tests/search.test.js
+// Generated: 2026-10-19 18:25:10 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_88e73t8w4b3s
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+/**
+ * Post Search Integration Tests
+ * Tests relevance ranking, highlighting, filters, facets and pagination
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let alice;
+
+let bob;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const createPost = (author, fields) => Post.create({
+  status: 'published',
+  author: author._id,
+  authorName: author.name,
+  ...fields
+});
+
+const search = query => request(app).get(`/api/v1/api/posts/search?${query}`);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+  await Post.syncIndexes();
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  alice = await User.create({ name: 'Alice', email: 'alice@example.com', password: 'password123' });
+  bob = await User.create({ name: 'Bob', email: 'bob@example.com', password: 'password123' });
+
+  await createPost(alice, {
+    title: 'Indexing strategies for MongoDB',
+    content: 'Compound indexes speed up queries. Indexing the right fields matters more than indexing many fields.',
+    tags: ['mongodb', 'performance']
+  });
+  await createPost(bob, {
+    title: 'A short trip',
+    content: `${'We walked along the river for hours. '.repeat(10)}Later we read about MongoDB indexing at the hotel.`,
+    tags: ['travel']
+  });
+  await createPost(alice, {
+    title: 'Unfinished thoughts on indexing',
+    content: 'This draft about indexing is not public yet.',
+    status: 'draft'
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('GET /api/posts/search', () => {
+
+  test('should rank hits by relevance and skip drafts', async () => {
+    const response = await search('q=indexing').expect(200);
+
+    expect(response.body.data.pagination.total).toBe(2);
+    expect(response.body.data.hits[0].title).toBe('Indexing strategies for MongoDB');
+    expect(response.body.data.hits[0].score).toBeGreaterThan(response.body.data.hits[1].score);
+  });
+
+  test('should return highlighted snippets instead of the full content', async () => {
+    const response = await search('q=indexing').expect(200);
+    const trip = response.body.data.hits.find(hit => hit.title === 'A short trip');
+
+    expect(trip.content).toBeUndefined();
+    expect(trip.highlights.content).toMatch(/^… .*<mark>indexing<\/mark>/);
+    expect(response.body.data.hits[0].highlights.title).toBe('<mark>Indexing</mark> strategies for MongoDB');
+  });
+
+  test('should filter by author and tag', async () => {
+    const byAuthor = await search('q=indexing&author=bob').expect(200);
+    expect(byAuthor.body.data.hits.map(hit => hit.title)).toEqual(['A short trip']);
+
+    const byTag = await search('q=indexing&tag=Performance').expect(200);
+    expect(byTag.body.data.hits.map(hit => hit.title)).toEqual(['Indexing strategies for MongoDB']);
+  });
+
+  test('should filter by date range', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const response = await search(`q=indexing&from=${encodeURIComponent(future)}`).expect(200);
+    expect(response.body.data.hits).toHaveLength(0);
+  });
+
+  test('should count facets over every hit', async () => {
+    const response = await search('q=indexing&limit=1').expect(200);
+    const { facets, pagination } = response.body.data;
+
+    expect(response.body.data.hits).toHaveLength(1);
+    expect(pagination).toMatchObject({ total: 2, totalPages: 2, hasNextPage: true });
+    expect(Object.keys(facets).sort()).toEqual(['authors', 'months', 'tags']);
+    expect(facets.authors.map(author => author.name).sort()).toEqual(['Alice', 'Bob']);
+    expect(facets.tags).toEqual(expect.arrayContaining([{ value: 'travel', count: 1 }]));
+  });
+
+  test('should require a search query', async () => {
+    await search('author=alice').expect(400);
+  });
+
+});
@@ -0,0 +1,178 @@
+// File: tests/searchSuggest.test.js
+// Generated: 2026-10-19 18:28:40 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_n71xe785f7o8
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Post = require('../src/models/Post');
+
+
+const SearchSuggestion = require('../src/models/SearchSuggestion');
+
+
+const Tag = require('../src/models/Tag');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Search Suggestion Integration Tests
+ * Tests the autocomplete index, its upkeep on post changes and
+ * "did you mean" corrections
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let alice;
+
+let indexingPost;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  SearchSuggestion.deleteMany({}),
+  Tag.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const createPost = async (fields) => Post.create({
+  status: 'published',
+  author: alice._id,
+  authorName: alice.name,
+  content: 'Some content about databases.',
+  ...fields,
+  tags: await Tag.ensureTags(fields.tags || [])
+});
+
+const suggest = query => request(app).get(`/api/v1/api/search/suggest?${query}`);
+
+const texts = response => response.body.data.suggestions.map(suggestion => suggestion.text);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+  await Promise.all([Post.syncIndexes(), SearchSuggestion.syncIndexes()]);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  alice = await User.create({ name: 'Alice Martin', email: 'alice@example.com', password: 'password123' });
+
+  indexingPost = await createPost({ title: 'Indexing strategies for MongoDB', tags: ['MongoDB', 'Performance'] });
+  await createPost({ title: 'Backups done right', tags: ['MongoDB'] });
+  await createPost({ title: 'Secret roadmap', status: 'draft', tags: ['Roadmap'] });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('GET /api/search/suggest', () => {
+
+  test('should match a prefix of any word in a title', async () => {
+    const response = await suggest('q=strat').expect(200);
+
+    expect(response.body.data.suggestions).toEqual([{
+      type: 'title',
+      text: 'Indexing strategies for MongoDB',
+      slug: indexingPost.slug,
+      id: String(indexingPost._id)
+    }]);
+  });
+
+  test('should suggest tags and authors with post counts, most used first', async () => {
+    const mongo = await suggest('q=mongo').expect(200);
+    expect(mongo.body.data.suggestions[0]).toEqual({ type: 'tag', text: 'MongoDB', slug: 'mongodb', count: 2 });
+    expect(texts(mongo)).toContain('Indexing strategies for MongoDB');
+
+    const author = await suggest('q=mart&type=author').expect(200);
+    expect(author.body.data.suggestions).toEqual([
+      { type: 'author', text: 'Alice Martin', id: String(alice._id), count: 2 }
+    ]);
+  });
+
+  test('should only suggest published posts', async () => {
+    expect(texts(await suggest('q=road').expect(200))).toEqual([]);
+
+    const draft = await Post.findOne({ title: 'Secret roadmap' });
+    await draft.publish();
+
+    expect(texts(await suggest('q=road').expect(200))).toEqual(['Roadmap', 'Secret roadmap']);
+  });
+
+  test('should follow edits, trashing and restoring', async () => {
+    indexingPost.title = 'Query planning';
+    indexingPost.tags = ['mongodb'];
+    await indexingPost.save();
+
+    expect(texts(await suggest('q=strat').expect(200))).toEqual([]);
+    expect(texts(await suggest('q=perf').expect(200))).toEqual([]);
+    expect(texts(await suggest('q=query').expect(200))).toEqual(['Query planning']);
+
+    const token = signAccessToken(alice);
+
+    await request(app)
+      .delete(`/api/v1/api/posts/${indexingPost._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(texts(await suggest('q=query').expect(200))).toEqual([]);
+    expect((await suggest('q=mongodb&type=tag').expect(200)).body.data.suggestions[0].count).toBe(1);
+
+    await request(app)
+      .post(`/api/v1/api/posts/${indexingPost._id}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(texts(await suggest('q=query').expect(200))).toEqual(['Query planning']);
+  });
+
+  test('should rebuild the same index from scratch', async () => {
+    const before = await SearchSuggestion.find().select('-_id kind key weight').sort({ kind: 1, key: 1 }).lean();
+
+    const stats = await SearchSuggestion.rebuild();
+
+    const after = await SearchSuggestion.find().select('-_id kind key weight').sort({ kind: 1, key: 1 }).lean();
+    expect(stats).toEqual({ titles: 2, tags: 2, authors: 1 });
+    expect(after).toEqual(before);
+  });
+
+  test('should validate the query', async () => {
+    await suggest('').expect(400);
+    await suggest('q=mongo&type=category').expect(400);
+    await suggest('q=mongo&limit=50').expect(400);
+  });
+
+});
+
+describe('Did you mean', () => {
+
+  test('should correct typos when a search finds nothing', async () => {
+    const response = await request(app).get('/api/v1/api/posts/search?q=indexng%20mongdb').expect(200);
+
+    expect(response.body.data.hits).toHaveLength(0);
+    expect(response.body.data.didYouMean).toBe('indexing mongodb');
+  });
+
+  test('should not suggest anything when the search has hits', async () => {
+    const response = await request(app).get('/api/v1/api/posts/search?q=backups').expect(200);
+
+    expect(response.body.data.hits).toHaveLength(1);
+    expect(response.body.data.didYouMean).toBeNull();
+  });
+
+});
@@ -0,0 +1,28 @@
+// File: tests/setupEnv.js
+// Generated: 2026-10-19 19:30:19 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_bjx5ixmb21gr
+
+/**
+ * Jest environment setup
+ * Runs before each test file, so src/config/env.js validates a complete
+ * test environment without a .env file. Values already set win, which lets
+ * CI point MONGODB_URI or MONGODB_TEST_URI at its own database.
+ */
+
+
+const defaults = {
+  NODE_ENV: 'test',
+  PORT: '3000',
+  MONGODB_URI: process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test',
+  LOG_LEVEL: 'error',
+  // Suites send far more requests from one IP than a real client would
+  RATE_LIMIT_MAX_REQUESTS: '100000',
+  AUTH_RATE_LIMIT_MAX_REQUESTS: '100000'
+};
+
+Object.entries(defaults).forEach(([name, value]) => {
+  if (!process.env[name]) {
+    process.env[name] = value;
+  }
+});
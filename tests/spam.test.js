@@ -0,0 +1,184 @@
+// File: tests/spam.test.js
+// Generated: 2026-10-19 18:15:55 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_z5mezg4slovc
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+const { registerSpamChecker, unregisterSpamChecker } = require('../src/utils/spam');
+
+/**
+ * Comment Spam Pipeline Integration Tests
+ * Tests the built-in checkers, custom checkers and the moderation queue view
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let userToken;
+
+let moderatorToken;
+
+let post;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+const comment = (content, token = userToken) => request(app)
+  .post(`/api/v1/api/comments/posts/${post._id}/comments`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({ content });
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  const user = await User.create({ name: 'Commenter', email: 'commenter@example.com', password: 'password123' });
+  const moderator = await User.create({
+    name: 'Moderator',
+    email: 'moderator@example.com',
+    password: 'password123',
+    role: 'moderator'
+  });
+  userToken = signAccessToken(user);
+  moderatorToken = signAccessToken(moderator);
+
+  post = await Post.create({
+    title: 'Open Post',
+    content: 'Anyone can comment on this post.',
+    status: 'published',
+    author: user._id,
+    authorName: user.name
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Comment spam filtering', () => {
+
+  test('should publish ordinary comments and hide the spam fields', async () => {
+    const response = await comment('Thanks, this was a helpful read.').expect(201);
+
+    expect(response.body.data.status).toBe('approved');
+    expect(response.body.data.spamScore).toBeUndefined();
+    expect(response.body.data.authorIp).toBeUndefined();
+  });
+
+  test('should send link-heavy comments to moderation', async () => {
+    const links = 'https://a.example https://b.example https://c.example https://d.example https://e.example';
+    const response = await comment(`Check these out: ${links}`).expect(201);
+
+    expect(response.body.data.status).toBe('pending');
+    expect(response.body.message).toBe('Comment submitted for moderation');
+
+    const stored = await Comment.findById(response.body.data.id).select('+spamScore +spamReasons');
+    expect(stored.spamScore).toBeGreaterThanOrEqual(4);
+    expect(stored.spamReasons[0].checker).toBe('links');
+  });
+
+  test('should mark comments with several blocked words as spam', async () => {
+    const response = await comment('Cheap viagra and cialis at our casino').expect(201);
+
+    expect(response.body.data.status).toBe('spam');
+
+    const listing = await request(app)
+      .get(`/api/v1/api/comments/posts/${post._id}/comments`)
+      .expect(200);
+    expect(listing.body.data.comments).toHaveLength(0);
+  });
+
+  test('should flag repeated content regardless of case and punctuation', async () => {
+    await comment('Great post, visit my profile for more great posts!').expect(201);
+    const repeat = await comment('great post... visit my profile for more great posts').expect(201);
+
+    expect(repeat.body.data.status).toBe('pending');
+  });
+
+  test('should not score comments from moderators', async () => {
+    const response = await comment('Cheap viagra and cialis at our casino', moderatorToken).expect(201);
+
+    expect(response.body.data.status).toBe('approved');
+  });
+
+  test('should show scores and reasons in the moderation queue', async () => {
+    await comment('Cheap viagra and cialis at our casino').expect(201);
+
+    const queue = await request(app)
+      .get('/api/v1/api/moderation/comments?status=spam')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+
+    expect(queue.body.data.comments).toHaveLength(1);
+    expect(queue.body.data.comments[0].spamScore).toBeGreaterThanOrEqual(8);
+    expect(queue.body.data.comments[0].spamReasons[0].checker).toBe('blockedWords');
+  });
+
+  describe('custom checkers', () => {
+
+    afterEach(() => {
+      unregisterSpamChecker('shouting');
+      unregisterSpamChecker('broken');
+    });
+
+    test('should add scores from registered checkers', async () => {
+      registerSpamChecker({
+        name: 'shouting',
+        check: async ({ content }) => (
+          content === content.toUpperCase() ? { score: 5, reason: 'All caps' } : null
+        )
+      });
+
+      const response = await comment('READ THIS RIGHT NOW').expect(201);
+      expect(response.body.data.status).toBe('pending');
+    });
+
+    test('should skip checkers that throw', async () => {
+      registerSpamChecker({
+        name: 'broken',
+        check: async () => {
+          throw new Error('checker unavailable');
+        }
+      });
+
+      const response = await comment('Still able to comment').expect(201);
+      expect(response.body.data.status).toBe('approved');
+    });
+
+    test('should reject malformed checkers', () => {
+      expect(() => registerSpamChecker({ name: 'missing-check' })).toThrow();
+    });
+
+  });
+
+});
@@ -0,0 +1,168 @@
+// File: tests/taxonomy.test.js
+// Generated: 2026-10-19 18:23:16 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_aobvbsx6lwp7
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Category = require('../src/models/Category');
+
+
+const Post = require('../src/models/Post');
+
+
+const Tag = require('../src/models/Tag');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Taxonomy Integration Tests
+ * Tests tag and category assignment, post filters and the listing endpoints
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let editorToken;
+
+let userToken;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Tag.deleteMany({}),
+  Category.deleteMany({}),
+  User.deleteMany({})
+]);
+
+const createCategory = (body, token = editorToken) => request(app)
+  .post('/api/v1/api/categories')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const createPost = async (title, { tags = [], categories = [] } = {}) => {
+  const categoryIds = await Category.find({ slug: { $in: categories } }).distinct('_id');
+  return Post.create({
+    title,
+    content: `Content of ${title}`,
+    status: 'published',
+    author: author._id,
+    authorName: author.name,
+    tags: await Tag.ensureTags(tags),
+    categories: categoryIds
+  });
+};
+
+const listTitles = async (query) => {
+  const response = await request(app).get(`/api/v1/api/posts?${query}`).expect(200);
+  return response.body.data.posts.map(post => post.title).sort();
+};
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  author = await User.create({ name: 'Author', email: 'author@example.com', password: 'password123' });
+  const editor = await User.create({
+    name: 'Editor',
+    email: 'editor@example.com',
+    password: 'password123',
+    role: 'editor'
+  });
+  userToken = signAccessToken(author);
+  editorToken = signAccessToken(editor);
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Categories', () => {
+
+  test('should build the category tree with post counts', async () => {
+    await createCategory({ name: 'Programming' }).expect(201);
+    await createCategory({ name: 'JavaScript', parent: 'programming' }).expect(201);
+    await createPost('Closures', { categories: ['javascript'] });
+
+    const response = await request(app).get('/api/v1/api/categories').expect(200);
+    const [programming] = response.body.data.categories;
+
+    expect(programming.slug).toBe('programming');
+    expect(programming.children).toHaveLength(1);
+    expect(programming.children[0]).toMatchObject({ slug: 'javascript', depth: 1, postCount: 1 });
+  });
+
+  test('should only let editors and admins create categories', async () => {
+    await createCategory({ name: 'Opinions' }, userToken).expect(403);
+  });
+
+  test('should reject duplicate slugs and unknown parents', async () => {
+    await createCategory({ name: 'Travel' }).expect(201);
+    await createCategory({ name: 'Travel!' }).expect(409);
+    await createCategory({ name: 'Hiking', parent: 'outdoors' }).expect(404);
+  });
+
+});
+
+describe('Post taxonomy', () => {
+
+  test('should create tags on first use when posts are saved', async () => {
+    const post = await createPost('Tagged', { tags: ['Node.js', 'node js', 'Testing'] });
+
+    expect(post.tags).toEqual(['node-js', 'testing']);
+    expect(await Tag.countDocuments()).toBe(2);
+  });
+
+  test('should filter posts by tags with any and all semantics', async () => {
+    await createPost('Both', { tags: ['api', 'node'] });
+    await createPost('Api only', { tags: ['api'] });
+    await createPost('Neither', { tags: ['css'] });
+
+    expect(await listTitles('tags=api&tags=node')).toEqual(['Api only', 'Both']);
+    expect(await listTitles('tags=api,node&tagMode=all')).toEqual(['Both']);
+  });
+
+  test('should filter posts by a category and its subcategories', async () => {
+    await createCategory({ name: 'Programming' }).expect(201);
+    await createCategory({ name: 'Rust', parent: 'programming' }).expect(201);
+    await createCategory({ name: 'Cooking' }).expect(201);
+    await createPost('Ownership', { categories: ['rust'] });
+    await createPost('Pancakes', { categories: ['cooking'] });
+
+    expect(await listTitles('category=programming')).toEqual(['Ownership']);
+    expect(await listTitles('category=unknown')).toEqual([]);
+  });
+
+  test('should count tag usage across published posts', async () => {
+    await createPost('First', { tags: ['api', 'node'] });
+    await createPost('Second', { tags: ['api'] });
+
+    const response = await request(app).get('/api/v1/api/tags').expect(200);
+
+    expect(response.body.data.tags).toEqual([
+      { name: 'api', slug: 'api', count: 2 },
+      { name: 'node', slug: 'node', count: 1 }
+    ]);
+  });
+
+});
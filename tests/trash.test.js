@@ -0,0 +1,175 @@
+// File: tests/trash.test.js
+// Generated: 2026-10-19 18:08:56 UTC
+// Project ID: proj_ac172ae5aba9
+// Task ID: task_km2e787511tk
+
+
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+
+
+const Comment = require('../src/models/Comment');
+
+
+const Post = require('../src/models/Post');
+
+
+const PostRevision = require('../src/models/PostRevision');
+
+
+const User = require('../src/models/User');
+
+
+const app = require('../src/app');
+
+
+const mongoose = require('mongoose');
+
+
+const request = require('supertest');
+
+
+const trashPurger = require('../src/jobs/trashPurger');
+
+const { signAccessToken } = require('../src/utils/jwt');
+
+/**
+ * Trash Integration Tests
+ * Tests soft deletion, the trash listing, restore and purging
+ */
+
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/blog-api-test';
+
+
+let author;
+
+let token;
+
+let post;
+
+let comment;
+
+const clearCollections = () => Promise.all([
+  Post.deleteMany({}).setOptions({ withDeleted: true }),
+  Comment.deleteMany({}).setOptions({ withDeleted: true }),
+  User.deleteMany({})
+]);
+
+beforeAll(async () => {
+  await mongoose.connect(MONGODB_TEST_URI);
+});
+
+beforeEach(async () => {
+  await clearCollections();
+
+  author = await User.create({
+    name: 'Trash Author',
+    email: 'trash@example.com',
+    password: 'password123'
+  });
+  token = signAccessToken(author);
+
+  post = await Post.create({
+    title: 'Post To Trash',
+    content: 'This post will be moved to the trash.',
+    author: author._id,
+    authorName: author.name
+  });
+
+  comment = await Comment.create({
+    content: 'A comment on the trashed post',
+    author: author._id,
+    authorName: author.name,
+    postId: post._id
+  });
+});
+
+afterAll(async () => {
+  await clearCollections();
+  await mongoose.connection.close();
+});
+
+describe('Soft delete and trash', () => {
+
+  test('should move a post and its comments to the trash', async () => {
+    const response = await request(app)
+      .delete(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.trashedComments).toBe(1);
+    expect(await Post.findById(post._id)).toBeNull();
+    expect(await Comment.countByPostId(post._id)).toBe(0);
+
+    const trashed = await Post.findByIdWithDeleted(post._id);
+    expect(trashed.deletedAt).toBeTruthy();
+    expect(String(trashed.deletedBy)).toBe(String(author._id));
+  });
+
+  test('should list trashed items with their purge date', async () => {
+    await post.softDelete(author._id);
+
+    const response = await request(app)
+      .get('/api/v1/api/trash?type=posts')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.items).toHaveLength(1);
+    expect(response.body.data.items[0].title).toBe('Post To Trash');
+    expect(response.body.data.items[0].purgeAt).toBeTruthy();
+  });
+
+  test('should restore a post with the comments trashed alongside it', async () => {
+    await request(app)
+      .delete(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/v1/api/posts/${post._id}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.restoredComments).toBe(1);
+    expect(await Post.findById(post._id)).not.toBeNull();
+    expect(await Comment.findById(comment._id)).not.toBeNull();
+  });
+
+  test('should not restore a comment while its post is trashed', async () => {
+    await request(app)
+      .delete(`/api/v1/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .post(`/api/v1/api/comments/${comment._id}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+  });
+
+  test('should purge items trashed before the retention cutoff', async () => {
+    const longAgo = new Date(Date.now() - (trashPurger.getRetentionDays() + 1) * 24 * 60 * 60 * 1000);
+    await Post.updateOne({ _id: post._id }, { deletedAt: longAgo });
+    await Comment.updateOne({ _id: comment._id }, { deletedAt: longAgo });
+
+    const purged = await trashPurger.runOnce();
+
+    expect(purged.posts).toBe(1);
+    expect(await Post.findByIdWithDeleted(post._id)).toBeNull();
+    expect(await Comment.findByIdWithDeleted(comment._id)).toBeNull();
+  });
+
+  test('should keep a post and its comments in the trash when purging it fails', async () => {
+    const longAgo = new Date(Date.now() - (trashPurger.getRetentionDays() + 1) * 24 * 60 * 60 * 1000);
+    await Post.updateOne({ _id: post._id }, { deletedAt: longAgo });
+    await Comment.updateOne({ _id: comment._id }, { deletedAt: longAgo });
+    const deleteRevisions = jest.spyOn(PostRevision, 'deleteMany').mockRejectedValueOnce(new Error('Connection lost'));
+
+    await expect(trashPurger.runOnce()).rejects.toThrow('Connection lost');
+    deleteRevisions.mockRestore();
+
+    expect(await Post.findByIdWithDeleted(post._id)).not.toBeNull();
+    expect(await Comment.findByIdWithDeleted(comment._id)).not.toBeNull();
+  });
+
+});